@@ -15,6 +15,8 @@ export default [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         fetch: 'readonly',
+        Request: 'readonly',
+        FormData: 'readonly',
         globalThis: 'readonly'
       }
     },
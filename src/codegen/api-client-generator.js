@@ -1,7 +1,8 @@
 import { relative, dirname, resolve } from 'path';
 import TypeMapper from './type-mapper.js';
 import AuthGenerator from './auth-generator.js';
-import { generateErrorInterface, generateErrorHandlingMethod } from './error-generator.js';
+import { generateErrorInterface, generateErrorHandlingMethod, generateOperationErrorTypes, isErrorStatus } from './error-generator.js';
+import { BODY_KINDS, getBodyKind } from '../core/media-types.js';
 
 class ApiClientGenerator {
   constructor() {
@@ -9,68 +10,87 @@ class ApiClientGenerator {
     this.authGenerator = new AuthGenerator();
   }
   
-  generateApiClient(endpoints, schemas, config = {}) {
+  generateApiClient(endpoints, schemas, config = {}, securitySchemes = {}) {
     const clientName = config.clientName || 'ApiClient';
+    this.schemas = schemas;
+    const withSecurity = this.authGenerator.hasSecuritySchemes(securitySchemes);
+    const requestBodyKinds = new Set(endpoints.map(endpoint => this.getRequestBodyKind(endpoint)));
+    const hasFormBodies = requestBodyKinds.has(BODY_KINDS.FORM) || requestBodyKinds.has(BODY_KINDS.MULTIPART);
+    const hasBinaryResponses = endpoints.some(endpoint =>
+      Object.values(endpoint.responses || {}).some(response => this.getResponseKind(response) === BODY_KINDS.BINARY));
     const methods = [];
     const imports = new Set();
+    const operationErrors = new Map();
     
     for (const endpoint of endpoints) {
-      const method = this.endpointToMethod(endpoint, schemas);
+      const method = this.endpointToMethod(endpoint, schemas, config, withSecurity ? securitySchemes : null);
       methods.push(method.code);
       method.imports.forEach(imp => imports.add(imp));
+
+      const methodName = this.pathToMethodName(endpoint.path, endpoint.method, endpoint.operationId);
+      const errors = this.getErrorResponses(endpoint, schemas, imports);
+      if (errors.length > 0 && !operationErrors.has(methodName)) {
+        operationErrors.set(methodName, errors);
+      }
     }
     
     // Calculate relative path from client to types directory
     const relativePath = this.calculateRelativeImportPath(config);
-    const importSection = imports.size > 0 ? 
+    let importSection = imports.size > 0 ? 
       `import type { ${Array.from(imports).join(', ')} } from '${relativePath}';\n\n` : '';
+
+    if (config.zod) {
+      const schemasPath = this.calculateRelativeImportPath(config, config.schemasFileName || 'schemas.ts');
+      importSection += `import { responseSchemas } from '${schemasPath}';\n\n`;
+    }
     
     const authInterface = this.authGenerator.generateAuthInterface();
-    const errorInterface = generateErrorInterface();
-    const clientCode = `${authInterface}
+    const securityTypes = withSecurity ? `\n\n${this.authGenerator.generateSecurityTypes(securitySchemes)}` : '';
+    const errorInterface = generateErrorInterface() + generateOperationErrorTypes(
+      [...operationErrors].map(([methodName, errors]) => ({ methodName: this.typeMapper.escapePropertyName(methodName), errors }))
+    );
+    const clientCode = `${authInterface}${securityTypes}
 
 ${errorInterface}
 
 export class ${clientName} {
 ${this.authGenerator.generateAuthProperties()}
-
+${withSecurity ? `${this.authGenerator.generateSecurityProperties()}\n` : ''}${config.zod ? this.generateResponseValidationProperty() : ''}
   constructor(
     private baseUrl: string = 'http://localhost:3001', 
     private options: RequestInit = {}
   ) {}
 
 ${this.authGenerator.generateAuthMethods(clientName)}
-
+${withSecurity ? `\n${this.authGenerator.generateSecurityMethods(clientName)}\n` : ''}${config.zod ? this.generateResponseValidationMethod(clientName) : ''}
 ${methods.join('\n\n')}
 
   private async request<T>(
     path: string, 
-    options: RequestInit = {}
+    options: RequestInit = {}${withSecurity ? ',\n    security: SecurityRequirement[] = []' : ''}${config.zod ? ',\n    schema?: { parse(data: unknown): T }' : ''}
   ): Promise<T> {
-    const url = new URL(path, this.baseUrl);
-    
-    // Prepare headers with authentication
-    const headers = this.buildHeaders(options.headers);
-    
-    const response = await fetch(url.toString(), {
-      ...this.options,
-      ...options,
-      headers,
-    });
+${withSecurity ? this.generateSecureFetch() : this.generateFetch(hasFormBodies)}
 
     if (!response.ok) {
       await this.handleErrorResponse(response);
     }
 
-    const contentType = response.headers.get('content-type');
+    // application/problem+json and other +json types are JSON too
+    const contentType = response.headers.get('content-type')?.replace(/^application\\/[\\w.-]+\\+json/i, 'application/json');
     if (contentType && contentType.includes('application/json')) {
-      return response.json();
+${config.zod ? `      const data = await response.json();
+      return this.validateResponses && schema ? schema.parse(data) : data;` : '      return response.json();'}
     }
-
+${hasBinaryResponses ? `
+    // Downloads (files, images, ...) are returned as Blobs, text types as strings
+    if (contentType && !/^text\\/|[/+]xml|csv|yaml|javascript/i.test(contentType)) {
+      return response.blob() as Promise<T>;
+    }
+` : ''}
     return response.text() as T;
   }
 
-${this.authGenerator.generateBuildHeadersMethod()}
+${withSecurity ? `${this.generateSendMethod(hasFormBodies)}\n\n${this.authGenerator.generateApplySecurityMethod()}\n\n` : ''}${hasFormBodies ? `${this.generateFormBodyMethods()}\n\n` : ''}${this.authGenerator.generateBuildHeadersMethod()}
 
 ${generateErrorHandlingMethod()}
 }`;
@@ -78,16 +98,21 @@ ${generateErrorHandlingMethod()}
     return this.wrapInFileTemplate(importSection + clientCode);
   }
   
-  endpointToMethod(endpoint, schemas) {
+  endpointToMethod(endpoint, schemas, config = {}, securitySchemes = null) {
     const methodName = this.pathToMethodName(endpoint.path, endpoint.method, endpoint.operationId);
     const imports = new Set();
 
     const parameters = this.categorizeEndpointParameters(endpoint);
     const methodParams = this.buildMethodSignature(endpoint, parameters, schemas, imports);
     const returnType = this.getReturnType(endpoint, schemas, imports);
-    const methodBody = this.generateMethodBody(endpoint, parameters.path, parameters.query, parameters.header, this.generatePathWithParams(endpoint.path, parameters.path));
+    const responseSchema = config.zod ? this.getResponseSchemaReference(endpoint, methodName) : null;
+    const security = securitySchemes ? this.getSecurityRequirements(endpoint, securitySchemes) : null;
+    const methodBody = this.generateMethodBody(endpoint, parameters.path, parameters.query, parameters.header, this.generatePathWithParams(endpoint.path, parameters.path), responseSchema, security);
+
+    const throwsDoc = this.getErrorResponses(endpoint, schemas, new Set()).length > 0 ?
+      `  /** @throws {OperationErrors['${methodName}']} on documented error responses, see isOperationError() */\n` : '';
 
-    const code = `  async ${methodName}(${methodParams.join(', ')}): Promise<${returnType}> {
+    const code = `${throwsDoc}  async ${methodName}(${methodParams.join(', ')}): Promise<${returnType}> {
 ${methodBody}
   }`;
 
@@ -125,15 +150,75 @@ ${methodBody}
   addRequestBodyParameter(methodParams, requestBody, schemas, imports) {
     if (!requestBody) return;
 
+    const kind = this.getRequestBodyKind({ requestBody });
+    if (kind === BODY_KINDS.TEXT) {
+      methodParams.push('data: string');
+      return;
+    }
+    if (kind === BODY_KINDS.BINARY) {
+      methodParams.push('data: Blob | BufferSource');
+      return;
+    }
+
     const bodySchema = requestBody.schema;
     if (bodySchema) {
-      const namedType = this.typeMapper.findNamedTypeForSchema(bodySchema, schemas);
-      const requestBodyType = namedType || this.typeMapper.mapOpenApiTypeToTypeScript(bodySchema, schemas);
+      // Request bodies leave out readOnly properties, e.g. UserWrite
+      const requestBodyType = this.typeMapper.withAccess('write', () =>
+        (kind === BODY_KINDS.MULTIPART ? this.getMultipartBodyType(bodySchema, schemas) : null) ||
+        this.typeMapper.findNamedTypeForSchema(bodySchema, schemas) ||
+        this.typeMapper.mapOpenApiTypeToTypeScript(bodySchema, schemas));
       methodParams.push(`data: ${requestBodyType}`);
       this.typeMapper.extractImportsFromType(requestBodyType, imports);
+    } else if (kind === BODY_KINDS.FORM || kind === BODY_KINDS.MULTIPART) {
+      methodParams.push(`data: Record<string, ${kind === BODY_KINDS.MULTIPART ? 'string | Blob' : 'string'}>`);
     }
   }
 
+  /**
+   * Body kind of an endpoint's request body, or null when it sends none
+   * JSON bodies without a schema are not sent, as before media types were supported
+   */
+  getRequestBodyKind(endpoint) {
+    const requestBody = endpoint.requestBody;
+    if (!requestBody) return null;
+
+    const kind = requestBody.contentType ? getBodyKind(requestBody.contentType) : BODY_KINDS.JSON;
+    return kind === BODY_KINDS.JSON && !requestBody.schema ? null : kind;
+  }
+
+  /**
+   * Body kind of a response; responses without a media type count as JSON
+   */
+  getResponseKind(response) {
+    return response?.contentType ? getBodyKind(response.contentType) : BODY_KINDS.JSON;
+  }
+
+  /**
+   * Multipart object type with file (binary) parts typed as Blob, or null
+   * when the schema has no file parts and its regular type applies
+   */
+  getMultipartBodyType(schema, schemas) {
+    const isBinary = (propSchema) => propSchema?.type === 'string' && propSchema.format === 'binary';
+    const properties = Object.entries(schema.properties || {});
+    const hasFiles = properties.some(([, propSchema]) => isBinary(propSchema) || isBinary(propSchema?.items));
+    if (!hasFiles) return null;
+
+    const fields = properties.filter(([, propSchema]) => this.typeMapper.includesProperty(propSchema)).map(([propName, propSchema]) => {
+      const optional = schema.required?.includes(propName) ? '' : '?';
+      let propType;
+      if (isBinary(propSchema)) {
+        propType = 'Blob';
+      } else if (propSchema?.type === 'array' && isBinary(propSchema.items)) {
+        propType = 'Array<Blob>';
+      } else {
+        propType = this.typeMapper.mapOpenApiTypeToTypeScript(propSchema, schemas);
+      }
+      return `${this.typeMapper.escapePropertyName(propName)}${optional}: ${propType}`;
+    });
+
+    return `{ ${fields.join('; ')} }`;
+  }
+
   addQueryParameters(methodParams, queryParams, schemas) {
     if (queryParams.length > 0) {
       const queryParamType = this.generateQueryParamsType(queryParams, schemas);
@@ -204,17 +289,17 @@ ${methodBody}
     if (!successResponse) {
       return 'void';
     }
+
+    const kind = this.getResponseKind(successResponse);
+    if (kind === BODY_KINDS.BINARY) return 'Blob';
+    if (kind === BODY_KINDS.TEXT) return 'string';
     
     if (successResponse.schema) {
-      // First try to find a named type that matches this schema
-      const namedType = this.typeMapper.findNamedTypeForSchema(successResponse.schema, schemas);
-      if (namedType) {
-        this.typeMapper.extractImportsFromType(namedType, imports);
-        return namedType;
-      }
-      
-      // Fall back to inline type
-      const returnType = this.typeMapper.mapOpenApiTypeToTypeScript(successResponse.schema, schemas);
+      // Responses leave out writeOnly properties, e.g. UserRead; a named type
+      // is preferred over the inline type
+      const returnType = this.typeMapper.withAccess('read', () =>
+        this.typeMapper.findNamedTypeForSchema(successResponse.schema, schemas) ||
+        this.typeMapper.mapOpenApiTypeToTypeScript(successResponse.schema, schemas));
       this.typeMapper.extractImportsFromType(returnType, imports);
       return returnType;
     }
@@ -222,6 +307,31 @@ ${methodBody}
     return 'void';
   }
   
+  /**
+   * Documented error responses of an endpoint (see isErrorStatus) with the TypeScript type of
+   * their body (`unknown` when the contract gives no JSON schema)
+   * Status is the response key: '404', '4XX' or 'default'
+   */
+  getErrorResponses(endpoint, schemas, imports) {
+    return Object.entries(endpoint.responses || {})
+      .filter(([status]) => isErrorStatus(status))
+      .map(([status, response]) => {
+        if (this.getResponseKind(response) !== BODY_KINDS.JSON) {
+          // handleErrorResponse reads non-JSON error bodies as text
+          return { status, bodyType: 'string' };
+        }
+        if (!response?.schema) {
+          return { status, bodyType: 'unknown' };
+        }
+
+        const bodyType = this.typeMapper.withAccess('read', () =>
+          this.typeMapper.findNamedTypeForSchema(response.schema, schemas) ||
+          this.typeMapper.mapOpenApiTypeToTypeScript(response.schema, schemas));
+        this.typeMapper.extractImportsFromType(bodyType, imports);
+        return { status, bodyType };
+      });
+  }
+
   generatePathWithParams(path, pathParams) {
     let pathWithParams = path;
     
@@ -237,7 +347,7 @@ ${methodBody}
    * Handles path templating, query parameters, headers, and request execution
    * Produces TypeScript code that calls the generic request method
    */
-  generateMethodBody(endpoint, _pathParams, queryParams, headerParams, pathWithParams) {
+  generateMethodBody(endpoint, _pathParams, queryParams, headerParams, pathWithParams, responseSchema = null, security = null) {
     const lines = [];
 
     this.addPathGeneration(lines, pathWithParams);
@@ -246,7 +356,7 @@ ${methodBody}
     const requestOptions = this.buildRequestOptions(endpoint, headerParams);
     this.addRequestOptionsGeneration(lines, requestOptions, headerParams);
 
-    this.addRequestExecution(lines, endpoint, queryParams, requestOptions);
+    this.addRequestExecution(lines, endpoint, queryParams, requestOptions, responseSchema, security);
 
     return lines.join('\n');
   }
@@ -273,11 +383,27 @@ ${methodBody}
 
     requestOptions.push(`method: '${endpoint.method}'`);
 
-    if (endpoint.requestBody) {
-      requestOptions.push('body: JSON.stringify(data)');
+    const bodyKind = this.getRequestBodyKind(endpoint);
+    const bodyExpressions = {
+      [BODY_KINDS.JSON]: 'JSON.stringify(data)',
+      [BODY_KINDS.FORM]: 'this.toUrlEncodedBody(data)',
+      [BODY_KINDS.MULTIPART]: 'this.toMultipartBody(data)',
+      [BODY_KINDS.TEXT]: 'data',
+      [BODY_KINDS.BINARY]: 'data'
+    };
+    if (bodyKind) {
+      requestOptions.push(`body: ${bodyExpressions[bodyKind]}`);
     }
 
-    if (headerParams.length > 0) {
+    // Text and binary bodies declare their media type; FormData and URLSearchParams set their own
+    const contentType = [BODY_KINDS.TEXT, BODY_KINDS.BINARY].includes(bodyKind) ? endpoint.requestBody.contentType : null;
+    const mediaTypeHeader = contentType && !contentType.includes('*') ? `'Content-Type': '${contentType}'` : null;
+
+    if (mediaTypeHeader && headerParams.length > 0) {
+      requestOptions.push(`headers: { ${mediaTypeHeader}, ...requestHeaders }`);
+    } else if (mediaTypeHeader) {
+      requestOptions.push(`headers: { ${mediaTypeHeader} }`);
+    } else if (headerParams.length > 0) {
       requestOptions.push('headers: requestHeaders');
     }
 
@@ -304,11 +430,151 @@ ${methodBody}
     }
   }
 
-  addRequestExecution(lines, endpoint, queryParams, requestOptions) {
+  addRequestExecution(lines, endpoint, queryParams, requestOptions, responseSchema = null, security = null) {
     const pathVar = queryParams.length > 0 ? 'url.pathname + url.search' : 'path';
     const optionsVar = requestOptions.length > 0 ? 'requestOptions' : 'options';
+    const securityArg = security ? `, ${security}` : '';
+    const schemaArg = responseSchema ? `, ${responseSchema}` : '';
 
-    lines.push(`    return this.request<${this.getReturnTypeForRequest(endpoint)}>(${pathVar}, ${optionsVar});`);
+    lines.push(`    return this.request<${this.getReturnTypeForRequest(endpoint)}>(${pathVar}, ${optionsVar}${securityArg}${schemaArg});`);
+  }
+
+  /**
+   * TypeScript literal of the security requirements an operation accepts
+   * (its own `security`, or the contract default). Requirements naming
+   * undeclared schemes can never be satisfied and are left out.
+   * Example: [{ oauth: ['read:users'] }, { apiKey: [] }]
+   */
+  getSecurityRequirements(endpoint, securitySchemes) {
+    const requirements = (endpoint.security || [])
+      .filter(requirement => Object.keys(requirement).every(name => securitySchemes[name]))
+      .map(requirement => {
+        const entries = Object.entries(requirement).map(([name, scopes]) =>
+          `${this.typeMapper.escapePropertyName(name)}: [${(scopes || []).map(scope => this.typeMapper.formatLiteral(scope)).join(', ')}]`);
+        return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+      });
+
+    return `[${requirements.join(', ')}]`;
+  }
+
+  generateFetch(hasFormBodies = false) {
+    return `    const url = new URL(path, this.baseUrl);
+    
+    // Prepare headers with authentication
+    const headers = this.buildHeaders(options.headers);
+${hasFormBodies ? this.generateFormContentTypeReset() : ''}    
+    const response = await fetch(url.toString(), {
+      ...this.options,
+      ...options,
+      headers,
+    });`;
+  }
+
+  generateSecureFetch() {
+    return `    const attempt = await this.send(path, options, security, false);
+    let response = attempt.response;
+
+    // A rejected token from a token provider gets one retry with a fresh token
+    if (response.status === 401 && attempt.usedTokenProvider) {
+      response = (await this.send(path, options, security, true)).response;
+    }`;
+  }
+
+  generateSendMethod(hasFormBodies = false) {
+    return `  private async send(
+    path: string,
+    options: RequestInit,
+    security: SecurityRequirement[],
+    forceRefresh: boolean
+  ): Promise<{ response: Response; usedTokenProvider: boolean }> {
+    const url = new URL(path, this.baseUrl);
+
+    // Prepare headers with authentication
+    const headers = this.buildHeaders(options.headers) as Record<string, string>;
+${hasFormBodies ? this.generateFormContentTypeReset() : ''}    const usedTokenProvider = await this.applySecurity(security, url, headers, forceRefresh);
+
+    const response = await fetch(url.toString(), {
+      ...this.options,
+      ...options,
+      headers,
+    });
+
+    return { response, usedTokenProvider };
+  }`;
+  }
+
+  /**
+   * Expression for the method's entry in the generated `responseSchemas` (schemas.ts),
+   * or null when the success response has no body
+   */
+  getResponseSchemaReference(endpoint, methodName) {
+    const successResponse = endpoint.responses['200'] || 
+                           endpoint.responses['201'] || 
+                           endpoint.responses['204'];
+
+    if (!successResponse?.schema || this.getResponseKind(successResponse) !== BODY_KINDS.JSON) {
+      return null;
+    }
+
+    return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(methodName) ?
+      `responseSchemas.${methodName}` : `responseSchemas['${methodName}']`;
+  }
+
+  generateFormContentTypeReset() {
+    return `    // FormData and URLSearchParams bodies set their own Content-Type (with the multipart boundary)
+    if (options.body instanceof FormData || options.body instanceof URLSearchParams) {
+      delete (headers as Record<string, string>)['Content-Type'];
+    }
+`;
+  }
+
+  /**
+   * Serializers for application/x-www-form-urlencoded and multipart/form-data bodies
+   * Arrays repeat the field, objects are sent as JSON and Blobs as file parts
+   */
+  generateFormBodyMethods() {
+    return `  private toUrlEncodedBody(data: object): URLSearchParams {
+    const body = new URLSearchParams();
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      (Array.isArray(value) ? value : [value]).forEach(item => {
+        body.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));
+      });
+    });
+    return body;
+  }
+
+  private toMultipartBody(data: object): FormData {
+    const body = new FormData();
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      (Array.isArray(value) ? value : [value]).forEach(item => {
+        if (item instanceof Blob) {
+          body.append(key, item);
+        } else {
+          body.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));
+        }
+      });
+    });
+    return body;
+  }`;
+  }
+
+  generateResponseValidationProperty() {
+    return `  private validateResponses = false;
+`;
+  }
+
+  generateResponseValidationMethod(clientName) {
+    return `  /**
+   * Parse JSON responses with the generated Zod schemas.
+   * Invalid responses throw a ZodError describing the mismatch.
+   */
+  enableResponseValidation(enabled: boolean = true): ${clientName} {
+    this.validateResponses = enabled;
+    return this;
+  }
+`;
   }
   
   getReturnTypeForRequest(endpoint) {
@@ -316,12 +582,19 @@ ${methodBody}
                            endpoint.responses['201'] || 
                            endpoint.responses['204'];
     
+    const kind = this.getResponseKind(successResponse);
+    if (kind === BODY_KINDS.BINARY) return 'Blob';
+    if (kind === BODY_KINDS.TEXT) return 'string';
+
     if (!successResponse?.schema) {
       return 'void';
     }
     
     // For the request method, we don't need to track imports since they're handled at the method level
-    return this.typeMapper.mapOpenApiTypeToTypeScript(successResponse.schema, {});
+    const schemas = this.schemas || {};
+    return this.typeMapper.withAccess('read', () =>
+      this.typeMapper.findNamedTypeForSchema(successResponse.schema, schemas) ||
+      this.typeMapper.mapOpenApiTypeToTypeScript(successResponse.schema, schemas));
   }
   
   capitalize(str) {
@@ -333,14 +606,14 @@ ${methodBody}
    * Handles different output configurations and ensures ES module compatibility
    * Converts TypeScript extensions to JavaScript for runtime imports
    */
-  calculateRelativeImportPath(config) {
+  calculateRelativeImportPath(config, typesFileName = 'api.ts') {
     const typesPath = config?.output?.types || './src/types';
     const clientPath = config?.output?.client || './src/api';
 
     // Use path.relative for accurate path calculation
     const relativePath = relative(
       dirname(resolve(clientPath, 'client.ts')),
-      resolve(typesPath, 'api.ts')
+      resolve(typesPath, typesFileName)
     );
 
     // Ensure .js extension for ES modules and normalize path separators
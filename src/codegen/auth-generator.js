@@ -1,4 +1,10 @@
+import TypeMapper from './type-mapper.js';
+
 class AuthGenerator {
+  constructor() {
+    this.typeMapper = new TypeMapper();
+  }
+
   generateAuthInterface() {
     return `// Authentication configuration types
 interface ApiKeyAuth {
@@ -89,6 +95,197 @@ type AuthConfig = ApiKeyAuth | BearerAuth | BasicAuth | CustomAuth;`;
   generateAuthProperties() {
     return `  private authConfig: AuthConfig | null = null;`;
   }
+
+  /**
+   * Whether the contract declares security schemes the client can derive its auth from
+   * @param {Object} securitySchemes - components.securitySchemes
+   * @returns {boolean}
+   */
+  hasSecuritySchemes(securitySchemes) {
+    return Object.keys(securitySchemes || {}).length > 0;
+  }
+
+  /**
+   * Types and runtime metadata for the contract's security schemes
+   * @param {Object} securitySchemes - components.securitySchemes
+   * @returns {string} Generated TypeScript code
+   */
+  generateSecurityTypes(securitySchemes) {
+    const names = Object.keys(securitySchemes);
+    const definitions = names.map(name =>
+      `  ${this.typeMapper.escapePropertyName(name)}: ${JSON.stringify(this.toSchemeDefinition(securitySchemes[name]))},`);
+    const credentials = names
+      .filter(name => securitySchemes[name].type !== 'mutualTLS')
+      .map(name => {
+        const scheme = securitySchemes[name];
+        return `  /** ${this.describeScheme(scheme)} */
+  ${this.typeMapper.escapePropertyName(name)}?: ${this.getCredentialType(scheme)};`;
+      });
+
+    return `// Security schemes declared by the contract (components.securitySchemes)
+export type SecuritySchemeName = ${names.map(name => this.typeMapper.formatLiteral(name)).join(' | ')};
+
+export interface SecuritySchemeDefinition {
+  type: 'apiKey' | 'http' | 'oauth2' | 'openIdConnect' | 'mutualTLS';
+  scheme?: string;
+  bearerFormat?: string;
+  in?: 'header' | 'query' | 'cookie';
+  name?: string;
+  flows?: Record<string, { authorizationUrl?: string; tokenUrl?: string; refreshUrl?: string; scopes: Record<string, string> }>;
+  openIdConnectUrl?: string;
+}
+
+export const securitySchemes: Record<SecuritySchemeName, SecuritySchemeDefinition> = {
+${definitions.join('\n')}
+};
+
+/** One way to satisfy an operation: every listed scheme is applied, with the scopes it needs */
+export type SecurityRequirement = Partial<Record<SecuritySchemeName, string[]>>;
+
+export interface TokenRequest {
+  scheme: SecuritySchemeName;
+  scopes: string[];
+  /** True when the previous token was rejected with 401 and must not be reused */
+  forceRefresh: boolean;
+}
+
+export type TokenProvider = (request: TokenRequest) => string | Promise<string>;
+
+export interface SecurityCredentials {
+${credentials.join('\n')}
+}`;
+  }
+
+  generateSecurityProperties() {
+    return `  private credentials: SecurityCredentials = {};`;
+  }
+
+  generateSecurityMethods(clientName) {
+    return `  /**
+   * Credentials for the contract's security schemes, sent only with the
+   * operations that require them. Token providers are called for every
+   * request, and once more with forceRefresh when the token gets a 401.
+   */
+  setCredentials(credentials: SecurityCredentials): ${clientName} {
+    this.credentials = { ...this.credentials, ...credentials };
+    return this;
+  }`;
+  }
+
+  /**
+   * The applySecurity method: picks the first requirement the configured
+   * credentials satisfy and applies each of its schemes to the request.
+   * An empty requirement ({}, optional auth) is only picked when no other is satisfied.
+   */
+  generateApplySecurityMethod() {
+    return `  private async applySecurity(
+    security: SecurityRequirement[],
+    url: URL,
+    headers: Record<string, string>,
+    forceRefresh: boolean
+  ): Promise<boolean> {
+    const isSatisfied = (name: SecuritySchemeName) =>
+      securitySchemes[name].type === 'mutualTLS' || this.credentials[name as keyof SecurityCredentials] !== undefined;
+    const satisfied = security.filter(alternative =>
+      (Object.keys(alternative) as SecuritySchemeName[]).every(isSatisfied));
+    const requirement = satisfied.find(alternative => Object.keys(alternative).length > 0) || satisfied[0];
+    if (!requirement) return false;
+
+    let usedTokenProvider = false;
+    for (const name of Object.keys(requirement) as SecuritySchemeName[]) {
+      const scheme = securitySchemes[name];
+      const credential = this.credentials[name as keyof SecurityCredentials] as string | TokenProvider | { username: string; password: string } | undefined;
+      if (credential === undefined) continue;
+
+      if (typeof credential === 'object') {
+        headers['Authorization'] = 'Basic ' + btoa(credential.username + ':' + credential.password);
+        continue;
+      }
+
+      let value: string;
+      if (typeof credential === 'function') {
+        value = await credential({ scheme: name, scopes: requirement[name] || [], forceRefresh });
+        usedTokenProvider = true;
+      } else {
+        value = credential;
+      }
+
+      switch (scheme.type) {
+        case 'apiKey':
+          if (scheme.in === 'query') {
+            url.searchParams.set(scheme.name!, value);
+          } else if (scheme.in === 'cookie') {
+            const cookie = scheme.name + '=' + encodeURIComponent(value);
+            headers['Cookie'] = headers['Cookie'] ? headers['Cookie'] + '; ' + cookie : cookie;
+          } else {
+            headers[scheme.name!] = value;
+          }
+          break;
+        case 'http':
+          headers['Authorization'] = (scheme.scheme?.toLowerCase() === 'bearer' ? 'Bearer' : scheme.scheme) + ' ' + value;
+          break;
+        case 'oauth2':
+        case 'openIdConnect':
+          headers['Authorization'] = 'Bearer ' + value;
+          break;
+      }
+    }
+
+    return usedTokenProvider;
+  }`;
+  }
+
+  /**
+   * Runtime fields of a security scheme (descriptions and extensions dropped)
+   * @private
+   */
+  toSchemeDefinition(scheme) {
+    const fields = ['type', 'scheme', 'bearerFormat', 'in', 'name', 'flows', 'openIdConnectUrl'];
+    const definition = {};
+
+    for (const field of fields) {
+      if (scheme[field] === undefined) continue;
+      definition[field] = field === 'flows' ?
+        Object.fromEntries(Object.entries(scheme.flows).map(([flow, { authorizationUrl, tokenUrl, refreshUrl, scopes }]) =>
+          [flow, { authorizationUrl, tokenUrl, refreshUrl, scopes: scopes || {} }])) :
+        scheme[field];
+    }
+
+    return definition;
+  }
+
+  /**
+   * @private
+   */
+  getCredentialType(scheme) {
+    if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic') {
+      return '{ username: string; password: string }';
+    }
+    if (scheme.type === 'apiKey') {
+      return 'string';
+    }
+    return 'string | TokenProvider';
+  }
+
+  /**
+   * One-line doc comment for a credentials property
+   * @private
+   */
+  describeScheme(scheme) {
+    switch (scheme.type) {
+      case 'apiKey':
+        return `API key sent in the ${scheme.name} ${scheme.in === 'query' ? 'query parameter' : scheme.in || 'header'}`;
+      case 'http':
+        return scheme.scheme?.toLowerCase() === 'basic' ? 'HTTP Basic credentials' :
+          `${scheme.bearerFormat ? `${scheme.bearerFormat} ` : ''}${scheme.scheme?.toLowerCase() === 'bearer' ? 'bearer token' : `${scheme.scheme} credentials`}, or a token provider`;
+      case 'oauth2':
+        return `OAuth2 access token (${Object.keys(scheme.flows || {}).join(', ')} flow), or a token provider`;
+      case 'openIdConnect':
+        return `OpenID Connect access token (${scheme.openIdConnectUrl}), or a token provider`;
+      default:
+        return scheme.type;
+    }
+  }
 }
 
 export default AuthGenerator;
\ No newline at end of file
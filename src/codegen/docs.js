@@ -1,6 +1,10 @@
+import TypeMapper from './type-mapper.js';
+
 // Constants for better maintainability
 const _DEFAULT_TIMEOUT_MS = 5000; // Used in template generation
 
+const typeMapper = new TypeMapper();
+
 class DocumentationGenerator {
   static generateUsageExamples(contractInfo, config) {
     const clientName = config.clientName || 'ApiClient';
@@ -308,24 +312,15 @@ ${interfaces}`;
     return params.join(', ');
   }
 
-  static getReturnTypeName(endpoint, _schemas) {
+  static getReturnTypeName(endpoint, schemas = {}) {
     const successResponse = endpoint.responses?.['200'] || endpoint.responses?.['201'];
     if (!successResponse?.schema) {
       return 'void';
     }
 
-    // Try to find a matching schema name
-    const schema = successResponse.schema;
-    if (schema.type === 'array' && schema.items?.$ref) {
-      const itemType = schema.items.$ref.split('/').pop();
-      return `Array<${itemType}>`;
-    }
-
-    if (schema.$ref) {
-      return schema.$ref.split('/').pop();
-    }
-
-    return 'ResponseType';
+    // Components keep their identity after parsing, so named types are found by
+    // reference; responses use the Read variant, as in the API client
+    return typeMapper.withAccess('read', () => typeMapper.findNamedTypeForSchema(successResponse.schema, schemas)) || 'ResponseType';
   }
 }
 
@@ -83,7 +83,8 @@ export function generateErrorHandlingMethod() {
     
     let errorBody: any = null;
     try {
-      const contentType = response.headers.get('content-type');
+      // application/problem+json and other +json types are JSON too
+      const contentType = response.headers.get('content-type')?.replace(/^application\\/[\\w.-]+\\+json/i, 'application/json');
       if (contentType && contentType.includes('application/json')) {
         errorBody = await response.json();
       } else {
@@ -117,4 +118,121 @@ export function generateErrorHandlingMethod() {
         throw new ApiError(status, statusText, errorBody);
     }
   }`;
-  }
\ No newline at end of file
+  }
+
+/**
+ * Whether a documented response status is an error response: 4xx, 5xx, the
+ * 4XX and 5XX ranges, or default. Redirects (3xx) are not errors.
+ * @param {string} status - Response status key from the contract
+ * @returns {boolean}
+ */
+export function isErrorStatus(status) {
+    return /^([45]\d\d|[45]XX)$/i.test(status) || status === 'default';
+  }
+
+/**
+ * Generates the typed error unions of each operation's documented error
+ * responses, plus a type guard that narrows caught errors to them
+ * @param {Array<{methodName: string, errors: Array<{status: string, bodyType: string}>}>} operations - Operations with documented errors
+ * @returns {string} TypeScript type definitions and guard, or '' when no operation documents errors
+ */
+export function generateOperationErrorTypes(operations) {
+    if (operations.length === 0) {
+      return '';
+    }
+
+    const errorTypes = operations.map(({ methodName, errors }) => {
+      const members = errors
+        .map(({ status, bodyType }) => ({ statusType: getStatusType(status, errors), bodyType }))
+        .filter(({ statusType }) => statusType !== 'never')
+        .map(({ statusType, bodyType }) => `TypedApiError<${statusType}, ${bodyType}>`);
+      return `  ${methodName}: ${members.join(' | ')};`;
+    });
+
+    const statuses = operations.map(({ methodName, errors }) =>
+      `  ${methodName}: [${errors.map(({ status }) => (/^\d{3}$/.test(status) ? status : `'${status === 'default' ? status : status.toUpperCase()}'`)).join(', ')}],`);
+
+    return `
+
+/** An ApiError whose status and body match a documented error response */
+export type TypedApiError<TStatus extends number, TBody> = Omit<ApiError, 'status' | 'body'> & {
+  status: TStatus;
+  body: TBody;
+};
+
+export type ClientErrorStatus =
+${formatStatusRange(400)};
+
+export type ServerErrorStatus =
+${formatStatusRange(500)};
+
+/** Documented error responses of each operation, keyed by client method name */
+export interface OperationErrors {
+${errorTypes.join('\n')}
+}
+
+const operationErrorStatuses: Record<keyof OperationErrors, Array<number | string>> = {
+${statuses.join('\n')}
+};
+
+/**
+ * Narrow a caught error to the documented error responses of an operation,
+ * then narrow on \`status\` to get the typed body:
+ * if (isOperationError('createUser', error) && error.status === 422) error.body.errors
+ */
+export function isOperationError<K extends keyof OperationErrors>(operation: K, error: unknown): error is OperationErrors[K] {
+  if (!(error instanceof ApiError)) return false;
+
+  // Documented errors are client or server errors; 'default' never covers a redirect
+  const status = String(error.status);
+  if (status[0] !== '4' && status[0] !== '5') return false;
+
+  return operationErrorStatuses[operation].some(documented =>
+    String(documented) === status ||
+    documented === 'default' ||
+    (typeof documented === 'string' && documented[0] === status[0] && documented.endsWith('XX')));
+}`;
+  }
+
+/**
+ * Status type of a documented response. Ranges ('4XX') and 'default' leave
+ * out the statuses documented separately, so narrowing on status stays exact.
+ * @private
+ */
+function getStatusType(status, errors) {
+    if (/^\d{3}$/.test(status)) {
+      return status;
+    }
+
+    const ranges = { '4XX': 'ClientErrorStatus', '5XX': 'ServerErrorStatus' };
+    const exact = errors.map(error => error.status).filter(other => /^\d{3}$/.test(other));
+    const upper = status.toUpperCase();
+
+    let included;
+    let excluded;
+    if (ranges[upper]) {
+      included = [ranges[upper]];
+      excluded = exact.filter(code => code[0] === upper[0]);
+    } else if (status === 'default') {
+      const documentedRanges = errors.map(error => error.status.toUpperCase()).filter(other => ranges[other]);
+      const undocumentedRanges = Object.keys(ranges).filter(range => !documentedRanges.includes(range));
+      included = undocumentedRanges.map(range => ranges[range]);
+      excluded = exact.filter(code => undocumentedRanges.some(range => range[0] === code[0]));
+    } else {
+      return 'number';
+    }
+
+    if (included.length === 0) {
+      return 'never';
+    }
+    return excluded.length > 0 ? `Exclude<${included.join(' | ')}, ${excluded.join(' | ')}>` : included.join(' | ');
+  }
+
+function formatStatusRange(start) {
+    const lines = [];
+    for (let lineStart = start; lineStart < start + 100; lineStart += 20) {
+      const codes = Array.from({ length: 20 }, (_, index) => lineStart + index);
+      lines.push(`  | ${codes.join(' | ')}`);
+    }
+    return lines.join('\n');
+  }
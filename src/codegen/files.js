@@ -67,6 +67,20 @@ export async function writeTypeDefinitions(outputPath, content, config = {}) {
     return writeFile(filePath, content, { format: true });
   }
 
+/**
+ * Writes Zod schemas next to the type definitions
+ * @param {string} outputPath - Types output directory path
+ * @param {string} content - Zod schemas content
+ * @param {object} config - Configuration options (schemasFileName)
+ * @returns {Promise<object>} Write operation result
+ */
+export async function writeZodSchemas(outputPath, content, config = {}) {
+    const fileName = config.schemasFileName || 'schemas.ts';
+    const filePath = join(outputPath, fileName);
+    
+    return writeFile(filePath, content, { format: true });
+  }
+
 /**
  * Writes API client code to output directory
  * @param {string} outputPath - Output directory path
@@ -81,6 +95,34 @@ export async function writeApiClient(outputPath, content, config = {}) {
     return writeFile(filePath, content, { format: true });
   }
 
+/**
+ * Writes React Query hooks next to the API client
+ * @param {string} outputPath - Client output directory path
+ * @param {string} content - Hooks content
+ * @param {object} config - Configuration options (hooksFileName)
+ * @returns {Promise<object>} Write operation result
+ */
+export async function writeReactQueryHooks(outputPath, content, config = {}) {
+    const fileName = config.hooksFileName || 'hooks.ts';
+    const filePath = join(outputPath, fileName);
+    
+    return writeFile(filePath, content, { format: true });
+  }
+
+/**
+ * Writes MSW request handlers to the mocks output directory
+ * @param {string} outputPath - Mocks output directory path
+ * @param {string} content - Handlers content
+ * @param {object} config - Configuration options (handlersFileName)
+ * @returns {Promise<object>} Write operation result
+ */
+export async function writeMswHandlers(outputPath, content, config = {}) {
+    const fileName = config.handlersFileName || 'handlers.ts';
+    const filePath = join(outputPath, fileName);
+    
+    return writeFile(filePath, content, { format: true });
+  }
+
 /**
  * Writes documentation files to project directory
  * @param {string} projectPath - Project root path
@@ -1,3 +1,5 @@
+import ContractParser from '../core/parser.js';
+
 // Constants for better maintainability
 const _COPY_BUTTON_RESET_MS = 2000; // Used in HTML template generation
 
@@ -8,6 +10,7 @@ class HtmlDocumentationGenerator {
     this.info = contract.info || {};
     this.endpoints = contract.endpoints || [];
     this.schemas = contract.schemas || {};
+    this.schemaNames = contract.schemaNames || ContractParser.createSchemaNames(this.schemas);
   }
 
   generateHtml() {
@@ -714,16 +717,16 @@ class HtmlDocumentationGenerator {
   generateSchemaDisplay(schema) {
     if (!schema) return '';
 
-    if (schema.$ref) {
-      const schemaName = schema.$ref.split('/').pop();
+    const schemaName = this.getSchemaName(schema);
+    if (schemaName) {
       return `<div class="param-type">→ <a href="#schema-${schemaName}">${schemaName}</a></div>`;
     }
 
     if (schema.type === 'array' && schema.items) {
-      return `<div class="param-type">Array&lt;${this.getSchemaType(schema.items)}&gt;</div>`;
+      return `<div class="param-type">Array&lt;${this.escapeHtml(this.getSchemaType(schema.items))}&gt;</div>`;
     }
 
-    return `<div class="param-type">${this.getSchemaType(schema)}</div>`;
+    return `<div class="param-type">${this.escapeHtml(this.getSchemaType(schema))}</div>`;
   }
 
   generateCodeExamples(endpoint) {
@@ -849,7 +852,7 @@ const api = new ApiClient('http://localhost:3001');
 
   generateSchemaProperties(schema) {
     if (!schema.properties) {
-      return `<p class="property-description">Type: ${this.getSchemaType(schema)}</p>`;
+      return `<p class="property-description">Type: ${this.escapeHtml(this.describeSchemaType(schema))}</p>`;
     }
 
     const required = schema.required || [];
@@ -861,7 +864,7 @@ const api = new ApiClient('http://localhost:3001');
                             <div class="property">
                                 <div class="property-header">
                                     <span class="property-name">${this.escapeHtml(propName)}</span>
-                                    <span class="property-type">${this.getSchemaType(propSchema)}</span>
+                                    <span class="property-type">${this.escapeHtml(this.getSchemaType(propSchema))}</span>
                                     ${isRequired ? '<span class="param-required">Required</span>' : ''}
                                 </div>
                                 ${propSchema.description ? `<div class="property-description">${this.escapeHtml(propSchema.description)}</div>` : ''}
@@ -1020,13 +1023,26 @@ const api = new ApiClient('http://localhost:3001');
     return `${method}${resource.charAt(0).toUpperCase()}${resource.slice(1)}`;
   }
 
-  getSchemaType(schema) {
-    if (!schema) return 'any';
-    
+  /**
+   * Name of the component a schema is, found by $ref or by reference identity
+   * @param {Object} schema - Schema from the parsed contract
+   * @returns {string|undefined} Component name
+   */
+  getSchemaName(schema) {
     if (schema.$ref) {
       return schema.$ref.split('/').pop();
     }
+
+    return this.schemaNames.get(schema);
+  }
+
+  getSchemaType(schema) {
+    if (!schema) return 'any';
     
+    return this.getSchemaName(schema) || this.describeSchemaType(schema);
+  }
+
+  describeSchemaType(schema) {
     if (schema.type === 'array' && schema.items) {
       return `Array<${this.getSchemaType(schema.items)}>`;
     }
@@ -5,42 +5,66 @@ class TypeScriptInterfaceGenerator {
     this.typeMapper = new TypeMapper();
   }
   
-  generateInterfaces(schemas) {
+  /**
+   * @param {Object} schemas - Component schemas to declare
+   * @param {Object} [allSchemas=schemas] - All component schemas, when declaring a batch of them
+   */
+  generateInterfaces(schemas, allSchemas = schemas) {
     const interfaces = [];
     const processedSchemas = new Set(); // Prevent infinite recursion
     
     for (const [name, schema] of Object.entries(schemas)) {
       if (!processedSchemas.has(name)) {
-        interfaces.push(this.schemaToInterface(name, schema, schemas, processedSchemas));
+        interfaces.push(this.schemaToInterface(name, schema, allSchemas, processedSchemas));
+
+        // Response and request shapes, e.g. UserRead without writeOnly properties
+        if (this.typeMapper.hasAccessVariants(schema)) {
+          for (const access of ['read', 'write']) {
+            interfaces.push(this.typeMapper.withAccess(access, () => this.schemaToInterface(name, schema, allSchemas)));
+          }
+        }
       }
     }
     
     return this.wrapInFileTemplate(interfaces.join('\n\n'));
   }
   
+  /**
+   * Declaration of a component; inside TypeMapper.withAccess() the
+   * declaration of its Read or Write variant
+   */
   schemaToInterface(name, schema, allSchemas = {}, processedSchemas = new Set()) {
     processedSchemas.add(name);
+    const typeName = this.typeMapper.getAccessTypeName(name, schema);
+
+    // A component that is a $ref to another component is the same object
+    const componentName = this.typeMapper.getComponentName(schema, allSchemas);
+    if (componentName && componentName !== name) {
+      return `export type ${typeName} = ${this.typeMapper.getAccessTypeName(componentName, schema)};`;
+    }
     
     // Handle different schema types
     if (schema.enum) {
-      return this.generateEnumType(name, schema);
+      return this.generateEnumType(typeName, schema);
     }
     
-    if (schema.oneOf) {
-      return this.generateUnionType(name, schema.oneOf, allSchemas);
+    if (schema.oneOf || schema.anyOf) {
+      return this.generateUnionType(typeName, schema, allSchemas);
     }
     
     if (schema.allOf) {
-      return this.generateIntersectionType(name, schema.allOf, allSchemas);
+      return this.generateIntersectionType(typeName, schema.allOf, allSchemas);
     }
     
-    if (schema.type === 'object' || schema.properties) {
-      return this.generateObjectInterface(name, schema, allSchemas);
+    // Interfaces cannot be nullable or conditional, so those become type aliases
+    const isAlias = Array.isArray(schema.type) || (schema.then && schema.else);
+    if (!isAlias && (schema.type === 'object' || schema.properties || schema.patternProperties)) {
+      return this.generateObjectInterface(typeName, schema, allSchemas);
     }
     
     // Fallback for other types
-    const tsType = this.typeMapper.mapOpenApiTypeToTypeScript(schema, allSchemas);
-    return `export type ${name} = ${tsType};`;
+    const tsType = this.typeMapper.mapSchemaDefinition(schema, allSchemas);
+    return `export type ${typeName} = ${tsType};`;
   }
   
   generateObjectInterface(name, schema, allSchemas) {
@@ -54,6 +78,7 @@ class TypeScriptInterfaceGenerator {
     
     if (schema.properties) {
       for (const [propName, propSchema] of Object.entries(schema.properties)) {
+        if (!this.typeMapper.includesProperty(propSchema)) continue;
         const isRequired = schema.required?.includes(propName);
         const propType = this.typeMapper.mapOpenApiTypeToTypeScript(propSchema, allSchemas);
         
@@ -68,6 +93,11 @@ class TypeScriptInterfaceGenerator {
       }
     }
     
+    const indexType = this.typeMapper.mapIndexSignature(schema, allSchemas);
+    if (indexType) {
+      properties.push(`  [key: string]: ${indexType};`);
+    }
+    
     const commentBlock = comments.length > 0 ? comments.join('\n') + '\n' : '';
     const propertiesBlock = properties.length > 0 ? properties.join('\n') : '  // No properties defined';
     
@@ -75,20 +105,47 @@ class TypeScriptInterfaceGenerator {
   }
   
   generateEnumType(name, schema) {
-    const values = schema.enum.map(value => 
-      typeof value === 'string' ? `'${value}'` : value
-    ).join(' | ');
+    const values = schema.enum.map(value => this.typeMapper.formatLiteral(value)).join(' | ');
     
     const description = schema.description ? `/** ${schema.description} */\n` : '';
     return `${description}export type ${name} = ${values};`;
   }
   
-  generateUnionType(name, oneOfSchemas, allSchemas) {
-    const types = oneOfSchemas.map(schema => 
-      this.typeMapper.mapOpenApiTypeToTypeScript(schema, allSchemas)
-    ).join(' | ');
-    
-    return `export type ${name} = ${types};`;
+  /**
+   * Union type of a oneOf or anyOf component. With a discriminator, each
+   * member is narrowed to its discriminator value and gets a type guard.
+   */
+  generateUnionType(name, schema, allSchemas) {
+    const members = this.typeMapper.mapUnionMembers(schema, allSchemas);
+    const types = members.map(({ type, narrowed }) => narrowed ? `(${type})` : type).join(' | ');
+
+    const declarations = [`export type ${name} = ${types};`];
+    for (const member of members.filter(({ values }) => values.length > 0)) {
+      declarations.push(this.generateTypeGuard(name, member));
+    }
+
+    return declarations.join('\n\n');
+  }
+
+  /**
+   * Type guard for one member of a discriminated union, named after the
+   * union and the member, e.g. isPetDog, or after the member alone when its
+   * name already starts with the union's, e.g. isPetDog for PetDog
+   * @private
+   */
+  generateTypeGuard(unionName, { type, name, values, propertyName }) {
+    const variantName = name || String(values[0])
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join('');
+    const escaped = this.typeMapper.escapePropertyName(propertyName);
+    const property = escaped === propertyName ? `value.${propertyName}` : `value[${escaped}]`;
+    const condition = values.map(value => `${property} === ${this.typeMapper.formatLiteral(value)}`).join(' || ');
+
+    const guardName = variantName.startsWith(unionName) ? `is${variantName}` : `is${unionName}${variantName}`;
+
+    return `export function ${guardName}(value: ${unionName}): value is ${type} {\n  return ${condition};\n}`;
   }
   
   generateIntersectionType(name, allOfSchemas, allSchemas) {
@@ -0,0 +1,221 @@
+import ApiClientGenerator from './api-client-generator.js';
+import TypeMapper from './type-mapper.js';
+import { BODY_KINDS, getBodyKind } from '../core/media-types.js';
+
+const ERROR_RATE = 0.3;
+
+/**
+ * Generates Mock Service Worker (MSW v2) request handlers for browser-based
+ * tests and Storybook
+ * Response bodies are produced at generation time by a MockServer instance, so
+ * they come from the same data generation (entity patterns, domain mappings,
+ * scenarios, seed) as `specjet mock`, without shipping faker to the browser.
+ * @class MswHandlerGenerator
+ */
+class MswHandlerGenerator {
+  constructor() {
+    this.clientGenerator = new ApiClientGenerator();
+    this.typeMapper = new TypeMapper();
+  }
+
+  /**
+   * Generate the handlers.ts file content
+   * @param {Array} endpoints - Parsed endpoints
+   * @param {MockServer} mockServer - Configured (not started) mock server that generates the data
+   * @returns {string} Generated TypeScript code
+   * @example
+   * const mockServer = new MockServer(contract, 'demo', { seed: 42 });
+   * const handlers = new MswHandlerGenerator().generateHandlers(contract.endpoints, mockServer);
+   */
+  generateHandlers(endpoints, mockServer) {
+    const errorsScenario = mockServer.scenario === 'errors';
+    const operations = endpoints.map(endpoint => this.describeOperation(endpoint, mockServer, errorsScenario));
+
+    const hasBinaryBodies = operations.some(operation => operation.kind === BODY_KINDS.BINARY && operation.body !== undefined);
+    const dataEntries = operations
+      .filter(operation => operation.body !== undefined)
+      .map(operation => `  '${operation.key}': ${this.indent(JSON.stringify(operation.body, null, 2))},`);
+
+    const source = mockServer.seed !== undefined ?
+      `the "${mockServer.scenario}" scenario, seed ${mockServer.seed}` : `the "${mockServer.scenario}" scenario`;
+
+    const content = `import { http, HttpResponse, type HttpHandler } from 'msw';
+
+// Data generated with ${source} - the same data generation as \`specjet mock\`
+
+/** Response bodies keyed by operation */
+export const mockData = {
+${dataEntries.join('\n')}
+};
+${errorsScenario ? this.generateErrorSupport(operations) : ''}
+${this.generateHelpers(hasBinaryBodies)}
+
+export const handlers: HttpHandler[] = [
+${operations.map(operation => this.generateHandler(operation, errorsScenario)).join('\n')}
+];`;
+
+    return this.clientGenerator.wrapInFileTemplate(content);
+  }
+
+  /**
+   * @private
+   */
+  describeOperation(endpoint, mockServer, errorsScenario) {
+    const method = endpoint.method.toUpperCase();
+    const responses = endpoint.responses || {};
+    const statusCode = mockServer.getSuccessStatusCode(endpoint);
+    const statusKey = responses[String(statusCode)] ? String(statusCode) : Object.keys(responses)[0];
+
+    const pathParams = (endpoint.parameters || []).filter(param => param.in === 'path');
+    let body = statusKey ?
+      mockServer.generateResponseForStatus(endpoint, statusKey, { path: {}, query: {}, body: {} }) :
+      undefined;
+
+    // Text and binary bodies are sent as they are; binary data is embedded as base64
+    const contentType = statusKey ? mockServer.getResponseContentType(endpoint, statusKey) : null;
+    const kind = contentType ? getBodyKind(contentType) : BODY_KINDS.JSON;
+    if (kind === BODY_KINDS.BINARY && Buffer.isBuffer(body)) {
+      body = body.toString('base64');
+    }
+
+    return {
+      key: `${method} ${endpoint.path}`,
+      method,
+      path: mockServer.convertOpenApiPath(endpoint.path),
+      statusCode,
+      body,
+      contentType: kind === BODY_KINDS.JSON ? null : contentType,
+      kind,
+      isObjectBody: Boolean(body) && typeof body === 'object' && !Array.isArray(body),
+      pathFields: this.getPathFields(pathParams, body),
+      error: errorsScenario ? this.getErrorResponse(endpoint) : null
+    };
+  }
+
+  /**
+   * Response fields that echo a path parameter, so GET /users/42 returns id 42
+   * like the mock server does
+   * @private
+   */
+  getPathFields(pathParams, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return [];
+
+    return pathParams
+      .map((param, index) => {
+        const isLast = index === pathParams.length - 1;
+        const field = param.name in body ? param.name : (isLast && 'id' in body ? 'id' : null);
+        return field ? { param: param.name, field, numeric: typeof body[field] === 'number' } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Same choice of error as MockServer.generateErrorResponse: a documented
+   * 4xx/5xx response, or 404 when none is documented
+   * @private
+   */
+  getErrorResponse(endpoint) {
+    const responses = endpoint.responses || {};
+    const errorCode = Object.keys(responses).find(code => /^[45]\d\d$/.test(code));
+
+    if (!errorCode) {
+      return { status: 404, body: { error: 'Not Found - Resource does not exist', code: 404 } };
+    }
+
+    const status = parseInt(errorCode);
+    return { status, body: { error: responses[errorCode].description || 'An error occurred', code: status } };
+  }
+
+  /**
+   * @private
+   */
+  generateErrorSupport(operations) {
+    const entries = operations.map(operation =>
+      `  '${operation.key}': ${JSON.stringify(operation.error)},`);
+
+    return `
+/** Share of requests answered with an error, like \`specjet mock --scenario errors\` */
+export const ERROR_RATE = ${ERROR_RATE};
+
+const mockErrors: Record<string, { status: number; body: unknown }> = {
+${entries.join('\n')}
+};
+
+function maybeError(key: string) {
+  const error = mockErrors[key];
+  return error && Math.random() < ERROR_RATE ? HttpResponse.json(error.body as Record<string, unknown>, { status: error.status }) : null;
+}
+`;
+  }
+
+  /**
+   * @private
+   */
+  generateHelpers(hasBinaryBodies = false) {
+    const binaryHelper = hasBinaryBodies ? `
+
+function decodeBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}` : '';
+
+    return `
+async function readJsonBody(request: Request): Promise<Record<string, unknown>> {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  } catch {
+    return {};
+  }
+}${binaryHelper}`;
+  }
+
+  /**
+   * @private
+   */
+  generateHandler(operation, errorsScenario) {
+    const { key, method, path, statusCode, body, isObjectBody, pathFields, contentType, kind } = operation;
+    const lines = [];
+
+    if (errorsScenario) {
+      lines.push(`const error = maybeError('${key}');`, 'if (error) return error;');
+    }
+
+    const readsBody = isObjectBody && ['POST', 'PUT', 'PATCH'].includes(method);
+    if (body === undefined) {
+      lines.push(`return new HttpResponse(null, { status: ${statusCode} });`);
+    } else if (contentType) {
+      const data = kind === BODY_KINDS.BINARY ? `decodeBase64(mockData['${key}'])` : `mockData['${key}']`;
+      lines.push(`return new HttpResponse(${data}, { status: ${statusCode}, headers: { 'Content-Type': '${contentType}' } });`);
+    } else {
+      let expression = `mockData['${key}']`;
+      if (isObjectBody && (readsBody || pathFields.length > 0)) {
+        const parts = [`...mockData['${key}']`];
+        if (readsBody) parts.push('...(await readJsonBody(request))');
+        pathFields.forEach(({ param, field, numeric }) => {
+          const value = numeric ? `Number(params['${param}'])` : `String(params['${param}'])`;
+          parts.push(`${this.typeMapper.escapePropertyName(field)}: ${value}`);
+        });
+        expression = `{ ${parts.join(', ')} }`;
+      }
+      lines.push(`return HttpResponse.json(${expression}, { status: ${statusCode} });`);
+    }
+
+    const resolverArgs = [readsBody ? 'request' : null, pathFields.length > 0 ? 'params' : null].filter(Boolean);
+    const signature = `${readsBody ? 'async ' : ''}(${resolverArgs.length > 0 ? `{ ${resolverArgs.join(', ')} }` : ''}) =>`;
+    const handlerMethod = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method.toLowerCase()) ?
+      method.toLowerCase() : 'all';
+
+    return `  http.${handlerMethod}('*${path}', ${signature} {
+${lines.map(line => `    ${line}`).join('\n')}
+  }),`;
+  }
+
+  /**
+   * @private
+   */
+  indent(json) {
+    return json.replace(/\n/g, '\n  ');
+  }
+}
+
+export default MswHandlerGenerator;
@@ -0,0 +1,221 @@
+import ApiClientGenerator from './api-client-generator.js';
+
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Generates typed TanStack Query (React Query v5) hooks for every operation
+ * GET operations become useQuery hooks, everything else useMutation hooks.
+ * Hooks call the generated API client, provided through ApiClientProvider,
+ * so request logic, auth and error classes are shared with the client.
+ * @class ReactQueryGenerator
+ */
+class ReactQueryGenerator {
+  constructor() {
+    this.clientGenerator = new ApiClientGenerator();
+  }
+
+  /**
+   * Generate the hooks.ts file content
+   * @param {Array} endpoints - Parsed endpoints
+   * @param {Object} schemas - Component schemas
+   * @param {Object} [config={}] - TypeScript generation options (clientName, clientFileName)
+   * @returns {string} Generated TypeScript code
+   * @example
+   * const hooks = new ReactQueryGenerator().generateHooks(contract.endpoints, contract.schemas, config.typescript);
+   */
+  generateHooks(endpoints, schemas, config = {}) {
+    const clientName = config.clientName || 'ApiClient';
+    const clientModule = (config.clientFileName || 'client.ts').replace(/\.ts$/, '.js');
+    const imports = new Set();
+
+    const operations = endpoints.map(endpoint => this.describeOperation(endpoint, schemas, imports));
+    const queries = operations.filter(operation => !operation.isMutation);
+    const mutations = operations.filter(operation => operation.isMutation);
+    const queryKeyPaths = queries.map(operation => operation.keySegments);
+
+    const typeImport = imports.size > 0 ?
+      `import type { ${Array.from(imports).join(', ')} } from '${this.clientGenerator.calculateRelativeImportPath(config)}';\n` : '';
+
+    const content = `import { createContext, createElement, useContext, type ReactNode } from 'react';
+import {
+  useMutation,
+  useQuery,
+  useQueryClient,
+  type UseMutationOptions,
+  type UseQueryOptions,
+} from '@tanstack/react-query';
+import { ${clientName}, ApiError } from './${clientModule}';
+${typeImport}
+${this.generateClientContext(clientName)}
+
+/** Query keys derived from the request path and parameters, for manual cache access */
+export const queryKeys = {
+${queries.map(operation => this.generateQueryKey(operation)).join('\n')}
+};
+
+${queries.map(operation => this.generateQueryHook(operation)).join('\n\n')}
+
+${mutations.map(operation => this.generateMutationHook(operation, queryKeyPaths)).join('\n\n')}`;
+
+    return this.clientGenerator.wrapInFileTemplate(content);
+  }
+
+  /**
+   * Collect what the hooks need about an operation: client method, arguments and key
+   * @private
+   */
+  describeOperation(endpoint, schemas, imports) {
+    const methodName = this.clientGenerator.pathToMethodName(endpoint.path, endpoint.method, endpoint.operationId);
+    const parameters = this.clientGenerator.categorizeEndpointParameters(endpoint);
+
+    // Same arguments as the client method, without the trailing RequestInit options
+    const args = this.clientGenerator.buildMethodSignature(endpoint, parameters, schemas, imports)
+      .slice(0, -1)
+      .map(signature => {
+        const [, name, optional, type] = signature.match(/^([^?:]+)(\??):\s*(.+)$/);
+        return { name, optional: optional === '?', type, signature };
+      });
+
+    return {
+      endpoint,
+      methodName,
+      hookName: `use${this.clientGenerator.capitalize(methodName)}`,
+      isMutation: MUTATION_METHODS.includes(endpoint.method.toUpperCase()),
+      args,
+      returnType: this.clientGenerator.getReturnType(endpoint, schemas, imports),
+      keySegments: this.getKeySegments(endpoint.path),
+      hasQueryParams: parameters.query.length > 0
+    };
+  }
+
+  /**
+   * Path segments as query key parts: static segments as strings, path
+   * parameters as the argument holding their value
+   * /users/{id}/posts -> ["'users'", 'id', "'posts'"]
+   * @private
+   */
+  getKeySegments(path) {
+    return path.split('/')
+      .filter(Boolean)
+      .map(segment => {
+        const param = segment.match(/^\{(.+)\}$/);
+        return param ? param[1] : `'${segment}'`;
+      });
+  }
+
+  /**
+   * @private
+   */
+  generateClientContext(clientName) {
+    return `const ApiClientContext = createContext<${clientName} | null>(null);
+
+/** Makes the API client available to the generated hooks */
+export function ApiClientProvider({ client, children }: { client: ${clientName}; children?: ReactNode }) {
+  return createElement(ApiClientContext.Provider, { value: client }, children);
+}
+
+export function useApiClient(): ${clientName} {
+  const client = useContext(ApiClientContext);
+  if (!client) {
+    throw new Error('useApiClient must be used inside <ApiClientProvider client={...}>');
+  }
+  return client;
+}`;
+  }
+
+  /**
+   * @private
+   */
+  generateQueryKey(operation) {
+    const keyArgs = operation.args.filter(arg => arg.name !== 'headers');
+    const parts = [...operation.keySegments];
+    if (operation.hasQueryParams) parts.push('params');
+
+    return `  ${operation.methodName}: (${keyArgs.map(arg => arg.signature).join(', ')}) => [${parts.join(', ')}] as const,`;
+  }
+
+  /**
+   * @private
+   */
+  generateQueryHook(operation) {
+    const { methodName, hookName, args, returnType } = operation;
+    const keyArgNames = args.filter(arg => arg.name !== 'headers').map(arg => arg.name);
+    const optionsType = `Omit<UseQueryOptions<${returnType}, ApiError>, 'queryKey' | 'queryFn'>`;
+    const summary = operation.endpoint.summary ? `/** ${operation.endpoint.summary} */\n` : '';
+
+    return `${summary}export function ${hookName}(${[...args.map(arg => arg.signature), `options?: ${optionsType}`].join(', ')}) {
+  const client = useApiClient();
+  return useQuery({
+    queryKey: queryKeys.${methodName}(${keyArgNames.join(', ')}),
+    queryFn: () => client.${methodName}(${args.map(arg => arg.name).join(', ')}),
+    ...options,
+  });
+}`;
+  }
+
+  /**
+   * Mutations take the client method arguments as one variables object and,
+   * on success, invalidate the queries of the resource they change
+   * @private
+   */
+  generateMutationHook(operation, queryKeyPaths) {
+    const { methodName, hookName, args, returnType } = operation;
+    const variablesType = args.length > 0 ?
+      `{ ${args.map(arg => `${arg.name}${arg.optional ? '?' : ''}: ${arg.type}`).join('; ')} }` : 'void';
+    const callArgs = args.map(arg => `variables.${arg.name}`).join(', ');
+    const optionsType = `Omit<UseMutationOptions<${returnType}, ApiError, ${variablesType}>, 'mutationFn'>`;
+    const invalidationKey = this.getInvalidationKey(operation.keySegments, queryKeyPaths);
+    const summary = operation.endpoint.summary ? `/** ${operation.endpoint.summary} */\n` : '';
+
+    let onSuccess = '';
+    if (invalidationKey) {
+      const keyParts = invalidationKey.map(part => (part.startsWith('\'') ? part : `variables.${part}`));
+      const usesVariables = keyParts.some(part => part.startsWith('variables.'));
+      onSuccess = `
+    onSuccess: (...args) => {${usesVariables ? '\n      const [, variables] = args;' : ''}
+      void queryClient.invalidateQueries({ queryKey: [${keyParts.join(', ')}] });
+      return options?.onSuccess?.(...args);
+    },`;
+    }
+
+    return `${summary}export function ${hookName}(options?: ${optionsType}) {
+  const client = useApiClient();${invalidationKey ? '\n  const queryClient = useQueryClient();' : ''}
+  return useMutation({
+    ...options,
+    mutationFn: (${args.length > 0 ? `variables: ${variablesType}` : ''}) => client.${methodName}(${callArgs}),${onSuccess}
+  });
+}`;
+  }
+
+  /**
+   * The longest prefix of the mutation path, ending in a static segment, that
+   * some query key starts with - e.g. PUT /users/{id} invalidates ['users'],
+   * covering both the user list and user details
+   * @private
+   * @returns {string[]|null} Key segments to invalidate, or null when no query shares the resource
+   */
+  getInvalidationKey(keySegments, queryKeyPaths) {
+    for (let length = keySegments.length; length > 0; length--) {
+      const prefix = keySegments.slice(0, length);
+      if (!prefix[length - 1].startsWith('\'')) continue;
+
+      const shared = queryKeyPaths.some(queryKey =>
+        prefix.every((segment, index) => this.segmentsMatch(segment, queryKey[index])));
+      if (shared) return prefix;
+    }
+
+    return null;
+  }
+
+  /**
+   * Static segments must be equal; any two path parameters match
+   * @private
+   */
+  segmentsMatch(segment, querySegment) {
+    if (querySegment === undefined) return false;
+    const isStatic = value => value.startsWith('\'');
+    return isStatic(segment) || isStatic(querySegment) ? segment === querySegment : true;
+  }
+}
+
+export default ReactQueryGenerator;
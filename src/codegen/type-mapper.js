@@ -1,43 +1,261 @@
+import ContractParser from '../core/parser.js';
+import { getDiscriminatorVariants } from '../core/discriminator.js';
+
+/**
+ * Maps OpenAPI schemas to TypeScript types
+ * Works on the dereferenced contract: a schema that is the same object as a
+ * component schema is written as that component's name, which also keeps
+ * recursive schemas finite
+ * @class TypeMapper
+ */
 class TypeMapper {
+  constructor() {
+    this.schemaNames = new WeakMap();
+    this.inProgress = new Set();
+    // 'read' or 'write' while mapping response or request types, see withAccess()
+    this.access = null;
+    this.accessVariants = new WeakMap();
+  }
+
   mapOpenApiTypeToTypeScript(schema, allSchemas = {}) {
     // Handle references
     if (schema.$ref) {
       return this.extractTypeNameFromRef(schema.$ref);
     }
-    
-    // Handle nullable types
-    const baseType = this.getBaseTypeScript(schema, allSchemas);
-    const isNullable = schema.nullable || schema['x-nullable'];
-    
-    return isNullable ? `${baseType} | null` : baseType;
+
+    const componentName = this.getComponentName(schema, allSchemas);
+    return componentName ? this.getAccessTypeName(componentName, schema) : this.mapSchemaDefinition(schema, allSchemas);
+  }
+
+  /**
+   * Map types as they are read from responses ('read', without writeOnly
+   * properties) or written in requests ('write', without readOnly properties)
+   * @param {'read'|'write'} access - Direction of the data
+   * @param {Function} callback - Mapping to run in that mode
+   * @returns {*} The callback's result
+   * @example
+   * typeMapper.withAccess('write', () => typeMapper.mapOpenApiTypeToTypeScript(bodySchema, schemas)); // 'UserWrite'
+   */
+  withAccess(access, callback) {
+    const previous = this.access;
+    this.access = access;
+    try {
+      return callback();
+    } finally {
+      this.access = previous;
+    }
+  }
+
+  /**
+   * Whether a schema has readOnly or writeOnly properties, directly or in
+   * any schema it contains; such components get Read and Write variants
+   * @param {Object} schema - OpenAPI schema (dereferenced)
+   * @returns {boolean}
+   */
+  hasAccessVariants(schema) {
+    if (!schema || typeof schema !== 'object') return false;
+    if (this.accessVariants.has(schema)) return this.accessVariants.get(schema);
+
+    const visited = new Set();
+    const search = (node) => {
+      if (!node || typeof node !== 'object' || visited.has(node)) return false;
+      visited.add(node);
+
+      const properties = Object.values(node.properties || {});
+      if (properties.some(propSchema => propSchema?.readOnly || propSchema?.writeOnly)) return true;
+
+      return [
+        ...properties,
+        ...Object.values(node.patternProperties || {}),
+        ...(node.prefixItems || []),
+        ...(node.oneOf || []),
+        ...(node.anyOf || []),
+        ...(node.allOf || []),
+        node.items,
+        node.additionalProperties,
+        node.then,
+        node.else
+      ].some(search);
+    };
+
+    const result = search(schema);
+    this.accessVariants.set(schema, result);
+    return result;
+  }
+
+  /**
+   * Name of a component's type in the current access mode, e.g. UserRead
+   * @param {string} name - Component name
+   * @param {Object} schema - Component schema
+   * @returns {string} Type name; the name itself outside withAccess() or when the component has no variants
+   */
+  getAccessTypeName(name, schema) {
+    if (!this.access || !this.hasAccessVariants(schema)) return name;
+    return `${name}${this.access === 'read' ? 'Read' : 'Write'}`;
+  }
+
+  /**
+   * Whether a property is part of the type in the current access mode
+   * @param {Object} propSchema - Property schema
+   * @returns {boolean} False for writeOnly properties when reading and readOnly properties when writing
+   */
+  includesProperty(propSchema) {
+    if (this.access === 'read') return !propSchema?.writeOnly;
+    if (this.access === 'write') return !propSchema?.readOnly;
+    return true;
+  }
+
+  /**
+   * TypeScript type of a schema's own definition, even when the schema is a
+   * component; nested components are still referenced by name
+   * @param {Object} schema - OpenAPI schema
+   * @param {Object} [allSchemas={}] - Component schemas (dereferenced)
+   * @returns {string} TypeScript type
+   */
+  mapSchemaDefinition(schema, allSchemas = {}) {
+    // A cycle through schemas that are not components has no name to refer to
+    if (this.inProgress.has(schema)) {
+      return 'any';
+    }
+
+    this.inProgress.add(schema);
+    try {
+      // Handle nullable types
+      const baseType = this.getBaseTypeScript(schema, allSchemas);
+      const isNullable = schema.nullable || schema['x-nullable'];
+
+      return isNullable ? `${baseType} | null` : baseType;
+    } finally {
+      this.inProgress.delete(schema);
+    }
+  }
+
+  /**
+   * Name of the component a schema object is, or null for inline schemas
+   * @param {Object} schema - OpenAPI schema
+   * @param {Object} [allSchemas={}] - Component schemas (dereferenced)
+   * @returns {string|null} Component name
+   */
+  getComponentName(schema, allSchemas = {}) {
+    return this.getSchemaNames(allSchemas).get(schema) || null;
+  }
+
+  /**
+   * @private
+   * @param {Object} allSchemas - Component schemas (dereferenced)
+   * @returns {Map<Object, string>} Schema object to component name
+   */
+  getSchemaNames(allSchemas) {
+    if (!this.schemaNames.has(allSchemas)) {
+      this.schemaNames.set(allSchemas, ContractParser.createSchemaNames(allSchemas));
+    }
+    return this.schemaNames.get(allSchemas);
+  }
+
+  /**
+   * Members of a oneOf or anyOf, narrowed to the literal value of the
+   * discriminator property when the union has one
+   * @param {Object} schema - Schema with oneOf or anyOf
+   * @param {Object} [allSchemas={}] - Component schemas (dereferenced)
+   * @returns {Array<{type: string, name: string|null, values: Array, propertyName: string|null, narrowed: boolean}>}
+   *   One entry per member; narrowed members are intersected with their discriminator value
+   */
+  mapUnionMembers(schema, allSchemas = {}) {
+    const discriminated = getDiscriminatorVariants(schema, this.getSchemaNames(allSchemas));
+    if (!discriminated) {
+      return (schema.oneOf || schema.anyOf).map(member => ({
+        type: this.mapOpenApiTypeToTypeScript(member, allSchemas),
+        name: this.getComponentName(member, allSchemas),
+        values: [],
+        propertyName: null,
+        narrowed: false
+      }));
+    }
+
+    const { propertyName, variants } = discriminated;
+    return variants.map(({ schema: member, name, values, declared }) => {
+      const memberType = this.mapOpenApiTypeToTypeScript(member, allSchemas);
+      const narrowed = values.length > 0 && !declared;
+      const literal = values.map(value => this.formatLiteral(value)).join(' | ');
+      return {
+        type: narrowed ? `${memberType} & { ${this.escapePropertyName(propertyName)}: ${literal} }` : memberType,
+        name,
+        values,
+        propertyName,
+        narrowed
+      };
+    });
+  }
+
+  /**
+   * TypeScript union of a oneOf or anyOf; discriminated members are
+   * parenthesized intersections, e.g. (Dog & { petType: 'dog' }) | (Cat & { petType: 'cat' })
+   * @param {Object} schema - Schema with oneOf or anyOf
+   * @param {Object} [allSchemas={}] - Component schemas (dereferenced)
+   * @returns {string} TypeScript union
+   */
+  mapUnion(schema, allSchemas = {}) {
+    return this.mapUnionMembers(schema, allSchemas)
+      .map(({ type, narrowed }) => narrowed ? `(${type})` : type)
+      .join(' | ');
   }
   
   getBaseTypeScript(schema, allSchemas) {
+    // Handle const (OpenAPI 3.1)
+    if (schema.const !== undefined) {
+      return this.formatLiteral(schema.const);
+    }
+
     // Handle enums
     if (schema.enum) {
-      return schema.enum.map(value => 
-        typeof value === 'string' ? `'${value}'` : value
-      ).join(' | ');
+      return schema.enum.map(value => this.formatLiteral(value)).join(' | ');
+    }
+
+    // Handle type lists such as ['string', 'null'] (OpenAPI 3.1)
+    if (Array.isArray(schema.type)) {
+      return this.mapTypeList(schema, allSchemas);
+    }
+
+    // Handle if/then/else (OpenAPI 3.1): the data matches either branch
+    if (schema.then && schema.else) {
+      const { if: _if, then: thenSchema, else: elseSchema, ...baseSchema } = schema;
+      const baseType = this.getBaseTypeScript(baseSchema, allSchemas);
+      const branches = `(${this.mapSchemaDefinition(thenSchema, allSchemas)} | ${this.mapSchemaDefinition(elseSchema, allSchemas)})`;
+      return baseType === 'any' ? branches : `${baseType} & ${branches}`;
     }
     
+    const type = this.inferType(schema);
+
     // Handle arrays
-    if (schema.type === 'array') {
+    if (type === 'array') {
+      if (schema.prefixItems) {
+        return this.mapTuple(schema, allSchemas);
+      }
+
       const itemType = schema.items ? 
         this.mapOpenApiTypeToTypeScript(schema.items, allSchemas) : 'any';
       return `Array<${itemType}>`;
     }
     
     // Handle objects
-    if (schema.type === 'object') {
+    if (type === 'object') {
+      const indexType = this.mapIndexSignature(schema, allSchemas);
+
       if (schema.properties) {
         // Inline object type
         const properties = [];
         for (const [propName, propSchema] of Object.entries(schema.properties)) {
+          if (!this.includesProperty(propSchema)) continue;
           const isRequired = schema.required?.includes(propName);
           const propType = this.mapOpenApiTypeToTypeScript(propSchema, allSchemas);
           properties.push(`${this.escapePropertyName(propName)}${isRequired ? '' : '?'}: ${propType}`);
         }
+        if (indexType) {
+          properties.push(`[key: string]: ${indexType}`);
+        }
         return `{ ${properties.join('; ')} }`;
+      } else if (indexType) {
+        return `Record<string, ${indexType}>`;
       } else if (schema.additionalProperties) {
         const valueType = this.mapOpenApiTypeToTypeScript(schema.additionalProperties, allSchemas);
         return `Record<string, ${valueType}>`;
@@ -47,12 +265,8 @@ class TypeMapper {
     }
     
     // Handle oneOf/anyOf
-    if (schema.oneOf) {
-      return schema.oneOf.map(s => this.mapOpenApiTypeToTypeScript(s, allSchemas)).join(' | ');
-    }
-    
-    if (schema.anyOf) {
-      return schema.anyOf.map(s => this.mapOpenApiTypeToTypeScript(s, allSchemas)).join(' | ');
+    if (schema.oneOf || schema.anyOf) {
+      return this.mapUnion(schema, allSchemas);
     }
     
     // Handle allOf
@@ -84,18 +298,137 @@ class TypeMapper {
     return typeMap[schema.type] || 'any';
   }
   
+  /**
+   * Type of a schema, inferred from its keywords when `type` is left out as
+   * OpenAPI 3.1 allows, e.g. in if/then/else branches
+   * @param {Object} schema - OpenAPI schema
+   * @returns {string|undefined} Schema type
+   */
+  inferType(schema) {
+    if (schema.type || schema.oneOf || schema.anyOf || schema.allOf) {
+      return schema.type;
+    }
+    if (schema.properties || schema.patternProperties) {
+      return 'object';
+    }
+    if (schema.prefixItems || schema.items) {
+      return 'array';
+    }
+    return undefined;
+  }
+
+  /**
+   * TypeScript literal type of a const or enum value
+   * @param {*} value - JSON value
+   * @returns {string} Literal type, e.g. 'active', 42 or null
+   */
+  formatLiteral(value) {
+    if (typeof value === 'string') {
+      return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+    if (value !== null && typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Union of the types in a type list; types excluded by `not` are left out
+   * @param {Object} schema - Schema whose type is an array
+   * @param {Object} allSchemas - Component schemas (dereferenced)
+   * @returns {string} TypeScript union, e.g. string | null
+   */
+  mapTypeList(schema, allSchemas) {
+    const excluded = [schema.not?.type ?? []].flat();
+    const types = schema.type.filter(type => !excluded.includes(type));
+
+    const mapped = types
+      .filter(type => type !== 'null')
+      .map(type => this.getBaseTypeScript({ ...schema, type }, allSchemas));
+    if (types.includes('null')) {
+      mapped.push('null');
+    }
+
+    return [...new Set(mapped)].join(' | ') || 'any';
+  }
+
+  /**
+   * Tuple type of an array with prefixItems. Positions past minItems are
+   * optional, and further items follow `items` unless it is false.
+   * @param {Object} schema - Array schema with prefixItems
+   * @param {Object} allSchemas - Component schemas (dereferenced)
+   * @returns {string} TypeScript tuple, e.g. [number, number]
+   */
+  mapTuple(schema, allSchemas) {
+    const minItems = schema.minItems ?? 0;
+    const elements = schema.prefixItems.map((itemSchema, index) =>
+      `${this.mapOpenApiTypeToTypeScript(itemSchema, allSchemas)}${index < minItems ? '' : '?'}`);
+
+    if (schema.items !== false) {
+      const restType = schema.items ? this.mapOpenApiTypeToTypeScript(schema.items, allSchemas) : 'any';
+      elements.push(`...Array<${restType}>`);
+    }
+
+    return `[${elements.join(', ')}]`;
+  }
+
+  /**
+   * Value type of an index signature for objects with patternProperties. The
+   * type also covers the declared properties, as TypeScript requires.
+   * @param {Object} schema - Object schema
+   * @param {Object} allSchemas - Component schemas (dereferenced)
+   * @returns {string|null} Value type, or null without patternProperties
+   */
+  mapIndexSignature(schema, allSchemas) {
+    if (!schema.patternProperties) {
+      return null;
+    }
+
+    const valueSchemas = Object.values(schema.patternProperties);
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      valueSchemas.push(schema.additionalProperties);
+    }
+
+    const types = valueSchemas.map(valueSchema => this.mapOpenApiTypeToTypeScript(valueSchema, allSchemas));
+    if (schema.additionalProperties === true) {
+      types.push('any');
+    }
+
+    const required = schema.required || [];
+    for (const [propName, propSchema] of Object.entries(schema.properties || {})) {
+      if (!this.includesProperty(propSchema)) continue;
+      types.push(this.mapOpenApiTypeToTypeScript(propSchema, allSchemas));
+      if (!required.includes(propName)) {
+        types.push('undefined');
+      }
+    }
+
+    return types.includes('any') ? 'any' : [...new Set(types)].join(' | ');
+  }
+
   extractTypeNameFromRef(ref) {
     const parts = ref.split('/');
     return parts[parts.length - 1];
   }
   
+  /**
+   * Property name as it can be written in an object type or literal
+   * @param {string} propName - Property name
+   * @returns {string} The name, or a quoted string when it is not an identifier
+   */
   escapePropertyName(propName) {
     if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(propName)) {
       return propName;
     }
-    return `'${propName}'`;
+    return this.formatLiteral(propName);
   }
   
+  /**
+   * Named type of a schema that is a component, or an array of one
+   * @param {Object} schema - OpenAPI schema
+   * @param {Object} schemas - Component schemas (dereferenced)
+   * @returns {string|null} Type name, e.g. Product or Array<Product>
+   */
   findNamedTypeForSchema(schema, schemas) {
     if (!schema || typeof schema !== 'object') {
       return null;
@@ -106,49 +439,14 @@ class TypeMapper {
       return this.extractTypeNameFromRef(schema.$ref);
     }
 
-    // For arrays, check if the items match a named type
+    // For arrays, check if the items are a named type
     if (schema.type === 'array' && schema.items) {
       const itemTypeName = this.findNamedTypeForSchema(schema.items, schemas);
       return itemTypeName ? `Array<${itemTypeName}>` : null;
     }
 
-    // For object schemas, try to find a matching named interface
-    if (schema.type === 'object' && schema.properties) {
-      for (const [interfaceName, interfaceSchema] of Object.entries(schemas)) {
-        if (this.schemasMatch(schema, interfaceSchema)) {
-          return interfaceName;
-        }
-      }
-    }
-
-    return null;
-  }
-  
-  schemasMatch(schema1, schema2) {
-    // Simple schema matching - check if properties and required fields match
-    if (!schema1.properties || !schema2.properties) {
-      return false;
-    }
-
-    const props1 = Object.keys(schema1.properties).sort();
-    const props2 = Object.keys(schema2.properties).sort();
-    
-    if (props1.length !== props2.length) {
-      return false;
-    }
-
-    // Check if all property names match
-    for (let i = 0; i < props1.length; i++) {
-      if (props1[i] !== props2[i]) {
-        return false;
-      }
-    }
-
-    // Check required fields match
-    const required1 = (schema1.required || []).sort();
-    const required2 = (schema2.required || []).sort();
-    
-    return JSON.stringify(required1) === JSON.stringify(required2);
+    const componentName = this.getComponentName(schema, schemas);
+    return componentName ? this.getAccessTypeName(componentName, schema) : null;
   }
   
   extractImportsFromType(type, imports) {
@@ -156,7 +454,7 @@ class TypeMapper {
     if (matches) {
       matches.forEach(match => {
         // Don't import built-in types
-        if (!['Array', 'Record', 'Promise', 'Date'].includes(match)) {
+        if (!['Array', 'Record', 'Promise', 'Date', 'Blob'].includes(match)) {
           imports.add(match);
         }
       });
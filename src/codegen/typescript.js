@@ -1,5 +1,8 @@
 import TypeScriptInterfaceGenerator from './interface-generator.js';
 import ApiClientGenerator from './api-client-generator.js';
+import ZodSchemaGenerator from './zod-generator.js';
+import ReactQueryGenerator from './react-query-generator.js';
+import MswHandlerGenerator from './msw-generator.js';
 
 // Constants for large schema optimization
 const LARGE_SCHEMA_THRESHOLD = 100;
@@ -18,6 +21,9 @@ class TypeScriptGenerator {
   constructor() {
     this.interfaceGenerator = new TypeScriptInterfaceGenerator();
     this.apiClientGenerator = new ApiClientGenerator();
+    this.zodSchemaGenerator = new ZodSchemaGenerator();
+    this.reactQueryGenerator = new ReactQueryGenerator();
+    this.mswHandlerGenerator = new MswHandlerGenerator();
   }
   
   /**
@@ -53,7 +59,7 @@ class TypeScriptGenerator {
     
     // Process each batch and combine results
     const results = batches.map(batch => {
-      return this.interfaceGenerator.generateInterfaces(batch);
+      return this.interfaceGenerator.generateInterfaces(batch, schemas);
     });
     
     return results.join('\n\n');
@@ -65,30 +71,65 @@ class TypeScriptGenerator {
    * @param {Array} endpoints - Array of API endpoints
    * @param {Object} schemas - OpenAPI schema definitions  
    * @param {Object} config - Generation configuration options
+   * @param {Object} [securitySchemes={}] - components.securitySchemes; when present the client derives its auth from them
    * @returns {string} Generated TypeScript API client code
    * @example
    * const client = generator.generateApiClient(
    *   contract.endpoints,
    *   contract.schemas,
-   *   { clientName: 'MyApiClient' }
+   *   { clientName: 'MyApiClient' },
+   *   contract.securitySchemes
    * );
    */
-  generateApiClient(endpoints, schemas, config = {}) {
+  generateApiClient(endpoints, schemas, config = {}, securitySchemes = {}) {
     const endpointCount = endpoints.length;
     
     // Use optimized processing for large APIs
     if (endpointCount >= LARGE_SCHEMA_THRESHOLD) {
-      return this.generateApiClientOptimized(endpoints, schemas, config);
+      return this.generateApiClientOptimized(endpoints, schemas, config, securitySchemes);
     }
     
-    return this.apiClientGenerator.generateApiClient(endpoints, schemas, config);
+    return this.apiClientGenerator.generateApiClient(endpoints, schemas, config, securitySchemes);
   }
   
-  generateApiClientOptimized(endpoints, schemas, config = {}) {
+  /**
+   * Generates Zod schemas for all component schemas plus the success
+   * response schemas the API client validates against
+   * @param {Object} schemas - OpenAPI schema definitions
+   * @param {Array} endpoints - Array of API endpoints
+   * @param {Object} config - Generation configuration options
+   * @returns {string} Generated schemas.ts code
+   */
+  generateZodSchemas(schemas, endpoints, config = {}) {
+    return this.zodSchemaGenerator.generateSchemas(schemas, endpoints, config);
+  }
+  
+  /**
+   * Generates TanStack Query hooks that wrap the generated API client
+   * @param {Array} endpoints - Array of API endpoints
+   * @param {Object} schemas - OpenAPI schema definitions
+   * @param {Object} config - Generation configuration options
+   * @returns {string} Generated hooks.ts code
+   */
+  generateReactQueryHooks(endpoints, schemas, config = {}) {
+    return this.reactQueryGenerator.generateHooks(endpoints, schemas, config);
+  }
+  
+  /**
+   * Generates MSW request handlers serving data from the given mock server
+   * @param {Array} endpoints - Array of API endpoints
+   * @param {MockServer} mockServer - Mock server configured with the scenario, seed and entity options
+   * @returns {string} Generated handlers.ts code
+   */
+  generateMswHandlers(endpoints, mockServer) {
+    return this.mswHandlerGenerator.generateHandlers(endpoints, mockServer);
+  }
+  
+  generateApiClientOptimized(endpoints, schemas, config = {}, securitySchemes = {}) {
     // Sort endpoints by path for better organization in large APIs
     const sortedEndpoints = [...endpoints].sort((a, b) => a.path.localeCompare(b.path));
     
-    return this.apiClientGenerator.generateApiClient(sortedEndpoints, schemas, config);
+    return this.apiClientGenerator.generateApiClient(sortedEndpoints, schemas, config, securitySchemes);
   }
 }
 
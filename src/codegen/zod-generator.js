@@ -0,0 +1,445 @@
+import TypeMapper from './type-mapper.js';
+import ContractParser from '../core/parser.js';
+import { getDiscriminatorVariants } from '../core/discriminator.js';
+import ApiClientGenerator from './api-client-generator.js';
+
+const STRING_FORMATS = {
+  'email': '.email()',
+  'uri': '.url()',
+  'url': '.url()',
+  'uuid': '.uuid()',
+  'date-time': '.datetime({ offset: true })',
+  'date': '.date()'
+};
+
+/**
+ * Generates Zod schemas mirroring the TypeScript interfaces, for runtime
+ * validation of API responses
+ * Works on the dereferenced contract: a nested schema that is the same object
+ * as a component schema is emitted as a reference to that component's Zod schema
+ * @class ZodSchemaGenerator
+ */
+class ZodSchemaGenerator {
+  constructor() {
+    this.typeMapper = new TypeMapper();
+    this.apiClientGenerator = new ApiClientGenerator();
+  }
+
+  /**
+   * Generate the schemas.ts file content
+   * Components with readOnly or writeOnly properties also get a Read schema,
+   * e.g. UserReadSchema, which `responseSchemas` uses
+   * @param {Object} schemas - Component schemas (dereferenced)
+   * @param {Array} [endpoints=[]] - Endpoints whose success responses get an entry in `responseSchemas`
+   * @param {Object} [config={}] - TypeScript generation options (typesFileName)
+   * @returns {string} Generated TypeScript code
+   * @example
+   * const content = new ZodSchemaGenerator().generateSchemas(contract.schemas, contract.endpoints);
+   */
+  generateSchemas(schemas, endpoints = [], config = {}) {
+    this.componentNames = ContractParser.createSchemaNames(schemas);
+    this.emitted = new Set();
+
+    const declarations = [];
+    const visiting = new Set();
+
+    // Emit components after the components they use, so references only need
+    // z.lazy() when schemas are recursive
+    const emit = (name) => {
+      if (visiting.has(name) || this.emitted.has(this.getSchemaName(name))) return;
+      visiting.add(name);
+      this.collectComponentRefs(schemas[name]).forEach(emit);
+      visiting.delete(name);
+
+      const accessModes = this.typeMapper.hasAccessVariants(schemas[name]) ? [null, 'read'] : [null];
+      for (const access of accessModes) {
+        this.typeMapper.withAccess(access, () => {
+          const typeName = this.typeMapper.getAccessTypeName(name, schemas[name]);
+          declarations.push(this.componentToDeclaration(name, schemas[name]));
+          this.emitted.add(this.getSchemaName(typeName));
+        });
+      }
+    };
+    Object.keys(schemas).forEach(emit);
+
+    const typeNames = Object.keys(schemas).flatMap(name =>
+      this.typeMapper.hasAccessVariants(schemas[name]) ? [name, `${name}Read`] : [name]);
+    const typesModule = (config.typesFileName || 'api.ts').replace(/\.ts$/, '.js');
+    const typeImport = typeNames.length > 0 ?
+      `import type { ${typeNames.join(', ')} } from './${typesModule}';\n` : '';
+
+    const content = `import { z } from 'zod';
+${typeImport}
+${declarations.join('\n\n')}
+
+${this.generateResponseSchemas(endpoints)}`;
+
+    return this.apiClientGenerator.wrapInFileTemplate(content);
+  }
+
+  /**
+   * Component names referenced by a schema, without descending into the referenced components
+   * @private
+   */
+  collectComponentRefs(schema, refs = new Set(), visited = new Set()) {
+    if (!schema || typeof schema !== 'object' || visited.has(schema)) return refs;
+    visited.add(schema);
+
+    const nested = [
+      ...Object.values(schema.properties || {}),
+      schema.items,
+      typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null,
+      ...(schema.oneOf || []),
+      ...(schema.anyOf || []),
+      ...(schema.allOf || []),
+      ...(schema.prefixItems || []),
+      ...Object.values(schema.patternProperties || {}),
+      schema.then,
+      schema.else
+    ];
+
+    for (const child of nested) {
+      if (this.componentNames?.has(child)) {
+        refs.add(this.componentNames.get(child));
+      } else {
+        this.collectComponentRefs(child, refs, visited);
+      }
+    }
+
+    return refs;
+  }
+
+  /**
+   * @private
+   */
+  componentToDeclaration(name, schema) {
+    const typeName = this.typeMapper.getAccessTypeName(name, schema);
+    const description = schema.description ? `/** ${schema.description} */\n` : '';
+    // The annotation keeps the schema and the generated interface from drifting apart
+    return `${description}export const ${this.getSchemaName(typeName)}: z.ZodType<${typeName}> = ${this.schemaBodyToZod(schema)};`;
+  }
+
+  /**
+   * `responseSchemas` maps API client method names to the Zod schema of their success response
+   * @private
+   */
+  generateResponseSchemas(endpoints) {
+    return this.typeMapper.withAccess('read', () => this.responseSchemasToZod(endpoints));
+  }
+
+  /**
+   * @private
+   */
+  responseSchemasToZod(endpoints) {
+    const entries = new Map();
+
+    for (const endpoint of endpoints) {
+      const methodName = this.apiClientGenerator.pathToMethodName(endpoint.path, endpoint.method, endpoint.operationId);
+      const schema = ZodSchemaGenerator.getSuccessResponseSchema(endpoint);
+      if (schema && !entries.has(methodName)) {
+        entries.set(methodName, this.schemaToZod(schema));
+      }
+    }
+
+    const lines = [...entries].map(([methodName, zod]) =>
+      `  ${this.typeMapper.escapePropertyName(methodName)}: ${zod.replace(/\n/g, '\n  ')},`);
+
+    return `/** Success response schemas keyed by API client method name */
+export const responseSchemas = {
+${lines.join('\n')}
+};`;
+  }
+
+  /**
+   * Convert an OpenAPI schema into a Zod expression
+   * Component schemas are referenced by their schema constant
+   * @param {Object} schema - OpenAPI schema
+   * @returns {string} Zod expression
+   */
+  schemaToZod(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return 'z.any()';
+    }
+
+    if (this.componentNames?.has(schema)) {
+      const schemaName = this.getSchemaName(this.typeMapper.getAccessTypeName(this.componentNames.get(schema), schema));
+      return this.emitted.has(schemaName) ? schemaName : `z.lazy(() => ${schemaName})`;
+    }
+
+    return this.schemaBodyToZod(schema);
+  }
+
+  /**
+   * Zod expression for the schema itself, never a reference to a component
+   * @private
+   */
+  schemaBodyToZod(schema) {
+    const baseZod = this.getBaseZod(schema);
+    const isNullable = schema.nullable || schema['x-nullable'];
+
+    return isNullable ? `${baseZod}.nullable()` : baseZod;
+  }
+
+  /**
+   * @private
+   */
+  getBaseZod(schema) {
+    if (schema.const !== undefined) {
+      return this.constToZod(schema.const);
+    }
+
+    if (schema.enum) {
+      return this.enumToZod(schema.enum);
+    }
+
+    if (Array.isArray(schema.type)) {
+      return this.typeListToZod(schema);
+    }
+
+    // Mirrors TypeMapper: the data matches either branch
+    if (schema.then && schema.else) {
+      const { if: _if, then: thenSchema, else: elseSchema, ...baseSchema } = schema;
+      const branches = `z.union([${this.schemaBodyToZod(thenSchema)}, ${this.schemaBodyToZod(elseSchema)}])`;
+      return this.typeMapper.inferType(baseSchema) ? `${this.getBaseZod(baseSchema)}.and(${branches})` : branches;
+    }
+
+    if (schema.oneOf || schema.anyOf) {
+      const members = this.unionMembersToZod(schema);
+      return members.length === 1 ? members[0] : `z.union([${members.join(', ')}])`;
+    }
+
+    if (schema.allOf) {
+      const [first, ...rest] = schema.allOf.map(member => this.schemaToZod(member));
+      return rest.reduce((intersection, member) => `${intersection}.and(${member})`, first || 'z.any()');
+    }
+
+    switch (this.typeMapper.inferType(schema)) {
+      case 'string':
+        return this.stringToZod(schema);
+      case 'number':
+      case 'integer':
+        return this.numberToZod(schema);
+      case 'boolean':
+        return 'z.boolean()';
+      case 'null':
+        return 'z.null()';
+      case 'array':
+        return this.arrayToZod(schema);
+      case 'object':
+        return this.objectToZod(schema);
+      default:
+        return 'z.any()';
+    }
+  }
+
+  /**
+   * Members of a oneOf or anyOf; mirrors TypeMapper.mapUnionMembers, so
+   * discriminated members also check their discriminator value
+   * @private
+   */
+  unionMembersToZod(schema) {
+    const discriminated = getDiscriminatorVariants(schema, this.componentNames);
+    if (!discriminated) {
+      return (schema.oneOf || schema.anyOf).map(member => this.schemaToZod(member));
+    }
+
+    const { propertyName, variants } = discriminated;
+    return variants.map(({ schema: member, values, declared }) => {
+      const memberZod = this.schemaToZod(member);
+      if (values.length === 0 || declared) return memberZod;
+
+      const property = this.typeMapper.escapePropertyName(propertyName);
+      return `${memberZod}.and(z.object({ ${property}: ${this.enumToZod(values)} }))`;
+    });
+  }
+
+  /**
+   * Objects and arrays have no Zod literal, so their const is not checked
+   * @private
+   */
+  constToZod(value) {
+    return value !== null && typeof value === 'object' ? 'z.any()' : `z.literal(${this.toLiteral(value)})`;
+  }
+
+  /**
+   * Union for a type list such as ['string', 'null'] (OpenAPI 3.1); mirrors TypeMapper.mapTypeList
+   * @private
+   */
+  typeListToZod(schema) {
+    const excluded = [schema.not?.type ?? []].flat();
+    const types = schema.type.filter(type => !excluded.includes(type));
+    const members = types
+      .filter(type => type !== 'null')
+      .map(type => this.getBaseZod({ ...schema, type }));
+
+    if (members.length === 0) {
+      return types.includes('null') ? 'z.null()' : 'z.any()';
+    }
+
+    const union = members.length === 1 ? members[0] : `z.union([${members.join(', ')}])`;
+    return types.includes('null') ? `${union}.nullable()` : union;
+  }
+
+  /**
+   * @private
+   */
+  enumToZod(values) {
+    if (values.every(value => typeof value === 'string')) {
+      return `z.enum([${values.map(value => this.toLiteral(value)).join(', ')}])`;
+    }
+
+    const literals = values.map(value => `z.literal(${this.toLiteral(value)})`);
+    return literals.length === 1 ? literals[0] : `z.union([${literals.join(', ')}])`;
+  }
+
+  /**
+   * @private
+   */
+  stringToZod(schema) {
+    let zod = 'z.string()';
+
+    zod += STRING_FORMATS[schema.format] || '';
+    if (schema.minLength !== undefined) zod += `.min(${schema.minLength})`;
+    if (schema.maxLength !== undefined) zod += `.max(${schema.maxLength})`;
+    if (schema.pattern) zod += `.regex(new RegExp(${this.toLiteral(schema.pattern)}))`;
+
+    return zod;
+  }
+
+  /**
+   * Supports both the OpenAPI 3.0 (boolean) and 3.1 (numeric) forms of exclusiveMinimum/Maximum
+   * @private
+   */
+  numberToZod(schema) {
+    let zod = schema.type === 'integer' ? 'z.number().int()' : 'z.number()';
+
+    if (typeof schema.exclusiveMinimum === 'number') {
+      zod += `.gt(${schema.exclusiveMinimum})`;
+    } else if (schema.minimum !== undefined) {
+      zod += schema.exclusiveMinimum === true ? `.gt(${schema.minimum})` : `.min(${schema.minimum})`;
+    }
+
+    if (typeof schema.exclusiveMaximum === 'number') {
+      zod += `.lt(${schema.exclusiveMaximum})`;
+    } else if (schema.maximum !== undefined) {
+      zod += schema.exclusiveMaximum === true ? `.lt(${schema.maximum})` : `.max(${schema.maximum})`;
+    }
+
+    if (schema.multipleOf !== undefined) zod += `.multipleOf(${schema.multipleOf})`;
+
+    return zod;
+  }
+
+  /**
+   * @private
+   */
+  arrayToZod(schema) {
+    if (schema.prefixItems) {
+      return this.tupleToZod(schema);
+    }
+
+    let zod = `z.array(${schema.items ? this.schemaToZod(schema.items) : 'z.any()'})`;
+
+    if (schema.minItems !== undefined) zod += `.min(${schema.minItems})`;
+    if (schema.maxItems !== undefined) zod += `.max(${schema.maxItems})`;
+
+    return zod;
+  }
+
+  /**
+   * Tuple for prefixItems; mirrors TypeMapper.mapTuple
+   * @private
+   */
+  tupleToZod(schema) {
+    const minItems = schema.minItems ?? 0;
+    const elements = schema.prefixItems.map((itemSchema, index) =>
+      `${this.schemaToZod(itemSchema)}${index < minItems ? '' : '.optional()'}`);
+
+    const tuple = `z.tuple([${elements.join(', ')}])`;
+    if (schema.items === false) {
+      return tuple;
+    }
+    return `${tuple}.rest(${schema.items ? this.schemaToZod(schema.items) : 'z.any()'})`;
+  }
+
+  /**
+   * Value schema for patternProperties; Zod cannot check the key patterns
+   * @private
+   */
+  patternPropertiesToZod(schema) {
+    if (schema.additionalProperties === true) {
+      return 'z.any()';
+    }
+
+    const valueSchemas = Object.values(schema.patternProperties);
+    if (typeof schema.additionalProperties === 'object') {
+      valueSchemas.push(schema.additionalProperties);
+    }
+
+    const members = [...new Set(valueSchemas.map(valueSchema => this.schemaToZod(valueSchema)))];
+    return members.length === 1 ? members[0] : `z.union([${members.join(', ')}])`;
+  }
+
+  /**
+   * Mirrors TypeMapper: objects with properties become z.object(), property-less
+   * objects become records
+   * @private
+   */
+  objectToZod(schema) {
+    if (!schema.properties) {
+      if (schema.patternProperties) {
+        return `z.record(${this.patternPropertiesToZod(schema)})`;
+      }
+      const valueZod = typeof schema.additionalProperties === 'object' ?
+        this.schemaToZod(schema.additionalProperties) : 'z.any()';
+      return `z.record(${valueZod})`;
+    }
+
+    const properties = [];
+    for (const [propName, propSchema] of Object.entries(schema.properties)) {
+      if (!this.typeMapper.includesProperty(propSchema)) continue;
+      const isRequired = schema.required?.includes(propName);
+      const propZod = this.schemaToZod(propSchema).replace(/\n/g, '\n  ');
+      properties.push(`  ${this.typeMapper.escapePropertyName(propName)}: ${propZod}${isRequired ? '' : '.optional()'},`);
+    }
+
+    const object = properties.length > 0 ? `z.object({\n${properties.join('\n')}\n})` : 'z.object({})';
+    return schema.patternProperties ? `${object}.catchall(${this.patternPropertiesToZod(schema)})` : object;
+  }
+
+  /**
+   * TypeScript literal for an enum value or pattern (single-quoted strings)
+   * @private
+   */
+  toLiteral(value) {
+    if (typeof value !== 'string') {
+      return JSON.stringify(value);
+    }
+    return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * Name of the Zod schema constant for a component, e.g. User -> UserSchema
+   * @param {string} name - Component schema name
+   * @returns {string} Schema constant name
+   */
+  getSchemaName(name) {
+    return `${name}Schema`;
+  }
+
+  /**
+   * Schema of the success response the API client method returns
+   * (same lookup as ApiClientGenerator.getReturnType)
+   * @param {Object} endpoint - Parsed endpoint
+   * @returns {Object|null} Response schema, or null when the success response has no body
+   */
+  static getSuccessResponseSchema(endpoint) {
+    const successResponse = endpoint.responses?.['200'] ||
+                           endpoint.responses?.['201'] ||
+                           endpoint.responses?.['204'];
+
+    return successResponse?.schema || null;
+  }
+}
+
+export default ZodSchemaGenerator;
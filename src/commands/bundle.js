@@ -0,0 +1,101 @@
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import { resolve, extname, relative } from 'path';
+import ContractParser from '#src/core/parser.js';
+import { loadConfig, validateConfig, resolveContractPath } from '#src/core/config.js';
+import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
+
+const VALID_FORMATS = ['yaml', 'json'];
+
+/**
+ * Output format: --format, else the output file's extension, else YAML
+ */
+function resolveFormat(options) {
+  const format = options.format || (extname(options.output || '').toLowerCase() === '.json' ? 'json' : 'yaml');
+
+  if (!VALID_FORMATS.includes(format)) {
+    throw new SpecJetError(
+      `Invalid bundle format: ${format}`,
+      'INVALID_OUTPUT_FORMAT',
+      null,
+      [`Valid formats are: ${VALID_FORMATS.join(', ')}`]
+    );
+  }
+
+  return format;
+}
+
+/**
+ * Core bundle logic without process.exit calls
+ * Combines a contract split over several files into a single file
+ * @param {string|undefined} contractArg - Root contract file (defaults to config.contract)
+ * @param {object} options - Bundle options (config, output, format)
+ * @returns {Promise<object>} Bundle result with exit code and formatted output;
+ *   without an output file the formatted output is the bundled contract
+ */
+async function bundleCore(contractArg, options = {}) {
+  const format = resolveFormat(options);
+  const config = validateConfig(await loadConfig(options.config));
+  const contractPath = resolveContractPath(contractArg ? { contract: contractArg } : config);
+  ErrorHandler.validateContractFile(contractPath);
+
+  let contract;
+  let files;
+  try {
+    files = await ContractParser.findContractFiles(contractPath);
+    contract = await new ContractParser().bundleContract(contractPath);
+  } catch (error) {
+    throw SpecJetError.contractInvalid(contractPath, error);
+  }
+
+  const content = format === 'json'
+    ? `${JSON.stringify(contract, null, 2)}\n`
+    : yaml.dump(contract, { noRefs: true, lineWidth: -1 });
+
+  if (!options.output) {
+    return {
+      exitCode: 0,
+      success: true,
+      contract,
+      files,
+      formattedOutput: content.trimEnd()
+    };
+  }
+
+  const outputPath = resolve(options.output);
+  if (files.includes(outputPath)) {
+    throw new SpecJetError(
+      `${outputPath} is part of the contract being bundled`,
+      'BUNDLE_OUTPUT_IS_SOURCE',
+      null,
+      ['Write the bundle to another file, e.g. --output dist/api-contract.yaml']
+    );
+  }
+
+  await fs.outputFile(outputPath, content, 'utf8');
+
+  return {
+    exitCode: 0,
+    success: true,
+    contract,
+    files,
+    outputPath,
+    formattedOutput: `📦 Bundled ${files.length} file${files.length === 1 ? '' : 's'} into ${relative(process.cwd(), outputPath) || outputPath}`
+  };
+}
+
+/**
+ * CLI wrapper for bundle command
+ */
+async function bundleCommand(contractArg, options = {}) {
+  const result = await ErrorHandler.withErrorHandling(
+    () => bundleCore(contractArg, options),
+    options
+  );
+
+  console.log(result.formattedOutput);
+  process.exit(result.exitCode);
+}
+
+export default bundleCommand;
+export { bundleCore };
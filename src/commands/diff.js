@@ -0,0 +1,68 @@
+import { resolve } from 'path';
+import ContractParser from '#src/core/parser.js';
+import ContractDiff from '#src/core/contract-diff.js';
+import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
+
+const VALID_OUTPUT_FORMATS = ['console', 'json', 'markdown'];
+
+async function parseContractFile(contractPath) {
+  const absolutePath = resolve(contractPath);
+  ErrorHandler.validateContractFile(absolutePath);
+
+  const parser = new ContractParser();
+  try {
+    return await parser.parseContract(absolutePath);
+  } catch (error) {
+    throw SpecJetError.contractInvalid(absolutePath, error);
+  }
+}
+
+/**
+ * Core diff logic without process.exit calls
+ * Returns result object for programmatic use
+ * @param {string} oldPath - Path to the baseline contract
+ * @param {string} newPath - Path to the updated contract
+ * @param {object} options - Diff options (output)
+ * @returns {Promise<object>} Diff result with exit code and formatted output
+ */
+async function diffCore(oldPath, newPath, options = {}) {
+  const output = options.output || 'console';
+  if (!VALID_OUTPUT_FORMATS.includes(output)) {
+    throw new SpecJetError(
+      `Invalid output format: ${output}`,
+      'INVALID_OUTPUT_FORMAT',
+      null,
+      [`Valid output formats are: ${VALID_OUTPUT_FORMATS.join(', ')}`]
+    );
+  }
+
+  const oldContract = await parseContractFile(oldPath);
+  const newContract = await parseContractFile(newPath);
+
+  const report = new ContractDiff().compare(oldContract, newContract);
+  const formattedOutput = ContractDiff.export(report, output);
+
+  return {
+    exitCode: report.hasBreakingChanges ? 1 : 0,
+    success: !report.hasBreakingChanges,
+    report,
+    formattedOutput
+  };
+}
+
+/**
+ * CLI wrapper for diff command
+ * Exits with code 1 when breaking changes are found so merges can be gated
+ */
+async function diffCommand(oldPath, newPath, options = {}) {
+  const result = await ErrorHandler.withErrorHandling(
+    () => diffCore(oldPath, newPath, options),
+    options
+  );
+
+  console.log(result.formattedOutput);
+  process.exit(result.exitCode);
+}
+
+export default diffCommand;
+export { diffCore };
@@ -1,7 +1,8 @@
 import ContractParser from '#src/core/parser.js';
 import TypeScriptGenerator from '#src/codegen/typescript.js';
+import MockServer from '#src/mock-server/server.js';
 import { loadConfig, validateConfig, resolveContractPath, resolveOutputPaths } from '#src/core/config.js';
-import { writeTypeDefinitions, writeApiClient, generateSummaryReport, printGenerationReport } from '#src/codegen/files.js';
+import { writeTypeDefinitions, writeApiClient, writeZodSchemas, writeReactQueryHooks, writeMswHandlers, generateSummaryReport, printGenerationReport } from '#src/codegen/files.js';
 import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
 import FileWatcher from '#src/core/watcher.js';
 import Logger from '#src/core/logger.js';
@@ -14,6 +15,12 @@ const VERY_LARGE_SCHEMA_THRESHOLD = 100;
 async function performGeneration(config, options, logger = new Logger({ context: 'Generate' })) {
   const contractPath = resolveContractPath(config);
   const outputPaths = resolveOutputPaths(config);
+  const typescriptConfig = {
+    ...config.typescript,
+    zod: Boolean(options.zod || config.typescript?.zod),
+    reactQuery: Boolean(options.reactQuery || config.typescript?.reactQuery),
+    msw: Boolean(options.msw || config.typescript?.msw)
+  };
   
   // Validate contract file exists before proceeding
   ErrorHandler.validateContractFile(contractPath);
@@ -64,7 +71,7 @@ async function performGeneration(config, options, logger = new Logger({ context:
   const startTime = Date.now();
   
   try {
-    interfacesContent = generator.generateInterfaces(parsedContract.schemas, config.typescript);
+    interfacesContent = generator.generateInterfaces(parsedContract.schemas, typescriptConfig);
   } catch (error) {
     throw SpecJetError.generationError('TypeScript interface generation', error);
   }
@@ -74,6 +81,22 @@ async function performGeneration(config, options, logger = new Logger({ context:
     logger.performance('TypeScript interface generation', generationTime, { schemaCount });
   }
 
+  // Generate Zod schemas
+  let schemasContent;
+  if (typescriptConfig.zod) {
+    if (!options.watch) logger.info('Generating Zod schemas');
+
+    try {
+      schemasContent = generator.generateZodSchemas(
+        parsedContract.schemas,
+        parsedContract.endpoints,
+        typescriptConfig
+      );
+    } catch (error) {
+      throw SpecJetError.generationError('Zod schema generation', error);
+    }
+  }
+
   // Generate API client
   if (!options.watch) {
     if (endpointCount >= LARGE_SCHEMA_THRESHOLD) {
@@ -90,7 +113,8 @@ async function performGeneration(config, options, logger = new Logger({ context:
     clientContent = generator.generateApiClient(
       parsedContract.endpoints, 
       parsedContract.schemas, 
-      config.typescript
+      typescriptConfig,
+      parsedContract.securitySchemes
     );
   } catch (error) {
     throw SpecJetError.generationError('API client generation', error);
@@ -101,6 +125,34 @@ async function performGeneration(config, options, logger = new Logger({ context:
     logger.performance('API client generation', clientGenerationTime, { endpointCount });
   }
 
+  // Generate React Query hooks
+  let hooksContent;
+  if (typescriptConfig.reactQuery) {
+    if (!options.watch) logger.info('Generating React Query hooks');
+
+    try {
+      hooksContent = generator.generateReactQueryHooks(
+        parsedContract.endpoints,
+        parsedContract.schemas,
+        typescriptConfig
+      );
+    } catch (error) {
+      throw SpecJetError.generationError('React Query hook generation', error);
+    }
+  }
+
+  // Generate MSW handlers with the mock server's data generation
+  let handlersContent;
+  if (typescriptConfig.msw) {
+    if (!options.watch) logger.info('Generating MSW handlers', { scenario: config.mock?.scenario || 'demo' });
+
+    try {
+      handlersContent = generator.generateMswHandlers(parsedContract.endpoints, createMockServer(parsedContract, config));
+    } catch (error) {
+      throw SpecJetError.generationError('MSW handler generation', error);
+    }
+  }
+
   // Write files
   if (!options.watch) logger.info('Writing generated files');
   const writeResults = [];
@@ -110,25 +162,67 @@ async function performGeneration(config, options, logger = new Logger({ context:
     const typesResult = await writeTypeDefinitions(
       outputPaths.types, 
       interfacesContent, 
-      config.typescript
+      typescriptConfig
     );
     writeResults.push(typesResult);
   } catch (error) {
     throw SpecJetError.fileWriteError(outputPaths.types, error);
   }
 
+  // Write Zod schemas
+  if (schemasContent) {
+    try {
+      const schemasResult = await writeZodSchemas(
+        outputPaths.types,
+        schemasContent,
+        typescriptConfig
+      );
+      writeResults.push(schemasResult);
+    } catch (error) {
+      throw SpecJetError.fileWriteError(outputPaths.types, error);
+    }
+  }
+
   // Write API client
   try {
     const clientResult = await writeApiClient(
       outputPaths.client, 
       clientContent, 
-      config.typescript
+      typescriptConfig
     );
     writeResults.push(clientResult);
   } catch (error) {
     throw SpecJetError.fileWriteError(outputPaths.client, error);
   }
 
+  // Write React Query hooks
+  if (hooksContent) {
+    try {
+      const hooksResult = await writeReactQueryHooks(
+        outputPaths.client,
+        hooksContent,
+        typescriptConfig
+      );
+      writeResults.push(hooksResult);
+    } catch (error) {
+      throw SpecJetError.fileWriteError(outputPaths.client, error);
+    }
+  }
+
+  // Write MSW handlers
+  if (handlersContent) {
+    try {
+      const handlersResult = await writeMswHandlers(
+        outputPaths.mocks,
+        handlersContent,
+        typescriptConfig
+      );
+      writeResults.push(handlersResult);
+    } catch (error) {
+      throw SpecJetError.fileWriteError(outputPaths.mocks, error);
+    }
+  }
+
   // Documentation generation is now handled by the 'docs' command only
 
   // Generate summary report
@@ -147,6 +241,20 @@ async function performGeneration(config, options, logger = new Logger({ context:
   return { config, contractPath, report, stats: { schemaCount, endpointCount } };
 }
 
+/**
+ * Mock server configured like `specjet mock` (scenario, seed, entity options);
+ * it is only used to generate data and never started
+ */
+function createMockServer(parsedContract, config) {
+  const mockOptions = config.mock || {};
+  return new MockServer(parsedContract, mockOptions.scenario || 'demo', {
+    entityPatterns: mockOptions.entityPatterns,
+    domainMappings: mockOptions.domainMappings,
+    useExamples: mockOptions.useExamples,
+    seed: mockOptions.seed
+  });
+}
+
 /**
  * Generate TypeScript types and API client from OpenAPI contract
  */
@@ -0,0 +1,52 @@
+import fs from 'fs-extra';
+import { resolve } from 'path';
+import ContractImporter from '#src/core/contract-importer.js';
+import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
+
+/**
+ * Core import logic without process.exit calls
+ * Converts the file, writes the contract and checks that it parses
+ * @param {string} filePath - Swagger 2.0 file or Postman v2.1 collection
+ * @param {object} options - Import options (output, force)
+ * @returns {Promise<object>} Import result with exit code and formatted output
+ */
+async function importCore(filePath, options = {}) {
+  const outputPath = resolve(options.output || './api-contract.yaml');
+
+  if (await fs.pathExists(outputPath) && !options.force) {
+    throw new SpecJetError(
+      `${outputPath} already exists`,
+      'FILE_EXISTS',
+      null,
+      ['Use --force to overwrite it', 'Choose another file with --output']
+    );
+  }
+
+  const importer = new ContractImporter();
+  const result = await importer.importFile(resolve(filePath));
+  await importer.writeContract(result.contract, outputPath);
+
+  return {
+    exitCode: 0,
+    success: true,
+    ...result,
+    outputPath,
+    formattedOutput: ContractImporter.formatConsoleOutput(result, outputPath)
+  };
+}
+
+/**
+ * CLI wrapper for import command
+ */
+async function importCommand(filePath, options = {}) {
+  const result = await ErrorHandler.withErrorHandling(
+    () => importCore(filePath, options),
+    options
+  );
+
+  console.log(result.formattedOutput);
+  process.exit(result.exitCode);
+}
+
+export default importCommand;
+export { importCore };
@@ -4,6 +4,11 @@ import generate from './generate.js';
 import mock from './mock.js';
 import docs from './docs.js';
 import validate from './validate.js';
+import diff from './diff.js';
+import lint from './lint.js';
+import bundle from './bundle.js';
+import importCommand from './import.js';
+import infer from './infer.js';
 import telemetry from './telemetry.js';
 // Future Phase 2 features - commented out for MVP
 // import sync from './sync.js';
@@ -14,6 +19,11 @@ export default {
   mock,
   docs,
   validate,
+  diff,
+  lint,
+  bundle,
+  import: importCommand,
+  infer,
   telemetry,
   // sync
 };
\ No newline at end of file
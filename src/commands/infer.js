@@ -0,0 +1,60 @@
+import fs from 'fs-extra';
+import { resolve } from 'path';
+import ContractInferrer from '#src/core/contract-inferrer.js';
+import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
+
+/**
+ * Core infer logic without process.exit calls
+ * Infers a draft contract from captured traffic and writes it
+ * @param {object} options - Infer options (har, baseUrl, output, force)
+ * @returns {Promise<object>} Infer result with exit code and formatted output
+ */
+async function inferCore(options = {}) {
+  if (!options.har) {
+    throw new SpecJetError(
+      'No traffic to infer a contract from',
+      'INFER_SOURCE_REQUIRED',
+      null,
+      ['Pass a HAR file exported from your browser devtools: specjet infer --har traffic.har']
+    );
+  }
+
+  const outputPath = resolve(options.output || './api-contract.yaml');
+
+  if (await fs.pathExists(outputPath) && !options.force) {
+    throw new SpecJetError(
+      `${outputPath} already exists`,
+      'FILE_EXISTS',
+      null,
+      ['Use --force to overwrite it', 'Choose another file with --output']
+    );
+  }
+
+  const inferrer = new ContractInferrer();
+  const result = await inferrer.inferFromHarFile(resolve(options.har), { baseUrl: options.baseUrl });
+  await inferrer.writeContract(result.contract, outputPath);
+
+  return {
+    exitCode: 0,
+    success: true,
+    ...result,
+    outputPath,
+    formattedOutput: ContractInferrer.formatConsoleOutput(result, outputPath)
+  };
+}
+
+/**
+ * CLI wrapper for infer command
+ */
+async function inferCommand(options = {}) {
+  const result = await ErrorHandler.withErrorHandling(
+    () => inferCore(options),
+    options
+  );
+
+  console.log(result.formattedOutput);
+  process.exit(result.exitCode);
+}
+
+export default inferCommand;
+export { inferCore };
@@ -2,6 +2,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
 import telemetry from '#src/core/telemetry.js';
+import ContractImporter from '#src/core/contract-importer.js';
 
 const DEFAULT_CONFIG_ESM = `export default {
   // Contract file location
@@ -426,11 +427,19 @@ async function initCommand(projectName, options = {}) {
     const configPath = path.join(targetDir, 'specjet.config.js');
     const readmePath = path.join(targetDir, 'README.md');
     
-    // Contract file
+    // Contract file, converted from a Swagger 2.0 file or Postman collection with --from
+    let importResult = null;
     if (!await fs.pathExists(contractPath) || options.force) {
-      const contractContent = DEFAULT_CONTRACT.replace(/{{PROJECT_NAME}}/g, projectTitle);
-      await fs.writeFile(contractPath, contractContent, 'utf8');
-      filesToCreate.push('📄 api-contract.yaml');
+      if (options.from) {
+        const importer = new ContractImporter();
+        importResult = await importer.importFile(path.resolve(options.from));
+        await importer.writeContract(importResult.contract, contractPath);
+        filesToCreate.push(`📄 api-contract.yaml (imported from ${path.basename(options.from)})`);
+      } else {
+        const contractContent = DEFAULT_CONTRACT.replace(/{{PROJECT_NAME}}/g, projectTitle);
+        await fs.writeFile(contractPath, contractContent, 'utf8');
+        filesToCreate.push('📄 api-contract.yaml');
+      }
     } else {
       console.log('📄 api-contract.yaml (exists, skipped)');
     }
@@ -473,6 +482,10 @@ async function initCommand(projectName, options = {}) {
       filesToCreate.forEach(file => console.log(`   ${file}`));
     }
     
+    if (importResult) {
+      console.log(ContractImporter.formatConsoleOutput(importResult, 'api-contract.yaml'));
+    }
+
     console.log('\n📁 Created directories:');
     console.log('   📂 src/types/ (for generated TypeScript interfaces)');
     console.log('   📂 src/api/ (for generated API client)');
@@ -486,7 +499,9 @@ async function initCommand(projectName, options = {}) {
       console.log(`   1. cd ${projectName}`);
     }
     
-    console.log('   2. Edit api-contract.yaml to define your API');
+    console.log(importResult ?
+      '   2. Review api-contract.yaml, especially the items reported above' :
+      '   2. Edit api-contract.yaml to define your API');
     console.log('   3. Run \'specjet generate\' to create TypeScript types');
     console.log('   4. Run \'specjet mock\' to start the mock server');
     console.log('   5. Import types and client in your application\n');
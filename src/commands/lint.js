@@ -0,0 +1,70 @@
+import ContractParser from '#src/core/parser.js';
+import ContractLinter from '#src/core/contract-linter.js';
+import { loadConfig, validateConfig, resolveContractPath } from '#src/core/config.js';
+import { ErrorHandler, SpecJetError } from '#src/core/errors.js';
+
+const VALID_OUTPUT_FORMATS = ['console', 'json'];
+
+/**
+ * Load the contract without dereferencing so $ref usage stays visible to the linter.
+ * External files are bundled into internal references.
+ */
+async function loadRawContract(contractPath) {
+  ErrorHandler.validateContractFile(contractPath);
+
+  try {
+    return await new ContractParser().bundleContract(contractPath);
+  } catch (error) {
+    throw SpecJetError.contractInvalid(contractPath, error);
+  }
+}
+
+/**
+ * Core lint logic without process.exit calls
+ * Returns result object for programmatic use
+ * @param {string|undefined} contractArg - Contract path (defaults to config.contract)
+ * @param {object} options - Lint options (config, output)
+ * @returns {Promise<object>} Lint result with exit code and formatted output
+ */
+async function lintCore(contractArg, options = {}) {
+  const output = options.output || 'console';
+  if (!VALID_OUTPUT_FORMATS.includes(output)) {
+    throw new SpecJetError(
+      `Invalid output format: ${output}`,
+      'INVALID_OUTPUT_FORMAT',
+      null,
+      [`Valid output formats are: ${VALID_OUTPUT_FORMATS.join(', ')}`]
+    );
+  }
+
+  const config = validateConfig(await loadConfig(options.config));
+  const contractPath = resolveContractPath(contractArg ? { contract: contractArg } : config);
+  const api = await loadRawContract(contractPath);
+
+  const report = new ContractLinter(config.lint?.rules).lint(api);
+  const formattedOutput = ContractLinter.export(report, output);
+
+  return {
+    exitCode: report.valid ? 0 : 1,
+    success: report.valid,
+    report,
+    formattedOutput
+  };
+}
+
+/**
+ * CLI wrapper for lint command
+ * Exits with code 1 when any rule configured as "error" fails
+ */
+async function lintCommand(contractArg, options = {}) {
+  const result = await ErrorHandler.withErrorHandling(
+    () => lintCore(contractArg, options),
+    options
+  );
+
+  console.log(result.formattedOutput);
+  process.exit(result.exitCode);
+}
+
+export default lintCommand;
+export { lintCore };
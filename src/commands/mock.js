@@ -1,3 +1,6 @@
+import fs from 'fs-extra';
+import { resolve } from 'path';
+import { URL } from 'url';
 import MockServer from '#src/mock-server/server.js';
 import ContractParser from '#src/core/parser.js';
 import { loadConfig, validateConfig, resolveContractPath } from '#src/core/config.js';
@@ -9,6 +12,96 @@ import telemetry from '#src/core/telemetry.js';
 const LARGE_SCHEMA_THRESHOLD = 50;
 const VERY_LARGE_SCHEMA_THRESHOLD = 100;
 
+/**
+ * Parse the --seed option (or mock.seed from config) into a non-negative integer
+ * @param {string|number|undefined} value - Raw seed value
+ * @returns {number|undefined} Parsed seed, or undefined when not set
+ * @throws {SpecJetError} When the seed is not a non-negative integer
+ */
+function parseSeed(value) {
+  if (value === undefined || value === null) return undefined;
+
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new SpecJetError(
+      `Invalid seed: ${value}`,
+      'INVALID_SEED',
+      null,
+      ['Use a non-negative integer, e.g. --seed 42']
+    );
+  }
+
+  return seed;
+}
+
+/**
+ * Validate --proxy, --record and --replay and resolve their directories
+ * @param {object} options - CLI options
+ * @returns {object} Record/replay options for MockServer
+ * @throws {SpecJetError} When the combination of options is invalid
+ */
+function resolveRecordReplayOptions(options) {
+  const { proxy, record, replay } = options;
+
+  if (record && !proxy) {
+    throw new SpecJetError(
+      '--record requires --proxy',
+      'INVALID_MOCK_OPTIONS',
+      null,
+      ['Record from a backend with: specjet mock --proxy https://api.example.com --record ./recordings']
+    );
+  }
+
+  if (proxy && replay) {
+    throw new SpecJetError(
+      '--proxy and --replay cannot be used together',
+      'INVALID_MOCK_OPTIONS',
+      null,
+      [
+        'Use --proxy <url> --record <dir> to capture responses from a backend',
+        'Use --replay <dir> to serve captured responses offline'
+      ]
+    );
+  }
+
+  const result = {};
+
+  if (proxy) {
+    try {
+      const url = new URL(proxy);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Unsupported protocol ${url.protocol}`);
+      }
+    } catch (error) {
+      throw new SpecJetError(
+        `Invalid proxy URL: ${proxy}`,
+        'INVALID_MOCK_OPTIONS',
+        error,
+        ['Use a full http(s) URL, e.g. --proxy https://api-staging.example.com']
+      );
+    }
+    result.proxy = proxy;
+  }
+
+  if (record) {
+    result.record = resolve(record);
+  }
+
+  if (replay) {
+    result.replay = resolve(replay);
+    if (!fs.existsSync(result.replay)) {
+      throw new SpecJetError(
+        `Replay directory not found: ${result.replay}`,
+        'INVALID_MOCK_OPTIONS',
+        null,
+        ['Record responses first with: specjet mock --proxy <url> --record <dir>']
+      );
+    }
+  }
+
+  return result;
+}
+
 /**
  * Start a mock server with realistic data based on OpenAPI contract
  */
@@ -58,7 +151,7 @@ async function mockCommand(options = {}) {
     const scenario = options.scenario || config.mock?.scenario || 'demo';
     
     // Validate scenario
-    const validScenarios = ['demo', 'realistic', 'large', 'errors'];
+    const validScenarios = MockServer.SCENARIOS;
     if (!validScenarios.includes(scenario)) {
       throw new SpecJetError(
         `Invalid scenario: ${scenario}`,
@@ -69,14 +162,30 @@ async function mockCommand(options = {}) {
           'Use --scenario demo for small predictable data',
           'Use --scenario realistic for varied realistic data',
           'Use --scenario large for performance testing',
-          'Use --scenario errors for testing error handling'
+          'Use --scenario errors for testing error handling',
+          'Use --scenario examples to serve the examples from your contract'
         ]
       );
     }
     
+    const seed = parseSeed(options.seed ?? config.mock?.seed);
+    const recordReplayOptions = resolveRecordReplayOptions(options);
+
     console.log(`\n🔧 Configuring mock server...`);
     console.log(`   Port: ${port}`);
     console.log(`   Scenario: ${scenario}`);
+    if (seed !== undefined) {
+      console.log(`   Seed: ${seed} (deterministic data)`);
+    }
+    if (recordReplayOptions.proxy) {
+      console.log(`   Proxy: ${recordReplayOptions.proxy}`);
+      if (recordReplayOptions.record) {
+        console.log(`   Recording to: ${recordReplayOptions.record}`);
+      }
+    }
+    if (recordReplayOptions.replay) {
+      console.log(`   Replaying from: ${recordReplayOptions.replay} (unrecorded calls use the contract)`);
+    }
     console.log(`   CORS: enabled (always)`);
 
     // 4. Start mock server  
@@ -95,6 +204,13 @@ async function mockCommand(options = {}) {
     if (config.mock?.domainMappings) {
       mockServerOptions.domainMappings = config.mock.domainMappings;
     }
+    if (config.mock?.useExamples) {
+      mockServerOptions.useExamples = true;
+    }
+    if (seed !== undefined) {
+      mockServerOptions.seed = seed;
+    }
+    Object.assign(mockServerOptions, recordReplayOptions);
     
     const mockServer = new MockServer(parsedContract, scenario, mockServerOptions);
 
@@ -130,7 +246,8 @@ async function mockCommand(options = {}) {
       console.log(`   ⏱️  Setup completed in ${(setupTime / 1000).toFixed(1)}s`);
     }
     console.log(`\n💡 Tips:`);
-    console.log(`   • Try different scenarios: --scenario realistic|large|errors`);
+    console.log(`   • Try different scenarios: --scenario realistic|large|errors|examples`);
+    console.log(`   • Pick a named contract example with the X-SpecJet-Example header or ?__example=<name>`);
     console.log(`   • For API documentation, run: specjet docs --port 3002`);
     console.log(`\n📊 Endpoints available:`);
     
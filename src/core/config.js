@@ -3,6 +3,8 @@ import { resolve } from 'path';
 import { pathToFileURL, URL } from 'url';
 import { SpecJetError } from './errors.js';
 import SecureConfigValidator from './secure-config-validator.js';
+import ContractLinter from './contract-linter.js';
+import { normalizeFilter } from './endpoint-filter.js';
 import Logger from './logger.js';
 
 /**
@@ -32,6 +34,9 @@ export async function loadConfig(configPath = null) {
       docs: {
         port: 3002
       },
+      lint: {
+        rules: {}
+      },
       environments: {}
     };
 
@@ -195,6 +200,30 @@ export function validateConfig(config) {
           suggestion: 'Use a string like "ApiClient"'
         });
       }
+
+      if (config.typescript.zod !== undefined && typeof config.typescript.zod !== 'boolean') {
+        errors.push({
+          field: 'typescript.zod',
+          message: `Zod generation must be a boolean, got ${typeof config.typescript.zod}`,
+          suggestion: 'Use true or false'
+        });
+      }
+
+      if (config.typescript.reactQuery !== undefined && typeof config.typescript.reactQuery !== 'boolean') {
+        errors.push({
+          field: 'typescript.reactQuery',
+          message: `React Query generation must be a boolean, got ${typeof config.typescript.reactQuery}`,
+          suggestion: 'Use true or false'
+        });
+      }
+
+      if (config.typescript.msw !== undefined && typeof config.typescript.msw !== 'boolean') {
+        errors.push({
+          field: 'typescript.msw',
+          message: `MSW handler generation must be a boolean, got ${typeof config.typescript.msw}`,
+          suggestion: 'Use true or false'
+        });
+      }
     }
 
     // Enhanced mock server configuration validation
@@ -210,7 +239,7 @@ export function validateConfig(config) {
         }
       }
       
-      const validScenarios = ['demo', 'realistic', 'large', 'errors'];
+      const validScenarios = ['demo', 'realistic', 'large', 'errors', 'examples'];
       if (config.mock.scenario && !validScenarios.includes(config.mock.scenario)) {
         errors.push({
           field: 'mock.scenario',
@@ -219,6 +248,22 @@ export function validateConfig(config) {
         });
       }
       
+      if (config.mock.seed !== undefined && (!Number.isInteger(config.mock.seed) || config.mock.seed < 0)) {
+        errors.push({
+          field: 'mock.seed',
+          message: `Seed must be a non-negative integer, got ${JSON.stringify(config.mock.seed)}`,
+          suggestion: 'Use an integer like 42, or remove the seed for random data'
+        });
+      }
+
+      if (config.mock.useExamples !== undefined && typeof config.mock.useExamples !== 'boolean') {
+        errors.push({
+          field: 'mock.useExamples',
+          message: `useExamples must be a boolean, got ${typeof config.mock.useExamples}`,
+          suggestion: 'Use true to serve contract examples, or false to always generate data'
+        });
+      }
+      
       if (config.mock.cors !== undefined && typeof config.mock.cors !== 'boolean') {
         warnings.push({
           field: 'mock.cors',
@@ -242,6 +287,26 @@ export function validateConfig(config) {
       }
     }
     
+    // Lint rule configuration validation
+    if (config.lint?.rules) {
+      const validSeverities = ContractLinter.VALID_SEVERITIES;
+      for (const [rule, severity] of Object.entries(config.lint.rules)) {
+        if (!(rule in ContractLinter.DEFAULT_RULES)) {
+          errors.push({
+            field: `lint.rules.${rule}`,
+            message: `Unknown lint rule "${rule}"`,
+            suggestion: `Use one of: ${Object.keys(ContractLinter.DEFAULT_RULES).join(', ')}`
+          });
+        } else if (!validSeverities.includes(severity)) {
+          errors.push({
+            field: `lint.rules.${rule}`,
+            message: `Invalid severity "${severity}"`,
+            suggestion: `Use one of: ${validSeverities.join(', ')}`
+          });
+        }
+      }
+    }
+
     // Cross-field validation
     if (config.mock?.port && config.docs?.port && config.mock.port === config.docs.port) {
       errors.push({
@@ -296,7 +361,8 @@ export function resolveContractPath(config) {
 export function resolveOutputPaths(config) {
     return {
       types: resolve(config.output.types),
-      client: resolve(config.output.client)
+      client: resolve(config.output.client),
+      mocks: resolve(config.output.mocks || './src/mocks')
     };
   }
 
@@ -391,6 +457,30 @@ export function validateEnvironmentExists(config, environmentName) {
   return available.includes(environmentName);
 }
 
+/**
+ * Whether an environment looks like production: its name or a label of its
+ * hostname is prod, production, prd or live
+ * @param {string} environmentName - Environment name
+ * @param {object} envConfig - Environment configuration with url
+ * @returns {boolean}
+ * @example
+ * isProductionEnvironment('main', { url: 'https://api.prod.example.com' }); // true
+ * isProductionEnvironment('preprod', { url: 'https://preprod.example.com' }); // false
+ */
+export function isProductionEnvironment(environmentName, envConfig = {}) {
+  const productionLabels = ['prod', 'production', 'prd', 'live'];
+  let hostname = '';
+  try {
+    hostname = new URL(envConfig.url).hostname;
+  } catch {
+    // Unresolved ${VAR} placeholders or no URL; decide by the name
+  }
+
+  return [environmentName, hostname]
+    .flatMap(value => String(value ?? '').toLowerCase().split(/[^a-z0-9]+/))
+    .some(label => productionLabels.includes(label));
+}
+
 export function listEnvironments(config) {
   const environments = getAvailableEnvironments(config);
 
@@ -484,6 +574,36 @@ export function validateEnvironmentConfigs(config) {
           }
         }
       }
+
+      if (envConfig.readOnly !== undefined && typeof envConfig.readOnly !== 'boolean') {
+        errors.push({
+          field: `environments.${envName}.readOnly`,
+          message: `readOnly must be a boolean, got ${typeof envConfig.readOnly}`,
+          suggestion: 'Use readOnly: true to validate only GET, HEAD and OPTIONS endpoints'
+        });
+      }
+
+      // Validate endpoint filters if present
+      for (const filterName of ['include', 'exclude']) {
+        const filter = envConfig[filterName];
+        if (filter === undefined) continue;
+
+        const field = `environments.${envName}.${filterName}`;
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+          errors.push({
+            field,
+            message: 'Endpoint filter must be an object',
+            suggestion: 'Use an object like { tags: ["checkout"], methods: ["GET"] }'
+          });
+          continue;
+        }
+
+        try {
+          normalizeFilter(filter);
+        } catch (error) {
+          errors.push({ field, message: error.message, suggestion: error.suggestions[0] });
+        }
+      }
     }
 
     if (errors.length > 0) {
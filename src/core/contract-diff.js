@@ -0,0 +1,587 @@
+/**
+ * Compares two parsed OpenAPI contracts and classifies every change
+ * as breaking or non-breaking for consumers of the generated client
+ * @class ContractDiff
+ */
+class ContractDiff {
+  /**
+   * Compare two contracts produced by ContractParser.parseContract
+   * @param {Object} oldContract - Parsed baseline contract
+   * @param {Object} newContract - Parsed contract to compare against the baseline
+   * @returns {Object} Diff report with changes and summary counts
+   * @example
+   * const report = new ContractDiff().compare(oldContract, newContract);
+   * if (report.hasBreakingChanges) process.exit(1);
+   */
+  compare(oldContract, newContract) {
+    const changes = [];
+    const oldEndpoints = this.indexEndpoints(oldContract.endpoints || []);
+    const newEndpoints = this.indexEndpoints(newContract.endpoints || []);
+
+    for (const [key, oldEndpoint] of oldEndpoints) {
+      const newEndpoint = newEndpoints.get(key);
+      if (!newEndpoint) {
+        changes.push(this.createChange('endpoint_removed', 'breaking', key, null, null,
+          `Endpoint ${key} was removed`));
+        continue;
+      }
+
+      this.compareEndpoint(key, oldEndpoint, newEndpoint, changes);
+    }
+
+    for (const key of newEndpoints.keys()) {
+      if (!oldEndpoints.has(key)) {
+        changes.push(this.createChange('endpoint_added', 'non-breaking', key, null, null,
+          `Endpoint ${key} was added`));
+      }
+    }
+
+    return this.createReport(changes, oldContract, newContract);
+  }
+
+  /**
+   * Index endpoints by "METHOD path" for lookups
+   * @private
+   * @param {Array} endpoints - Parsed endpoints
+   * @returns {Map<string, Object>} Endpoints keyed by method and path
+   */
+  indexEndpoints(endpoints) {
+    const index = new Map();
+    for (const endpoint of endpoints) {
+      index.set(`${endpoint.method.toUpperCase()} ${endpoint.path}`, endpoint);
+    }
+    return index;
+  }
+
+  /**
+   * Compare parameters, request body and responses of a single endpoint
+   * @private
+   */
+  compareEndpoint(key, oldEndpoint, newEndpoint, changes) {
+    this.compareParameters(key, oldEndpoint.parameters || [], newEndpoint.parameters || [], changes);
+    this.compareRequestBody(key, oldEndpoint.requestBody, newEndpoint.requestBody, changes);
+    this.compareResponses(key, oldEndpoint.responses || {}, newEndpoint.responses || {}, changes);
+  }
+
+  /**
+   * Compare endpoint parameters keyed by location and name
+   * @private
+   */
+  compareParameters(key, oldParams, newParams, changes) {
+    const paramKey = param => `${param.in}:${param.name}`;
+    const oldIndex = new Map(oldParams.map(param => [paramKey(param), param]));
+    const newIndex = new Map(newParams.map(param => [paramKey(param), param]));
+
+    for (const [id, oldParam] of oldIndex) {
+      const location = `${oldParam.in} parameter '${oldParam.name}'`;
+      const newParam = newIndex.get(id);
+
+      if (!newParam) {
+        changes.push(this.createChange('parameter_removed', 'breaking', key, location, null,
+          `${this.capitalize(location)} was removed`));
+        continue;
+      }
+
+      if (!oldParam.required && newParam.required) {
+        changes.push(this.createChange('parameter_became_required', 'breaking', key, location, null,
+          `${this.capitalize(location)} is now required`));
+      } else if (oldParam.required && !newParam.required) {
+        changes.push(this.createChange('parameter_became_optional', 'non-breaking', key, location, null,
+          `${this.capitalize(location)} is now optional`));
+      }
+
+      if (oldParam.schema && newParam.schema) {
+        this.compareSchemas(oldParam.schema, newParam.schema, {
+          endpoint: key,
+          location,
+          direction: 'request'
+        }, '', changes);
+      }
+    }
+
+    for (const [id, newParam] of newIndex) {
+      if (oldIndex.has(id)) continue;
+
+      const location = `${newParam.in} parameter '${newParam.name}'`;
+      changes.push(newParam.required
+        ? this.createChange('parameter_added', 'breaking', key, location, null,
+          `Required ${location} was added`)
+        : this.createChange('parameter_added', 'non-breaking', key, location, null,
+          `Optional ${location} was added`));
+    }
+  }
+
+  /**
+   * Compare request bodies of an endpoint
+   * @private
+   */
+  compareRequestBody(key, oldBody, newBody, changes) {
+    const location = 'request body';
+
+    if (!oldBody && !newBody) return;
+
+    if (oldBody && !newBody) {
+      changes.push(this.createChange('request_body_removed', 'breaking', key, location, null,
+        'Request body was removed'));
+      return;
+    }
+
+    if (!oldBody && newBody) {
+      changes.push(newBody.required
+        ? this.createChange('request_body_added', 'breaking', key, location, null,
+          'Required request body was added')
+        : this.createChange('request_body_added', 'non-breaking', key, location, null,
+          'Optional request body was added'));
+      return;
+    }
+
+    if (!oldBody.required && newBody.required) {
+      changes.push(this.createChange('request_body_became_required', 'breaking', key, location, null,
+        'Request body is now required'));
+    }
+
+    if (oldBody.schema && newBody.schema) {
+      this.compareSchemas(oldBody.schema, newBody.schema, {
+        endpoint: key,
+        location,
+        direction: 'request'
+      }, '', changes);
+    }
+  }
+
+  /**
+   * Compare documented responses of an endpoint
+   * @private
+   */
+  compareResponses(key, oldResponses, newResponses, changes) {
+    for (const [statusCode, oldResponse] of Object.entries(oldResponses)) {
+      const location = `response ${statusCode}`;
+      const newResponse = newResponses[statusCode];
+
+      if (!newResponse) {
+        changes.push(this.createChange('response_removed', 'breaking', key, location, null,
+          `Response ${statusCode} was removed`));
+        continue;
+      }
+
+      if (oldResponse.schema && newResponse.schema) {
+        this.compareSchemas(oldResponse.schema, newResponse.schema, {
+          endpoint: key,
+          location,
+          direction: 'response'
+        }, '', changes);
+      } else if (oldResponse.schema && !newResponse.schema) {
+        changes.push(this.createChange('response_body_removed', 'breaking', key, location, null,
+          `Response ${statusCode} no longer returns a body`));
+      }
+    }
+
+    for (const statusCode of Object.keys(newResponses)) {
+      if (!oldResponses[statusCode]) {
+        changes.push(this.createChange('response_added', 'non-breaking', key, `response ${statusCode}`, null,
+          `Response ${statusCode} was added`));
+      }
+    }
+  }
+
+  /**
+   * Recursively compare two schemas
+   * Request schemas break when they accept less; response schemas break when they guarantee less
+   * @private
+   * @param {Object} oldSchema - Baseline schema
+   * @param {Object} newSchema - Updated schema
+   * @param {Object} context - Endpoint, location and direction ('request' | 'response')
+   * @param {string} fieldPath - Dotted path of the field being compared
+   * @param {Array} changes - Collected changes
+   * @param {WeakMap} [visited] - Guards against circular schemas left by dereferencing
+   */
+  compareSchemas(oldSchema, newSchema, context, fieldPath, changes, visited = new WeakMap()) {
+    if (!oldSchema || !newSchema || typeof oldSchema !== 'object' || typeof newSchema !== 'object') {
+      return;
+    }
+
+    const seen = visited.get(oldSchema);
+    if (seen?.has(newSchema)) return;
+    if (seen) {
+      seen.add(newSchema);
+    } else {
+      visited.set(oldSchema, new WeakSet([newSchema]));
+    }
+
+    const oldNormalized = this.normalizeSchema(oldSchema);
+    const newNormalized = this.normalizeSchema(newSchema);
+    const { endpoint, location, direction } = context;
+
+    const oldType = this.describeType(oldNormalized);
+    const newType = this.describeType(newNormalized);
+    if (oldType && newType && oldType !== newType) {
+      const typeChange = this.compareTypes(oldNormalized, newNormalized);
+      if (typeChange !== 'equivalent') {
+        // Like enums: requests may accept more types, responses may return fewer
+        const breaking = typeChange === 'changed' ||
+          (typeChange === 'widened' && direction === 'response') ||
+          (typeChange === 'narrowed' && direction === 'request');
+        changes.push(this.createChange('type_changed', breaking ? 'breaking' : 'non-breaking', endpoint, location, fieldPath || null,
+          `Type of ${this.describeField(fieldPath, location)} changed from ${oldType} to ${newType}`));
+      }
+      if (typeChange === 'changed') return;
+    }
+
+    this.compareEnums(oldNormalized, newNormalized, context, fieldPath, changes);
+
+    if (oldNormalized.properties || newNormalized.properties) {
+      this.compareProperties(oldNormalized, newNormalized, context, fieldPath, changes, visited);
+    }
+
+    if (oldNormalized.items && newNormalized.items) {
+      this.compareSchemas(oldNormalized.items, newNormalized.items, context,
+        fieldPath ? `${fieldPath}[]` : '[]', changes, visited);
+    }
+  }
+
+  /**
+   * Compare enum values of two schemas
+   * Clients may send fewer values but must handle every value they receive,
+   * so narrowing breaks requests and widening breaks responses
+   * @private
+   */
+  compareEnums(oldSchema, newSchema, context, fieldPath, changes) {
+    const { endpoint, location, direction } = context;
+    const field = this.describeField(fieldPath, location);
+    const narrowedSeverity = direction === 'response' ? 'non-breaking' : 'breaking';
+    const widenedSeverity = direction === 'response' ? 'breaking' : 'non-breaking';
+
+    if (!oldSchema.enum && newSchema.enum) {
+      changes.push(this.createChange('enum_narrowed', narrowedSeverity, endpoint, location, fieldPath || null,
+        `${this.capitalize(field)} is now restricted to ${this.formatValues(newSchema.enum)}`));
+      return;
+    }
+
+    if (!oldSchema.enum || !newSchema.enum) return;
+
+    const removed = oldSchema.enum.filter(value => !newSchema.enum.includes(value));
+    const added = newSchema.enum.filter(value => !oldSchema.enum.includes(value));
+
+    if (removed.length > 0) {
+      changes.push(this.createChange('enum_narrowed', narrowedSeverity, endpoint, location, fieldPath || null,
+        `Enum values ${this.formatValues(removed)} were removed from ${field}`));
+    }
+
+    if (added.length > 0) {
+      changes.push(this.createChange('enum_widened', widenedSeverity, endpoint, location, fieldPath || null,
+        `Enum values ${this.formatValues(added)} were added to ${field}`));
+    }
+  }
+
+  /**
+   * Compare object properties and required lists
+   * @private
+   */
+  compareProperties(oldSchema, newSchema, context, fieldPath, changes, visited) {
+    const { endpoint, location, direction } = context;
+    const oldProps = oldSchema.properties || {};
+    const newProps = newSchema.properties || {};
+    const oldRequired = new Set(oldSchema.required || []);
+    const newRequired = new Set(newSchema.required || []);
+
+    for (const [propName, oldProp] of Object.entries(oldProps)) {
+      const propPath = fieldPath ? `${fieldPath}.${propName}` : propName;
+
+      if (!(propName in newProps)) {
+        changes.push(this.createChange('property_removed', 'breaking', endpoint, location, propPath,
+          `Property '${propPath}' was removed from ${location}`));
+        continue;
+      }
+
+      if (!oldRequired.has(propName) && newRequired.has(propName)) {
+        changes.push(direction === 'request'
+          ? this.createChange('property_became_required', 'breaking', endpoint, location, propPath,
+            `Property '${propPath}' is now required in ${location}`)
+          : this.createChange('property_became_required', 'non-breaking', endpoint, location, propPath,
+            `Property '${propPath}' is now always present in ${location}`));
+      } else if (oldRequired.has(propName) && !newRequired.has(propName)) {
+        changes.push(direction === 'response'
+          ? this.createChange('property_became_optional', 'breaking', endpoint, location, propPath,
+            `Property '${propPath}' is no longer guaranteed in ${location}`)
+          : this.createChange('property_became_optional', 'non-breaking', endpoint, location, propPath,
+            `Property '${propPath}' is now optional in ${location}`));
+      }
+
+      this.compareSchemas(oldProp, newProps[propName], context, propPath, changes, visited);
+    }
+
+    for (const propName of Object.keys(newProps)) {
+      if (propName in oldProps) continue;
+
+      const propPath = fieldPath ? `${fieldPath}.${propName}` : propName;
+      const breaking = direction === 'request' && newRequired.has(propName);
+      changes.push(breaking
+        ? this.createChange('property_added', 'breaking', endpoint, location, propPath,
+          `Required property '${propPath}' was added to ${location}`)
+        : this.createChange('property_added', 'non-breaking', endpoint, location, propPath,
+          `Property '${propPath}' was added to ${location}`));
+    }
+  }
+
+  /**
+   * Flatten allOf compositions so their properties can be compared directly
+   * @private
+   * @param {Object} schema - Schema to normalize
+   * @returns {Object} Schema with allOf members merged in
+   */
+  normalizeSchema(schema) {
+    if (!schema.allOf) return schema;
+
+    const merged = { ...schema, properties: { ...schema.properties }, required: [...(schema.required || [])] };
+    delete merged.allOf;
+
+    for (const subSchema of schema.allOf) {
+      const normalized = this.normalizeSchema(subSchema || {});
+      Object.assign(merged.properties, normalized.properties || {});
+      merged.required.push(...(normalized.required || []));
+      if (!merged.type && normalized.type) {
+        merged.type = normalized.type;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Describe the shape of a schema for type comparison
+   * @private
+   * @param {Object} schema - Normalized schema
+   * @returns {string|null} Type description or null when unknown
+   */
+  describeType(schema) {
+    if (schema.oneOf) return 'oneOf';
+    if (schema.anyOf) return 'anyOf';
+    if (Array.isArray(schema.type)) return [...schema.type].sort().join('|');
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return null;
+  }
+
+  /**
+   * How the set of types a schema allows changed
+   * @private
+   * @param {Object} oldSchema - Normalized baseline schema
+   * @param {Object} newSchema - Normalized updated schema
+   * @returns {'widened'|'narrowed'|'equivalent'|'changed'} 'widened' when the new
+   *   schema allows every old type (number covers integer), 'changed' when the
+   *   types are unrelated or unknown
+   */
+  compareTypes(oldSchema, newSchema) {
+    const oldTypes = this.getTypeSet(oldSchema);
+    const newTypes = this.getTypeSet(newSchema);
+    if (!oldTypes || !newTypes) return 'changed';
+
+    const covers = (types, others) => [...others].every(type =>
+      types.has(type) || (type === 'integer' && types.has('number')));
+    const widened = covers(newTypes, oldTypes);
+    const narrowed = covers(oldTypes, newTypes);
+
+    if (widened && narrowed) return 'equivalent';
+    if (widened) return 'widened';
+    return narrowed ? 'narrowed' : 'changed';
+  }
+
+  /**
+   * Types a schema allows, including null for nullable schemas and the types
+   * of oneOf/anyOf members
+   * @private
+   * @param {Object} schema - Normalized schema
+   * @returns {Set<string>|null} Type names, or null when a type is unknown
+   */
+  getTypeSet(schema) {
+    let types;
+    const members = schema.oneOf || schema.anyOf;
+    if (members) {
+      const memberTypes = members.map(member => this.getTypeSet(this.normalizeSchema(member || {})));
+      if (memberTypes.some(memberType => !memberType)) return null;
+      types = new Set(memberTypes.flatMap(memberType => [...memberType]));
+    } else {
+      const type = this.describeType(schema);
+      if (!type) return null;
+      types = new Set(type.split('|'));
+    }
+
+    if (schema.nullable) types.add('null');
+    return types;
+  }
+
+  describeField(fieldPath, location) {
+    return fieldPath ? `'${fieldPath}' in ${location}` : location;
+  }
+
+  formatValues(values) {
+    return values.map(value => JSON.stringify(value)).join(', ');
+  }
+
+  capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+
+  /**
+   * Create a change record
+   * @private
+   * @param {string} type - Change type (e.g. 'property_removed')
+   * @param {string} severity - 'breaking' or 'non-breaking'
+   * @param {string} endpoint - "METHOD path" of the affected endpoint
+   * @param {string|null} location - Part of the endpoint that changed
+   * @param {string|null} field - Dotted field path within the location
+   * @param {string} message - Human readable description
+   * @returns {Object} Change record
+   */
+  createChange(type, severity, endpoint, location, field, message) {
+    return {
+      type,
+      severity,
+      endpoint,
+      location,
+      field,
+      message
+    };
+  }
+
+  /**
+   * Build the final report object
+   * @private
+   */
+  createReport(changes, oldContract, newContract) {
+    const breaking = changes.filter(change => change.severity === 'breaking').length;
+
+    return {
+      hasBreakingChanges: breaking > 0,
+      summary: {
+        total: changes.length,
+        breaking,
+        nonBreaking: changes.length - breaking
+      },
+      versions: {
+        old: oldContract.info?.version || null,
+        new: newContract.info?.version || null
+      },
+      changes
+    };
+  }
+
+  /**
+   * Format a diff report for terminal output
+   * @param {Object} report - Report returned by compare()
+   * @returns {string} Console output
+   */
+  static formatConsoleOutput(report) {
+    let output = '\n🔀 Contract Diff Results\n';
+    output += '═'.repeat(50) + '\n';
+    output += `📊 Total: ${report.summary.total} | 💥 Breaking: ${report.summary.breaking}`;
+    output += ` | ✅ Non-breaking: ${report.summary.nonBreaking}\n`;
+    output += '═'.repeat(50);
+
+    if (report.changes.length === 0) {
+      output += '\n\n✨ No changes detected\n';
+      return output;
+    }
+
+    for (const [endpoint, changes] of Object.entries(this.groupByEndpoint(report.changes))) {
+      output += `\n\n${endpoint}\n`;
+      for (const change of changes) {
+        const icon = change.severity === 'breaking' ? '💥' : '✅';
+        output += `   ${icon} ${change.message}\n`;
+      }
+    }
+
+    output += '\n' + '═'.repeat(50) + '\n';
+    output += report.hasBreakingChanges
+      ? `❌ ${report.summary.breaking} breaking change${report.summary.breaking === 1 ? '' : 's'} detected\n`
+      : '🎯 No breaking changes detected\n';
+
+    return output;
+  }
+
+  /**
+   * Format a diff report as JSON for CI/CD consumption
+   * @param {Object} report - Report returned by compare()
+   * @returns {string} JSON output
+   */
+  static formatJsonOutput(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Format a diff report as a markdown document (e.g. for PR comments)
+   * @param {Object} report - Report returned by compare()
+   * @param {Object} [options={}] - Formatting options
+   * @param {string} [options.title='Contract Diff Report'] - Report title
+   * @returns {string} Markdown output
+   */
+  static formatMarkdownReport(report, options = {}) {
+    const { title = 'Contract Diff Report' } = options;
+
+    let output = `# ${title}\n\n`;
+    output += '## Summary\n\n';
+    output += `- **Total Changes:** ${report.summary.total}\n`;
+    output += `- **Breaking:** ${report.summary.breaking} 💥\n`;
+    output += `- **Non-breaking:** ${report.summary.nonBreaking} ✅\n\n`;
+
+    const breaking = report.changes.filter(change => change.severity === 'breaking');
+    const nonBreaking = report.changes.filter(change => change.severity !== 'breaking');
+
+    if (breaking.length > 0) {
+      output += '## Breaking Changes\n\n';
+      output += this.formatMarkdownChanges(breaking);
+    }
+
+    if (nonBreaking.length > 0) {
+      output += '## Non-breaking Changes\n\n';
+      output += this.formatMarkdownChanges(nonBreaking);
+    }
+
+    return output;
+  }
+
+  static formatMarkdownChanges(changes) {
+    let output = '';
+    for (const [endpoint, endpointChanges] of Object.entries(this.groupByEndpoint(changes))) {
+      output += `### \`${endpoint}\`\n\n`;
+      for (const change of endpointChanges) {
+        output += `- ${change.message}\n`;
+      }
+      output += '\n';
+    }
+    return output;
+  }
+
+  static groupByEndpoint(changes) {
+    const groups = {};
+    for (const change of changes) {
+      if (!groups[change.endpoint]) {
+        groups[change.endpoint] = [];
+      }
+      groups[change.endpoint].push(change);
+    }
+    return groups;
+  }
+
+  /**
+   * Export a report in the requested format
+   * @param {Object} report - Report returned by compare()
+   * @param {string} [format='console'] - console, json or markdown
+   * @returns {string} Formatted report
+   */
+  static export(report, format = 'console') {
+    switch (format.toLowerCase()) {
+      case 'json':
+        return this.formatJsonOutput(report);
+      case 'markdown':
+      case 'md':
+        return this.formatMarkdownReport(report);
+      case 'console':
+      default:
+        return this.formatConsoleOutput(report);
+    }
+  }
+}
+
+export default ContractDiff;
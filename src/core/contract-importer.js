@@ -0,0 +1,1143 @@
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import { SpecJetError } from './errors.js';
+import ContractParser from './parser.js';
+import { inferSchema, inferParameterSchema } from './schema-inference.js';
+
+const OPENAPI_VERSION = '3.1.0';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const FORM_MEDIA_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded'];
+
+// Swagger 2.0 parameter keywords that move into the OpenAPI 3 parameter schema
+const PARAMETER_SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+  'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf'
+];
+
+// Swagger 2.0 collectionFormat -> OpenAPI 3 style/explode
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  multi: { style: 'form', explode: true },
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false }
+};
+
+const OAUTH2_FLOWS = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode'
+};
+
+const POSTMAN_OAUTH2_FLOWS = {
+  authorization_code: 'authorizationCode',
+  authorization_code_with_pkce: 'authorizationCode',
+  client_credentials: 'clientCredentials',
+  password_credentials: 'password',
+  implicit: 'implicit'
+};
+
+// Request headers Postman collections carry that are not API parameters
+const POSTMAN_IGNORED_HEADERS = ['content-type', 'accept', 'authorization', 'content-length', 'host', 'user-agent'];
+
+const POSTMAN_RAW_LANGUAGES = {
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+  text: 'text/plain'
+};
+
+/**
+ * Converts Swagger 2.0 documents and Postman v2.1 collections into OpenAPI 3.1
+ * contracts. Anything that cannot be converted faithfully is reported as a
+ * warning with its location, never silently dropped.
+ * @class ContractImporter
+ */
+class ContractImporter {
+  /**
+   * Read and convert a Swagger 2.0 (JSON or YAML) or Postman collection file
+   * @param {string} filePath - Path to the file to import
+   * @returns {Promise<Object>} Import result, see convert()
+   * @throws {SpecJetError} When the file cannot be read or its format is not supported
+   */
+  async importFile(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new SpecJetError(
+        `Import file not found: ${filePath}`,
+        'IMPORT_FILE_NOT_FOUND',
+        null,
+        ['Check the path of the Swagger 2.0 file or Postman collection']
+      );
+    }
+
+    let document;
+    try {
+      document = yaml.load(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new SpecJetError(
+        `Could not parse ${filePath}: ${error.message}`,
+        'IMPORT_PARSE_ERROR',
+        error,
+        ['Import files must be JSON or YAML']
+      );
+    }
+
+    return this.convert(document);
+  }
+
+  /**
+   * Convert a parsed Swagger 2.0 document or Postman v2.1 collection
+   * @param {Object} document - Parsed document
+   * @returns {{format: string, contract: Object, warnings: Array<{location: string, message: string}>}}
+   * @example
+   * const { contract, warnings } = new ContractImporter().convert(swaggerDocument);
+   */
+  convert(document) {
+    const format = ContractImporter.detectFormat(document);
+    this.warnings = [];
+
+    let contract;
+    switch (format) {
+      case 'swagger2':
+        contract = this.convertSwagger2(document);
+        break;
+      case 'postman':
+        contract = this.convertPostman(document);
+        break;
+      default:
+        throw ContractImporter.unsupportedFormat(document);
+    }
+
+    return { format, contract, warnings: this.warnings };
+  }
+
+  /**
+   * Detect the format of a parsed document
+   * @param {Object} document - Parsed document
+   * @returns {'swagger2'|'postman'|'openapi'|'postman-legacy'|'unknown'}
+   */
+  static detectFormat(document) {
+    if (!document || typeof document !== 'object') return 'unknown';
+    if (typeof document.swagger === 'string' && document.swagger.startsWith('2.')) return 'swagger2';
+    if (document.openapi) return 'openapi';
+
+    const schema = document.info?.schema || '';
+    if (schema.includes('collection/v2.1')) return 'postman';
+    if (schema.includes('getpostman.com') || (document.info?._postman_id && Array.isArray(document.item))) {
+      return 'postman-legacy';
+    }
+    return 'unknown';
+  }
+
+  /**
+   * @private
+   */
+  static unsupportedFormat(document) {
+    const format = ContractImporter.detectFormat(document);
+
+    if (format === 'openapi') {
+      return new SpecJetError(
+        `The file is already an OpenAPI ${document.openapi} contract`,
+        'IMPORT_UNSUPPORTED_FORMAT',
+        null,
+        ['Point the `contract` option in specjet.config.js at it instead of importing it']
+      );
+    }
+
+    if (format === 'postman-legacy') {
+      return new SpecJetError(
+        'Only Postman collections in the v2.1 format can be imported',
+        'IMPORT_UNSUPPORTED_FORMAT',
+        null,
+        ['In Postman, export the collection again and choose "Collection v2.1"']
+      );
+    }
+
+    return new SpecJetError(
+      'Unrecognized import format',
+      'IMPORT_UNSUPPORTED_FORMAT',
+      null,
+      ['Supported formats are Swagger 2.0 (JSON or YAML) and Postman collections (v2.1)']
+    );
+  }
+
+  /**
+   * @private
+   */
+  warn(location, message) {
+    this.warnings.push({ location, message });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Swagger 2.0
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  convertSwagger2(swagger) {
+    this.swagger = swagger;
+
+    const contract = {
+      openapi: OPENAPI_VERSION,
+      info: { ...swagger.info, version: swagger.info?.version || '1.0.0', title: swagger.info?.title || 'Imported API' }
+    };
+
+    const servers = this.convertServers(swagger.schemes, swagger.host, swagger.basePath);
+    if (servers.length > 0) contract.servers = servers;
+    if (swagger.tags) contract.tags = swagger.tags;
+    if (swagger.externalDocs) contract.externalDocs = swagger.externalDocs;
+    if (swagger.security) contract.security = swagger.security;
+    this.copyExtensions(swagger, contract);
+
+    contract.paths = {};
+    for (const [path, pathItem] of Object.entries(swagger.paths || {})) {
+      contract.paths[path] = this.convertPathItem(path, pathItem);
+    }
+
+    const components = this.convertComponents(swagger);
+    if (Object.keys(components).length > 0) contract.components = components;
+
+    return contract;
+  }
+
+  /**
+   * @private
+   */
+  convertServers(schemes, host, basePath = '') {
+    if (!host) {
+      return basePath ? [{ url: basePath }] : [];
+    }
+
+    return (schemes?.length > 0 ? schemes : ['https']).map(scheme => ({ url: `${scheme}://${host}${basePath}` }));
+  }
+
+  /**
+   * @private
+   */
+  convertComponents(swagger) {
+    const components = {};
+
+    const schemas = Object.entries(swagger.definitions || {});
+    if (schemas.length > 0) {
+      components.schemas = Object.fromEntries(schemas.map(([name, schema]) =>
+        [name, this.convertSchema(schema, `definitions.${name}`)]));
+    }
+
+    const parameters = {};
+    const requestBodies = {};
+    for (const [name, param] of Object.entries(swagger.parameters || {})) {
+      const location = `parameters.${name}`;
+      if (param.in === 'body') {
+        requestBodies[name] = this.convertBodyParameter(param, swagger.consumes, location);
+      } else if (param.in !== 'formData') {
+        // formData parameters are inlined into the request bodies that use them
+        parameters[name] = this.convertParameter(param, location);
+      }
+    }
+    if (Object.keys(parameters).length > 0) components.parameters = parameters;
+    if (Object.keys(requestBodies).length > 0) components.requestBodies = requestBodies;
+
+    const responses = Object.entries(swagger.responses || {});
+    if (responses.length > 0) {
+      components.responses = Object.fromEntries(responses.map(([name, response]) =>
+        [name, this.convertResponse(response, swagger.produces, `responses.${name}`)]));
+    }
+
+    const securitySchemes = Object.entries(swagger.securityDefinitions || {});
+    if (securitySchemes.length > 0) {
+      components.securitySchemes = Object.fromEntries(securitySchemes.map(([name, scheme]) =>
+        [name, this.convertSecurityScheme(scheme, `securityDefinitions.${name}`)]));
+    }
+
+    return components;
+  }
+
+  /**
+   * @private
+   */
+  convertPathItem(path, pathItem) {
+    if (pathItem.$ref) {
+      this.warn(`paths.${path}`, 'External path item $ref kept as is; check that it points at an OpenAPI 3 path item');
+      return { $ref: pathItem.$ref };
+    }
+
+    const converted = {};
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (!HTTP_METHODS.includes(method)) continue;
+      converted[method] = this.convertOperation(operation, pathItem.parameters || [], `paths.${path}.${method}`);
+    }
+    this.copyExtensions(pathItem, converted);
+
+    return converted;
+  }
+
+  /**
+   * Path-level parameters are merged into each operation, where they can be
+   * split into parameters and a request body
+   * @private
+   */
+  convertOperation(operation, pathParameters, location) {
+    const converted = {};
+    for (const key of ['tags', 'summary', 'description', 'externalDocs', 'operationId', 'deprecated', 'security']) {
+      if (operation[key] !== undefined) converted[key] = operation[key];
+    }
+    this.copyExtensions(operation, converted);
+
+    if (operation.schemes) {
+      converted.servers = this.convertServers(operation.schemes, this.swagger.host, this.swagger.basePath);
+    }
+
+    const consumes = operation.consumes || this.swagger.consumes;
+    const produces = operation.produces || this.swagger.produces;
+
+    // Operation parameters override path parameters with the same name and location
+    const parameters = new Map();
+    for (const param of [...pathParameters, ...(operation.parameters || [])]) {
+      const resolved = this.resolveParameter(param);
+      parameters.set(resolved ? `${resolved.in}:${resolved.name}` : param.$ref, param);
+    }
+
+    const convertedParameters = [];
+    const formParameters = [];
+    for (const param of parameters.values()) {
+      const resolved = this.resolveParameter(param);
+      if (!resolved) {
+        this.warn(location, `Parameter ${param.$ref} could not be resolved and was left out`);
+        continue;
+      }
+
+      if (resolved.in === 'body') {
+        converted.requestBody = param.$ref ?
+          { $ref: param.$ref.replace('#/parameters/', '#/components/requestBodies/') } :
+          this.convertBodyParameter(param, consumes, `${location}.parameters.${param.name}`);
+      } else if (resolved.in === 'formData') {
+        formParameters.push(resolved);
+      } else {
+        convertedParameters.push(param.$ref ?
+          { $ref: param.$ref.replace('#/parameters/', '#/components/parameters/') } :
+          this.convertParameter(param, `${location}.parameters.${param.name}`));
+      }
+    }
+
+    if (convertedParameters.length > 0) converted.parameters = convertedParameters;
+    if (formParameters.length > 0) {
+      converted.requestBody = this.convertFormParameters(formParameters, consumes, location);
+    }
+
+    converted.responses = {};
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      if (status.startsWith('x-')) continue;
+      converted.responses[status] = this.convertResponse(response, produces, `${location}.responses.${status}`);
+    }
+
+    return converted;
+  }
+
+  /**
+   * The parameter itself, or the global parameter it references
+   * @private
+   */
+  resolveParameter(param) {
+    if (!param.$ref) return param;
+
+    const name = param.$ref.startsWith('#/parameters/') ? param.$ref.slice('#/parameters/'.length) : null;
+    return name ? this.swagger.parameters?.[name] || null : null;
+  }
+
+  /**
+   * @private
+   */
+  convertParameter(param, location) {
+    const { name, in: paramIn, description, required, collectionFormat, allowEmptyValue } = param;
+    const converted = { name, in: paramIn };
+
+    if (description) converted.description = description;
+    if (required || paramIn === 'path') converted.required = true;
+    if (allowEmptyValue) converted.allowEmptyValue = true;
+
+    converted.schema = this.convertSchema(this.pickSchemaKeywords(param), location);
+    this.copyExtensions(param, converted);
+
+    if (param.type === 'array') {
+      const format = collectionFormat || 'csv';
+      const mapping = COLLECTION_FORMATS[format];
+
+      if (!mapping) {
+        this.warn(location, `collectionFormat "${format}" has no OpenAPI 3 equivalent; the parameter keeps its array schema with the default serialization`);
+      } else if (paramIn === 'query') {
+        Object.assign(converted, mapping);
+      } else if (format !== 'csv') {
+        this.warn(location, `collectionFormat "${format}" is only supported for query parameters in OpenAPI 3; the ${paramIn} parameter uses comma-separated values`);
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * @private
+   */
+  convertBodyParameter(param, consumes, location) {
+    const mediaTypes = (consumes?.length > 0 ? consumes : ['application/json'])
+      .filter(mediaType => !FORM_MEDIA_TYPES.includes(mediaType));
+    const schema = this.convertSchema(param.schema || {}, `${location}.schema`);
+
+    const requestBody = {
+      content: Object.fromEntries((mediaTypes.length > 0 ? mediaTypes : ['application/json']).map(mediaType => [mediaType, { schema }]))
+    };
+    if (param.description) requestBody.description = param.description;
+    if (param.required) requestBody.required = true;
+    this.copyExtensions(param, requestBody);
+
+    return requestBody;
+  }
+
+  /**
+   * formData parameters become the properties of a form or multipart request body
+   * @private
+   */
+  convertFormParameters(params, consumes, location) {
+    const hasFiles = params.some(param => param.type === 'file');
+    const mediaType = hasFiles || consumes?.includes('multipart/form-data') ?
+      'multipart/form-data' : 'application/x-www-form-urlencoded';
+
+    if (hasFiles && consumes && !consumes.includes('multipart/form-data')) {
+      this.warn(location, 'File parameters require multipart/form-data, which the operation does not list in consumes; the request body uses multipart/form-data');
+    }
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    for (const param of params) {
+      const propSchema = this.convertSchema(this.pickSchemaKeywords(param), `${location}.parameters.${param.name}`);
+      if (param.description) propSchema.description = param.description;
+      schema.properties[param.name] = propSchema;
+      if (param.required) required.push(param.name);
+    }
+    if (required.length > 0) schema.required = required;
+
+    return {
+      ...(required.length > 0 ? { required: true } : {}),
+      content: { [mediaType]: { schema } }
+    };
+  }
+
+  /**
+   * @private
+   */
+  convertResponse(response, produces, location) {
+    if (response.$ref) {
+      return { $ref: response.$ref.replace('#/responses/', '#/components/responses/') };
+    }
+
+    const converted = { description: response.description || '' };
+    const mediaTypes = produces?.length > 0 ? produces : ['application/json'];
+
+    if (response.schema) {
+      const schema = this.convertSchema(response.schema, `${location}.schema`);
+      converted.content = Object.fromEntries(mediaTypes.map(mediaType => [mediaType, { schema }]));
+    }
+
+    for (const [mediaType, example] of Object.entries(response.examples || {})) {
+      converted.content ||= {};
+      converted.content[mediaType] = { ...converted.content[mediaType], example };
+    }
+
+    if (response.headers) {
+      converted.headers = Object.fromEntries(Object.entries(response.headers).map(([name, header]) => {
+        const convertedHeader = { schema: this.convertSchema(this.pickSchemaKeywords(header), `${location}.headers.${name}`) };
+        if (header.description) convertedHeader.description = header.description;
+        return [name, convertedHeader];
+      }));
+    }
+    this.copyExtensions(response, converted);
+
+    return converted;
+  }
+
+  /**
+   * @private
+   */
+  convertSecurityScheme(scheme, location) {
+    const description = scheme.description ? { description: scheme.description } : {};
+
+    switch (scheme.type) {
+      case 'basic':
+        return { type: 'http', scheme: 'basic', ...description };
+      case 'apiKey':
+        return { type: 'apiKey', name: scheme.name, in: scheme.in, ...description };
+      case 'oauth2': {
+        const flow = OAUTH2_FLOWS[scheme.flow];
+        if (!flow) {
+          this.warn(location, `Unknown OAuth2 flow "${scheme.flow}"; converted as the authorization code flow`);
+        }
+
+        const flowObject = { scopes: scheme.scopes || {} };
+        if (scheme.authorizationUrl) flowObject.authorizationUrl = scheme.authorizationUrl;
+        if (scheme.tokenUrl) flowObject.tokenUrl = scheme.tokenUrl;
+
+        return { type: 'oauth2', flows: { [flow || 'authorizationCode']: flowObject }, ...description };
+      }
+      default:
+        this.warn(location, `Unknown security scheme type "${scheme.type}" kept as is`);
+        return scheme;
+    }
+  }
+
+  /**
+   * Convert a Swagger 2.0 schema to OpenAPI 3.1: $refs point at components,
+   * x-nullable becomes a null type, file becomes binary and exclusive bounds
+   * become numbers
+   * @private
+   */
+  convertSchema(schema, location) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+
+    if (schema.$ref) {
+      const converted = { $ref: this.convertSchemaRef(schema.$ref, location) };
+      return schema['x-nullable'] ? { anyOf: [converted, { type: 'null' }] } : converted;
+    }
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+      switch (key) {
+        case 'properties':
+          converted.properties = Object.fromEntries(Object.entries(value).map(([name, propSchema]) =>
+            [name, this.convertSchema(propSchema, `${location}.properties.${name}`)]));
+          break;
+        case 'items':
+        case 'additionalProperties':
+        case 'not':
+          converted[key] = this.convertSchema(value, `${location}.${key}`);
+          break;
+        case 'allOf':
+        case 'anyOf':
+        case 'oneOf':
+          converted[key] = value.map((member, index) => this.convertSchema(member, `${location}.${key}[${index}]`));
+          break;
+        case 'discriminator':
+          converted.discriminator = typeof value === 'string' ? { propertyName: value } : value;
+          break;
+        case 'x-nullable':
+          break;
+        default:
+          converted[key] = value;
+      }
+    }
+
+    if (converted.type === 'file') {
+      converted.type = 'string';
+      converted.format = 'binary';
+    }
+
+    for (const [bound, exclusive] of [['minimum', 'exclusiveMinimum'], ['maximum', 'exclusiveMaximum']]) {
+      if (converted[exclusive] === true && converted[bound] !== undefined) {
+        converted[exclusive] = converted[bound];
+        delete converted[bound];
+      } else if (typeof converted[exclusive] === 'boolean') {
+        delete converted[exclusive];
+      }
+    }
+
+    if (schema['x-nullable']) {
+      if (converted.type) {
+        converted.type = [].concat(converted.type, 'null');
+        if (converted.enum && !converted.enum.includes(null)) converted.enum = [...converted.enum, null];
+      } else {
+        this.warn(location, 'x-nullable on a schema without a type has no OpenAPI 3.1 equivalent and was dropped');
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * @private
+   */
+  convertSchemaRef(ref, location) {
+    if (ref.startsWith('#/definitions/')) {
+      return ref.replace('#/definitions/', '#/components/schemas/');
+    }
+    if (!ref.startsWith('#')) {
+      this.warn(location, `External $ref ${ref} kept as is; convert the referenced file to OpenAPI 3 as well`);
+    }
+    return ref;
+  }
+
+  /**
+   * @private
+   */
+  pickSchemaKeywords(param) {
+    const schema = {};
+    for (const keyword of PARAMETER_SCHEMA_KEYWORDS) {
+      if (param[keyword] !== undefined) schema[keyword] = param[keyword];
+    }
+    return schema;
+  }
+
+  /**
+   * @private
+   */
+  copyExtensions(source, target) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (key.startsWith('x-') && key !== 'x-nullable') target[key] = value;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Postman v2.1
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  convertPostman(collection) {
+    this.variables = Object.fromEntries((collection.variable || []).map(variable => [variable.key, variable.value]));
+    this.servers = new Map();
+    this.securitySchemes = {};
+    this.operationIds = new Set();
+
+    const info = {
+      title: collection.info?.name || 'Imported API',
+      version: this.variables.version ? String(this.variables.version) : '1.0.0'
+    };
+    const description = this.getPostmanDescription(collection.info?.description);
+    if (description) info.description = description;
+
+    const defaultSecurity = this.convertPostmanAuth(collection.auth, 'collection');
+    this.defaultSecurity = defaultSecurity || null;
+
+    const paths = {};
+    const tags = [];
+    this.convertPostmanItems(collection.item || [], paths, tags, { tag: null, auth: undefined, location: '' });
+
+    const contract = { openapi: OPENAPI_VERSION, info };
+    if (this.servers.size > 0) contract.servers = [this.servers.values().next().value];
+    if (defaultSecurity?.length > 0) contract.security = defaultSecurity;
+    if (tags.length > 0) contract.tags = tags;
+    contract.paths = paths;
+    if (Object.keys(this.securitySchemes).length > 0) {
+      contract.components = { securitySchemes: this.securitySchemes };
+    }
+
+    return contract;
+  }
+
+  /**
+   * Requests become operations; top-level folders become tags
+   * @private
+   */
+  convertPostmanItems(items, paths, tags, parent) {
+    for (const item of items) {
+      const location = parent.location ? `${parent.location} / ${item.name}` : item.name || '(unnamed)';
+
+      if (Array.isArray(item.item)) {
+        const tag = parent.tag || item.name;
+        if (!parent.tag && item.name) {
+          const description = this.getPostmanDescription(item.description);
+          tags.push(description ? { name: item.name, description } : { name: item.name });
+        }
+        this.convertPostmanItems(item.item, paths, tags, { tag, auth: item.auth ?? parent.auth, location });
+      } else if (item.request) {
+        this.convertPostmanRequest(item, paths, { ...parent, location });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  convertPostmanRequest(item, paths, parent) {
+    const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+    const method = (request.method || 'GET').toLowerCase();
+    const { location } = parent;
+
+    if (!HTTP_METHODS.includes(method)) {
+      this.warn(location, `HTTP method ${request.method} is not supported by OpenAPI and was left out`);
+      return;
+    }
+
+    const url = this.parsePostmanUrl(request.url, location);
+    if (!url) return;
+
+    const operation = {};
+    if (parent.tag) operation.tags = [parent.tag];
+    // The first server is the contract's; requests to other hosts keep theirs
+    if (url.server && url.server !== this.servers.values().next().value) operation.servers = [url.server];
+    operation.summary = item.name;
+    const description = this.getPostmanDescription(request.description);
+    if (description) operation.description = description;
+    operation.operationId = this.createOperationId(item.name || `${method} ${url.path}`);
+
+    const parameters = [
+      ...url.pathParams,
+      ...url.query,
+      ...this.convertPostmanHeaders(request.header || [])
+    ];
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    const requestBody = this.convertPostmanBody(request, location);
+    if (requestBody) operation.requestBody = requestBody;
+
+    operation.responses = this.convertPostmanResponses(item.response || [], location);
+
+    const auth = request.auth ?? parent.auth;
+    if (auth !== undefined) {
+      const security = this.convertPostmanAuth(auth, location);
+      if (security && JSON.stringify(security) !== JSON.stringify(this.defaultSecurity)) {
+        operation.security = security;
+      }
+    }
+
+    paths[url.path] ||= {};
+    if (paths[url.path][method]) {
+      this.warn(location, `${method.toUpperCase()} ${url.path} is defined by more than one request; only the first one was imported`);
+      return;
+    }
+
+    // Every {param} in the path needs a path parameter
+    const declared = new Set(url.pathParams.map(param => param.name));
+    for (const [, name] of url.path.matchAll(/\{([^}]+)\}/g)) {
+      if (!declared.has(name)) {
+        operation.parameters = [...(operation.parameters || []), { name, in: 'path', required: true, schema: { type: 'string' } }];
+      }
+    }
+
+    paths[url.path][method] = operation;
+  }
+
+  /**
+   * Split a Postman URL into server, OpenAPI path, path and query parameters.
+   * `:id` and `{{id}}` path segments become `{id}`; collection variables in the
+   * host are resolved, unresolved ones become server variables.
+   * @private
+   */
+  parsePostmanUrl(url, location) {
+    if (!url) {
+      this.warn(location, 'Request has no URL and was left out');
+      return null;
+    }
+
+    const raw = typeof url === 'string' ? url : url.raw || '';
+    const parsed = typeof url === 'string' ? this.parseRawPostmanUrl(raw) : {
+      protocol: url.protocol,
+      host: [].concat(url.host || []).join('.'),
+      port: url.port,
+      path: [].concat(url.path || []).map(segment => (typeof segment === 'object' ? segment.value : segment)),
+      query: url.query || [],
+      variable: url.variable || []
+    };
+
+    if (!parsed.host && typeof url === 'object' && raw) {
+      Object.assign(parsed, { ...this.parseRawPostmanUrl(raw), query: parsed.query, variable: parsed.variable });
+    }
+
+    const server = parsed.host ? this.addPostmanServer(parsed, location) : null;
+
+    const pathVariables = new Map(parsed.variable.map(variable => [variable.key, variable]));
+    const pathParams = [];
+    const segments = parsed.path.filter(segment => segment !== '').map(segment => {
+      const match = segment.match(/^:(.+)$/) || segment.match(/^\{\{(.+)\}\}$/);
+      if (!match) return segment;
+
+      const name = match[1];
+      const variable = pathVariables.get(name);
+      const value = variable?.value ?? this.variables[name];
+      const param = { name, in: 'path', required: true, schema: inferParameterSchema(value ?? '') };
+      const description = this.getPostmanDescription(variable?.description);
+      if (description) param.description = description;
+      this.addParameterExample(param, value);
+      pathParams.push(param);
+      return `{${name}}`;
+    });
+
+    const query = parsed.query
+      .filter(param => param.key)
+      .map(param => {
+        const converted = { name: param.key, in: 'query', schema: inferParameterSchema(param.value ?? '') };
+        const description = this.getPostmanDescription(param.description);
+        if (description) converted.description = description;
+        this.addParameterExample(converted, param.value);
+        return converted;
+      });
+
+    return { path: `/${segments.join('/')}`, pathParams, query, server };
+  }
+
+  /**
+   * @private
+   */
+  parseRawPostmanUrl(raw) {
+    const [withoutQuery, queryString = ''] = raw.split('?');
+    const protocolMatch = withoutQuery.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+    const rest = protocolMatch ? withoutQuery.slice(protocolMatch[0].length) : withoutQuery;
+    const [hostPart, ...path] = rest.split('/');
+    const [host, port] = hostPart.split(':');
+
+    return {
+      protocol: protocolMatch?.[1],
+      host,
+      port,
+      path,
+      query: queryString.split('&').filter(Boolean).map(pair => {
+        const [key, value = ''] = pair.split('=');
+        return { key: decodeURIComponent(key), value: decodeURIComponent(value) };
+      }),
+      variable: []
+    };
+  }
+
+  /**
+   * @private
+   */
+  addPostmanServer(parsed, location) {
+    const unresolved = [];
+    const resolve = (text) => text.replace(/\{\{([^}]+)\}\}/g, (match, name) => {
+      if (this.variables[name] !== undefined && this.variables[name] !== '') return this.variables[name];
+      unresolved.push(name);
+      return `{${name}}`;
+    });
+
+    let origin = resolve(parsed.host);
+    if (parsed.port) origin += `:${resolve(String(parsed.port))}`;
+    if (parsed.protocol) {
+      origin = `${parsed.protocol}://${origin}`;
+    } else if (!/^(\{[^}]+\}|[a-z][a-z0-9+.-]*:\/\/)/i.test(origin)) {
+      origin = `https://${origin}`;
+    }
+
+    if (this.servers.has(origin)) return this.servers.get(origin);
+
+    const server = { url: origin };
+    if (unresolved.length > 0) {
+      server.variables = Object.fromEntries(unresolved.map(name => [name, { default: '' }]));
+      this.warn(location, `Collection variable${unresolved.length > 1 ? 's' : ''} ${unresolved.map(name => `{{${name}}}`).join(', ')} in the server URL ${unresolved.length > 1 ? 'have' : 'has'} no value; set the default of the server variable`);
+    }
+    this.servers.set(origin, server);
+
+    return server;
+  }
+
+  /**
+   * Use a Postman value as the parameter example, typed like its schema;
+   * empty values and {{variables}} are not examples
+   * @private
+   */
+  addParameterExample(param, value) {
+    if (value === undefined || value === null || value === '' || /\{\{.+\}\}/.test(value)) return;
+
+    const text = String(value);
+    switch (param.schema.type) {
+      case 'integer':
+      case 'number':
+        param.example = Number(text);
+        break;
+      case 'boolean':
+        param.example = text === 'true';
+        break;
+      default:
+        param.example = text;
+    }
+  }
+
+  /**
+   * @private
+   */
+  convertPostmanHeaders(headers) {
+    return headers
+      .filter(header => header.key && !POSTMAN_IGNORED_HEADERS.includes(header.key.toLowerCase()))
+      .map(header => {
+        const param = { name: header.key, in: 'header', schema: inferParameterSchema(header.value ?? '') };
+        const description = this.getPostmanDescription(header.description);
+        if (description) param.description = description;
+        this.addParameterExample(param, header.value);
+        return param;
+      });
+  }
+
+  /**
+   * @private
+   */
+  convertPostmanBody(request, location) {
+    const body = request.body;
+    if (!body || body.disabled || !body.mode) return null;
+
+    const contentTypeHeader = (request.header || [])
+      .find(header => header.key?.toLowerCase() === 'content-type' && !header.disabled)?.value;
+
+    switch (body.mode) {
+      case 'raw': {
+        if (!body.raw) return null;
+
+        const language = body.options?.raw?.language;
+        const mediaType = contentTypeHeader || POSTMAN_RAW_LANGUAGES[language] || 'text/plain';
+        if (mediaType.includes('json')) {
+          const example = this.parsePostmanJson(body.raw);
+          if (example === undefined) {
+            this.warn(location, 'The request body is not valid JSON; documented without a schema');
+            return { content: { [mediaType]: {} } };
+          }
+          return { content: { [mediaType]: { schema: inferSchema(example), example } } };
+        }
+        return { content: { [mediaType]: { schema: { type: 'string' }, example: body.raw } } };
+      }
+      case 'urlencoded':
+      case 'formdata': {
+        const mediaType = body.mode === 'formdata' ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+        const properties = {};
+        for (const field of body[body.mode] || []) {
+          if (!field.key) continue;
+          properties[field.key] = field.type === 'file' ?
+            { type: 'string', format: 'binary' } :
+            inferParameterSchema(field.value ?? '');
+          const description = this.getPostmanDescription(field.description);
+          if (description) properties[field.key].description = description;
+        }
+        return { content: { [mediaType]: { schema: { type: 'object', properties } } } };
+      }
+      case 'file':
+        return { content: { [contentTypeHeader || 'application/octet-stream']: { schema: { type: 'string', format: 'binary' } } } };
+      case 'graphql':
+        return {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['query'],
+                properties: { query: { type: 'string' }, variables: { type: 'object' } }
+              }
+            }
+          }
+        };
+      default:
+        this.warn(location, `Request body mode "${body.mode}" is not supported and was left out`);
+        return null;
+    }
+  }
+
+  /**
+   * Parse a JSON body that may contain unquoted {{variables}}
+   * @private
+   * @returns {*} Parsed value, or undefined when the body is not JSON
+   */
+  parsePostmanJson(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      try {
+        return JSON.parse(raw.replace(/(^|[^"])(\{\{[^}]+\}\})/g, '$1"$2"'));
+      } catch {
+        return undefined;
+      }
+    }
+  }
+
+  /**
+   * Saved example responses document the responses; their bodies give the schema
+   * @private
+   */
+  convertPostmanResponses(examples, location) {
+    const responses = {};
+    const samples = new Map();
+
+    for (const example of examples) {
+      const status = String(example.code || 200);
+      const response = responses[status] ||= { description: example.status || example.name || 'Response' };
+      if (example.body === undefined || example.body === null || example.body === '') continue;
+
+      const contentType = (example.header || [])
+        .find(header => header.key?.toLowerCase() === 'content-type')?.value?.split(';')[0].trim();
+      const isJson = example._postman_previewlanguage === 'json' || Boolean(contentType?.includes('json'));
+      const mediaType = contentType || (isJson ? 'application/json' : 'text/plain');
+
+      let value = isJson ? this.parsePostmanJson(example.body) : example.body;
+      if (value === undefined) {
+        this.warn(location, `The ${status} example "${example.name}" is not valid JSON; documented as a string`);
+        value = example.body;
+      }
+
+      response.content ||= {};
+      const media = response.content[mediaType] ||= { schema: typeof value === 'string' ? { type: 'string' } : inferSchema(value) };
+      if (!samples.has(media)) samples.set(media, []);
+      samples.get(media).push({ name: example.name, value });
+    }
+
+    // One saved example becomes `example`, several become named `examples`
+    for (const [media, values] of samples) {
+      if (values.length === 1) {
+        media.example = values[0].value;
+      } else {
+        media.examples = {};
+        for (const { name, value } of values) {
+          media.examples[this.createExampleName(name, media.examples)] = { value };
+        }
+      }
+    }
+
+    if (Object.keys(responses).length === 0) {
+      this.warn(location, 'The request has no saved example responses; a 200 response without a schema was added');
+      responses['200'] = { description: 'Successful response' };
+    }
+
+    return responses;
+  }
+
+  /**
+   * Postman auth as a security requirement, registering the scheme it uses
+   * @private
+   * @returns {Array|null} Security requirements ([] for noauth), or null when not convertible
+   */
+  convertPostmanAuth(auth, location) {
+    if (!auth || !auth.type) return null;
+    if (auth.type === 'noauth') return [];
+
+    const values = Object.fromEntries((auth[auth.type] || []).map(entry => [entry.key, entry.value]));
+    let name;
+    let scheme;
+
+    switch (auth.type) {
+      case 'bearer':
+        name = 'bearerAuth';
+        scheme = { type: 'http', scheme: 'bearer' };
+        break;
+      case 'basic':
+        name = 'basicAuth';
+        scheme = { type: 'http', scheme: 'basic' };
+        break;
+      case 'apikey': {
+        const keyName = values.key || 'X-API-Key';
+        const keyIn = values.in === 'query' ? 'query' : 'header';
+        name = 'apiKeyAuth';
+        scheme = { type: 'apiKey', name: keyName, in: keyIn };
+        break;
+      }
+      case 'oauth2': {
+        const flow = POSTMAN_OAUTH2_FLOWS[values.grant_type || 'authorization_code'] || 'authorizationCode';
+        const flowObject = { scopes: Object.fromEntries(String(values.scope || '').split(/[\s,]+/).filter(Boolean).map(scope => [scope, scope])) };
+        if (['authorizationCode', 'implicit'].includes(flow)) flowObject.authorizationUrl = values.authUrl || '';
+        if (flow !== 'implicit') flowObject.tokenUrl = values.accessTokenUrl || '';
+        if (flowObject.authorizationUrl === '' || flowObject.tokenUrl === '') {
+          this.warn(location, 'OAuth2 URLs are missing from the collection; fill them in under components.securitySchemes.oauth2');
+        }
+        name = 'oauth2';
+        scheme = { type: 'oauth2', flows: { [flow]: flowObject } };
+        break;
+      }
+      default:
+        this.warn(location, `Postman auth type "${auth.type}" has no OpenAPI equivalent and was left out`);
+        return null;
+    }
+
+    // Different settings for the same scheme type get their own scheme
+    let uniqueName = name;
+    for (let index = 2; this.securitySchemes[uniqueName] &&
+      JSON.stringify(this.securitySchemes[uniqueName]) !== JSON.stringify(scheme); index++) {
+      uniqueName = `${name}${index}`;
+    }
+    this.securitySchemes[uniqueName] = scheme;
+
+    const scopes = scheme.type === 'oauth2' ? Object.keys(Object.values(scheme.flows)[0].scopes) : [];
+    return [{ [uniqueName]: scopes }];
+  }
+
+  /**
+   * @private
+   */
+  createOperationId(name) {
+    const words = name.replace(/[^a-zA-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    let operationId = words
+      .map((word, index) => (index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+      .join('') || 'operation';
+    if (/^\d/.test(operationId)) operationId = `op${operationId}`;
+
+    let unique = operationId;
+    for (let index = 2; this.operationIds.has(unique); index++) {
+      unique = `${operationId}${index}`;
+    }
+    this.operationIds.add(unique);
+
+    return unique;
+  }
+
+  /**
+   * @private
+   */
+  createExampleName(name, existing) {
+    const base = String(name || 'example').replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'example';
+    let unique = base;
+    for (let index = 2; existing[unique]; index++) {
+      unique = `${base}-${index}`;
+    }
+    return unique;
+  }
+
+  /**
+   * @private
+   */
+  getPostmanDescription(description) {
+    if (!description) return null;
+    return typeof description === 'string' ? description : description.content || null;
+  }
+
+  /**
+   * Write an imported contract as YAML and check that ContractParser accepts it
+   * @param {Object} contract - Converted contract
+   * @param {string} outputPath - Contract file to write
+   * @returns {Promise<void>}
+   * @throws {SpecJetError} When the written contract does not parse; the file is kept for fixing
+   */
+  async writeContract(contract, outputPath) {
+    await fs.outputFile(outputPath, ContractImporter.toYaml(contract), 'utf8');
+
+    try {
+      await new ContractParser().parseContract(outputPath);
+    } catch (error) {
+      throw new SpecJetError(
+        `The imported contract was written to ${outputPath} but is not a valid OpenAPI contract`,
+        'IMPORT_INVALID_CONTRACT',
+        error,
+        ['Fix the reported problem in the written contract', 'Run with --verbose for the validation details']
+      );
+    }
+  }
+
+  /**
+   * Serialize an imported contract as YAML
+   * @param {Object} contract - Converted contract
+   * @returns {string} YAML document
+   */
+  static toYaml(contract) {
+    return yaml.dump(contract, { noRefs: true, lineWidth: -1 });
+  }
+
+  /**
+   * Format an import result for console display
+   * @param {Object} result - Result returned by convert()
+   * @param {string} outputPath - Where the contract was written
+   * @returns {string} Formatted console output
+   */
+  static formatConsoleOutput(result, outputPath) {
+    const formatName = result.format === 'swagger2' ? 'Swagger 2.0' : 'Postman collection';
+    const operations = Object.values(result.contract.paths || {})
+      .reduce((count, pathItem) => count + Object.keys(pathItem).filter(key => HTTP_METHODS.includes(key)).length, 0);
+    const schemas = Object.keys(result.contract.components?.schemas || {}).length;
+
+    let output = `\n📥 Imported ${formatName} as OpenAPI ${result.contract.openapi}\n`;
+    output += `   ${operations} operation${operations === 1 ? '' : 's'}, ${schemas} schema${schemas === 1 ? '' : 's'} → ${outputPath}\n`;
+
+    if (result.warnings.length === 0) {
+      output += '\n✨ Everything was converted\n';
+      return output;
+    }
+
+    output += `\n⚠️  ${result.warnings.length} item${result.warnings.length === 1 ? '' : 's'} could not be fully converted:\n`;
+    for (const warning of result.warnings) {
+      output += `   • ${warning.location}: ${warning.message}\n`;
+    }
+
+    return output;
+  }
+}
+
+export default ContractImporter;
@@ -0,0 +1,695 @@
+import fs from 'fs-extra';
+import { STATUS_CODES } from 'http';
+import { URL, URLSearchParams } from 'url';
+import { SpecJetError } from './errors.js';
+import ContractParser from './parser.js';
+import ContractImporter from './contract-importer.js';
+import { BODY_KINDS, getBodyKind, isJsonMediaType } from './media-types.js';
+import { inferSchemaFromSamples, inferParameterSchema, inferParameterSchemaFromSamples } from './schema-inference.js';
+
+const OPENAPI_VERSION = '3.1.0';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Devtools resource types that are API calls rather than page assets
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+const PAGE_RESOURCE_TYPES = ['document', 'script', 'stylesheet', 'image', 'font', 'media', 'manifest'];
+
+// Response media types of pages and assets, for HAR files without _resourceType (Firefox, Safari, proxies)
+const PAGE_MEDIA_TYPE = /^(text\/(html|css|javascript)|application\/(x-)?javascript|application\/wasm|image\/|font\/|audio\/|video\/)/i;
+
+// Path segments that identify a resource rather than name one
+const ID_SEGMENTS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+];
+
+// Leading path segments that belong in the server URL rather than the paths
+const PREFIX_SEGMENT = /^(api|rest|v\d+(\.\d+)*)$/i;
+
+const AUTH_SCHEMES = {
+  bearer: { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' } },
+  basic: { name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' } }
+};
+
+/**
+ * Infers a draft OpenAPI 3.1 contract from captured traffic. Requests are
+ * grouped into path templates, and request and response body schemas are
+ * merged across every sample of an operation. Captured bodies are only used
+ * to infer schemas and are never copied into the contract.
+ * @class ContractInferrer
+ */
+class ContractInferrer {
+  /**
+   * Read a HAR file and infer a contract from its requests
+   * @param {string} filePath - HAR file exported from browser devtools or a proxy
+   * @param {Object} [options] - Inference options, see inferFromHar()
+   * @returns {Promise<Object>} Inference result, see inferFromHar()
+   * @throws {SpecJetError} When the file cannot be read or holds no API requests
+   */
+  async inferFromHarFile(filePath, options = {}) {
+    if (!await fs.pathExists(filePath)) {
+      throw new SpecJetError(
+        `HAR file not found: ${filePath}`,
+        'INFER_FILE_NOT_FOUND',
+        null,
+        ['Export the HAR file from the Network tab of your browser devtools', 'Check the path passed to --har']
+      );
+    }
+
+    let har;
+    try {
+      har = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new SpecJetError(
+        `Could not parse ${filePath}: ${error.message}`,
+        'INFER_PARSE_ERROR',
+        error,
+        ['HAR files are JSON; check that the export completed']
+      );
+    }
+
+    return this.inferFromHar(har, options);
+  }
+
+  /**
+   * Infer a contract from a parsed HAR document
+   * @param {Object} har - HAR document ({ log: { entries } })
+   * @param {Object} [options] - Inference options
+   * @param {string} [options.baseUrl] - Only use requests under this URL; defaults to the origin with the most API requests
+   * @returns {{contract: Object, warnings: Array<{location: string, message: string}>, stats: Object}}
+   * @throws {SpecJetError} When the document is not a HAR file or holds no API requests
+   */
+  inferFromHar(har, options = {}) {
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new SpecJetError(
+        'Not a HAR file: log.entries is missing',
+        'INFER_INVALID_HAR',
+        null,
+        ['In the Network tab of your browser devtools, use "Save all as HAR"']
+      );
+    }
+
+    this.warnings = [];
+
+    const apiEntries = har.log.entries.filter(entry => this.isApiEntry(entry));
+    const baseUrl = this.selectBaseUrl(apiEntries, options.baseUrl);
+    const entries = apiEntries.filter(entry => this.getApiPath(entry.request.url, baseUrl) !== null);
+
+    if (entries.length === 0) {
+      throw new SpecJetError(
+        options.baseUrl ? `No API requests to ${options.baseUrl} found in the HAR file` : 'No API requests found in the HAR file',
+        'INFER_NO_REQUESTS',
+        null,
+        [
+          'Record the traffic with the Fetch/XHR filter off, or use the app while recording',
+          'Check that --base-url matches the URLs in the HAR file'
+        ]
+      );
+    }
+
+    const operations = this.groupOperations(entries, baseUrl);
+    const contract = this.buildContract(operations, baseUrl, entries.length);
+
+    return {
+      contract,
+      warnings: this.warnings,
+      stats: {
+        requests: har.log.entries.length,
+        used: entries.length,
+        skipped: har.log.entries.length - apiEntries.length,
+        otherOrigins: apiEntries.length - entries.length,
+        operations: operations.length
+      }
+    };
+  }
+
+  /**
+   * Record something that could not be inferred
+   * @param {string} location - Operation the warning is about
+   * @param {string} message - What was left out and why
+   */
+  warn(location, message) {
+    if (!this.warnings.some(warning => warning.location === location && warning.message === message)) {
+      this.warnings.push({ location, message });
+    }
+  }
+
+  /**
+   * Whether a HAR entry is an API call. Page loads, scripts, styles, images,
+   * fonts and media are not, and neither are CORS preflights or requests
+   * that never got a response. Everything else is, including calls without
+   * a body such as DELETE -> 204, since not every HAR has _resourceType.
+   * @param {Object} entry - HAR entry
+   * @returns {boolean}
+   */
+  isApiEntry(entry) {
+    const method = entry.request?.method?.toLowerCase();
+    if (!HTTP_METHODS.includes(method) || method === 'options' || !entry.response?.status || !/^https?:\/\//.test(entry.request.url)) {
+      return false;
+    }
+
+    if (API_RESOURCE_TYPES.includes(entry._resourceType) ||
+      isJsonMediaType(entry.response.content?.mimeType) ||
+      isJsonMediaType(entry.request.postData?.mimeType)) {
+      return true;
+    }
+
+    return !PAGE_RESOURCE_TYPES.includes(entry._resourceType) &&
+      !PAGE_MEDIA_TYPE.test(entry.response.content?.mimeType || '');
+  }
+
+  /**
+   * The URL all inferred paths are relative to: the given base URL, or the
+   * origin most API requests go to plus an /api or /v1 style prefix they all share.
+   * Requests to other origins are reported.
+   * @param {Object[]} entries - API entries
+   * @param {string} [baseUrl] - Base URL given with --base-url
+   * @returns {string} Base URL without a trailing slash
+   */
+  selectBaseUrl(entries, baseUrl) {
+    if (baseUrl) {
+      if (!URL.canParse(baseUrl)) {
+        throw new SpecJetError(
+          `Invalid base URL: ${baseUrl}`,
+          'INFER_INVALID_BASE_URL',
+          null,
+          ['Pass an absolute URL, e.g. --base-url https://api.example.com/v1']
+        );
+      }
+      return baseUrl.replace(/\/+$/, '');
+    }
+
+    const counts = new Map();
+    for (const entry of entries) {
+      const origin = new URL(entry.request.url).origin;
+      counts.set(origin, (counts.get(origin) || 0) + 1);
+    }
+
+    const [[selected] = []] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    for (const [origin, count] of counts) {
+      if (origin !== selected) {
+        this.warn(origin, `${count} request${count === 1 ? '' : 's'} to this origin ${count === 1 ? 'was' : 'were'} left out; use --base-url to infer its contract instead`);
+      }
+    }
+
+    if (!selected) {
+      return '';
+    }
+
+    // A prefix such as /api/v1 that every path shares belongs to the server URL
+    const paths = entries
+      .filter(entry => new URL(entry.request.url).origin === selected)
+      .map(entry => new URL(entry.request.url).pathname.split('/').filter(Boolean));
+    const prefix = [];
+    for (const [index, segment] of paths[0].entries()) {
+      const shared = paths.every(segments => segments.length > index + 1 && segments[index] === segment);
+      if (!shared || !PREFIX_SEGMENT.test(segment)) break;
+      prefix.push(segment);
+    }
+
+    return [selected, ...prefix].join('/');
+  }
+
+  /**
+   * Path of a request URL relative to the base URL
+   * @param {string} url - Request URL
+   * @param {string} baseUrl - Base URL
+   * @returns {string|null} Path starting with /, or null when the URL is not under the base URL
+   */
+  getApiPath(url, baseUrl) {
+    const { origin, pathname } = new URL(url);
+    const base = new URL(baseUrl || origin);
+    const prefix = base.pathname.replace(/\/+$/, '');
+
+    if (origin !== base.origin || (pathname !== prefix && !pathname.startsWith(`${prefix}/`))) {
+      return null;
+    }
+
+    return pathname.slice(prefix.length) || '/';
+  }
+
+  /**
+   * Group entries into operations by method and path template. Numeric and
+   * UUID segments become path parameters named after the segment before
+   * them: /users/42/orders becomes /users/{userId}/orders.
+   * @param {Object[]} entries - API entries under the base URL
+   * @param {string} baseUrl - Base URL
+   * @returns {Array<{method: string, path: string, pathParams: Object, entries: Object[]}>}
+   */
+  groupOperations(entries, baseUrl) {
+    const operations = new Map();
+
+    for (const entry of entries) {
+      const method = entry.request.method.toLowerCase();
+      const segments = this.getApiPath(entry.request.url, baseUrl).split('/').filter(Boolean);
+      const names = [];
+      const values = {};
+
+      const template = segments.map((segment, index) => {
+        if (!ID_SEGMENTS.some(pattern => pattern.test(segment))) {
+          return segment;
+        }
+        const name = this.createParameterName(segments[index - 1], names);
+        names.push(name);
+        values[name] = decodeURIComponent(segment);
+        return `{${name}}`;
+      });
+
+      const path = `/${template.join('/')}`;
+      const key = `${method} ${path}`;
+      if (!operations.has(key)) {
+        operations.set(key, { method, path, pathParams: Object.fromEntries(names.map(name => [name, []])), entries: [] });
+      }
+
+      const operation = operations.get(key);
+      operation.entries.push(entry);
+      for (const [name, value] of Object.entries(values)) {
+        operation.pathParams[name].push(value);
+      }
+    }
+
+    return [...operations.values()].sort((a, b) => {
+      if (a.path !== b.path) return a.path < b.path ? -1 : 1;
+      return HTTP_METHODS.indexOf(a.method) - HTTP_METHODS.indexOf(b.method);
+    });
+  }
+
+  /**
+   * Name a path parameter after the collection segment before it (users -> userId)
+   * @param {string} previous - Segment before the parameter
+   * @param {string[]} taken - Names already used in this path
+   * @returns {string} Parameter name
+   */
+  createParameterName(previous, taken) {
+    const isName = previous && !ID_SEGMENTS.some(pattern => pattern.test(previous));
+    const base = isName ? `${toCamelCase(singularize(previous))}Id` : 'id';
+
+    let name = base;
+    for (let suffix = 2; taken.includes(name); suffix++) {
+      name = `${base}${suffix}`;
+    }
+    return name;
+  }
+
+  /**
+   * Assemble the contract from the grouped operations
+   * @param {Object[]} operations - Grouped operations
+   * @param {string} baseUrl - Base URL, used as the server
+   * @param {number} requestCount - Number of requests the contract was inferred from
+   * @returns {Object} OpenAPI 3.1 contract
+   */
+  buildContract(operations, baseUrl, requestCount) {
+    const paths = {};
+    const operationIds = new Set();
+    const securitySchemes = {};
+    const tags = new Set();
+
+    for (const operation of operations) {
+      const converted = this.buildOperation(operation, operationIds, securitySchemes);
+      if (converted.tags) {
+        converted.tags.forEach(tag => tags.add(tag));
+      }
+      paths[operation.path] = paths[operation.path] || {};
+      paths[operation.path][operation.method] = converted;
+    }
+
+    const contract = {
+      openapi: OPENAPI_VERSION,
+      info: {
+        title: `${new URL(baseUrl).host} API`,
+        version: '0.1.0',
+        description: `Draft contract inferred from ${requestCount} captured request${requestCount === 1 ? '' : 's'}. Review it before relying on it.`
+      },
+      servers: [{ url: baseUrl }]
+    };
+
+    const security = this.hoistSecurity(paths);
+    if (security) {
+      contract.security = security;
+    }
+    if (tags.size > 0) {
+      contract.tags = [...tags].map(name => ({ name }));
+    }
+    contract.paths = paths;
+    if (Object.keys(securitySchemes).length > 0) {
+      contract.components = { securitySchemes };
+    }
+
+    return contract;
+  }
+
+  /**
+   * Build one operation from all of its captured requests
+   * @param {Object} operation - Grouped operation
+   * @param {Set<string>} operationIds - operationIds used so far
+   * @param {Object} securitySchemes - Security schemes found so far, extended in place
+   * @returns {Object} OpenAPI operation
+   */
+  buildOperation({ method, path, pathParams, entries }, operationIds, securitySchemes) {
+    const location = `${method.toUpperCase()} ${path}`;
+    const firstSegment = path.split('/').find(segment => segment && !segment.startsWith('{'));
+    const result = {};
+
+    if (firstSegment) {
+      result.tags = [firstSegment];
+    }
+    result.operationId = this.createOperationId(method, path, operationIds);
+
+    const parameters = [
+      ...Object.entries(pathParams).map(([name, values]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: inferParameterSchemaFromSamples(values)
+      })),
+      ...this.buildQueryParameters(entries)
+    ];
+    if (parameters.length > 0) {
+      result.parameters = parameters;
+    }
+
+    const security = this.detectSecurity(entries, securitySchemes);
+    if (security) {
+      result.security = security;
+    }
+
+    const requestBody = this.buildRequestBody(entries, location);
+    if (requestBody) {
+      result.requestBody = requestBody;
+    }
+
+    result.responses = this.buildResponses(entries, location);
+    return result;
+  }
+
+  /**
+   * Query parameters seen on any request; required when every request sent them
+   * @param {Object[]} entries - Entries of one operation
+   * @returns {Object[]} OpenAPI parameters
+   */
+  buildQueryParameters(entries) {
+    const values = new Map();
+    const counts = new Map();
+
+    for (const entry of entries) {
+      const seen = new Set();
+      for (const [name, value] of new URL(entry.request.url).searchParams) {
+        if (!values.has(name)) values.set(name, []);
+        values.get(name).push(value);
+        seen.add(name);
+      }
+      seen.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+    }
+
+    return [...values.entries()].map(([name, samples]) => {
+      const repeated = samples.length > counts.get(name);
+      const itemSchema = inferParameterSchemaFromSamples(samples);
+      const parameter = { name, in: 'query' };
+
+      if (entries.length > 1 && counts.get(name) === entries.length) {
+        parameter.required = true;
+      }
+      parameter.schema = repeated ? { type: 'array', items: itemSchema } : itemSchema;
+      return parameter;
+    });
+  }
+
+  /**
+   * Security requirement for an operation, from the Authorization header of
+   * its requests. Schemes found are added to securitySchemes.
+   * @param {Object[]} entries - Entries of one operation
+   * @param {Object} securitySchemes - Security schemes found so far
+   * @returns {Array|null} Security requirement, or null when no request was authorized
+   */
+  detectSecurity(entries, securitySchemes) {
+    const names = new Set();
+
+    for (const entry of entries) {
+      const authorization = (entry.request.headers || [])
+        .find(header => header.name.toLowerCase() === 'authorization')?.value;
+      const auth = AUTH_SCHEMES[authorization?.split(' ')[0].toLowerCase()];
+
+      if (auth) {
+        securitySchemes[auth.name] = auth.scheme;
+        names.add(auth.name);
+      }
+    }
+
+    return names.size > 0 ? [...names].map(name => ({ [name]: [] })) : null;
+  }
+
+  /**
+   * Move a security requirement shared by every operation to the top level
+   * @param {Object} paths - Paths with operation-level security, changed in place
+   * @returns {Array|null} The shared security requirement, or null when operations differ
+   */
+  hoistSecurity(paths) {
+    const operations = Object.values(paths).flatMap(pathItem => Object.values(pathItem));
+    const [{ security }] = operations;
+
+    if (!security || !operations.every(operation => JSON.stringify(operation.security) === JSON.stringify(security))) {
+      return null;
+    }
+
+    operations.forEach(operation => delete operation.security);
+    return security;
+  }
+
+  /**
+   * Request body inferred from the bodies of all requests of an operation
+   * @param {Object[]} entries - Entries of one operation
+   * @param {string} location - Operation, for warnings
+   * @returns {Object|null} OpenAPI request body, or null when no request sent a body
+   */
+  buildRequestBody(entries, location) {
+    const samples = new Map();
+    let withBody = 0;
+
+    for (const entry of entries) {
+      const postData = entry.request.postData;
+      if (!postData || (!postData.text && !postData.params?.length)) continue;
+
+      withBody++;
+      const mediaType = (postData.mimeType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+      if (!samples.has(mediaType)) samples.set(mediaType, []);
+
+      switch (getBodyKind(mediaType)) {
+        case BODY_KINDS.JSON: {
+          const body = parseJson(postData.text);
+          if (body === undefined) {
+            this.warn(location, 'A request body is not valid JSON and was left out of the schema');
+          } else {
+            samples.get(mediaType).push(body);
+          }
+          break;
+        }
+        case BODY_KINDS.FORM: {
+          const params = postData.params?.length
+            ? postData.params.map(({ name, value }) => [name, value])
+            : [...new URLSearchParams(postData.text)];
+          samples.get(mediaType).push(Object.fromEntries(params.map(([name, value]) => [name, coerceParameterValue(value)])));
+          break;
+        }
+        case BODY_KINDS.MULTIPART:
+          this.warn(location, 'HAR files do not capture multipart bodies reliably; the request body schema is empty');
+          break;
+        default:
+          samples.get(mediaType).push(postData.text);
+      }
+    }
+
+    if (withBody === 0) {
+      return null;
+    }
+
+    const content = {};
+    for (const [mediaType, values] of samples) {
+      content[mediaType] = { schema: this.inferBodySchema(mediaType, values) };
+    }
+
+    return withBody === entries.length ? { required: true, content } : { content };
+  }
+
+  /**
+   * Responses inferred from all captured responses of an operation, by status
+   * @param {Object[]} entries - Entries of one operation
+   * @param {string} location - Operation, for warnings
+   * @returns {Object} OpenAPI responses
+   */
+  buildResponses(entries, location) {
+    const byStatus = new Map();
+
+    for (const entry of entries) {
+      const status = String(entry.response.status);
+      if (!byStatus.has(status)) {
+        byStatus.set(status, { description: entry.response.statusText || STATUS_CODES[status] || 'Response', samples: new Map() });
+      }
+
+      const { content = {} } = entry.response;
+      if (!content.text || !content.mimeType || ['204', '304'].includes(status)) continue;
+
+      const mediaType = content.mimeType.split(';')[0].trim().toLowerCase();
+      const response = byStatus.get(status);
+      if (!response.samples.has(mediaType)) response.samples.set(mediaType, []);
+
+      const text = content.encoding === 'base64' && getBodyKind(mediaType) !== BODY_KINDS.BINARY
+        ? Buffer.from(content.text, 'base64').toString('utf8')
+        : content.text;
+
+      if (getBodyKind(mediaType) === BODY_KINDS.JSON) {
+        const body = parseJson(text);
+        if (body === undefined) {
+          this.warn(location, `A ${status} response body is not valid JSON and was left out of the schema`);
+        } else {
+          response.samples.get(mediaType).push(body);
+        }
+      } else {
+        response.samples.get(mediaType).push(text);
+      }
+    }
+
+    const responses = {};
+    for (const status of [...byStatus.keys()].sort()) {
+      const { description, samples } = byStatus.get(status);
+      responses[status] = { description };
+
+      if (samples.size > 0) {
+        responses[status].content = Object.fromEntries([...samples].map(([mediaType, values]) =>
+          [mediaType, { schema: this.inferBodySchema(mediaType, values) }]));
+      }
+    }
+
+    return responses;
+  }
+
+  /**
+   * Schema of the bodies captured for one media type
+   * @param {string} mediaType - Media type of the bodies
+   * @param {Array} values - Parsed JSON bodies, form objects or raw text
+   * @returns {Object} JSON Schema
+   */
+  inferBodySchema(mediaType, values) {
+    switch (getBodyKind(mediaType)) {
+      case BODY_KINDS.JSON:
+      case BODY_KINDS.FORM:
+        return values.length > 0 ? inferSchemaFromSamples(values) : {};
+      case BODY_KINDS.TEXT:
+        return { type: 'string' };
+      case BODY_KINDS.MULTIPART:
+        return { type: 'object' };
+      default:
+        return { type: 'string', format: 'binary' };
+    }
+  }
+
+  /**
+   * operationId from the method and path template: GET /users/{userId}/orders
+   * becomes getUsersByUserIdOrders
+   * @param {string} method - HTTP method
+   * @param {string} path - Path template
+   * @param {Set<string>} taken - operationIds used so far
+   * @returns {string} Unique operationId
+   */
+  createOperationId(method, path, taken) {
+    const words = path.split('/').filter(Boolean).map(segment => {
+      const name = segment.match(/^\{(.+)\}$/)?.[1];
+      return name ? `By${toPascalCase(name)}` : toPascalCase(segment);
+    });
+    const base = `${method}${words.join('')}`;
+
+    let operationId = base;
+    for (let suffix = 2; taken.has(operationId); suffix++) {
+      operationId = `${base}${suffix}`;
+    }
+    taken.add(operationId);
+    return operationId;
+  }
+
+  /**
+   * Write the inferred contract as YAML and check that it parses
+   * @param {Object} contract - Inferred contract
+   * @param {string} outputPath - File to write
+   * @throws {SpecJetError} When the written contract does not parse
+   */
+  async writeContract(contract, outputPath) {
+    await fs.outputFile(outputPath, ContractImporter.toYaml(contract), 'utf8');
+
+    try {
+      await new ContractParser().parseContract(outputPath);
+    } catch (error) {
+      throw new SpecJetError(
+        `The inferred contract was written to ${outputPath} but is not a valid OpenAPI contract`,
+        'INFER_INVALID_CONTRACT',
+        error,
+        ['Fix the reported problem in the written contract', 'Run with --verbose for the validation details']
+      );
+    }
+  }
+
+  /**
+   * Format an inference result for console display
+   * @param {Object} result - Result returned by inferFromHar()
+   * @param {string} outputPath - Where the contract was written
+   * @returns {string} Formatted console output
+   */
+  static formatConsoleOutput(result, outputPath) {
+    const { stats, warnings } = result;
+
+    let output = `\n🔍 Inferred ${stats.operations} operation${stats.operations === 1 ? '' : 's'} from ${stats.used} request${stats.used === 1 ? '' : 's'} to ${result.contract.servers[0].url}\n`;
+    output += `   → ${outputPath}\n`;
+    if (stats.skipped > 0) {
+      output += `   ${stats.skipped} non-API request${stats.skipped === 1 ? ' was' : 's were'} skipped (pages, scripts, styles, images, fonts, CORS preflights)\n`;
+    }
+
+    if (warnings.length > 0) {
+      output += `\n⚠️  ${warnings.length} item${warnings.length === 1 ? '' : 's'} to review:\n`;
+      for (const warning of warnings) {
+        output += `   • ${warning.location}: ${warning.message}\n`;
+      }
+    }
+
+    output += '\n💡 Schemas only describe what was captured. Review the contract, then check it against the live service:\n';
+    output += '   specjet validate <environment>\n';
+
+    return output;
+  }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function coerceParameterValue(value) {
+  switch (inferParameterSchema(value).type) {
+    case 'integer':
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 'true';
+    default:
+      return value;
+  }
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word)) return word.replace(/ies$/i, 'y');
+  if (/(ss|us)$/i.test(word)) return word;
+  return word.replace(/s$/i, '');
+}
+
+function toPascalCase(text) {
+  return text.split(/[^a-zA-Z0-9]+/).filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+function toCamelCase(text) {
+  const pascal = toPascalCase(text);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+export default ContractInferrer;
@@ -0,0 +1,425 @@
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+const COMPONENT_SECTIONS = ['schemas', 'parameters', 'responses', 'requestBodies', 'headers', 'examples'];
+const VALID_SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * Built-in lint rules and their default severities
+ * Override per project with `lint: { rules: { 'rule-name': 'off' | 'warn' | 'error' } }`
+ */
+const DEFAULT_RULES = {
+  'operation-id-missing': 'warn',
+  'operation-id-duplicate': 'error',
+  'error-responses-undocumented': 'warn',
+  'inline-schema': 'warn',
+  'description-missing': 'warn',
+  'path-casing': 'warn',
+  'unused-component': 'warn'
+};
+
+/**
+ * Lints an OpenAPI document for style and maintainability problems that
+ * are valid OpenAPI but produce poor generated code or documentation.
+ * Operates on the bundled (non-dereferenced) document so $ref usage is visible.
+ * @class ContractLinter
+ */
+class ContractLinter {
+  static DEFAULT_RULES = DEFAULT_RULES;
+  static VALID_SEVERITIES = VALID_SEVERITIES;
+
+  /**
+   * @param {Object} [ruleConfig={}] - Severity overrides keyed by rule name
+   */
+  constructor(ruleConfig = {}) {
+    this.rules = { ...DEFAULT_RULES, ...ruleConfig };
+  }
+
+  /**
+   * Lint an OpenAPI document
+   * @param {Object} api - Bundled OpenAPI document (internal $refs intact)
+   * @returns {Object} Lint report with issues and summary counts
+   * @example
+   * const api = await SwaggerParser.bundle('./api-contract.yaml');
+   * const report = new ContractLinter({ 'path-casing': 'off' }).lint(api);
+   */
+  lint(api) {
+    const issues = [];
+    const operations = this.collectOperations(api);
+
+    const checks = {
+      'operation-id-missing': () => this.checkMissingOperationIds(operations),
+      'operation-id-duplicate': () => this.checkDuplicateOperationIds(operations),
+      'error-responses-undocumented': () => this.checkErrorResponses(operations),
+      'inline-schema': () => this.checkInlineSchemas(operations),
+      'description-missing': () => this.checkDescriptions(operations),
+      'path-casing': () => this.checkPathCasing(api),
+      'unused-component': () => this.checkUnusedComponents(api)
+    };
+
+    for (const [rule, check] of Object.entries(checks)) {
+      const severity = this.rules[rule];
+      if (!severity || severity === 'off') continue;
+
+      for (const issue of check()) {
+        issues.push({ rule, severity, ...issue });
+      }
+    }
+
+    return this.createReport(issues);
+  }
+
+  /**
+   * Flatten paths into a list of operations
+   * @private
+   */
+  collectOperations(api) {
+    const operations = [];
+
+    for (const [path, pathItem] of Object.entries(api.paths || {})) {
+      for (const [method, operation] of Object.entries(pathItem || {})) {
+        if (!HTTP_METHODS.includes(method.toLowerCase())) continue;
+
+        operations.push({
+          path,
+          method: method.toUpperCase(),
+          location: `${method.toUpperCase()} ${path}`,
+          operation: operation || {},
+          pathParameters: pathItem.parameters || []
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Operations without an operationId get method names guessed from the path,
+   * which collide easily (PUT and PATCH both become updateX)
+   * @private
+   */
+  checkMissingOperationIds(operations) {
+    return operations
+      .filter(({ operation }) => !operation.operationId)
+      .map(({ location }) => ({
+        location,
+        message: `${location} has no operationId`,
+        suggestion: 'Add an operationId so the generated client method has a stable, readable name'
+      }));
+  }
+
+  /**
+   * @private
+   */
+  checkDuplicateOperationIds(operations) {
+    const seen = new Map();
+    const issues = [];
+
+    for (const { operation, location } of operations) {
+      const operationId = operation.operationId;
+      if (!operationId) continue;
+
+      if (seen.has(operationId)) {
+        issues.push({
+          location,
+          message: `operationId "${operationId}" is already used by ${seen.get(operationId)}`,
+          suggestion: 'operationIds must be unique; the generated client would contain two methods with the same name'
+        });
+      } else {
+        seen.set(operationId, location);
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  checkErrorResponses(operations) {
+    return operations
+      .filter(({ operation }) => {
+        const codes = Object.keys(operation.responses || {});
+        return !codes.some(code => code === 'default' || /^[45]/.test(code));
+      })
+      .map(({ location }) => ({
+        location,
+        message: `${location} documents no 4xx/5xx responses`,
+        suggestion: 'Document the error responses (e.g. 400, 404, 500) or add a "default" response'
+      }));
+  }
+
+  /**
+   * Object schemas defined inline in request/response bodies become anonymous
+   * types in the generated client instead of reusable named interfaces
+   * @private
+   */
+  checkInlineSchemas(operations) {
+    const issues = [];
+
+    for (const { operation, location } of operations) {
+      const requestContent = operation.requestBody?.content || {};
+      for (const [mediaType, media] of Object.entries(requestContent)) {
+        if (this.isInlineObjectSchema(media?.schema)) {
+          issues.push({
+            location,
+            message: `${location} request body (${mediaType}) uses an inline object schema`,
+            suggestion: 'Move the schema to components/schemas and reference it with $ref'
+          });
+        }
+      }
+
+      for (const [code, response] of Object.entries(operation.responses || {})) {
+        for (const [mediaType, media] of Object.entries(response?.content || {})) {
+          if (this.isInlineObjectSchema(media?.schema)) {
+            issues.push({
+              location,
+              message: `${location} response ${code} (${mediaType}) uses an inline object schema`,
+              suggestion: 'Move the schema to components/schemas and reference it with $ref'
+            });
+          }
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  isInlineObjectSchema(schema) {
+    if (!schema || schema.$ref) return false;
+
+    if (schema.type === 'array') {
+      return this.isInlineObjectSchema(schema.items);
+    }
+
+    return Boolean(schema.properties && Object.keys(schema.properties).length > 0);
+  }
+
+  /**
+   * @private
+   */
+  checkDescriptions(operations) {
+    const issues = [];
+
+    for (const { operation, location, pathParameters } of operations) {
+      if (!operation.summary && !operation.description) {
+        issues.push({
+          location,
+          message: `${location} has no summary or description`,
+          suggestion: 'Add a summary; it becomes the JSDoc comment on the generated client method'
+        });
+      }
+
+      for (const parameter of [...pathParameters, ...(operation.parameters || [])]) {
+        if (parameter.$ref || parameter.description) continue;
+
+        issues.push({
+          location,
+          message: `${location} parameter "${parameter.name}" (${parameter.in}) has no description`,
+          suggestion: 'Describe what the parameter does and which values it accepts'
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Detect the dominant casing style of static path segments and flag
+   * paths that deviate from it
+   * @private
+   */
+  checkPathCasing(api) {
+    const pathStyles = new Map();
+    const counts = {};
+
+    for (const path of Object.keys(api.paths || {})) {
+      const styles = new Set(
+        path.split('/')
+          .filter(segment => segment && !segment.startsWith('{'))
+          .map(segment => this.detectCasing(segment))
+          .filter(Boolean)
+      );
+      pathStyles.set(path, styles);
+      styles.forEach(style => { counts[style] = (counts[style] || 0) + 1; });
+    }
+
+    const dominant = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+    if (!dominant) return [];
+
+    const issues = [];
+    for (const [path, styles] of pathStyles) {
+      const offending = [...styles].filter(style => style !== dominant);
+      if (offending.length === 0) continue;
+
+      issues.push({
+        location: path,
+        message: `Path ${path} uses ${offending.join(', ')} segments while most paths use ${dominant}`,
+        suggestion: `Use ${dominant} consistently across all paths`
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Returns null for single lowercase words, which fit every style
+   * @private
+   */
+  detectCasing(segment) {
+    if (/^[a-z0-9]+$/.test(segment)) return null;
+    if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(segment)) return 'kebab-case';
+    if (/^[a-z0-9]+(_[a-z0-9]+)+$/.test(segment)) return 'snake_case';
+    if (/^[a-z][a-zA-Z0-9]*$/.test(segment)) return 'camelCase';
+    if (/^[A-Z][a-zA-Z0-9]*$/.test(segment)) return 'PascalCase';
+    return 'mixed case';
+  }
+
+  /**
+   * Components are "used" when reachable via $ref from anything outside
+   * components; components only referenced by other unused components
+   * are reported too
+   * @private
+   */
+  checkUnusedComponents(api) {
+    const components = api.components || {};
+    const used = new Set();
+    const pending = [];
+
+    const collectRefs = (node, visited = new Set()) => {
+      if (!node || typeof node !== 'object' || visited.has(node)) return;
+      visited.add(node);
+
+      if (typeof node.$ref === 'string' && node.$ref.startsWith('#/components/') && !used.has(node.$ref)) {
+        used.add(node.$ref);
+        pending.push(node.$ref);
+      }
+
+      for (const value of Object.values(node)) {
+        collectRefs(value, visited);
+      }
+    };
+
+    for (const [key, value] of Object.entries(api)) {
+      if (key !== 'components') collectRefs(value);
+    }
+
+    while (pending.length > 0) {
+      const [, , section, ...nameParts] = pending.pop().split('/');
+      collectRefs(components[section]?.[this.unescapePointer(nameParts.join('/'))]);
+    }
+
+    const issues = [];
+    for (const section of COMPONENT_SECTIONS) {
+      for (const name of Object.keys(components[section] || {})) {
+        const ref = `#/components/${section}/${this.escapePointer(name)}`;
+        if (used.has(ref)) continue;
+
+        issues.push({
+          location: `components.${section}.${name}`,
+          message: `Component ${section}/${name} is never referenced`,
+          suggestion: 'Reference it from an operation or remove it from the contract'
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  escapePointer(value) {
+    return value.replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * @private
+   */
+  unescapePointer(value) {
+    return value.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  /**
+   * @private
+   */
+  createReport(issues) {
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.filter(issue => issue.severity === 'warn').length;
+
+    return {
+      valid: errors === 0,
+      summary: { total: issues.length, errors, warnings },
+      issues
+    };
+  }
+
+  /**
+   * Format a lint report for console display
+   * @param {Object} report - Report returned by lint()
+   * @returns {string} Formatted console output
+   */
+  static formatConsoleOutput(report) {
+    let output = '\n🔍 Contract Lint Results\n';
+    output += '═'.repeat(50) + '\n';
+    output += `📊 Total: ${report.summary.total} | ❌ Errors: ${report.summary.errors}`;
+    output += ` | ⚠️  Warnings: ${report.summary.warnings}\n`;
+    output += '═'.repeat(50);
+
+    if (report.issues.length === 0) {
+      output += '\n\n✨ No lint issues found\n';
+      return output;
+    }
+
+    const byRule = {};
+    for (const issue of report.issues) {
+      (byRule[issue.rule] ||= []).push(issue);
+    }
+
+    for (const [rule, issues] of Object.entries(byRule)) {
+      output += `\n\n${rule}\n`;
+      for (const issue of issues) {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+        output += `   ${icon} ${issue.message}\n`;
+      }
+      for (const suggestion of new Set(issues.map(issue => issue.suggestion))) {
+        output += `      💡 ${suggestion}\n`;
+      }
+    }
+
+    output += '\n' + '═'.repeat(50) + '\n';
+    output += report.valid
+      ? '🎯 No lint errors\n'
+      : `❌ ${report.summary.errors} lint error${report.summary.errors === 1 ? '' : 's'} found\n`;
+
+    return output;
+  }
+
+  /**
+   * Format a lint report as JSON for CI/CD consumption
+   * @param {Object} report - Report returned by lint()
+   * @returns {string} JSON output
+   */
+  static formatJsonOutput(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Export a lint report in the specified format
+   * @param {Object} report - Report returned by lint()
+   * @param {string} [format='console'] - Output format: console or json
+   * @returns {string} Formatted output
+   */
+  static export(report, format = 'console') {
+    switch (format.toLowerCase()) {
+      case 'json':
+        return this.formatJsonOutput(report);
+      case 'console':
+      default:
+        return this.formatConsoleOutput(report);
+    }
+  }
+}
+
+export default ContractLinter;
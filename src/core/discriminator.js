@@ -0,0 +1,40 @@
+/**
+ * Discriminator value of each member of a oneOf or anyOf with a
+ * discriminator. Values come from discriminator.mapping; a member it does
+ * not list uses the const or single enum value of its own discriminator
+ * property or, as OpenAPI specifies, its component name.
+ * @param {Object} schema - Dereferenced schema
+ * @param {Map<Object, string>} [schemaNames] - Component schema to name, see ContractParser.createSchemaNames
+ * @returns {{propertyName: string, variants: Array<{schema: Object, name: string|null, values: Array, declared: boolean}>}|null}
+ *   Members in contract order, null when the schema has no discriminated union.
+ *   A member without any value has an empty list; declared is true when the
+ *   member's own property already restricts it to its value.
+ * @example
+ * getDiscriminatorVariants(contract.schemas.Pet, contract.schemaNames);
+ * // { propertyName: 'petType', variants: [{ schema: Dog, name: 'Dog', values: ['dog'], declared: false }, ...] }
+ */
+export function getDiscriminatorVariants(schema, schemaNames = new Map()) {
+  const members = schema?.oneOf || schema?.anyOf;
+  const propertyName = schema?.discriminator?.propertyName;
+  if (!Array.isArray(members) || !propertyName) return null;
+
+  // Mapping targets are references such as #/components/schemas/Dog or bare names
+  const mapping = Object.entries(schema.discriminator.mapping || {})
+    .map(([value, target]) => [value, String(target).split('/').pop()]);
+
+  const variants = members.map(member => {
+    const name = schemaNames.get(member) || null;
+    const mapped = mapping.filter(([, target]) => name && target === name).map(([value]) => value);
+    const property = member?.properties?.[propertyName];
+    const declaredValue = property?.const ?? (property?.enum?.length === 1 ? property.enum[0] : undefined);
+
+    if (mapped.length > 0) {
+      return { schema: member, name, values: mapped, declared: mapped.length === 1 && mapped[0] === declaredValue };
+    }
+    if (declaredValue !== undefined) return { schema: member, name, values: [declaredValue], declared: true };
+
+    return { schema: member, name, values: name ? [name] : [], declared: false };
+  });
+
+  return { propertyName, variants };
+}
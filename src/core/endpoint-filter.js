@@ -0,0 +1,162 @@
+import { SpecJetError } from './errors.js';
+
+const HTTP_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH', 'TRACE'];
+
+// Methods that do not change data on the server, the only ones validated
+// in read-only mode
+export const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Criteria an include or exclude filter can select endpoints by
+export const FILTER_KEYS = ['tags', 'paths', 'methods', 'operations'];
+
+/**
+ * Split a comma-separated option value into its entries
+ * @param {string|string[]} [value] - Option value or list
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+export function parseFilterList(value) {
+  if (value === undefined || value === null) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a filter object; methods are upper-cased
+ * @param {object} [filter] - { tags, paths, methods, operations }, lists or comma-separated strings
+ * @param {string} [source] - Where the filter comes from, e.g. --method, for error messages
+ * @returns {object} Filter with a list for every key
+ * @throws {SpecJetError} When a key or method is unknown
+ */
+export function normalizeFilter(filter = {}, source = null) {
+  const location = source ? ` in ${source}` : '';
+  const unknownKey = Object.keys(filter).find(key => !FILTER_KEYS.includes(key));
+  if (unknownKey) {
+    throw new SpecJetError(
+      `Unknown endpoint filter '${unknownKey}'${location}`,
+      'VALIDATE_FILTER_INVALID',
+      null,
+      [`Filter endpoints by ${FILTER_KEYS.join(', ')}`]
+    );
+  }
+
+  const normalized = {
+    tags: parseFilterList(filter.tags),
+    paths: parseFilterList(filter.paths),
+    methods: parseFilterList(filter.methods).map(method => method.toUpperCase()),
+    operations: parseFilterList(filter.operations)
+  };
+
+  const unknownMethod = normalized.methods.find(method => !HTTP_METHODS.includes(method));
+  if (unknownMethod) {
+    throw new SpecJetError(
+      `Unknown HTTP method '${unknownMethod}'${location}`,
+      'VALIDATE_FILTER_INVALID',
+      null,
+      [`Use one of ${HTTP_METHODS.join(', ')}`]
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Turn --exclude patterns into a filter. Patterns starting with "/" are path
+ * globs, HTTP method names exclude every endpoint with that method and
+ * anything else is an operationId.
+ * @param {string|string[]} [value] - Comma-separated patterns
+ * @returns {object} Exclude filter
+ * @example
+ * parseExcludePatterns('DELETE,/admin/**,resetDatabase');
+ * // { tags: [], paths: ['/admin/**'], methods: ['DELETE'], operations: ['resetDatabase'] }
+ */
+export function parseExcludePatterns(value) {
+  const filter = { tags: [], paths: [], methods: [], operations: [] };
+
+  for (const pattern of parseFilterList(value)) {
+    if (pattern.startsWith('/')) {
+      filter.paths.push(pattern);
+    } else if (HTTP_METHODS.includes(pattern.toUpperCase())) {
+      filter.methods.push(pattern.toUpperCase());
+    } else {
+      filter.operations.push(pattern);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Match a contract path against a glob. "*" matches within one path segment,
+ * "**" matches any number of segments and a trailing "/**" also matches the
+ * path it is appended to.
+ * @param {string} path - Contract path, e.g. /users/{id}
+ * @param {string} pattern - Glob, e.g. /users/* or /checkout/**
+ * @returns {boolean}
+ */
+export function matchesPathGlob(path, pattern) {
+  const source = pattern
+    .split(/(\/\*\*$|\*\*|\*)/)
+    .map(part => {
+      if (part === '/**') return '(?:/.*)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`).test(path);
+}
+
+/**
+ * Matches of an endpoint against each criterion that the filter sets
+ * @param {object} endpoint - Parsed endpoint with path, method, operationId and tags
+ * @param {object} filter - Normalized filter
+ * @returns {boolean[]} One entry per criterion in use
+ */
+function matchCriteria(endpoint, filter) {
+  const matches = [];
+
+  if (filter.tags.length > 0) {
+    matches.push((endpoint.tags || []).some(tag => filter.tags.includes(tag)));
+  }
+  if (filter.paths.length > 0) {
+    matches.push(filter.paths.some(pattern => matchesPathGlob(endpoint.path, pattern)));
+  }
+  if (filter.methods.length > 0) {
+    matches.push(filter.methods.includes(endpoint.method.toUpperCase()));
+  }
+  if (filter.operations.length > 0) {
+    matches.push(filter.operations.includes(endpoint.operationId));
+  }
+
+  return matches;
+}
+
+/**
+ * Whether a filter sets any criterion
+ * @param {object} filter - Normalized filter
+ * @returns {boolean}
+ */
+export function hasCriteria(filter) {
+  return FILTER_KEYS.some(key => filter[key].length > 0);
+}
+
+/**
+ * Select the endpoints to validate. An endpoint is kept when it matches
+ * every criterion of every include filter (any value of a criterion will
+ * do) and no criterion of any exclude filter.
+ * @param {Array} endpoints - Parsed contract endpoints
+ * @param {object} filters - { include: filter[], exclude: filter[] }, normalized
+ * @returns {Array} Selected endpoints, in contract order
+ * @example
+ * filterEndpoints(endpoints, {
+ *   include: [{ tags: ['checkout'], paths: [], methods: [], operations: [] }],
+ *   exclude: [{ tags: [], paths: [], methods: ['DELETE'], operations: [] }]
+ * });
+ */
+export function filterEndpoints(endpoints, { include = [], exclude = [] } = {}) {
+  return endpoints.filter(endpoint =>
+    include.every(filter => matchCriteria(endpoint, filter).every(Boolean)) &&
+    !exclude.some(filter => matchCriteria(endpoint, filter).some(Boolean))
+  );
+}
@@ -77,10 +77,10 @@ class HttpClient {
       delete requestHeaders['Content-Type'];
     }
 
-    // Prepare request body
+    // Prepare request body; encoded bodies (strings and buffers) are sent as they are
     let requestBody = null;
     if (body && ['POST', 'PUT', 'PATCH'].includes(method.toUpperCase())) {
-      if (typeof body === 'object') {
+      if (typeof body === 'object' && !Buffer.isBuffer(body)) {
         requestBody = JSON.stringify(body);
         requestHeaders['Content-Length'] = Buffer.byteLength(requestBody);
       } else {
@@ -0,0 +1,133 @@
+// How a body is encoded on the wire, derived from its media type
+export const BODY_KINDS = {
+  JSON: 'json',
+  FORM: 'form',
+  MULTIPART: 'multipart',
+  TEXT: 'text',
+  BINARY: 'binary'
+};
+
+/**
+ * Whether a media type carries JSON (application/json, application/problem+json, ...)
+ * @param {string} mediaType - Media type, parameters allowed
+ * @returns {boolean}
+ */
+export function isJsonMediaType(mediaType = '') {
+  const type = mediaType.split(';')[0].trim().toLowerCase();
+  return type === 'application/json' || type.endsWith('+json') || type === '*/*';
+}
+
+/**
+ * Body kind of a media type
+ * @param {string} mediaType - Media type, parameters allowed
+ * @returns {string} One of BODY_KINDS
+ * @example
+ * getBodyKind('multipart/form-data'); // 'multipart'
+ * getBodyKind('text/csv; charset=utf-8'); // 'text'
+ */
+export function getBodyKind(mediaType = '') {
+  const type = mediaType.split(';')[0].trim().toLowerCase();
+
+  if (isJsonMediaType(type)) return BODY_KINDS.JSON;
+  if (type === 'application/x-www-form-urlencoded') return BODY_KINDS.FORM;
+  if (type.startsWith('multipart/')) return BODY_KINDS.MULTIPART;
+  if (type.startsWith('text/') || type.endsWith('+xml') || ['application/xml', 'application/yaml', 'application/javascript'].includes(type)) {
+    return BODY_KINDS.TEXT;
+  }
+  return BODY_KINDS.BINARY;
+}
+
+/**
+ * Pick the media type code generation and mocking use for a content map:
+ * application/json, then any other JSON type, then the first declared one
+ * @param {Object} content - OpenAPI content map (media type -> media type object)
+ * @returns {string|null} Media type, or null when the content map is empty
+ */
+export function selectMediaType(content = {}) {
+  const mediaTypes = Object.keys(content);
+
+  return mediaTypes.find(type => type.toLowerCase() === 'application/json') ||
+    mediaTypes.find(type => isJsonMediaType(type)) ||
+    mediaTypes[0] ||
+    null;
+}
+
+/**
+ * Find the declared media type a request or response content type matches,
+ * honouring wildcards such as image/* and *\/*
+ * @param {string[]} declaredTypes - Media types declared in the contract
+ * @param {string} mediaType - Actual Content-Type, parameters allowed
+ * @returns {string|null} Matching declared media type, or null
+ * @example
+ * matchMediaType(['application/json', 'image/*'], 'image/png'); // 'image/*'
+ */
+export function matchMediaType(declaredTypes, mediaType = '') {
+  const [type, subtype] = mediaType.split(';')[0].trim().toLowerCase().split('/');
+  if (!type || !subtype) return null;
+
+  const matches = (declared) => {
+    const [declaredType, declaredSubtype] = declared.split(';')[0].trim().toLowerCase().split('/');
+    return (declaredType === '*' || declaredType === type) && (declaredSubtype === '*' || declaredSubtype === subtype);
+  };
+
+  // Exact matches win over wildcards
+  return declaredTypes.find(declared => declared.split(';')[0].trim().toLowerCase() === `${type}/${subtype}`) ||
+    declaredTypes.find(matches) ||
+    null;
+}
+
+// Boundary of multipart request bodies sent by `specjet validate`
+export const MULTIPART_BOUNDARY = 'specjet-form-boundary';
+
+/**
+ * Encode a request body for its media type, the way a client would send it:
+ * JSON stays an object for the HTTP client to serialize, forms are URL
+ * encoded, multipart bodies get one part per property (file parts for
+ * binary properties), text is sent as is and other types as bytes
+ * @param {*} data - Body value, e.g. sample data generated from the schema
+ * @param {string} mediaType - Declared media type
+ * @param {Object} [schema] - Body schema, to find binary multipart properties
+ * @returns {{body: *, contentType: string}} Body and the Content-Type to send with it
+ * @example
+ * encodeRequestBody({ name: 'Rex', tags: ['a', 'b'] }, 'application/x-www-form-urlencoded');
+ * // { body: 'name=Rex&tags=a&tags=b', contentType: 'application/x-www-form-urlencoded' }
+ */
+export function encodeRequestBody(data, mediaType, schema = null) {
+  const kind = getBodyKind(mediaType);
+  // Wildcards such as image/* cannot be sent as a Content-Type
+  const contentType = mediaType.includes('*') ? 'application/octet-stream' : mediaType;
+  const fieldValue = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''));
+  const fields = Object.entries(data !== null && typeof data === 'object' ? data : {})
+    .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => [name, item]));
+
+  switch (kind) {
+    case BODY_KINDS.JSON:
+      return { body: data, contentType };
+
+    case BODY_KINDS.FORM:
+      return {
+        body: fields.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(fieldValue(value))}`).join('&'),
+        contentType
+      };
+
+    case BODY_KINDS.MULTIPART: {
+      const isBinary = propSchema => propSchema?.format === 'binary' || propSchema?.items?.format === 'binary';
+      const parts = fields.map(([name, value]) => {
+        const disposition = `Content-Disposition: form-data; name="${name}"`;
+        return isBinary(schema?.properties?.[name])
+          ? `${disposition}; filename="${name}"\r\nContent-Type: application/octet-stream\r\n\r\n${fieldValue(value)}`
+          : `${disposition}\r\n\r\n${fieldValue(value)}`;
+      });
+      return {
+        body: `${parts.map(part => `--${MULTIPART_BOUNDARY}\r\n${part}\r\n`).join('')}--${MULTIPART_BOUNDARY}--\r\n`,
+        contentType: `multipart/form-data; boundary=${MULTIPART_BOUNDARY}`
+      };
+    }
+
+    case BODY_KINDS.TEXT:
+      return { body: typeof data === 'string' ? data : fieldValue(data), contentType };
+
+    default:
+      return { body: Buffer.from(typeof data === 'string' ? data : ''), contentType };
+  }
+}
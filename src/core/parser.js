@@ -1,4 +1,5 @@
 import SwaggerParser from '@apidevtools/swagger-parser';
+import { selectMediaType } from './media-types.js';
 
 // Constants for large schema optimization
 const LARGE_SCHEMA_THRESHOLD = 100;
@@ -8,6 +9,10 @@ const MAX_ENDPOINT_COUNT = 500;
 /**
  * OpenAPI contract parser with validation and optimization features
  * Handles parsing, dereferencing, validation, and extraction of OpenAPI 3.x contracts
+ * Dereferencing keeps reference identity: every use of a component schema is
+ * that same object, and recursive schemas become object cycles. `schemaNames`
+ * maps those objects back to their component names, and `bundled` keeps the
+ * document with its internal $refs.
  * Supports OpenAPI 3.0.x and 3.1.x specifications (3.2.0+ pending library support)
  * Provides performance optimizations and helpful feedback for large schemas
  * @class ContractParser
@@ -17,7 +22,7 @@ class ContractParser {
    * Parse and validate an OpenAPI contract file
    * Resolves all $ref pointers and extracts schemas and endpoints
    * @param {string} filePath - Path to the OpenAPI contract file (YAML or JSON)
-   * @returns {Promise<Object>} Parsed contract with schemas and endpoints
+   * @returns {Promise<Object>} Parsed contract with schemas, schemaNames, endpoints and the bundled document
    * @throws {Error} When parsing, validation, or resolution fails
    * @example
    * const parser = new ContractParser();
@@ -26,18 +31,20 @@ class ContractParser {
    */
   async parseContract(filePath) {
     try {
-      // Use dereference to resolve all $ref pointers
-      const api = await SwaggerParser.dereference(filePath);
-
-      // Validate the resolved API
-      await SwaggerParser.validate(api);
+      const bundled = await this.bundleContract(filePath);
+      // Dereference a copy: $refs are resolved in place
+      const api = await SwaggerParser.dereference(JSON.parse(JSON.stringify(bundled)));
 
+      const schemas = this.extractSchemas(api);
       const parsed = {
         info: api.info,
         paths: api.paths,
         components: api.components,
-        schemas: this.extractSchemas(api),
+        schemas,
+        schemaNames: ContractParser.createSchemaNames(schemas),
+        securitySchemes: api.components?.securitySchemes || {},
         endpoints: this.extractEndpoints(api),
+        bundled,
         openapi: api.openapi // Track version for feature support
       };
 
@@ -49,6 +56,38 @@ class ContractParser {
     }
   }
 
+  /**
+   * Bundle a contract split over several files into one document and
+   * validate it. Referenced files are inlined, and every other $ref to them
+   * points to the inlined copy, so the document only has internal $refs.
+   * @param {string} filePath - Path to the root contract file
+   * @returns {Promise<Object>} Bundled OpenAPI document
+   * @throws {Error} When a file cannot be read, parsed or resolved, or the contract is invalid
+   */
+  async bundleContract(filePath) {
+    const bundled = await SwaggerParser.bundle(filePath);
+
+    // Validate a copy: validation dereferences in place, which overflows on
+    // recursive schemas
+    await SwaggerParser.validate(JSON.parse(JSON.stringify(bundled)));
+    return bundled;
+  }
+
+  /**
+   * Find every file a contract consists of: the root file and all files
+   * reachable through $refs
+   * @param {string} filePath - Path to the root contract file
+   * @returns {Promise<string[]>} Absolute file paths, root file first
+   * @throws {Error} When a file cannot be read, parsed or resolved
+   * @example
+   * await ContractParser.findContractFiles('api.yaml');
+   * // ['/app/api.yaml', '/app/paths/users.yaml', '/app/schemas/User.yaml']
+   */
+  static async findContractFiles(filePath) {
+    const $refs = await SwaggerParser.resolve(filePath);
+    return $refs.paths('file');
+  }
+
   /**
    * Handle parsing errors with helpful error messages
    * @private
@@ -133,6 +172,28 @@ class ContractParser {
     return contract.components?.schemas || {};
   }
   
+  /**
+   * Map dereferenced component schema objects to their names. A component
+   * that is only a $ref to another component is the same object, so the
+   * first name wins.
+   * @param {Object} schemas - Component schemas (dereferenced)
+   * @returns {Map<Object, string>} Schema object to component name
+   * @example
+   * const names = ContractParser.createSchemaNames(contract.schemas);
+   * names.get(contract.schemas.Product.properties.shipFrom); // 'Address'
+   */
+  static createSchemaNames(schemas = {}) {
+    const names = new Map();
+
+    for (const [name, schema] of Object.entries(schemas)) {
+      if (schema && typeof schema === 'object' && !names.has(schema)) {
+        names.set(schema, name);
+      }
+    }
+
+    return names;
+  }
+
   /**
    * Extract endpoint definitions from OpenAPI paths
    * @private
@@ -159,6 +220,8 @@ class ContractParser {
           parameters: this.extractParameters(spec.parameters || []),
           requestBody: this.extractRequestBody(spec.requestBody),
           responses: this.extractResponses(spec.responses || {}),
+          // Operation-level security overrides the top-level default; [] means public
+          security: spec.security || contract.security || [],
           spec // Keep original spec for reference
         };
 
@@ -187,6 +250,8 @@ class ContractParser {
 
   /**
    * Extract request body schema from OpenAPI definition
+   * `contentType` and `schema` describe the preferred media type (JSON when
+   * declared); `content` keeps every declared media type
    * @private
    * @param {Object} requestBody - OpenAPI request body definition
    * @returns {Object|null} Normalized request body object or null
@@ -194,18 +259,33 @@ class ContractParser {
   extractRequestBody(requestBody) {
     if (!requestBody) return null;
 
-    const content = requestBody.content || {};
-    const jsonContent = content['application/json'];
+    const content = this.extractContent(requestBody.content);
+    const contentType = selectMediaType(content);
     
-    if (!jsonContent?.schema) return null;
+    if (!contentType) return null;
 
     return {
       required: requestBody.required || false,
-      schema: jsonContent.schema,
+      contentType,
+      schema: content[contentType].schema,
+      content,
       description: requestBody.description
     };
   }
 
+  /**
+   * Normalize a content map to media type -> { schema, encoding, example, examples }
+   * @private
+   * @param {Object} [content={}] - OpenAPI content map
+   * @returns {Object} Normalized content map
+   */
+  extractContent(content = {}) {
+    return Object.fromEntries(Object.entries(content).map(([mediaType, media]) => [
+      mediaType,
+      { schema: media?.schema || null, encoding: media?.encoding, example: media?.example, examples: media?.examples }
+    ]));
+  }
+
   /**
    * Extract response schemas from OpenAPI definition
    * @private
@@ -216,12 +296,14 @@ class ContractParser {
     const extractedResponses = {};
 
     for (const [statusCode, response] of Object.entries(responses)) {
-      const content = response.content || {};
-      const jsonContent = content['application/json'];
+      const content = this.extractContent(response.content);
+      const contentType = selectMediaType(content);
 
       extractedResponses[statusCode] = {
         description: response.description,
-        schema: jsonContent?.schema || null,
+        contentType,
+        schema: contentType ? content[contentType].schema : null,
+        content,
         headers: response.headers || {}
       };
     }
@@ -1,3 +1,5 @@
+import ValidationResults from './validation-results.js';
+
 /**
  * Aggregates and analyzes validation results
  * Provides statistics and insights about validation outcomes
@@ -298,10 +300,11 @@ class ValidationResultsAggregator {
 
   /**
    * Export results to different formats
-   * @param {string} format - Export format ('json', 'csv', 'summary')
+   * @param {string} format - Export format ('json', 'csv', 'summary', 'junit', 'sarif', 'html')
+   * @param {object} options - Report options passed to the junit, sarif and html formatters
    * @returns {string} Formatted export data
    */
-  export(format = 'json') {
+  export(format = 'json', options = {}) {
     switch (format.toLowerCase()) {
       case 'json':
         return JSON.stringify({
@@ -316,6 +319,11 @@ class ValidationResultsAggregator {
       case 'summary':
         return this.exportSummary();
 
+      case 'junit':
+      case 'sarif':
+      case 'html':
+        return ValidationResults.export(this.results, format, options);
+
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
@@ -0,0 +1,153 @@
+const STRING_FORMATS = [
+  ['date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/],
+  ['date', /^\d{4}-\d{2}-\d{2}$/],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uri', /^https?:\/\/\S+$/]
+];
+
+/**
+ * Infer an OpenAPI 3.1 schema from an example value, such as a saved
+ * response body. Properties are not marked required: one example cannot
+ * tell which fields are optional.
+ * @param {*} value - Parsed JSON value
+ * @returns {Object} JSON Schema
+ * @example
+ * inferSchema({ id: 1, email: 'ada@example.com' });
+ * // { type: 'object', properties: { id: { type: 'integer' }, email: { type: 'string', format: 'email' } } }
+ */
+export function inferSchema(value) {
+  if (value === null || value === undefined) {
+    return { type: 'null' };
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.filter(item => item !== null && item !== undefined);
+    return items.length > 0 ? { type: 'array', items: inferSchema(items[0]) } : { type: 'array', items: {} };
+  }
+
+  switch (typeof value) {
+    case 'object':
+      return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(value).map(([key, child]) => [key, inferSchema(child)]))
+      };
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    default: {
+      const format = STRING_FORMATS.find(([, pattern]) => pattern.test(value))?.[0];
+      return format ? { type: 'string', format } : { type: 'string' };
+    }
+  }
+}
+
+/**
+ * Infer the schema of a string parameter value (query, path or header):
+ * integers, numbers and booleans are recognised, everything else is a string
+ * @param {string} value - Raw parameter value
+ * @returns {Object} JSON Schema
+ */
+export function inferParameterSchema(value) {
+  const text = String(value ?? '');
+
+  if (/^-?\d+$/.test(text)) return { type: 'integer' };
+  if (/^-?\d*\.\d+$/.test(text)) return { type: 'number' };
+  if (text === 'true' || text === 'false') return { type: 'boolean' };
+  return inferSchema(text);
+}
+
+/**
+ * Infer one schema from several observed values of the same thing, such as
+ * the response bodies of repeated requests or the items of an array. Types
+ * seen across the samples are merged (integer and number become number, a
+ * value that is sometimes null becomes nullable), and object properties
+ * present in every one of at least two observed objects are marked required.
+ * @param {Array<*>} values - Parsed JSON values
+ * @returns {Object} JSON Schema
+ * @example
+ * inferSchemaFromSamples([{ id: 1, note: null }, { id: 2, note: 'hi' }, { id: 3 }]);
+ * // { type: 'object', properties: { id: { type: 'integer' }, note: { type: ['string', 'null'] } }, required: ['id'] }
+ */
+export function inferSchemaFromSamples(values) {
+  const byType = new Map();
+  for (const value of values) {
+    const type = getValueType(value);
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(value);
+  }
+
+  // An integer that is sometimes a fraction is a number
+  if (byType.has('integer') && byType.has('number')) {
+    byType.set('number', [...byType.get('number'), ...byType.get('integer')]);
+    byType.delete('integer');
+  }
+
+  const nullable = byType.delete('null');
+  const schemas = [...byType.entries()].map(([type, samples]) => inferTypedSchema(type, samples));
+
+  if (schemas.length === 0) {
+    return values.length > 0 ? { type: 'null' } : {};
+  }
+  if (schemas.length === 1) {
+    const [schema] = schemas;
+    return nullable ? { ...schema, type: [schema.type, 'null'] } : schema;
+  }
+  if (schemas.every(schema => !['object', 'array'].includes(schema.type))) {
+    return { type: [...schemas.map(schema => schema.type), ...(nullable ? ['null'] : [])] };
+  }
+  return { anyOf: [...schemas, ...(nullable ? [{ type: 'null' }] : [])] };
+}
+
+/**
+ * Infer the schema of a parameter from several observed string values
+ * @param {string[]} values - Raw parameter values
+ * @returns {Object} JSON Schema; string when the values disagree on a type
+ */
+export function inferParameterSchemaFromSamples(values) {
+  const schemas = values.map(inferParameterSchema);
+  const types = new Set(schemas.map(schema => schema.type));
+
+  if (types.size === 2 && types.has('integer') && types.has('number')) {
+    return { type: 'number' };
+  }
+  if (types.size > 1) {
+    return { type: 'string' };
+  }
+
+  const formats = new Set(schemas.map(schema => schema.format));
+  return formats.size === 1 ? schemas[0] : { type: schemas[0]?.type || 'string' };
+}
+
+function getValueType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function inferTypedSchema(type, samples) {
+  switch (type) {
+    case 'object': {
+      const keys = [...new Set(samples.flatMap(sample => Object.keys(sample)))];
+      const properties = Object.fromEntries(keys.map(key => [
+        key,
+        inferSchemaFromSamples(samples.filter(sample => key in sample).map(sample => sample[key]))
+      ]));
+      // A single object cannot tell which of its properties are optional
+      const required = samples.length > 1 ? keys.filter(key => samples.every(sample => key in sample)) : [];
+
+      return required.length > 0 ? { type, properties, required } : { type, properties };
+    }
+    case 'array':
+      return { type, items: inferSchemaFromSamples(samples.flat()) };
+    case 'string': {
+      const formats = new Set(samples.map(sample => inferSchema(sample).format));
+      const [format] = formats;
+      return formats.size === 1 && format ? { type, format } : { type };
+    }
+    default:
+      return { type };
+  }
+}
@@ -1,10 +1,12 @@
-import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
 import addFormats from 'ajv-formats';
 import ValidationResults from './validation-results.js';
 
 class SchemaValidator {
   constructor() {
-    this.ajv = new Ajv({
+    // JSON Schema 2020-12, the dialect of OpenAPI 3.1, which also covers the
+    // schema subset of OpenAPI 3.0
+    this.ajv = new Ajv2020({
       allErrors: true,
       verbose: true,
       strict: false,
@@ -16,11 +18,14 @@ class SchemaValidator {
 
     // Add custom keywords for OpenAPI extensions
     this.addCustomKeywords();
+
+    // Acyclic copies of recursive schemas, so each is converted and compiled once
+    this.acyclicSchemas = new WeakMap();
   }
 
   async validateResponse(data, schema) {
     try {
-      const validate = this.ajv.compile(schema);
+      const validate = this.ajv.compile(this.toAcyclicSchema(schema));
       const isValid = validate(data);
 
       if (isValid) {
@@ -104,6 +109,18 @@ class SchemaValidator {
           }
         );
 
+      case 'const':
+        return ValidationResults.createIssue(
+          'enum_violation',
+          fieldName,
+          `Field '${fieldName}' must be ${JSON.stringify(error.params.allowedValue)}`,
+          {
+            allowedValues: [error.params.allowedValue],
+            actualValue: this.getFieldValue(data, fieldPath),
+            fieldPath: fieldPath
+          }
+        );
+
       case 'minimum':
       case 'maximum':
       case 'exclusiveMinimum':
@@ -254,6 +271,16 @@ class SchemaValidator {
       return schema.default;
     }
 
+    if (schema.const !== undefined) {
+      return schema.const;
+    }
+
+    // A type list (OpenAPI 3.1) generates its first non-null type
+    if (Array.isArray(schema.type)) {
+      const type = schema.type.find(candidate => candidate !== 'null') ?? 'null';
+      return this.generateValueFromSchema({ ...schema, type }, depth);
+    }
+
     // Generate based on type
     switch (schema.type) {
       case 'object':
@@ -280,7 +307,7 @@ class SchemaValidator {
         if (schema.properties) {
           return this.generateObjectValue(schema, depth);
         }
-        if (schema.items) {
+        if (schema.items || schema.prefixItems) {
           return this.generateArrayValue(schema, depth);
         }
         return null;
@@ -315,6 +342,11 @@ class SchemaValidator {
   }
 
   generateArrayValue(schema, depth) {
+    // Tuples get one value per position
+    if (schema.prefixItems) {
+      return schema.prefixItems.map(itemSchema => this.generateValueFromSchema(itemSchema, depth + 1));
+    }
+
     if (!schema.items) {
       return [];
     }
@@ -430,9 +462,67 @@ class SchemaValidator {
     // We don't need to explicitly add them as they should be handled gracefully
   }
 
+  /**
+   * Recursive schemas reach the validator as object cycles, which Ajv cannot
+   * compile. Every schema that contains itself is moved into definitions and
+   * referenced with $ref.
+   * @param {Object} schema - Dereferenced schema
+   * @returns {Object} The schema itself when it has no cycles, otherwise an acyclic copy
+   */
+  toAcyclicSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (this.acyclicSchemas.has(schema)) return this.acyclicSchemas.get(schema);
+
+    // Depth-first search: a node met again while it is still on the path is recursive
+    const recursive = new Set();
+    const inPath = new Set();
+    const visited = new Set();
+    const findCycles = node => {
+      if (!node || typeof node !== 'object') return;
+      if (inPath.has(node)) {
+        recursive.add(node);
+        return;
+      }
+      if (visited.has(node)) return;
+
+      visited.add(node);
+      inPath.add(node);
+      Object.values(node).forEach(findCycles);
+      inPath.delete(node);
+    };
+    findCycles(schema);
+
+    if (recursive.size === 0) {
+      this.acyclicSchemas.set(schema, schema);
+      return schema;
+    }
+
+    const definitions = {};
+    const ids = new Map();
+    const copy = (node, isDefinition = false) => {
+      if (!node || typeof node !== 'object') return node;
+
+      if (recursive.has(node) && !isDefinition) {
+        if (!ids.has(node)) {
+          const id = `schema${ids.size}`;
+          ids.set(node, id);
+          definitions[id] = copy(node, true);
+        }
+        return { $ref: `#/definitions/${ids.get(node)}` };
+      }
+
+      if (Array.isArray(node)) return node.map(item => copy(item));
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, copy(value)]));
+    };
+
+    const acyclic = { ...copy(schema, true), definitions };
+    this.acyclicSchemas.set(schema, acyclic);
+    return acyclic;
+  }
+
   isValidSchema(schema) {
     try {
-      this.ajv.compile(schema);
+      this.ajv.compile(this.toAcyclicSchema(schema));
       return true;
     } catch {
       return false;
@@ -441,7 +531,7 @@ class SchemaValidator {
 
   getSchemaErrors(schema) {
     try {
-      this.ajv.compile(schema);
+      this.ajv.compile(this.toAcyclicSchema(schema));
       return [];
     } catch (error) {
       return [error.message];
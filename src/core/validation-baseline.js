@@ -0,0 +1,218 @@
+import fs from 'fs-extra';
+import { SpecJetError } from './errors.js';
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Records the issues an API currently has so later validations can fail on
+ * new issues only. Issues are keyed by endpoint, method, issue type and
+ * field; messages are kept for readability but never compared, because
+ * they contain actual values that change between runs.
+ * @class ValidationBaseline
+ */
+class ValidationBaseline {
+  /**
+   * Key identifying an issue across validation runs
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path from the contract
+   * @param {object} issue - Issue with type and field
+   * @returns {string} Issue key
+   */
+  static createIssueKey(method, endpoint, issue) {
+    return [method.toUpperCase(), endpoint, issue.type, this.normalizeField(issue.field) ?? ''].join(' ');
+  }
+
+  /**
+   * Field with array indices replaced by *, so an issue in a list is the
+   * same issue whichever item has it (/items/3/name and /items/7/name share a key)
+   * @param {string|null} [field] - Issue field, possibly a JSON pointer
+   * @returns {string|null} Normalized field
+   */
+  static normalizeField(field) {
+    if (typeof field !== 'string') return field ?? null;
+    return field.replace(/(^|\/)\d+(?=\/|$)/g, '$1*').replace(/\[\d+\]/g, '[*]');
+  }
+
+  /**
+   * Build a baseline document from validation results
+   * @param {Array} results - Validation results
+   * @param {object} [metadata] - Extra fields to record, e.g. { environment }
+   * @returns {object} Baseline document
+   */
+  static create(results, metadata = {}) {
+    const issues = new Map();
+
+    for (const result of results) {
+      for (const issue of result.issues) {
+        const key = this.createIssueKey(result.method, result.endpoint, issue);
+        if (!issues.has(key)) {
+          issues.set(key, {
+            method: result.method.toUpperCase(),
+            endpoint: result.endpoint,
+            type: issue.type,
+            field: this.normalizeField(issue.field),
+            message: issue.message
+          });
+        }
+      }
+    }
+
+    return {
+      version: BASELINE_VERSION,
+      createdAt: new Date().toISOString(),
+      ...metadata,
+      issues: [...issues.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, issue]) => issue)
+    };
+  }
+
+  /**
+   * Write a baseline of the current issues
+   * @param {Array} results - Validation results
+   * @param {string} filePath - Baseline file
+   * @param {object} [metadata] - Extra fields to record
+   * @returns {Promise<object>} The saved baseline
+   * @throws {SpecJetError} When the file cannot be written
+   */
+  static async save(results, filePath, metadata = {}) {
+    const baseline = this.create(results, metadata);
+
+    try {
+      await fs.outputFile(filePath, `${JSON.stringify(baseline, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      throw new SpecJetError(
+        `Could not write the baseline to ${filePath}`,
+        'BASELINE_WRITE_ERROR',
+        error,
+        ['Check that the directory is writable']
+      );
+    }
+
+    return baseline;
+  }
+
+  /**
+   * Read a baseline written by save()
+   * @param {string} filePath - Baseline file
+   * @returns {Promise<object>} Baseline document
+   * @throws {SpecJetError} When the file is missing or is not a baseline
+   */
+  static async load(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new SpecJetError(
+        `Baseline not found: ${filePath}`,
+        'BASELINE_NOT_FOUND',
+        null,
+        ['Record one first: specjet validate <environment> --save-baseline <file>']
+      );
+    }
+
+    let baseline;
+    try {
+      baseline = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new SpecJetError(
+        `Could not parse the baseline ${filePath}: ${error.message}`,
+        'BASELINE_INVALID',
+        error,
+        ['Record it again with --save-baseline']
+      );
+    }
+
+    if (!Array.isArray(baseline?.issues)) {
+      throw new SpecJetError(
+        `${filePath} is not a SpecJet validation baseline`,
+        'BASELINE_INVALID',
+        null,
+        ['Record it again with --save-baseline']
+      );
+    }
+
+    return baseline;
+  }
+
+  /**
+   * Compare validation results with a baseline. Issues in the baseline are
+   * marked known and no longer fail their endpoint; baseline issues of
+   * validated endpoints that did not occur again are reported as fixed.
+   * Endpoints that were not validated in this run are left out of the
+   * comparison.
+   * @param {Array} results - Validation results
+   * @param {object} baseline - Baseline document
+   * @returns {{results: Array, newIssues: Array, knownIssues: Array, fixedIssues: Array}}
+   */
+  static compare(results, baseline) {
+    const baselineKeys = new Set(baseline.issues.map(issue =>
+      this.createIssueKey(issue.method, issue.endpoint, issue)));
+    const currentKeys = new Set();
+    const validated = new Set();
+    const newIssues = [];
+    const knownIssues = [];
+
+    const comparedResults = results.map(result => {
+      validated.add(`${result.method.toUpperCase()} ${result.endpoint}`);
+
+      const issues = result.issues.map(issue => {
+        const key = this.createIssueKey(result.method, result.endpoint, issue);
+        const known = baselineKeys.has(key);
+        const entry = { method: result.method.toUpperCase(), endpoint: result.endpoint, issue };
+
+        currentKeys.add(key);
+        (known ? knownIssues : newIssues).push(entry);
+        return { ...issue, baseline: known ? 'known' : 'new' };
+      });
+
+      return {
+        ...result,
+        success: result.success || (issues.length > 0 && issues.every(issue => issue.baseline === 'known')),
+        issues
+      };
+    });
+
+    const fixedIssues = baseline.issues.filter(issue =>
+      validated.has(`${issue.method.toUpperCase()} ${issue.endpoint}`) &&
+      !currentKeys.has(this.createIssueKey(issue.method, issue.endpoint, issue)));
+
+    return { results: comparedResults, newIssues, knownIssues, fixedIssues };
+  }
+
+  /**
+   * Format a baseline comparison for console display
+   * @param {object} comparison - Result of compare()
+   * @param {string} baselinePath - Baseline file, for display
+   * @returns {string} Formatted console output
+   */
+  static formatConsoleOutput(comparison, baselinePath) {
+    const { newIssues, knownIssues, fixedIssues } = comparison;
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+    let output = `\n📌 Compared with baseline ${baselinePath}\n`;
+
+    if (newIssues.length > 0) {
+      output += `\n🆕 ${plural(newIssues.length, 'new issue')}:\n`;
+      for (const { method, endpoint, issue } of newIssues) {
+        output += `   • ${method} ${endpoint}: ${issue.field ? `${issue.field}: ` : ''}${issue.message}\n`;
+      }
+    }
+
+    if (fixedIssues.length > 0) {
+      output += `\n✅ ${plural(fixedIssues.length, 'fixed issue')} (run with --save-baseline to remove ${fixedIssues.length === 1 ? 'it' : 'them'} from the baseline):\n`;
+      for (const issue of fixedIssues) {
+        output += `   • ${issue.method} ${issue.endpoint}: ${issue.type}${issue.field ? ` (${issue.field})` : ''}\n`;
+      }
+    }
+
+    if (knownIssues.length > 0) {
+      output += `\n⏸️  ${plural(knownIssues.length, 'known issue')} from the baseline ignored\n`;
+    }
+
+    output += newIssues.length > 0
+      ? '\n❌ New issues found since the baseline\n'
+      : '\n🎯 No new issues since the baseline\n';
+
+    return output;
+  }
+}
+
+export default ValidationBaseline;
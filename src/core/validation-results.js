@@ -191,7 +191,8 @@ class ValidationResults {
       for (const issue of result.issues) {
         const severityIcon = this.getSeverityIcon(issue.severity);
         const issueText = issue.field ? `${issue.field}: ${issue.message}` : issue.message;
-        output += `   ${severityIcon} ${issueText}\n`;
+        const baselineText = issue.baseline === 'known' ? ' (baseline)' : '';
+        output += `   ${severityIcon} ${issueText}${baselineText}\n`;
 
         if (verbose && issue.details && Object.keys(issue.details).length > 0) {
           for (const [key, value] of Object.entries(issue.details)) {
@@ -369,6 +370,28 @@ class ValidationResults {
     return emojis[type] || '⚠️';
   }
 
+  static getDescriptionForIssueType(type) {
+    const descriptions = {
+      missing_field: 'A required response field is missing',
+      type_mismatch: 'A response field has the wrong type',
+      endpoint_not_found: 'The endpoint does not exist on the server',
+      network_error: 'The request could not be completed',
+      validation_failed: 'The endpoint could not be validated',
+      unexpected_status_code: 'The response status code is not documented in the contract',
+      unexpected_field: 'The response contains a field the contract does not allow',
+      missing_header: 'A documented response header is missing',
+      format_mismatch: 'A response field does not match its format',
+      enum_violation: 'A response field is not one of its allowed values',
+      range_violation: 'A response number is outside its allowed range',
+      length_violation: 'A response string is outside its allowed length',
+      pattern_violation: 'A response string does not match its pattern',
+      array_length_violation: 'A response array is outside its allowed length',
+      schema_violation: 'The response does not match its schema',
+      schema_compilation_error: 'The response schema in the contract could not be compiled'
+    };
+    return descriptions[type] || `Validation issue: ${type}`;
+  }
+
   static formatDuration(ms) {
     if (!ms || ms < 1000) {
       return `${Math.round(ms || 0)}ms`;
@@ -376,6 +399,214 @@ class ValidationResults {
     return `${(ms / 1000).toFixed(1)}s`;
   }
 
+  /**
+   * JUnit XML report: one test case per validated endpoint. Requests that
+   * could not be made are reported as errors, contract violations as failures.
+   * @param {Array} results - Validation results
+   * @param {object} options - Report options (title, environment)
+   * @returns {string} JUnit XML document
+   */
+  static formatJUnitReport(results, options = {}) {
+    const { title = 'API Validation', environment = null } = options;
+    const stats = this.getResultsStats(results);
+    const suiteName = environment ? `${title}: ${environment}` : title;
+    const errors = results.filter(result => this.isRequestError(result)).length;
+    const time = this.toSeconds(results.reduce((total, result) => total + (result.metadata?.responseTime || 0), 0));
+
+    let output = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    output += `<testsuites name="${this.escapeXml(title)}" tests="${stats.total}" failures="${stats.failed - errors}" errors="${errors}" time="${time}">\n`;
+    output += `  <testsuite name="${this.escapeXml(suiteName)}" tests="${stats.total}" failures="${stats.failed - errors}" errors="${errors}" skipped="0" time="${time}" timestamp="${new Date().toISOString()}">\n`;
+
+    for (const result of results) {
+      const name = `${result.method} ${result.endpoint}`;
+      const caseTime = this.toSeconds(result.metadata?.responseTime || 0);
+      output += `    <testcase classname="${this.escapeXml(result.endpoint)}" name="${this.escapeXml(name)}" time="${caseTime}">\n`;
+
+      const issueLines = result.issues.map(issue => this.formatIssueLine(issue)).join('\n');
+      if (!result.success) {
+        const [firstIssue] = result.issues;
+        const tag = this.isRequestError(result) ? 'error' : 'failure';
+        const message = firstIssue ? firstIssue.message : `Unexpected response${result.statusCode ? ` (${result.statusCode})` : ''}`;
+        output += `      <${tag} message="${this.escapeXml(message)}" type="${this.escapeXml(firstIssue?.type || 'validation_failed')}">${this.escapeXml(issueLines)}</${tag}>\n`;
+      } else if (issueLines) {
+        output += `      <system-out>${this.escapeXml(issueLines)}</system-out>\n`;
+      }
+
+      output += '    </testcase>\n';
+    }
+
+    output += '  </testsuite>\n';
+    output += '</testsuites>\n';
+    return output;
+  }
+
+  /**
+   * SARIF 2.1.0 log with one result per issue, for code scanning and security
+   * dashboards. Issue types become rules; endpoints are logical locations in
+   * the contract.
+   * @param {Array} results - Validation results
+   * @param {object} options - Report options (contractPath, environment)
+   * @returns {string} SARIF JSON document
+   */
+  static formatSarifReport(results, options = {}) {
+    const { contractPath = null, environment = null } = options;
+    const issueTypes = [...new Set(results.flatMap(result => result.issues.map(issue => issue.type)))];
+    const sarifLevels = { error: 'error', warning: 'warning', info: 'note' };
+
+    const sarifResults = results.flatMap(result => result.issues.map(issue => {
+      const location = {
+        logicalLocations: [{ fullyQualifiedName: `${result.method} ${result.endpoint}`, kind: 'function' }]
+      };
+      if (contractPath) {
+        location.physicalLocation = { artifactLocation: { uri: contractPath.split('\\').join('/') } };
+      }
+
+      return {
+        ruleId: issue.type,
+        level: sarifLevels[issue.severity] || 'note',
+        // Set when the results were compared with a --baseline file
+        ...(issue.baseline && { baselineState: issue.baseline === 'known' ? 'unchanged' : 'new' }),
+        message: { text: `${result.method} ${result.endpoint}${result.statusCode ? ` (${result.statusCode})` : ''}: ${this.formatIssueLine(issue)}` },
+        locations: [location],
+        properties: {
+          endpoint: result.endpoint,
+          method: result.method,
+          statusCode: result.statusCode,
+          responseTime: result.metadata?.responseTime ?? null,
+          ...(issue.details?.fieldPath && { fieldPath: issue.details.fieldPath }),
+          ...(issue.details?.schemaPath && { schemaPath: issue.details.schemaPath })
+        }
+      };
+    }));
+
+    const run = {
+      tool: {
+        driver: {
+          name: 'SpecJet',
+          informationUri: 'https://specjet.dev',
+          rules: issueTypes.map(type => ({
+            id: type,
+            shortDescription: { text: this.getDescriptionForIssueType(type) },
+            defaultConfiguration: { level: sarifLevels[this.getSeverityForType(type)] }
+          }))
+        }
+      },
+      results: sarifResults
+    };
+
+    if (environment) {
+      run.properties = { environment };
+    }
+
+    return JSON.stringify({
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [run]
+    }, null, 2);
+  }
+
+  /**
+   * Self-contained HTML report with a summary, response times and the issues
+   * of each endpoint, including the schema paths of schema errors
+   * @param {Array} results - Validation results
+   * @param {object} options - Report options (title, environment)
+   * @returns {string} HTML document
+   */
+  static formatHtmlReport(results, options = {}) {
+    const { title = 'API Validation Report', environment = null } = options;
+    const stats = this.getResultsStats(results);
+    const heading = environment ? `${title}: ${environment}` : title;
+    const cards = [
+      ['Endpoints', stats.total],
+      ['Passed', stats.passed],
+      ['Failed', stats.failed],
+      ['Success rate', `${stats.successRate}%`],
+      ['Issues', stats.totalIssues],
+      ['Avg response', stats.avgResponseTime > 0 ? `${stats.avgResponseTime}ms` : '-']
+    ];
+
+    let rows = '';
+    for (const result of results) {
+      const status = result.success ? 'passed' : 'failed';
+      const responseTime = result.metadata?.responseTime ? `${result.metadata.responseTime}ms` : '-';
+
+      rows += `<details class="${status}"${result.success ? '' : ' open'}>\n`;
+      rows += `<summary><span class="badge ${status}">${result.success ? 'PASS' : 'FAIL'}</span> `;
+      rows += `<code>${this.escapeXml(result.method)} ${this.escapeXml(result.endpoint)}</code> `;
+      rows += `<span class="meta">${result.statusCode ?? 'no response'} · ${responseTime} · ${result.issues.length} issue${result.issues.length === 1 ? '' : 's'}</span></summary>\n`;
+
+      if (result.issues.length > 0) {
+        rows += '<table><thead><tr><th>Severity</th><th>Type</th><th>Path</th><th>Message</th></tr></thead><tbody>\n';
+        for (const issue of result.issues) {
+          const path = issue.details?.fieldPath || issue.field || '';
+          const schemaPath = issue.details?.schemaPath ? `<div class="meta">${this.escapeXml(issue.details.schemaPath)}</div>` : '';
+          rows += `<tr class="${this.escapeXml(issue.severity)}"><td>${this.escapeXml(issue.severity)}</td><td>${this.escapeXml(issue.type)}</td>`;
+          rows += `<td><code>${this.escapeXml(path)}</code>${schemaPath}</td><td>${this.escapeXml(issue.message)}${issue.baseline === 'known' ? ' (baseline)' : ''}</td></tr>\n`;
+        }
+        rows += '</tbody></table>\n';
+      }
+
+      rows += '</details>\n';
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeXml(heading)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #1f2328; }
+.cards { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 2rem; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.75rem 1rem; min-width: 8rem; }
+.card strong { display: block; font-size: 1.5rem; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 0.5rem; padding: 0.5rem 1rem; }
+details.failed { border-left: 4px solid #cf222e; }
+details.passed { border-left: 4px solid #1a7f37; }
+summary { cursor: pointer; }
+.badge { font-size: 0.75rem; font-weight: bold; padding: 0.1rem 0.4rem; border-radius: 4px; color: #fff; }
+.badge.passed { background: #1a7f37; }
+.badge.failed { background: #cf222e; }
+.meta { color: #656d76; font-size: 0.85rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.75rem 0; }
+th, td { text-align: left; border-bottom: 1px solid #d0d7de; padding: 0.4rem; vertical-align: top; }
+tr.error td:first-child { color: #cf222e; }
+tr.warning td:first-child { color: #9a6700; }
+</style>
+</head>
+<body>
+<h1>${this.escapeXml(heading)}</h1>
+<p class="meta">Generated ${new Date().toISOString()}</p>
+<div class="cards">
+${cards.map(([label, value]) => `<div class="card"><span class="meta">${label}</span><strong>${value}</strong></div>`).join('\n')}
+</div>
+${rows}</body>
+</html>
+`;
+  }
+
+  static formatIssueLine(issue) {
+    const path = issue.details?.fieldPath ? ` at ${issue.details.fieldPath}` : '';
+    const baselineText = issue.baseline === 'known' ? ' (baseline)' : '';
+    return `[${issue.severity}] ${issue.field ? `${issue.field}: ` : ''}${issue.message}${path}${baselineText}`;
+  }
+
+  static isRequestError(result) {
+    return !result.success && result.issues.some(issue => issue.type === 'network_error');
+  }
+
+  static toSeconds(ms) {
+    return (ms / 1000).toFixed(3);
+  }
+
+  static escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
   static export(results, format = 'console', options = {}) {
     switch (format.toLowerCase()) {
       case 'json':
@@ -383,6 +614,12 @@ class ValidationResults {
       case 'markdown':
       case 'md':
         return this.formatMarkdownReport(results, options);
+      case 'junit':
+        return this.formatJUnitReport(results, options);
+      case 'sarif':
+        return this.formatSarifReport(results, options);
+      case 'html':
+        return this.formatHtmlReport(results, options);
       case 'console':
       default:
         return this.formatConsoleOutput(results, options);
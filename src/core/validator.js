@@ -1,6 +1,7 @@
 import ContractParser from './parser.js';
 import ParameterDiscovery from './parameter-discovery.js';
 import { SpecJetError } from './errors.js';
+import { BODY_KINDS, getBodyKind, encodeRequestBody } from './media-types.js';
 
 /**
  * Focused API validator with single responsibility
@@ -110,7 +111,7 @@ class APIValidator {
         method,
         {
           query: options.queryParams,
-          body: requestBody,
+          ...this.encodeRequestBody(endpoint, requestBody),
           timeout: options.timeout
         }
       );
@@ -230,6 +231,23 @@ class APIValidator {
     return this.schemaValidator.generateSampleData(endpoint.requestBody.schema);
   }
 
+  /**
+   * Encode a request body for the endpoint's media type. JSON bodies are
+   * left to the HTTP client; other bodies are sent with their own Content-Type.
+   * @param {object} endpoint - Endpoint definition
+   * @param {*} requestBody - Generated or provided body
+   * @returns {object} Request options: body, plus headers for non-JSON bodies
+   */
+  encodeRequestBody(endpoint, requestBody) {
+    const mediaType = endpoint.requestBody?.contentType;
+    if (requestBody === null || !mediaType || getBodyKind(mediaType) === BODY_KINDS.JSON) {
+      return { body: requestBody };
+    }
+
+    const { body, contentType } = encodeRequestBody(requestBody, mediaType, endpoint.requestBody.schema);
+    return { body, headers: { 'Content-Type': contentType } };
+  }
+
   /**
    * Validate response against contract specification
    * @param {object} endpoint - Endpoint definition
@@ -321,6 +339,11 @@ class APIValidator {
       return [];
     }
 
+    // Schemas of text and binary bodies describe their encoding, not JSON data
+    if (responseSpec.contentType && getBodyKind(responseSpec.contentType) !== BODY_KINDS.JSON) {
+      return [];
+    }
+
     return await this.schemaValidator.validateResponse(
       response.data,
       responseSpec.schema
@@ -1,16 +1,39 @@
 import fs from 'fs-extra';
-import { resolve, dirname } from 'path';
+import { resolve, dirname, relative } from 'path';
 import { ErrorHandler, SpecJetError } from './errors.js';
 import Logger from './logger.js';
-
+import ContractParser from './parser.js';
+
+// Files that can become part of a contract when a $ref to them is added
+const CONTRACT_FILE_PATTERN = /\.(ya?ml|json)$/i;
+
+/**
+ * Watches a contract and every file it references through $refs. Each
+ * directory holding one of those files is watched, so edits, editors
+ * replacing files on save and newly added files are all noticed. The set of
+ * files is discovered again after every change.
+ * @class FileWatcher
+ */
 export class FileWatcher {
   constructor(options = {}) {
     this.watchers = new Map();
     this.isWatching = false;
     this.debounceTimers = new Map();
     this.logger = options.logger || new Logger({ context: 'FileWatcher' });
+
+    this.contractPath = null;
+    this.onChange = null;
+    this.contractFiles = new Set();
+    this.pendingChanges = new Set();
   }
 
+  /**
+   * Watch a contract and the files it references
+   * @param {string} contractPath - Root contract file
+   * @param {Function} onChange - Async callback run after the contract changed
+   * @returns {Promise<fs.FSWatcher>} Watcher of the root file's directory
+   * @throws {SpecJetError} When the contract does not exist or cannot be watched
+   */
   async watchContract(contractPath, onChange) {
     const absolutePath = resolve(contractPath);
     
@@ -18,43 +41,19 @@ export class FileWatcher {
       throw SpecJetError.contractNotFound(absolutePath);
     }
 
-    this.logger.info('Watching contract file for changes', { contractPath });
+    this.contractPath = absolutePath;
+    this.onChange = onChange;
 
     try {
-      // Watch the contract file itself
-      const watcher = fs.watch(absolutePath, { persistent: true }, (eventType, _filename) => {
-        if (eventType === 'change') {
-          this.debounceCallback(contractPath, () => {
-            this.logger.info('Contract file changed, regenerating');
-            onChange().catch(error => {
-              this.logger.error('Auto-regeneration failed', error);
-              ErrorHandler.handle(error, { verbose: false });
-            });
-          });
-        }
-      });
+      await this.refreshContractFiles();
+      this.isWatching = true;
 
-      // Also watch the directory in case the file gets replaced
-      const contractDir = dirname(absolutePath);
-      const dirWatcher = fs.watch(contractDir, { persistent: true }, (eventType, filename) => {
-        if (filename && filename.endsWith(contractPath.split('/').pop()) && eventType === 'rename') {
-          // File was renamed/replaced, trigger regeneration after a delay
-          setTimeout(() => {
-            if (fs.existsSync(absolutePath)) {
-              this.logger.info('Contract file replaced, regenerating');
-              onChange().catch(error => {
-                this.logger.error('Auto-regeneration failed', error);
-                ErrorHandler.handle(error, { verbose: false });
-              });
-            }
-          }, 100);
-        }
+      this.logger.info('Watching contract files for changes', {
+        contractPath,
+        files: this.contractFiles.size
       });
 
-      this.watchers.set(contractPath, { fileWatcher: watcher, dirWatcher });
-      this.isWatching = true;
-
-      return watcher;
+      return this.watchers.get(dirname(absolutePath)).dirWatcher;
     } catch (error) {
       throw new SpecJetError(
         `Failed to watch contract file: ${contractPath}`,
@@ -69,6 +68,86 @@ export class FileWatcher {
     }
   }
 
+  /**
+   * Discover the files the contract consists of again and watch their
+   * directories. While the contract cannot be resolved, e.g. because a
+   * referenced file does not exist yet, the previous files stay watched.
+   * @returns {Promise<Set<string>>} Files of the contract
+   */
+  async refreshContractFiles() {
+    try {
+      this.contractFiles = new Set(await ContractParser.findContractFiles(this.contractPath));
+    } catch (error) {
+      this.logger.debug('Could not resolve contract references, keeping the watched files', { error: error.message });
+      this.contractFiles.add(this.contractPath);
+    }
+
+    const directories = new Set([...this.contractFiles].map(file => dirname(file)));
+
+    for (const [directory, { dirWatcher }] of this.watchers) {
+      if (!directories.has(directory)) {
+        dirWatcher.close();
+        this.watchers.delete(directory);
+      }
+    }
+
+    for (const directory of directories) {
+      if (!this.watchers.has(directory)) {
+        const dirWatcher = fs.watch(directory, { persistent: true }, (_eventType, filename) => {
+          this.handleFileEvent(directory, filename);
+        });
+        this.watchers.set(directory, { dirWatcher });
+      }
+    }
+
+    return this.contractFiles;
+  }
+
+  /**
+   * Record a change reported for a watched directory. Changes are collected
+   * and handled together once no more arrive for the debounce delay.
+   * @param {string} directory - Watched directory
+   * @param {string|null} filename - File the event is about
+   */
+  handleFileEvent(directory, filename) {
+    if (!filename) return;
+
+    const filePath = resolve(directory, filename.toString());
+    if (!this.contractFiles.has(filePath) && !CONTRACT_FILE_PATTERN.test(filePath)) return;
+
+    this.pendingChanges.add(filePath);
+    this.debounceCallback(this.contractPath, () => {
+      this.flushChanges().catch(error => {
+        this.logger.error('Auto-regeneration failed', error);
+        ErrorHandler.handle(error, { verbose: false });
+      });
+    });
+  }
+
+  /**
+   * Rediscover the contract files and run the change callback when a
+   * changed file was, or now is, part of the contract
+   * @returns {Promise<boolean>} Whether the callback ran
+   */
+  async flushChanges() {
+    const changed = [...this.pendingChanges];
+    this.pendingChanges.clear();
+
+    const previousFiles = this.contractFiles;
+    const currentFiles = await this.refreshContractFiles();
+    const contractChanged = changed.filter(file => previousFiles.has(file) || currentFiles.has(file));
+
+    if (contractChanged.length === 0) {
+      return false;
+    }
+
+    this.logger.info('Contract file changed, regenerating', {
+      files: contractChanged.map(file => relative(dirname(this.contractPath), file)).join(', ')
+    });
+    await this.onChange();
+    return true;
+  }
+
   debounceCallback(key, callback, delay = 300) {
     // Clear existing timer for this key
     if (this.debounceTimers.has(key)) {
@@ -89,11 +168,8 @@ export class FileWatcher {
     
     const cleanupErrors = [];
     
-    for (const [path, { fileWatcher, dirWatcher }] of this.watchers) {
+    for (const [path, { dirWatcher }] of this.watchers) {
       try {
-        if (fileWatcher?.close) {
-          fileWatcher.close();
-        }
         if (dirWatcher?.close) {
           dirWatcher.close();
         }
@@ -114,6 +190,7 @@ export class FileWatcher {
 
     this.watchers.clear();
     this.debounceTimers.clear();
+    this.pendingChanges.clear();
     this.isWatching = false;
   }
 
@@ -152,10 +229,10 @@ export class FileWatcher {
 
   displayWatchInstructions() {
     console.log('\n💡 Watch mode instructions:');
-    console.log('   • Edit your OpenAPI contract file to trigger regeneration');
+    console.log('   • Edit your OpenAPI contract, or any file it references, to trigger regeneration');
     console.log('   • Press Ctrl+C or type "q" and press Enter to stop watching');
     console.log('   • Changes are debounced (300ms delay) to prevent excessive regeneration\n');
-    console.log('🎯 Ready! Make changes to your contract file to see them reflected...\n');
+    console.log('🎯 Ready! Make changes to your contract files to see them reflected...\n');
   }
 }
 
@@ -63,11 +63,11 @@ class ValidatorFactory {
       validator,
       batchProcessor,
       retryHandler,
-      async validateAllEndpoints(validationOptions = {}) {
+      async validateAllEndpoints(validationOptions = {}, endpoints = validator.endpoints) {
         if (!validator.endpoints) {
           throw new Error('Validator must be initialized before batch processing');
         }
-        return await batchProcessor.processEndpoints(validator.endpoints, validationOptions);
+        return await batchProcessor.processEndpoints(endpoints, validationOptions);
       }
     };
   }
@@ -105,12 +105,12 @@ class ValidatorFactory {
         await validator.initialize(contractPath);
       },
 
-      async validateAllEndpoints(validationOptions = {}) {
+      async validateAllEndpoints(validationOptions = {}, endpoints = validator.endpoints) {
         resultsAggregator.startTracking();
 
         try {
           const results = await batchProcessor.processEndpoints(
-            validator.endpoints,
+            endpoints,
             validationOptions
           );
 
@@ -0,0 +1,99 @@
+import express from 'express';
+
+/**
+ * Reserved path prefix for the admin API; never forwarded to contract routes
+ */
+export const ADMIN_PREFIX = '/__specjet';
+
+/**
+ * Create the admin router used to inspect and control a running mock server.
+ * Lets test suites put the mock into a known state without restarting it.
+ *
+ * Endpoints (all under /__specjet):
+ *   GET    /entities          Stored record counts and ids per entity type
+ *   GET    /entities/:type    All stored records for an entity type
+ *   POST   /seed              Store records from a JSON fixture ({ "users": [...] })
+ *   POST   /reset             Clear stored records, deletions, ids and the request log
+ *   GET    /scenario          Current scenario
+ *   PUT    /scenario          Switch scenario ({ "scenario": "large" })
+ *   GET    /requests          Log of requests received by the mock
+ *   DELETE /requests          Clear the request log
+ *
+ * @param {import('./server.js').default} mockServer - Mock server to control
+ * @returns {express.Router} Express router to mount at ADMIN_PREFIX
+ */
+export function createAdminRouter(mockServer) {
+  const router = express.Router();
+  // Fixtures can be much larger than regular request bodies
+  router.use(express.json({ limit: '10mb' }));
+
+  router.get('/entities', (req, res) => {
+    const entities = {};
+    for (const [entityType, records] of mockServer.dataStore) {
+      entities[entityType] = {
+        count: records.size,
+        ids: Array.from(records.keys())
+      };
+    }
+    res.json({ entities });
+  });
+
+  router.get('/entities/:type', (req, res) => {
+    const entityType = mockServer.extractEntityType({ path: `/${req.params.type}` });
+    res.json({ entityType, records: mockServer.getAllRecords(entityType) });
+  });
+
+  router.post('/seed', (req, res) => {
+    const fixture = req.body;
+    if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture) ||
+        !Object.values(fixture).every(Array.isArray)) {
+      return res.status(400).json({
+        error: 'Invalid fixture',
+        message: 'Expected an object mapping entity names to arrays of records, e.g. { "users": [{ "id": 1 }] }'
+      });
+    }
+
+    if (req.query.reset === 'true') {
+      mockServer.resetState();
+    }
+
+    res.json({ seeded: mockServer.seedRecords(fixture) });
+  });
+
+  router.post('/reset', (req, res) => {
+    mockServer.resetState();
+    res.json({ reset: true });
+  });
+
+  router.get('/scenario', (req, res) => {
+    res.json({ scenario: mockServer.scenario });
+  });
+
+  router.put('/scenario', (req, res) => {
+    const scenario = req.body?.scenario;
+    if (!mockServer.constructor.SCENARIOS.includes(scenario)) {
+      return res.status(400).json({
+        error: 'Invalid scenario',
+        message: `Use one of: ${mockServer.constructor.SCENARIOS.join(', ')}`
+      });
+    }
+
+    mockServer.scenario = scenario;
+    res.json({ scenario });
+  });
+
+  router.get('/requests', (req, res) => {
+    res.json({ requests: mockServer.requestLog });
+  });
+
+  router.delete('/requests', (req, res) => {
+    mockServer.requestLog = [];
+    res.status(204).send();
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Unknown admin endpoint', path: `${ADMIN_PREFIX}${req.path}` });
+  });
+
+  return router;
+}
@@ -0,0 +1,160 @@
+// Common names for list query parameters; only names the contract declares are applied
+const LIMIT_PARAMS = ['limit', 'per_page', 'perPage', 'pageSize', 'page_size', 'size'];
+const OFFSET_PARAMS = ['offset', 'skip'];
+const PAGE_PARAMS = ['page'];
+const SORT_PARAMS = ['sort', 'sortBy', 'sort_by', 'orderBy', 'order_by'];
+const ORDER_PARAMS = ['order', 'sortOrder', 'sort_order', 'direction'];
+const SEARCH_PARAMS = ['q', 'search', 'query'];
+const RESERVED_PARAMS = [
+  ...LIMIT_PARAMS, ...OFFSET_PARAMS, ...PAGE_PARAMS,
+  ...SORT_PARAMS, ...ORDER_PARAMS, ...SEARCH_PARAMS
+];
+
+// Fields of paginated wrapper responses that are kept in sync with the returned page
+const PAGINATION_FIELDS = {
+  total: ['total', 'totalCount', 'total_count', 'totalItems', 'total_items'],
+  page: ['page', 'currentPage', 'current_page'],
+  limit: ['limit', 'pageSize', 'page_size', 'perPage', 'per_page'],
+  offset: ['offset'],
+  totalPages: ['totalPages', 'total_pages', 'pageCount', 'page_count'],
+  hasMore: ['hasMore', 'has_more', 'hasNext', 'has_next', 'hasNextPage']
+};
+
+/**
+ * Filter, search, sort and paginate records using the query parameters an
+ * endpoint declares. Undeclared parameters are ignored; declared pagination
+ * parameters fall back to their schema default.
+ * @param {Object[]} records - Records to query
+ * @param {Object[]} parameters - Endpoint parameter definitions
+ * @param {Object} query - Parsed request query (req.query)
+ * @returns {{items: Object[], total: number, limit: number|undefined, offset: number, page: number|undefined}}
+ * @example
+ * applyListQuery(records, endpoint.parameters, { status: 'active', sort: '-createdAt', limit: '10' });
+ */
+export function applyListQuery(records, parameters = [], query = {}) {
+  const declared = new Map(
+    parameters.filter(param => param.in === 'query').map(param => [param.name, param])
+  );
+  const find = (names) => names.find(name => declared.has(name));
+  const valueOf = (name) => (name === undefined ? undefined : query[name] ?? declared.get(name).schema?.default);
+
+  let items = records;
+
+  // Field filters
+  for (const name of declared.keys()) {
+    if (RESERVED_PARAMS.includes(name) || query[name] === undefined) continue;
+    const accepted = [].concat(query[name]).flatMap(value => String(value).split(','));
+    items = items.filter(record => matchesFilter(record[name], accepted));
+  }
+
+  // Free-text search across string fields
+  const searchTerm = valueOf(find(SEARCH_PARAMS));
+  if (searchTerm) {
+    const term = String(searchTerm).toLowerCase();
+    items = items.filter(record => Object.values(record).some(
+      value => typeof value === 'string' && value.toLowerCase().includes(term)
+    ));
+  }
+
+  // Sorting
+  const sortValue = valueOf(find(SORT_PARAMS));
+  if (sortValue) {
+    const defaultDirection = String(valueOf(find(ORDER_PARAMS)) || 'asc').toLowerCase();
+    items = sortRecords(items, parseSort(String(sortValue), defaultDirection));
+  }
+
+  // Pagination
+  const total = items.length;
+  const limit = toNonNegativeInt(valueOf(find(LIMIT_PARAMS)));
+  const pageParam = find(PAGE_PARAMS);
+  let offset = toNonNegativeInt(valueOf(find(OFFSET_PARAMS))) || 0;
+  let page;
+
+  if (pageParam && limit !== undefined) {
+    page = Math.max(1, toNonNegativeInt(valueOf(pageParam)) || 1);
+    offset = (page - 1) * limit;
+  }
+
+  items = items.slice(offset, limit === undefined ? undefined : offset + limit);
+
+  return { items, total, limit, offset, page };
+}
+
+/**
+ * Update pagination fields of a wrapper object (top level or one nested
+ * object such as `meta` or `pagination`) to describe the returned page
+ * @param {Object} wrapper - Generated wrapper response, updated in place
+ * @param {Object} result - Result of applyListQuery
+ * @returns {Object} The wrapper
+ */
+export function applyPaginationFields(wrapper, result) {
+  const { total, limit, offset, page } = result;
+  const pageSize = limit ?? total;
+  const values = {
+    total,
+    page: page ?? (pageSize > 0 ? Math.floor(offset / pageSize) + 1 : 1),
+    limit: pageSize,
+    offset,
+    totalPages: pageSize > 0 ? Math.ceil(total / pageSize) : 1,
+    hasMore: offset + result.items.length < total
+  };
+
+  const targets = [wrapper, ...Object.values(wrapper).filter(
+    value => value && typeof value === 'object' && !Array.isArray(value)
+  )];
+
+  for (const target of targets) {
+    for (const [field, names] of Object.entries(PAGINATION_FIELDS)) {
+      for (const name of names) {
+        if (Object.prototype.hasOwnProperty.call(target, name)) {
+          target[name] = values[field];
+        }
+      }
+    }
+  }
+
+  return wrapper;
+}
+
+function matchesFilter(value, accepted) {
+  if (Array.isArray(value)) {
+    return value.some(item => accepted.includes(String(item)));
+  }
+  return value !== undefined && value !== null && accepted.includes(String(value));
+}
+
+/**
+ * Parse "name", "-name", "name:desc" or "name,-createdAt" into sort keys
+ */
+function parseSort(sortValue, defaultDirection) {
+  return sortValue.split(',').filter(Boolean).map(part => {
+    if (part.startsWith('-')) return { field: part.slice(1), descending: true };
+    if (part.startsWith('+')) return { field: part.slice(1), descending: false };
+
+    const [field, direction = defaultDirection] = part.split(':');
+    return { field, descending: direction.toLowerCase() === 'desc' };
+  });
+}
+
+function sortRecords(records, keys) {
+  return [...records].sort((a, b) => {
+    for (const { field, descending } of keys) {
+      const comparison = compareValues(a[field], b[field]);
+      if (comparison !== 0) return descending ? -comparison : comparison;
+    }
+    return 0;
+  });
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function toNonNegativeInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? undefined : Math.max(0, number);
+}
@@ -0,0 +1,121 @@
+import fs from 'fs-extra';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { URLSearchParams } from 'url';
+
+// Query parameters that only steer the mock server and never reach a real backend
+const IGNORED_QUERY_PARAMS = ['__example'];
+
+/**
+ * On-disk store of request/response pairs captured in proxy mode
+ * Each pair is one JSON file; requests are matched by method, path and
+ * normalized query string (parameter order does not matter)
+ * @class RecordingStore
+ */
+class RecordingStore {
+  /**
+   * @param {string} directory - Directory holding the recordings
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.recordings = new Map();
+  }
+
+  /**
+   * Build the lookup key for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without query string
+   * @param {string|URLSearchParams} [query=''] - Raw query string or parsed params
+   * @returns {string} Key like "GET /users?limit=10&sort=name"
+   * @example
+   * RecordingStore.createKey('get', '/users', 'sort=name&limit=10'); // 'GET /users?limit=10&sort=name'
+   */
+  static createKey(method, path, query = '') {
+    const normalizedQuery = this.normalizeQuery(query);
+    return `${method.toUpperCase()} ${path}${normalizedQuery ? `?${normalizedQuery}` : ''}`;
+  }
+
+  /**
+   * Sort query parameters by name and value so equivalent queries share a key
+   * @param {string|URLSearchParams} query - Raw query string or parsed params
+   * @returns {string} Normalized query string without leading "?"
+   */
+  static normalizeQuery(query) {
+    const params = new URLSearchParams(query);
+    const entries = [...params.entries()]
+      .filter(([name]) => !IGNORED_QUERY_PARAMS.includes(name))
+      .sort(([nameA, valueA], [nameB, valueB]) =>
+        nameA === nameB ? valueA.localeCompare(valueB) : nameA.localeCompare(nameB));
+
+    return new URLSearchParams(entries).toString();
+  }
+
+  /**
+   * Load all recordings from disk
+   * @returns {Promise<number>} Number of recordings loaded
+   */
+  async load() {
+    this.recordings.clear();
+
+    if (!await fs.pathExists(this.directory)) {
+      return 0;
+    }
+
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      const recording = await fs.readJson(join(this.directory, file));
+      if (recording?.request && recording?.response) {
+        const { method, path, query } = recording.request;
+        this.recordings.set(RecordingStore.createKey(method, path, query), recording);
+      }
+    }
+
+    return this.recordings.size;
+  }
+
+  /**
+   * Find the recording for a request
+   * @returns {Object|null} Recording with request and response, or null
+   */
+  get(method, path, query = '') {
+    return this.recordings.get(RecordingStore.createKey(method, path, query)) || null;
+  }
+
+  /**
+   * Store a request/response pair, replacing any earlier recording of the same request
+   * @param {Object} request - { method, path, query }
+   * @param {Object} response - { status, headers, body, encoding? }
+   * @returns {Promise<string>} Path of the written file
+   */
+  async save(request, response) {
+    const key = RecordingStore.createKey(request.method, request.path, request.query);
+    const recording = {
+      request: {
+        method: request.method.toUpperCase(),
+        path: request.path,
+        query: RecordingStore.normalizeQuery(request.query || '')
+      },
+      response,
+      recordedAt: new Date().toISOString()
+    };
+
+    const filePath = join(this.directory, this.getFileName(key, request));
+    await fs.ensureDir(this.directory);
+    await fs.writeJson(filePath, recording, { spaces: 2 });
+
+    this.recordings.set(key, recording);
+    return filePath;
+  }
+
+  /**
+   * Readable, collision-free file name for a recording
+   * @private
+   */
+  getFileName(key, request) {
+    const slug = request.path.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '') || 'root';
+    const hash = createHash('sha1').update(key).digest('hex').slice(0, 10);
+    return `${request.method.toLowerCase()}-${slug}-${hash}.json`;
+  }
+}
+
+export default RecordingStore;
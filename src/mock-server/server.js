@@ -1,7 +1,14 @@
 import express from 'express';
 import cors from 'cors';
-import { faker } from '@faker-js/faker';
+import { faker, Faker, en, base } from '@faker-js/faker';
 import Logger from '../core/logger.js';
+import SchemaValidator from '../core/schema-validator.js';
+import RecordingStore from './recording-store.js';
+import { createAdminRouter, ADMIN_PREFIX } from './admin-api.js';
+import { applyListQuery, applyPaginationFields } from './list-query.js';
+import { BODY_KINDS, getBodyKind, matchMediaType, selectMediaType } from '../core/media-types.js';
+import { getDiscriminatorVariants } from '../core/discriminator.js';
+import ContractParser from '../core/parser.js';
 
 // Constants for better maintainability
 const DEFAULT_MAX_ITEMS = 1000;
@@ -9,17 +16,58 @@ const MAX_ITEMS_VERY_COMPLEX_OBJECTS = 50;
 const MAX_ITEMS_MODERATELY_COMPLEX_OBJECTS = 100;
 const MAX_ITEMS_SIMPLE_OBJECTS = 200;
 
+// How many times a recursive schema (e.g. a tree node) is nested in generated
+// data before optional recursive properties are left out
+const MAX_RECURSION_DEPTH = 2;
+
+// Fixed "now" for seeded runs so generated dates and timestamps are reproducible
+const SEEDED_REFERENCE_DATE = '2024-01-01T00:00:00.000Z';
+
+// Headers that must not be copied between the client, the mock and a proxied backend
+const HOP_BY_HOP_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding', 'keep-alive', 'transfer-encoding', 'upgrade'];
+const HOP_BY_HOP_RESPONSE_HEADERS = ['connection', 'content-length', 'content-encoding', 'keep-alive', 'transfer-encoding'];
+
+// Preferred names of the array property in paginated wrapper responses
+const LIST_PROPERTY_NAMES = ['data', 'items', 'results', 'records', 'content'];
+
+// Body size limit for non-JSON request bodies (uploads)
+const RAW_BODY_LIMIT = '10mb';
+
+// Served for image responses without an example: a 1x1 transparent PNG
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+// Oldest entries are dropped once the request log reaches this size
+const MAX_REQUEST_LOG_ENTRIES = 500;
+
+// Lets clients pick a named response example per request
+const EXAMPLE_HEADER = 'x-specjet-example';
+const EXAMPLE_QUERY_PARAM = '__example';
+
+// Per-request overrides for deterministic tests
+const STATUS_HEADER = 'x-specjet-status';
+const DELAY_HEADER = 'x-specjet-delay';
+const SCENARIO_HEADER = 'x-specjet-scenario';
+const MAX_FORCED_DELAY = 60000;
+const OVERRIDE_HEADER_PREFIX = 'x-specjet-';
+
 /**
  * Mock server with realistic data generation based on OpenAPI contracts
  * Provides persistent data across requests and supports multiple scenarios
  * @class MockServer
  */
 class MockServer {
+  static SCENARIOS = ['demo', 'realistic', 'large', 'errors', 'examples'];
+
   /**
    * Create a new mock server instance
    * @param {Object} contract - Parsed OpenAPI contract
-   * @param {string} [scenario='demo'] - Data scenario (demo, realistic, large, errors)
+   * @param {string} [scenario='demo'] - Data scenario (demo, realistic, large, errors, examples)
    * @param {Object} [options={}] - Server configuration options
+   * @param {boolean} [options.useExamples] - Serve contract examples instead of generated data (implied by the examples scenario)
+   * @param {number} [options.seed] - Seed for reproducible mock data across runs
+   * @param {string} [options.proxy] - Backend URL to forward every request to
+   * @param {string} [options.record] - Directory to store proxied request/response pairs in
+   * @param {string} [options.replay] - Directory of recordings to serve before falling back to generated data
    * @param {Object} [options.entityPatterns] - Custom patterns for entity detection
    * @param {Object} [options.domainMappings] - Custom domain mappings for data generation
    */
@@ -27,10 +75,36 @@ class MockServer {
     this.app = express();
     this.contract = contract;
     this.scenario = scenario;
+    this.examplesEnabled = Boolean(options.useExamples);
     this.logger = options.logger || new Logger({ context: 'MockServer' });
+
+    // Seeded servers get their own faker instance so the sequence is not
+    // disturbed by anything else using the shared instance
+    this.seed = options.seed;
+    this.faker = this.seed !== undefined ? new Faker({ locale: [en, base] }) : faker;
+    this.applySeed();
+
+    // Record/replay configuration
+    this.proxyTarget = options.proxy;
+    this.recordingStore = null;
+    if (options.replay) {
+      this.recordingStore = new RecordingStore(options.replay);
+    } else if (options.proxy && options.record) {
+      this.recordingStore = new RecordingStore(options.record);
+    }
+    this.replayMode = Boolean(options.replay);
     
     // Store resolved schemas for $ref resolution
     this.schemas = contract.components?.schemas || {};
+    this.schemaNames = ContractParser.createSchemaNames(this.schemas);
+
+    // Object schemas currently being generated, with their nesting depth, so
+    // recursive schemas stop instead of overflowing the stack
+    this.schemasInProgress = new Map();
+
+    // OpenAPI 3.1 schemas reduced to what the generators handle, cached so
+    // they keep a stable identity
+    this.normalizedSchemas = new WeakMap();
     
     // In-memory data store for persistent mock data
     this.dataStore = new Map();
@@ -38,6 +112,12 @@ class MockServer {
     
     // Track explicitly deleted records to return 404 instead of regenerating
     this.deletedRecords = new Map();
+
+    // Requests received, exposed through the admin API
+    this.requestLog = [];
+
+    // Entity types whose list endpoint has been populated with generated records
+    this.initializedLists = new Set();
     
     // Configure entity detection patterns (can be overridden via options)
     this.entityPatterns = {
@@ -65,13 +145,516 @@ class MockServer {
     this.setupRoutes();
   }
   
+  /**
+   * Whether contract examples are served instead of generated data
+   * @type {boolean}
+   */
+  get useExamples() {
+    return this.shouldUseExamples(this.scenario);
+  }
+
+  /**
+   * Whether contract examples are served for a given (possibly per-request) scenario
+   * @param {string} scenario - Scenario in effect
+   * @returns {boolean}
+   */
+  shouldUseExamples(scenario) {
+    return scenario === 'examples' || this.examplesEnabled;
+  }
+
+  /**
+   * Clear all stored records, deletions, the request log and restart ids
+   * (and the seeded random sequence) from the beginning
+   */
+  resetState() {
+    this.dataStore.clear();
+    this.deletedRecords.clear();
+    this.initializedLists.clear();
+    this.requestLog = [];
+    this.nextId = 1;
+    this.applySeed();
+  }
+
+  /**
+   * Store fixture records, keyed by entity name (e.g. "users" or "user")
+   * Seeded records replace stored ones with the same id and undo earlier deletions
+   * @param {Object<string, Object[]>} fixture - Records per entity
+   * @returns {Object<string, number>} Number of records stored per entity type
+   */
+  seedRecords(fixture) {
+    const seeded = {};
+
+    for (const [name, records] of Object.entries(fixture)) {
+      const entityType = this.extractEntityType({ path: `/${name}` });
+      const deletedIds = this.deletedRecords.get(entityType);
+
+      for (const record of records) {
+        const stored = this.storeRecord(entityType, record);
+        deletedIds?.delete(String(stored.id));
+        deletedIds?.delete(parseInt(stored.id));
+
+        // Keep server-generated ids from colliding with seeded numeric ids
+        if (Number.isInteger(stored.id) && stored.id >= this.nextId) {
+          this.nextId = stored.id + 1;
+        }
+      }
+
+      // Lists of seeded entities contain exactly the seeded records
+      this.initializedLists.add(entityType);
+      seeded[entityType] = (seeded[entityType] || 0) + records.length;
+    }
+
+    return seeded;
+  }
+
+  /**
+   * Append a request to the log once its response has been sent
+   * @private
+   */
+  logRequest(req, res, next) {
+    const startTime = Date.now();
+
+    res.on('finish', () => {
+      this.requestLog.push({
+        timestamp: new Date(startTime).toISOString(),
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: Buffer.isBuffer(req.body) ? `<${req.body.length} bytes>` : req.body,
+        status: res.statusCode,
+        duration: Date.now() - startTime
+      });
+
+      if (this.requestLog.length > MAX_REQUEST_LOG_ENTRIES) {
+        this.requestLog.shift();
+      }
+    });
+
+    next();
+  }
+
+  /**
+   * Reset the random sequence to the configured seed (no-op when unseeded)
+   * @private
+   */
+  applySeed() {
+    if (this.seed === undefined) return;
+
+    this.faker.seed(this.seed);
+    this.faker.setDefaultRefDate(SEEDED_REFERENCE_DATE);
+  }
+
+  /**
+   * Timestamp for server-generated fields, fixed when seeded
+   * @private
+   * @returns {string} ISO timestamp
+   */
+  currentTimestamp() {
+    return this.seed !== undefined ? SEEDED_REFERENCE_DATE : new Date().toISOString();
+  }
+
   /**
    * Setup Express middleware for CORS and JSON parsing
    * @private
    */
   setupMiddleware() {
     this.app.use(cors());
+
+    // Admin API comes first so it works in proxy/replay mode and is never logged
+    this.app.use(ADMIN_PREFIX, createAdminRouter(this));
+    this.app.use((req, res, next) => this.logRequest(req, res, next));
+
     this.app.use(express.json());
+    this.app.use((req, res, next) => this.applyRequestOverrides(req, res, next));
+
+    // Recorded or proxied responses take precedence over contract routes
+    if (this.replayMode) {
+      this.app.use((req, res, next) => this.handleReplay(req, res, next));
+    } else if (this.proxyTarget) {
+      this.app.use((req, res, next) => this.handleProxy(req, res, next).catch(next));
+    }
+  }
+
+  /**
+   * Validate the X-SpecJet-Status/-Delay/-Scenario headers, apply the delay and
+   * expose the overrides to route handlers via res.locals.specjetOverrides
+   * @private
+   */
+  applyRequestOverrides(req, res, next) {
+    const overrides = {};
+    const errors = [];
+
+    const status = req.get(STATUS_HEADER);
+    if (status !== undefined) {
+      overrides.status = Number(status);
+      if (!Number.isInteger(overrides.status) || overrides.status < 100 || overrides.status > 599) {
+        errors.push(`X-SpecJet-Status must be an HTTP status code between 100 and 599, got "${status}"`);
+      }
+    }
+
+    const delay = req.get(DELAY_HEADER);
+    if (delay !== undefined) {
+      overrides.delay = Number(delay);
+      if (!Number.isInteger(overrides.delay) || overrides.delay < 0 || overrides.delay > MAX_FORCED_DELAY) {
+        errors.push(`X-SpecJet-Delay must be a number of milliseconds between 0 and ${MAX_FORCED_DELAY}, got "${delay}"`);
+      }
+    }
+
+    const scenario = req.get(SCENARIO_HEADER);
+    if (scenario !== undefined) {
+      overrides.scenario = scenario;
+      if (!MockServer.SCENARIOS.includes(scenario)) {
+        errors.push(`X-SpecJet-Scenario must be one of ${MockServer.SCENARIOS.join(', ')}, got "${scenario}"`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid SpecJet override header', details: errors });
+    }
+
+    res.locals.specjetOverrides = overrides;
+
+    if (overrides.delay > 0) {
+      setTimeout(next, overrides.delay);
+    } else {
+      next();
+    }
+  }
+
+  /**
+   * Respond with the documented response for a forced status code
+   * Uses the contract's schema (or example) for that code, then the matching
+   * range (e.g. 4XX) or default response; undocumented codes get a generic body
+   * @private
+   */
+  sendForcedStatus(req, res, endpoint, status) {
+    const responses = endpoint.responses || endpoint.spec?.responses || {};
+    const responseCode = [String(status), `${String(status)[0]}XX`, 'default'].find(code => responses[code]);
+
+    if (!responseCode) {
+      this.logger.warn('Forced status is not documented in the contract', {
+        endpoint: `${endpoint.method} ${endpoint.path}`,
+        status
+      });
+      return res.status(status).json({
+        error: `Status ${status} is not documented for ${endpoint.method} ${endpoint.path}`,
+        code: status
+      });
+    }
+
+    const { params, context } = this.extractRequestParams(req, endpoint);
+    const data = this.generateResponseForStatus(endpoint, responseCode, params, context);
+
+    if (data === undefined || status === 204 || status === 304) {
+      return res.status(status).end();
+    }
+    return this.sendResponseBody(res, status, this.getResponseContentType(endpoint, responseCode), data);
+  }
+
+  /**
+   * Send a generated body in its media type: JSON types as JSON, text types
+   * as text and binary types as bytes
+   * @private
+   * @param {Object} res - Express response
+   * @param {number} status - Status code
+   * @param {string|null} mediaType - Documented media type (JSON when null)
+   * @param {any} body - Body from generateResponseForStatus
+   */
+  sendResponseBody(res, status, mediaType, body) {
+    const kind = mediaType ? getBodyKind(mediaType) : BODY_KINDS.JSON;
+    const contentType = mediaType && !mediaType.includes('*') ? mediaType : null;
+
+    if (kind === BODY_KINDS.JSON) {
+      return contentType && contentType !== 'application/json' ?
+        res.status(status).type(contentType).send(JSON.stringify(body)) :
+        res.status(status).json(body);
+    }
+
+    const payload = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body);
+    return res.status(status).type(contentType || 'application/octet-stream').send(payload);
+  }
+
+  /**
+   * Parsers for the non-JSON request bodies contract routes accept (JSON is
+   * parsed for every request by express.json()). Registered per route so
+   * proxy mode still forwards the raw body. Multipart bodies become plain
+   * objects; uploaded files are described by filename, content type and size.
+   * @private
+   */
+  getBodyParsers() {
+    if (!this.bodyParsers) {
+      const isKind = (kind) => (req) => Boolean(req.headers['content-type']) && getBodyKind(req.headers['content-type']) === kind;
+
+      this.bodyParsers = [
+        express.urlencoded({ extended: true }),
+        express.text({ type: isKind(BODY_KINDS.TEXT) }),
+        express.raw({ type: isKind(BODY_KINDS.BINARY), limit: RAW_BODY_LIMIT }),
+        express.raw({ type: isKind(BODY_KINDS.MULTIPART), limit: RAW_BODY_LIMIT }),
+        (req, res, next) => this.parseMultipartBody(req).then(() => next(), next)
+      ];
+    }
+
+    return this.bodyParsers;
+  }
+
+  /**
+   * @private
+   */
+  async parseMultipartBody(req) {
+    if (!Buffer.isBuffer(req.body) || !req.is('multipart/*')) return;
+
+    const formData = await new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'content-type': req.headers['content-type'] },
+      body: req.body
+    }).formData();
+
+    const body = {};
+    for (const [name, value] of formData.entries()) {
+      const field = typeof value === 'string' ? value : { filename: value.name, contentType: value.type, size: value.size };
+      body[name] = name in body ? [].concat(body[name], field) : field;
+    }
+    req.body = body;
+  }
+
+  /**
+   * Request body fields to merge into created or updated records
+   * (none for text and binary bodies)
+   * @private
+   */
+  getRequestFields(req) {
+    const body = req.body;
+    return body && typeof body === 'object' && !Buffer.isBuffer(body) && !Array.isArray(body) ? body : {};
+  }
+
+  /**
+   * Reject bodies whose Content-Type the operation does not declare
+   * @private
+   * @returns {Object|null} Error body for a 415 response, or null when the media type is accepted
+   */
+  checkRequestMediaType(req, endpoint) {
+    const content = (endpoint.spec?.requestBody || endpoint.requestBody)?.content;
+    const contentType = req.headers['content-type'];
+    const hasBody = Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] !== undefined;
+    if (!content || !contentType || !hasBody) return null;
+
+    const declared = Object.keys(content);
+    if (declared.length === 0 || matchMediaType(declared, contentType)) return null;
+
+    return {
+      message: `Unsupported media type ${contentType.split(';')[0]}`,
+      code: 'unsupported_media_type',
+      details: { supported: declared }
+    };
+  }
+
+  /**
+   * Media type the mock serves for a documented response (JSON when declared)
+   * @param {Object} endpoint - OpenAPI endpoint definition
+   * @param {string} statusCode - Response key in the contract
+   * @returns {string|null} Media type, or null when the response has no body
+   */
+  getResponseContentType(endpoint, statusCode) {
+    const response = endpoint.responses?.[statusCode];
+    if (response?.contentType !== undefined) return response.contentType;
+
+    return selectMediaType(response?.content || endpoint.spec?.responses?.[statusCode]?.content);
+  }
+
+  /**
+   * Load recordings from the replay directory
+   * @returns {Promise<number>} Number of recordings available
+   */
+  async loadRecordings() {
+    if (!this.replayMode) return 0;
+
+    const count = await this.recordingStore.load();
+    this.logger.info('Loaded recordings for replay', { directory: this.recordingStore.directory, count });
+    return count;
+  }
+
+  /**
+   * Serve a recorded response, or hand over to the contract routes when none exists
+   * @private
+   */
+  handleReplay(req, res, next) {
+    // A forced status always comes from the contract
+    if (res.locals.specjetOverrides?.status) {
+      return next();
+    }
+
+    const recording = this.recordingStore.get(req.method, req.path, this.getRawQuery(req));
+    if (!recording) {
+      this.logger.debug('No recording found, generating from contract', { method: req.method, path: req.path });
+      return next();
+    }
+
+    const { status, headers = {}, body, encoding } = recording.response;
+    res.status(status).set(headers);
+
+    if (body === undefined || body === null) {
+      return res.end();
+    }
+    if (encoding === 'base64') {
+      return res.send(Buffer.from(body, 'base64'));
+    }
+    return res.send(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  /**
+   * Forward a request to the proxy target, relay the response and record it
+   * Requests with a forced status, scenario or example are answered from the
+   * contract instead; X-SpecJet-* headers are never forwarded
+   * @private
+   */
+  async handleProxy(req, res, next) {
+    const overrides = res.locals.specjetOverrides || {};
+    if (overrides.status || overrides.scenario || req.get(EXAMPLE_HEADER) !== undefined) {
+      return next();
+    }
+
+    const targetUrl = this.proxyTarget.replace(/\/$/, '') + req.originalUrl;
+    const requestHeaders = Object.fromEntries(Object.entries(this.filterHeaders(req.headers, HOP_BY_HOP_REQUEST_HEADERS))
+      .filter(([name]) => !name.toLowerCase().startsWith(OVERRIDE_HEADER_PREFIX)));
+
+    let upstream;
+    try {
+      upstream = await fetch(targetUrl, {
+        method: req.method,
+        headers: requestHeaders,
+        body: await this.readRequestBody(req),
+        redirect: 'manual'
+      });
+    } catch (error) {
+      this.logger.warn('Proxy request failed', { target: targetUrl, error: error.message });
+      return res.status(502).json({
+        error: 'Proxy request failed',
+        message: error.message,
+        target: targetUrl
+      });
+    }
+
+    const headers = this.filterHeaders(Object.fromEntries(upstream.headers), HOP_BY_HOP_RESPONSE_HEADERS);
+    const buffer = Buffer.from(await upstream.arrayBuffer());
+    const response = { status: upstream.status, headers, ...this.encodeResponseBody(buffer, headers['content-type']) };
+
+    // Write the recording before responding so it exists once the client has its answer
+    if (this.recordingStore) {
+      // Session cookies from a real backend should not end up on disk
+      const { 'set-cookie': _setCookie, ...recordedHeaders } = headers;
+      try {
+        await this.recordingStore.save(
+          { method: req.method, path: req.path, query: this.getRawQuery(req) },
+          { ...response, headers: recordedHeaders }
+        );
+      } catch (error) {
+        this.logger.warn('Failed to save recording', { method: req.method, path: req.path, error: error.message });
+      }
+    }
+
+    res.status(upstream.status).set(headers).send(buffer);
+
+    if (this.recordingStore) {
+      await this.checkRecordingAgainstContract(req, response);
+    }
+  }
+
+  /**
+   * Warn when a recorded response does not match what the contract documents
+   * @private
+   */
+  async checkRecordingAgainstContract(req, response) {
+    const endpoint = this.findEndpoint(req.method, req.path);
+    if (!endpoint) {
+      this.logger.warn('Recorded request is not part of the contract', { method: req.method, path: req.path });
+      return;
+    }
+
+    const schema = endpoint.responses?.[String(response.status)]?.schema;
+    if (!schema || typeof response.body !== 'object') return;
+
+    const issues = await new SchemaValidator().validateResponse(response.body, schema);
+    if (issues.length > 0) {
+      this.logger.warn('Recorded response does not match the contract schema', {
+        endpoint: `${endpoint.method} ${endpoint.path}`,
+        status: response.status,
+        issues: issues.map(issue => issue.message)
+      });
+    }
+  }
+
+  /**
+   * Find the contract endpoint matching a concrete request path
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path, e.g. /users/42
+   * @returns {Object|null} Matching endpoint or null
+   */
+  findEndpoint(method, path) {
+    const requestSegments = path.split('/').filter(Boolean);
+
+    return (this.contract?.endpoints || []).find(endpoint => {
+      if (endpoint.method.toUpperCase() !== method.toUpperCase()) return false;
+
+      const segments = endpoint.path.split('/').filter(Boolean);
+      return segments.length === requestSegments.length &&
+        segments.every((segment, i) => /^\{[^}]+\}$/.test(segment) || segment === requestSegments[i]);
+    }) || null;
+  }
+
+  /**
+   * @private
+   */
+  getRawQuery(req) {
+    const queryIndex = req.originalUrl.indexOf('?');
+    return queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1);
+  }
+
+  /**
+   * @private
+   */
+  filterHeaders(headers, excluded) {
+    return Object.fromEntries(
+      Object.entries(headers).filter(([name]) => !excluded.includes(name.toLowerCase()))
+    );
+  }
+
+  /**
+   * Body to forward upstream; JSON bodies were already consumed by express.json()
+   * @private
+   */
+  async readRequestBody(req) {
+    if (['GET', 'HEAD'].includes(req.method)) return undefined;
+
+    if (req.is('application/json')) {
+      return req.body === undefined ? undefined : JSON.stringify(req.body);
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+  }
+
+  /**
+   * Store JSON as JSON, text as text and everything else as base64
+   * @private
+   */
+  encodeResponseBody(buffer, contentType = '') {
+    if (buffer.length === 0) {
+      return { body: null };
+    }
+    if (contentType.includes('json')) {
+      try {
+        return { body: JSON.parse(buffer.toString('utf8')) };
+      } catch {
+        return { body: buffer.toString('utf8') };
+      }
+    }
+    if (contentType.startsWith('text/') || contentType.includes('xml')) {
+      return { body: buffer.toString('utf8') };
+    }
+    return { body: buffer.toString('base64'), encoding: 'base64' };
   }
   
   /**
@@ -96,12 +679,37 @@ class MockServer {
     const method = endpoint.method.toLowerCase();
     const path = this.convertOpenApiPath(endpoint.path);
     
-    this.app[method](path, (req, res) => {
+    this.app[method](path, ...this.getBodyParsers(), (req, res) => {
       try {
+        const overrides = res.locals.specjetOverrides || {};
+        if (overrides.status) {
+          return this.sendForcedStatus(req, res, endpoint, overrides.status);
+        }
+
         // Handle error scenarios
-        if (this.scenario === 'errors' && Math.random() < 0.3) {
+        const scenario = overrides.scenario || this.scenario;
+        if (scenario === 'errors' && this.faker.datatype.boolean({ probability: 0.3 })) {
           return this.generateErrorResponse(res, endpoint);
         }
+
+        const unsupportedMediaType = this.checkRequestMediaType(req, endpoint);
+        if (unsupportedMediaType) {
+          return res.status(415).json(unsupportedMediaType);
+        }
+
+        // Text and binary responses (CSV exports, downloads, ...) have no records to persist
+        const successStatus = this.getSuccessStatusCode(endpoint);
+        const successMediaType = this.getResponseContentType(endpoint, String(successStatus));
+        if (successMediaType && getBodyKind(successMediaType) !== BODY_KINDS.JSON) {
+          const validation = this.validateRequestBody(req, endpoint);
+          if (!validation.isValid) {
+            return res.status(400).json(this.generateValidationErrorResponse(validation.errors));
+          }
+
+          const { params, context } = this.extractRequestParams(req, endpoint);
+          const body = this.generateResponseForStatus(endpoint, String(successStatus), params, context);
+          return this.sendResponseBody(res, successStatus, successMediaType, body);
+        }
         
         // Extract entity type for data persistence
         const entityType = this.extractEntityType(endpoint);
@@ -121,8 +729,9 @@ class MockServer {
           }
           
           // Return stored record or generate consistent one
+          // (an explicitly requested example always wins over stored data)
           const storedRecord = this.getRecord(entityType, req.params.id);
-          if (storedRecord) {
+          if (storedRecord && !this.getRequestedExampleName(req)) {
             mockData = storedRecord;
           } else {
             // Generate consistent record with the requested ID
@@ -136,13 +745,20 @@ class MockServer {
         } else if (httpMethod === 'GET') {
           // GET all - check if response should be array or single object based on schema
           const { params, context } = this.extractRequestParams(req, endpoint);
-          mockData = this.generateMockResponse(endpoint, params, context);
+          const listShape = context.exampleName ? null : this.getListShape(endpoint);
 
-          // Store generated data for persistence
-          if (Array.isArray(mockData)) {
-            mockData.forEach(item => this.storeRecord(entityType, item));
-          } else if (mockData && typeof mockData === 'object') {
-            this.storeRecord(entityType, mockData);
+          if (listShape) {
+            // Served from the data store so created and deleted records show up
+            mockData = this.generateListResponse(endpoint, entityType, listShape, req.query, params, context);
+          } else {
+            mockData = this.generateMockResponse(endpoint, params, context);
+
+            // Store generated data for persistence
+            if (Array.isArray(mockData)) {
+              mockData.forEach(item => this.storeRecord(entityType, item));
+            } else if (mockData && typeof mockData === 'object') {
+              this.storeRecord(entityType, mockData);
+            }
           }
           statusCode = 200;
           
@@ -166,7 +782,7 @@ class MockServer {
             };
           } else {
             // POST - use request body as base, only add server-generated fields
-            mockData = { ...req.body };
+            mockData = { ...this.getRequestFields(req) };
 
             // Add server-generated ID if not present
             if (!mockData.id) {
@@ -176,10 +792,10 @@ class MockServer {
             // Add timestamps if they exist in the response schema
             const responseSchema = this.getResponseSchema(endpoint);
             if (this.schemaHasProperty(responseSchema, 'createdAt') && !mockData.createdAt) {
-              mockData.createdAt = new Date().toISOString();
+              mockData.createdAt = this.currentTimestamp();
             }
             if (this.schemaHasProperty(responseSchema, 'updatedAt') && !mockData.updatedAt) {
-              mockData.updatedAt = new Date().toISOString();
+              mockData.updatedAt = this.currentTimestamp();
             }
           }
 
@@ -196,7 +812,7 @@ class MockServer {
           
           // PUT/PATCH - update existing record
           const id = req.params.id;
-          const updates = { ...req.body, updatedAt: new Date().toISOString() };
+          const updates = { ...this.getRequestFields(req), updatedAt: this.currentTimestamp() };
           mockData = this.updateRecord(entityType, id, updates);
           
           if (!mockData) {
@@ -269,14 +885,45 @@ class MockServer {
    */
   generateMockResponse(endpoint, params = {}, requestContext = {}) {
     const responses = endpoint.responses || endpoint.spec?.responses || {};
-    const successResponse = responses['200'] || responses['201'] || responses['202'] || Object.values(responses)[0];
-    
-    if (!successResponse?.schema && !successResponse?.content?.['application/json']?.schema) {
+    const successCode = ['200', '201', '202'].find(code => responses[code]) || Object.keys(responses)[0];
+
+    const data = this.generateResponseForStatus(endpoint, successCode, params, requestContext);
+    if (data === undefined) {
       return { message: 'Mock response', method: endpoint.method, path: endpoint.path };
     }
-    
+
+    return data;
+  }
+
+  /**
+   * Generate the body for one documented response of an endpoint
+   * @param {Object} endpoint - OpenAPI endpoint definition
+   * @param {string} statusCode - Response key in the contract (e.g. '200', '4XX', 'default')
+   * @param {Object} [params={}] - URL parameters for response generation
+   * @param {Object} [requestContext={}] - Additional request context (exampleName, scenario, ...)
+   * @returns {any} Example or generated data (a string for text media types, a Buffer for
+   * binary ones), or undefined when the response has no body
+   */
+  generateResponseForStatus(endpoint, statusCode, params = {}, requestContext = {}) {
+    const responses = endpoint.responses || endpoint.spec?.responses || {};
+    const response = responses[statusCode];
+    const scenario = requestContext.scenario || this.scenario;
+    const mediaType = this.getResponseContentType(endpoint, statusCode);
+    const kind = mediaType ? getBodyKind(mediaType) : BODY_KINDS.JSON;
+
+    const example = this.findResponseExample(endpoint, statusCode, requestContext.exampleName, scenario);
+    if (example !== undefined) {
+      return kind === BODY_KINDS.JSON ? example : this.toMediaBody(example, mediaType);
+    }
+
     // Get schema from either direct schema or content schema
-    const schema = successResponse.schema || successResponse.content?.['application/json']?.schema;
+    const schema = response?.schema || response?.content?.[mediaType]?.schema;
+    if (kind === BODY_KINDS.BINARY) {
+      return this.generateBinaryBody(mediaType);
+    }
+    if (!schema) {
+      return kind === BODY_KINDS.TEXT ? this.generateTextBody(mediaType) : undefined;
+    }
     
     // Extract endpoint context for smarter data generation
     const endpointContext = this.extractEndpointContext(endpoint);
@@ -284,9 +931,256 @@ class MockServer {
     // Combine endpoint context with request context
     const combinedContext = { ...endpointContext, ...requestContext };
     
-    return this.generateMockData(schema, this.scenario, params, combinedContext);
+    const data = this.generateMockData(schema, scenario, params, combinedContext);
+    return kind === BODY_KINDS.JSON ? data : this.toMediaBody(data, mediaType);
+  }
+
+  /**
+   * Serialize an example or generated value for a text or binary media type
+   * (arrays of objects become CSV rows for text/csv)
+   * @private
+   */
+  toMediaBody(data, mediaType) {
+    if (getBodyKind(mediaType) === BODY_KINDS.BINARY) {
+      return Buffer.isBuffer(data) ? data : Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+    if (typeof data === 'string') {
+      return data;
+    }
+    if (mediaType.startsWith('text/csv')) {
+      return this.toCsv(Array.isArray(data) ? data : [data]);
+    }
+    return typeof data === 'object' ? JSON.stringify(data, null, 2) : String(data);
+  }
+
+  /**
+   * @private
+   */
+  toCsv(rows) {
+    const objects = rows.filter(row => row && typeof row === 'object');
+    if (objects.length === 0) {
+      return rows.map(String).join('\n');
+    }
+
+    const columns = [...new Set(objects.flatMap(row => Object.keys(row)))];
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...objects.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+  }
+
+  /**
+   * Text body for a text response without a schema
+   * @private
+   */
+  generateTextBody(mediaType) {
+    if (mediaType.startsWith('text/csv')) {
+      const rows = Array.from({ length: 3 }, (_, index) => ({ id: index + 1, name: this.faker.person.fullName() }));
+      return this.toCsv(rows);
+    }
+    return this.faker.lorem.paragraph();
+  }
+
+  /**
+   * Bytes for a binary response: a placeholder PNG for images, random bytes otherwise
+   * @private
+   */
+  generateBinaryBody(mediaType) {
+    if (mediaType.startsWith('image/')) {
+      return Buffer.from(PLACEHOLDER_PNG, 'base64');
+    }
+    return Buffer.from(Array.from({ length: 256 }, () => this.faker.number.int({ min: 0, max: 255 })));
   }
   
+  /**
+   * Describe where the records are in a list response: a top-level array of
+   * objects, or an array property of a paginated wrapper object
+   * @private
+   * @param {Object} endpoint - OpenAPI endpoint definition
+   * @returns {{arrayProperty: string|null}|null} List shape, or null when the response is not a list of objects
+   */
+  getListShape(endpoint) {
+    const schema = this.resolveSchema(this.getResponseSchema(endpoint));
+    if (!schema) return null;
+
+    const isObjectSchema = (candidate) => {
+      const resolved = this.resolveSchema(candidate);
+      return Boolean(resolved && (resolved.type === 'object' || resolved.properties || resolved.allOf));
+    };
+
+    if (schema.type === 'array') {
+      return isObjectSchema(schema.items) ? { arrayProperty: null } : null;
+    }
+
+    const arrayProperties = Object.entries(schema.properties || {})
+      .filter(([, propSchema]) => {
+        const resolved = this.resolveSchema(propSchema);
+        return resolved?.type === 'array' && isObjectSchema(resolved.items);
+      })
+      .map(([name]) => name);
+
+    const arrayProperty = LIST_PROPERTY_NAMES.find(name => arrayProperties.includes(name)) ||
+      (arrayProperties.length === 1 ? arrayProperties[0] : null);
+
+    return arrayProperty ? { arrayProperty } : null;
+  }
+
+  /**
+   * Serve a list endpoint from the data store so created, updated and deleted
+   * records are reflected, applying the query parameters the contract declares
+   * The first request populates the store with generated records; a per-request
+   * scenario override gets a one-off generated list instead
+   * @private
+   */
+  generateListResponse(endpoint, entityType, listShape, query, params, context) {
+    const { arrayProperty } = listShape;
+    const extractItems = (data) => {
+      const items = arrayProperty ? data?.[arrayProperty] : data;
+      return Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : [];
+    };
+
+    let records;
+    if (context.scenario) {
+      records = extractItems(this.generateMockResponse(endpoint, params, context));
+    } else {
+      if (!this.initializedLists.has(entityType)) {
+        for (const item of extractItems(this.generateMockResponse(endpoint, params, context))) {
+          if (item.id !== undefined && this.isRecordDeleted(entityType, item.id)) continue;
+
+          const stored = this.storeRecord(entityType, item);
+          // Keep ids of records created later from overwriting generated ones
+          if (Number.isInteger(stored.id) && stored.id >= this.nextId) {
+            this.nextId = stored.id + 1;
+          }
+        }
+        this.initializedLists.add(entityType);
+      }
+      records = this.getAllRecords(entityType);
+    }
+
+    const parameters = endpoint.parameters || endpoint.spec?.parameters || [];
+    const result = applyListQuery(records, parameters, query);
+
+    if (!arrayProperty) {
+      return result.items;
+    }
+
+    // Generate the wrapper without its (potentially large) array, then fill in the page
+    const wrapperSchema = this.resolveSchema(this.getResponseSchema(endpoint));
+    const { [arrayProperty]: _items, ...otherProperties } = wrapperSchema.properties;
+    const wrapper = this.generateMockData(
+      { ...wrapperSchema, properties: otherProperties, required: (wrapperSchema.required || []).filter(name => name !== arrayProperty) },
+      context.scenario || this.scenario,
+      params,
+      { ...this.extractEndpointContext(endpoint), ...context }
+    );
+    wrapper[arrayProperty] = result.items;
+
+    return applyPaginationFields(wrapper, result);
+  }
+
+  /**
+   * Resolve a top-level $ref (schemas are otherwise already dereferenced by the parser)
+   * @private
+   */
+  resolveSchema(schema) {
+    return schema?.$ref ? this.resolveSchemaRef(schema.$ref) : schema;
+  }
+
+  /**
+   * Find the contract example to serve for a response
+   * A named example is used whenever the client requests one; otherwise the
+   * default example is only served when example mode is enabled
+   * @private
+   * @param {Object} endpoint - OpenAPI endpoint definition
+   * @param {string} statusCode - Response status code
+   * @param {string} [exampleName] - Example requested by the client
+   * @param {string} [scenario=this.scenario] - Scenario in effect for the request
+   * @returns {any} Copy of the example value, or undefined to fall back to generated data
+   */
+  findResponseExample(endpoint, statusCode, exampleName, scenario = this.scenario) {
+    const useExamples = this.shouldUseExamples(scenario);
+    if (!useExamples && !exampleName) return undefined;
+
+    const mediaType = this.getResponseMediaType(endpoint, statusCode);
+    if (!mediaType) return undefined;
+
+    const namedExamples = mediaType.examples || {};
+
+    if (exampleName) {
+      if (namedExamples[exampleName]) {
+        return this.cloneExample(namedExamples[exampleName].value);
+      }
+      this.logger.warn('Requested example not found, using default response', {
+        exampleName,
+        endpoint: `${endpoint.method} ${endpoint.path}`,
+        available: Object.keys(namedExamples)
+      });
+      if (!useExamples) return undefined;
+    }
+
+    if (mediaType.example !== undefined) {
+      return this.cloneExample(mediaType.example);
+    }
+
+    const [firstExample] = Object.values(namedExamples);
+    if (firstExample?.value !== undefined) {
+      return this.cloneExample(firstExample.value);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get the media type object the mock serves for a response, whether the
+   * endpoint comes from ContractParser (normalized) or carries OpenAPI content directly
+   * @private
+   */
+  getResponseMediaType(endpoint, statusCode) {
+    if (!statusCode) return null;
+
+    const mediaType = this.getResponseContentType(endpoint, statusCode);
+    if (!mediaType) return null;
+
+    return endpoint.responses?.[statusCode]?.content?.[mediaType] ||
+      endpoint.spec?.responses?.[statusCode]?.content?.[mediaType] ||
+      null;
+  }
+
+  /**
+   * Get the example declared on a schema (`example`, or the first of 3.1 `examples`)
+   * @private
+   * @returns {any} Copy of the example value, or undefined when none is declared
+   */
+  getSchemaExample(schema) {
+    if (schema.example !== undefined) {
+      return this.cloneExample(schema.example);
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+      return this.cloneExample(schema.examples[0]);
+    }
+    return undefined;
+  }
+
+  /**
+   * Examples end up in the data store, so never hand out the contract's own objects
+   * @private
+   */
+  cloneExample(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Read the example name requested via the X-SpecJet-Example header or __example query param
+   * @private
+   */
+  getRequestedExampleName(req) {
+    return req.get?.(EXAMPLE_HEADER) || req.query?.[EXAMPLE_QUERY_PARAM] || undefined;
+  }
+
   extractEndpointContext(endpoint) {
     const context = {
       domain: 'generic',
@@ -399,7 +1293,7 @@ class MockServer {
     
     if (errorResponses.length === 0) {
       // Default error responses
-      const errorCode = Math.random() < 0.7 ? 404 : 400;
+      const errorCode = this.faker.datatype.boolean({ probability: 0.7 }) ? 404 : 400;
       const errorMessages = {
         400: 'Bad Request - Invalid parameters',
         404: 'Not Found - Resource does not exist',
@@ -412,7 +1306,7 @@ class MockServer {
     }
     
     // Use defined error response
-    const errorCode = errorResponses[Math.floor(Math.random() * errorResponses.length)];
+    const errorCode = this.faker.helpers.arrayElement(errorResponses);
     const errorSpec = (endpoint.responses || endpoint.spec.responses)[errorCode];
     
     res.status(parseInt(errorCode)).json({
@@ -431,10 +1325,20 @@ class MockServer {
     const params = {
       path: req.params || {},
       query: req.query || {},
-      body: req.body || {}
+      body: this.getRequestFields(req)
     };
     
     const context = {};
+
+    const exampleName = this.getRequestedExampleName(req);
+    if (exampleName) {
+      context.exampleName = exampleName;
+    }
+
+    const scenario = req.get?.(SCENARIO_HEADER);
+    if (scenario) {
+      context.scenario = scenario;
+    }
     
     // Add correlation between path params and generated IDs
     if (params.path.id) {
@@ -489,14 +1393,27 @@ class MockServer {
       return { isValid: true };
     }
     
-    // Get the schema for the request body
-    const content = requestBody.content?.['application/json'];
+    // Get the schema for the media type the request was sent as
+    const declared = Object.keys(requestBody.content || {});
+    const mediaType = matchMediaType(declared, req.headers['content-type']) || selectMediaType(requestBody.content);
+    const kind = mediaType ? getBodyKind(mediaType) : BODY_KINDS.JSON;
+
+    if (kind === BODY_KINDS.TEXT || kind === BODY_KINDS.BINARY) {
+      const isEmpty = req.body === undefined || req.body.length === 0 || !(typeof req.body === 'string' || Buffer.isBuffer(req.body));
+      return isEmpty ?
+        { isValid: false, errors: [{ field: 'body', message: `A ${mediaType} request body is required`, code: 'required_field_missing' }] } :
+        { isValid: true };
+    }
+
+    const content = requestBody.content?.[mediaType];
     if (!content?.schema) {
       return { isValid: true };
     }
     
     const schema = content.schema.$ref ? this.resolveSchemaRef(content.schema.$ref) : content.schema;
-    const body = req.body || {};
+    const body = this.getRequestFields(req);
+    // Form and multipart values arrive as strings, so only required fields are checked
+    const checkTypes = kind === BODY_KINDS.JSON;
     
     // Validate required fields
     const errors = [];
@@ -513,7 +1430,7 @@ class MockServer {
     }
     
     // Validate data types for provided fields
-    if (schema.properties) {
+    if (checkTypes && schema.properties) {
       for (const [field, fieldSchema] of Object.entries(schema.properties)) {
         if (field in body && body[field] !== null && body[field] !== undefined) {
           const value = body[field];
@@ -589,10 +1506,21 @@ class MockServer {
       const resolvedSchema = this.resolveSchemaRef(schema.$ref);
       return this.generateMockData(resolvedSchema, scenario, params, context);
     }
+
+    // Contract examples take precedence over generated data in example mode
+    if (this.shouldUseExamples(scenario)) {
+      const example = this.getSchemaExample(schema);
+      if (example !== undefined) return example;
+    }
+
+    schema = this.normalizeSchema(schema);
+    if (schema.const !== undefined) {
+      return this.cloneExample(schema.const);
+    }
     
-    // Handle oneOf - pick first option
+    // Handle oneOf - pick a branch
     if (schema.oneOf) {
-      return this.generateMockData(schema.oneOf[0], scenario, params, context);
+      return this.generateOneOf(schema, scenario, params, context);
     }
     
     // Handle allOf - merge all schemas (simplified)
@@ -607,10 +1535,19 @@ class MockServer {
     
     // Handle enums
     if (schema.enum) {
-      return schema.enum[Math.floor(Math.random() * schema.enum.length)];
+      return this.faker.helpers.arrayElement(schema.enum);
     }
     
-    if (schema.type === 'array') {
+    if (schema.type === 'array' || schema.prefixItems) {
+      if (schema.prefixItems) {
+        return schema.prefixItems.map(itemSchema => this.generateMockData(itemSchema, scenario, params, context));
+      }
+
+      // Recursive lists, e.g. the children of a tree node, end empty
+      if (this.isRecursionLimitReached(schema.items)) {
+        return [];
+      }
+
       // Calculate appropriate memory limits based on item complexity
       let maxItems = DEFAULT_MAX_ITEMS; // Default limit
       if (schema.items?.type === 'object' || schema.items?.properties) {
@@ -641,36 +1578,161 @@ class MockServer {
       return items;
     }
     
-    if (schema.type === 'object' || schema.properties) {
-      const obj = {};
-      const properties = schema.properties || {};
-      const required = schema.required || [];
-      
-      for (const [propName, propSchema] of Object.entries(properties)) {
-        // Use correlation ID for id fields if available
-        if (propName === 'id' && context.correlationId) {
-          // Convert correlation ID to the correct type if type info is available
-          if (context.correlationIdType === 'integer' || context.correlationIdType === 'number') {
-            obj[propName] = parseInt(context.correlationId);
-          } else {
-            obj[propName] = context.correlationId;
-          }
+    if (schema.type === 'object' || schema.properties || schema.patternProperties) {
+      const depth = this.schemasInProgress.get(schema) || 0;
+      // A schema that requires itself can never end; stop with an empty object
+      if (depth > MAX_RECURSION_DEPTH) {
+        return {};
+      }
+
+      this.schemasInProgress.set(schema, depth + 1);
+      try {
+        return this.generateObject(schema, scenario, context);
+      } finally {
+        if (depth === 0) {
+          this.schemasInProgress.delete(schema);
         } else {
-          obj[propName] = this.generatePropertyValue(propName, propSchema, scenario, context);
+          this.schemasInProgress.set(schema, depth);
         }
       }
-      
-      // Add required properties that might be missing
-      for (const reqProp of required) {
-        if (!Object.prototype.hasOwnProperty.call(obj, reqProp)) {
-          obj[reqProp] = this.generatePropertyValue(reqProp, { type: 'string' }, scenario, context);
+    }
+    
+    return this.generatePrimitiveValue(schema, scenario);
+  }
+
+  /**
+   * Generate the properties of an object schema. Optional properties that
+   * recurse past MAX_RECURSION_DEPTH are left out.
+   * @private
+   * @param {Object} schema - Object schema
+   * @param {string} scenario - Data scenario
+   * @param {Object} context - Generation context
+   * @returns {Object} Generated object
+   */
+  generateObject(schema, scenario, context) {
+    const obj = {};
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    
+    for (const [propName, propSchema] of Object.entries(properties)) {
+      if (!required.includes(propName) && this.isRecursionLimitReached(propSchema)) {
+        continue;
+      }
+
+      // Use correlation ID for id fields if available
+      if (propName === 'id' && context.correlationId) {
+        // Convert correlation ID to the correct type if type info is available
+        if (context.correlationIdType === 'integer' || context.correlationIdType === 'number') {
+          obj[propName] = parseInt(context.correlationId);
+        } else {
+          obj[propName] = context.correlationId;
         }
+      } else {
+        obj[propName] = this.generatePropertyValue(propName, propSchema, scenario, context);
       }
-      
-      return obj;
     }
     
-    return this.generatePrimitiveValue(schema, scenario);
+    // One property per pattern, when a matching name can be generated
+    for (const [pattern, propSchema] of Object.entries(schema.patternProperties || {})) {
+      const propName = this.generatePatternKey(pattern);
+      if (propName && !Object.prototype.hasOwnProperty.call(obj, propName)) {
+        obj[propName] = this.generatePropertyValue(propName, propSchema, scenario, context);
+      }
+    }
+    
+    // Add required properties that might be missing
+    for (const reqProp of required) {
+      if (!Object.prototype.hasOwnProperty.call(obj, reqProp)) {
+        obj[reqProp] = this.generatePropertyValue(reqProp, { type: 'string' }, scenario, context);
+      }
+    }
+    
+    return obj;
+  }
+
+  /**
+   * Data for one branch of a oneOf, picked at random. With a discriminator
+   * the discriminator property is set to that branch's value.
+   * @private
+   */
+  generateOneOf(schema, scenario, params, context) {
+    const discriminated = getDiscriminatorVariants(schema, this.schemaNames);
+    if (!discriminated) {
+      return this.generateMockData(this.faker.helpers.arrayElement(schema.oneOf), scenario, params, context);
+    }
+
+    const { schema: branch, values } = this.faker.helpers.arrayElement(discriminated.variants);
+    const data = this.generateMockData(branch, scenario, params, context);
+    if (values.length > 0 && data && typeof data === 'object' && !Array.isArray(data)) {
+      data[discriminated.propertyName] = this.faker.helpers.arrayElement(values);
+    }
+    return data;
+  }
+
+  /**
+   * Reduce OpenAPI 3.1 keywords to what the generators handle. A type list
+   * becomes its first non-null type. if/then/else becomes the schema merged
+   * with `if` and `then`, so the data takes the then branch and satisfies
+   * it, or with `else` when there is no then branch.
+   * @private
+   * @param {Object} schema - Dereferenced schema
+   * @returns {Object} The schema itself when nothing needs reducing
+   */
+  normalizeSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (!Array.isArray(schema.type) && !schema.then && !schema.else) return schema;
+    if (this.normalizedSchemas.has(schema)) return this.normalizedSchemas.get(schema);
+
+    let normalized = { ...schema };
+
+    if (Array.isArray(schema.type)) {
+      const excluded = [schema.not?.type ?? []].flat();
+      const types = schema.type.filter(type => !excluded.includes(type));
+      normalized.type = types.find(type => type !== 'null') ?? types[0];
+    }
+
+    if (schema.then || schema.else) {
+      const { if: condition, then: thenSchema, else: elseSchema, ...baseSchema } = normalized;
+      const branch = thenSchema ? [condition, thenSchema] : [elseSchema];
+
+      normalized = branch.filter(Boolean).reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        properties: { ...merged.properties, ...part.properties },
+        required: [...new Set([...(merged.required || []), ...(part.required || [])])]
+      }), baseSchema);
+    }
+
+    this.normalizedSchemas.set(schema, normalized);
+    return normalized;
+  }
+
+  /**
+   * Property name matching a patternProperties pattern
+   * @private
+   * @param {string} pattern - Regular expression
+   * @returns {string|null} Name, or null when the pattern is too complex to generate from
+   */
+  generatePatternKey(pattern) {
+    try {
+      const propName = this.faker.helpers.fromRegExp(pattern.replace(/^\^/, '').replace(/\$$/, ''));
+      return new RegExp(pattern).test(propName) ? propName : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a schema is already nested MAX_RECURSION_DEPTH times in the data
+   * being generated
+   * @private
+   * @param {Object} schema - Property or item schema
+   * @returns {boolean}
+   */
+  isRecursionLimitReached(schema) {
+    const resolved = this.normalizeSchema(this.resolveSchema(schema));
+    const target = resolved?.type === 'array' ? this.normalizeSchema(this.resolveSchema(resolved.items)) : resolved;
+    return (this.schemasInProgress.get(target) || 0) >= MAX_RECURSION_DEPTH;
   }
   
   getItemCount(scenario, maxItems = DEFAULT_MAX_ITEMS) {
@@ -680,13 +1742,13 @@ class MockServer {
         count = 3;
         break;
       case 'realistic':
-        count = faker.number.int({ min: 5, max: 15 });
+        count = this.faker.number.int({ min: 5, max: 15 });
         break;
       case 'large':
-        count = faker.number.int({ min: 50, max: 100 });
+        count = this.faker.number.int({ min: 50, max: 100 });
         break;
       case 'errors':
-        count = faker.number.int({ min: 2, max: 8 });
+        count = this.faker.number.int({ min: 2, max: 8 });
         break;
       default:
         count = 3;
@@ -700,8 +1762,8 @@ class MockServer {
     // Generate a basic fallback item when primary generation fails
     if (schema?.type === 'object' || schema?.properties) {
       return {
-        id: faker.string.uuid(),
-        name: faker.lorem.words(2),
+        id: this.faker.string.uuid(),
+        name: this.faker.lorem.words(2),
         _fallback: true
       };
     }
@@ -709,8 +1771,8 @@ class MockServer {
     if (schema?.$ref) {
       // For $ref schemas, return a basic object
       return {
-        id: faker.string.uuid(),
-        name: faker.lorem.words(2),
+        id: this.faker.string.uuid(),
+        name: this.faker.lorem.words(2),
         _fallback: true
       };
     }
@@ -731,11 +1793,11 @@ class MockServer {
         case 'product':
           return this.generateProductName();
         case 'user':
-          return faker.person.fullName();
+          return this.faker.person.fullName();
         case 'review':
           return this.generateReviewTitle(scenario);
         default:
-          return faker.lorem.words(2);
+          return this.faker.lorem.words(2);
       }
     }
     
@@ -747,11 +1809,11 @@ class MockServer {
         case 'product':
           return this.generateProductDescription();
         case 'user':
-          return scenario === 'demo' ? faker.lorem.sentence() : faker.lorem.paragraphs();
+          return scenario === 'demo' ? this.faker.lorem.sentence() : this.faker.lorem.paragraphs();
         case 'review':
           return this.generateReviewComment(scenario);
         default:
-          return scenario === 'demo' ? faker.lorem.sentence() : faker.lorem.paragraphs();
+          return scenario === 'demo' ? this.faker.lorem.sentence() : this.faker.lorem.paragraphs();
       }
     }
     
@@ -763,7 +1825,7 @@ class MockServer {
         case 'product':
           return this.generateProductName();
         default:
-          return faker.lorem.words(faker.number.int({ min: 3, max: 8 }));
+          return this.faker.lorem.words(this.faker.number.int({ min: 3, max: 8 }));
       }
     }
     
@@ -771,36 +1833,36 @@ class MockServer {
   }
   
   generateCategoryName() {
-    return faker.commerce.department();
+    return this.faker.commerce.department();
   }
   
   generateCategoryDescription(scenario) {
     if (scenario === 'demo') {
-      return faker.lorem.sentence();
+      return this.faker.lorem.sentence();
     }
-    return faker.lorem.paragraph();
+    return this.faker.lorem.paragraph();
   }
   
   generateProductName() {
-    return faker.commerce.productName();
+    return this.faker.commerce.productName();
   }
   
   generateProductDescription() {
-    return faker.commerce.productDescription();
+    return this.faker.commerce.productDescription();
   }
   
   generateReviewTitle(scenario) {
     if (scenario === 'demo') {
-      return faker.lorem.words(faker.number.int({ min: 3, max: 6 }));
+      return this.faker.lorem.words(this.faker.number.int({ min: 3, max: 6 }));
     }
-    return faker.lorem.words(faker.number.int({ min: 3, max: 8 }));
+    return this.faker.lorem.words(this.faker.number.int({ min: 3, max: 8 }));
   }
   
   generateReviewComment(scenario) {
     if (scenario === 'demo') {
-      return faker.lorem.sentence();
+      return this.faker.lorem.sentence();
     }
-    return faker.lorem.paragraphs(faker.number.int({ min: 1, max: 3 }));
+    return this.faker.lorem.paragraphs(this.faker.number.int({ min: 1, max: 3 }));
   }
 
   generatePropertyValue(propName, schema, scenario = 'demo', context = null) {
@@ -809,14 +1871,29 @@ class MockServer {
       const resolvedSchema = this.resolveSchemaRef(schema.$ref);
       return this.generateMockData(resolvedSchema, scenario, {}, context);
     }
+
+    if (this.shouldUseExamples(scenario)) {
+      const example = this.getSchemaExample(schema);
+      if (example !== undefined) return example;
+    }
+
+    schema = this.normalizeSchema(schema);
+    if (schema.const !== undefined) {
+      return this.cloneExample(schema.const);
+    }
     
     // Handle arrays - must use generateMockData to handle array type properly
-    if (schema.type === 'array') {
+    if (schema.type === 'array' || schema.prefixItems) {
+      return this.generateMockData(schema, scenario, {}, context);
+    }
+
+    // Handle unions - generateMockData picks a branch
+    if (schema.oneOf) {
       return this.generateMockData(schema, scenario, {}, context);
     }
     
     // Handle nested object relationships
-    if (schema.type === 'object' || schema.properties) {
+    if (schema.type === 'object' || schema.properties || schema.patternProperties) {
       const nestedContext = this.inferNestedContext(propName, context);
       return this.generateMockData(schema, scenario, {}, nestedContext);
     }
@@ -834,96 +1911,96 @@ class MockServer {
     
     // Email patterns
     if (schema.format === 'email' || propLower.includes('email')) {
-      return faker.internet.email();
+      return this.faker.internet.email();
     }
     
     // Token/Auth patterns - Enhanced with better faker methods
     if (propLower.includes('token') || propLower.includes('jwt') || propLower.includes('accesstoken') || propLower.includes('refreshtoken')) {
-      return faker.internet.jwt();
+      return this.faker.internet.jwt();
     }
     if (propLower.includes('apikey') || propLower.includes('api_key')) {
-      return faker.string.alphanumeric(32);
+      return this.faker.string.alphanumeric(32);
     }
     if (propLower.includes('secret') || propLower.includes('key')) {
-      return faker.string.alphanumeric(64);
+      return this.faker.string.alphanumeric(64);
     }
     if (propLower.includes('bearer') || propLower.includes('authorization')) {
-      return `Bearer ${faker.internet.jwt()}`;
+      return `Bearer ${this.faker.internet.jwt()}`;
     }
     
     // Date/time patterns
     if (schema.format === 'date-time' || propLower.includes('createdat') || propLower.includes('updatedat')) {
-      return faker.date.recent().toISOString();
+      return this.faker.date.recent().toISOString();
     }
     if (schema.format === 'date' || propLower.includes('date')) {
-      return faker.date.recent().toISOString().split('T')[0];
+      return this.faker.date.recent().toISOString().split('T')[0];
     }
     
     // ID patterns - always respect schema type first
     if (propName === 'id' || propLower.endsWith('id')) {
       // If schema has explicit type, always use it
       if (schema.type === 'integer' || schema.type === 'number') {
-        return scenario === 'demo' ? faker.number.int({ min: 1, max: 100 }) : faker.number.int({ min: 1, max: 100000 });
+        return scenario === 'demo' ? this.faker.number.int({ min: 1, max: 100 }) : this.faker.number.int({ min: 1, max: 100000 });
       }
       if (schema.type === 'string') {
-        return schema.format === 'uuid' ? faker.string.uuid() : faker.string.alphanumeric({ length: 8 });
+        return schema.format === 'uuid' ? this.faker.string.uuid() : this.faker.string.alphanumeric({ length: 8 });
       }
       
       // Only if no schema type is provided, use format or fallback logic
       if (schema.format === 'uuid') {
-        return faker.string.uuid();
+        return this.faker.string.uuid();
       }
       
       // Final fallback for ID fields without explicit type - warn and use integer for demo
       this.logger.warn('ID field has no explicit type in schema, defaulting to integer', { propName, scenario });
-      return scenario === 'demo' ? faker.number.int({ min: 1, max: 100 }) : faker.string.uuid();
+      return scenario === 'demo' ? this.faker.number.int({ min: 1, max: 100 }) : this.faker.string.uuid();
     }
     
     // Name patterns
     if (propLower.includes('firstname') || propLower === 'first_name') {
-      return faker.person.firstName();
+      return this.faker.person.firstName();
     }
     if (propLower.includes('lastname') || propLower === 'last_name') {
-      return faker.person.lastName();
+      return this.faker.person.lastName();
     }
     if (propLower.includes('fullname') || propLower.includes('name')) {
-      return faker.person.fullName();
+      return this.faker.person.fullName();
     }
     
     // Address patterns
     if (propLower.includes('address')) {
-      return faker.location.streetAddress();
+      return this.faker.location.streetAddress();
     }
     if (propLower.includes('city')) {
-      return faker.location.city();
+      return this.faker.location.city();
     }
     if (propLower.includes('country')) {
-      return faker.location.country();
+      return this.faker.location.country();
     }
     
     // Phone patterns
     if (propLower.includes('phone')) {
-      return faker.phone.number();
+      return this.faker.phone.number();
     }
     
     // URL patterns
     if (schema.format === 'uri' || propLower.includes('url') || propLower.includes('link')) {
-      return faker.internet.url();
+      return this.faker.internet.url();
     }
     
     // Status/boolean patterns
     if (propLower.includes('active') || propLower.includes('enabled') || propLower.includes('verified')) {
-      return scenario === 'demo' ? true : faker.datatype.boolean();
+      return scenario === 'demo' ? true : this.faker.datatype.boolean();
     }
     
     // Price/money patterns
     if (propLower.includes('price') || propLower.includes('amount') || propLower.includes('cost')) {
-      return parseFloat(faker.commerce.price());
+      return parseFloat(this.faker.commerce.price());
     }
     
     // Description patterns
     if (propLower.includes('description') || propLower.includes('bio')) {
-      return scenario === 'demo' ? faker.lorem.sentence() : faker.lorem.paragraphs();
+      return scenario === 'demo' ? this.faker.lorem.sentence() : this.faker.lorem.paragraphs();
     }
     
     return this.generatePrimitiveValue(schema, scenario);
@@ -935,30 +2012,33 @@ class MockServer {
     switch (type) {
       case 'string': {
         if (schema.enum) {
-          return schema.enum[Math.floor(Math.random() * schema.enum.length)];
+          return this.faker.helpers.arrayElement(schema.enum);
         }
         if (schema.minLength || schema.maxLength) {
           const min = schema.minLength || 5;
           const max = schema.maxLength || 50;
-          return faker.lorem.words({ min: Math.ceil(min/5), max: Math.ceil(max/5) });
+          return this.faker.lorem.words({ min: Math.ceil(min/5), max: Math.ceil(max/5) });
         }
-        return scenario === 'demo' ? faker.lorem.words(2) : faker.lorem.sentence();
+        return scenario === 'demo' ? this.faker.lorem.words(2) : this.faker.lorem.sentence();
       }
         
       case 'integer': {
         const intMin = schema.minimum || 1;
         const intMax = schema.maximum || (scenario === 'large' ? 10000 : 1000);
-        return faker.number.int({ min: intMin, max: intMax });
+        return this.faker.number.int({ min: intMin, max: intMax });
       }
         
       case 'number': {
         const numMin = schema.minimum || 0;
         const numMax = schema.maximum || (scenario === 'large' ? 10000 : 1000);
-        return faker.number.float({ min: numMin, max: numMax, precision: 0.01 });
+        return this.faker.number.float({ min: numMin, max: numMax, precision: 0.01 });
       }
         
       case 'boolean':
-        return scenario === 'demo' ? true : faker.datatype.boolean();
+        return scenario === 'demo' ? true : this.faker.datatype.boolean();
+
+      case 'null':
+        return null;
         
       case 'array':
         // Arrays should not reach here - they should be handled in generateMockData
@@ -967,7 +2047,7 @@ class MockServer {
         
       default:
         this.logger.warn('Unknown primitive type, defaulting to string', { type });
-        return faker.lorem.words(2);
+        return this.faker.lorem.words(2);
     }
   }
   
@@ -1138,7 +2218,9 @@ class MockServer {
    * const url = await server.start(3001);
    * console.log(`Server running at ${url}`);
    */
-  start(port = 3001) {
+  async start(port = 3001) {
+    await this.loadRecordings();
+
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(port, (err) => {
         if (err) {
@@ -1178,9 +2260,7 @@ class MockServer {
         }
 
         // Clear data stores
-        this.dataStore.clear();
-        this.deletedRecords.clear();
-        this.nextId = 1;
+        this.resetState();
 
         this.server = null;
         resolve();
@@ -1,14 +1,36 @@
+// Node.js built-ins
+import { resolve } from 'path';
+import { createInterface } from 'readline';
+
+// External dependencies
+import fs from 'fs-extra';
+
 // Internal modules
-import { loadConfig, validateConfig, getEnvironmentConfig, getAvailableEnvironments, listEnvironments } from '../core/config.js';
+import { loadConfig, validateConfig, getEnvironmentConfig, getAvailableEnvironments, listEnvironments, isProductionEnvironment } from '../core/config.js';
 import ContractFinder from '../core/contract-finder.js';
 import EnvValidator from '../core/env-validator.js';
 import { validateOptions, validateTimeout, validateConcurrency, validateDelay } from '../core/parameter-validator.js';
 import ValidationResults from '../core/validation-results.js';
+import ValidationBaseline from '../core/validation-baseline.js';
+import { SAFE_METHODS, normalizeFilter, parseExcludePatterns, hasCriteria, filterEndpoints } from '../core/endpoint-filter.js';
 import ServiceContainer from '../core/service-container.js';
 import ResourceManager from '../core/resource-manager.js';
 import { SpecJetError, ErrorHandler } from '../core/errors.js';
 import ValidatorFactory from '../factories/validator-factory.js';
 
+// Formats --report-file can write, and the extensions they are picked by
+// when --output is left at console
+const REPORT_FORMATS = ['json', 'markdown', 'junit', 'sarif', 'html'];
+const REPORT_EXTENSIONS = [
+  ['.sarif.json', 'sarif'],
+  ['.sarif', 'sarif'],
+  ['.xml', 'junit'],
+  ['.html', 'html'],
+  ['.htm', 'html'],
+  ['.json', 'json'],
+  ['.md', 'markdown']
+];
+
 /**
  * Business logic service for API validation
  * Orchestrates the entire validation workflow
@@ -103,6 +125,8 @@ class ValidationService {
     const scope = this.resourceManager.createScope();
 
     try {
+      const reportFormat = options.reportFile ? this.resolveReportFormat(options.reportFile, options.output) : null;
+      const baseline = options.baseline ? await ValidationBaseline.load(resolve(options.baseline)) : null;
       const config = await this.loadAndValidateConfig(options.config);
 
       if (!environmentName) {
@@ -110,11 +134,44 @@ class ValidationService {
       }
 
       const envConfig = await this.validateEnvironmentAccess(config, environmentName);
+      const filters = this.resolveEndpointFilters(envConfig, options);
       const contractPath = await this.findAndValidateContract(config, options.contract);
       const validationSystem = await this.setupValidationSystem(envConfig, contractPath, options, scope);
-      const results = await this.executeValidationWorkflow(validationSystem, options);
+      const endpoints = this.selectEndpoints(validationSystem.validator.endpoints, filters);
+      await this.confirmUnsafeRequests(environmentName, envConfig, endpoints, options);
+      const results = await this.executeValidationWorkflow(validationSystem, options, endpoints);
+      const baselineComparison = baseline ? ValidationBaseline.compare(results, baseline) : null;
+      // Compared results mark known issues, so reports pass endpoints that only have those
+      const reportedResults = baselineComparison ? baselineComparison.results : results;
+      // Printed and written reports of the same format are identical
+      const reportOptions = {
+        environment: environmentName,
+        contractPath: this.contractFinder.getRelativePath(contractPath)
+      };
+      const response = this.generateValidationResponse(
+        reportedResults,
+        validationSystem,
+        environmentName,
+        { ...options, baselineComparison, reportOptions }
+      );
+
+      if (options.saveBaseline) {
+        response.savedBaseline = await this.saveBaseline(results, environmentName, options.saveBaseline);
+        if (!baselineComparison) {
+          // Recording a baseline succeeds even though the API has issues
+          response.exitCode = 0;
+          response.success = true;
+        }
+      }
+
+      if (reportFormat) {
+        response.reportFile = await this.writeReport(reportedResults, reportFormat, {
+          reportFile: options.reportFile,
+          ...reportOptions
+        });
+      }
 
-      return this.generateValidationResponse(results, validationSystem, environmentName, options);
+      return response;
 
     } catch (error) {
       return this.handleValidationError(error, { verbose });
@@ -196,8 +253,147 @@ class ValidationService {
    * @param {object} options - Validation options
    * @returns {Promise<Array>} Validation results
    */
-  async executeValidationWorkflow(validationSystem, options) {
-    return await this.executeValidation(validationSystem, options);
+  async executeValidationWorkflow(validationSystem, options, endpoints) {
+    return await this.executeValidation(validationSystem, options, endpoints);
+  }
+
+  /**
+   * Combine the environment's include/exclude filters with the --tag,
+   * --path, --method, --operation and --exclude options. Read-only
+   * environments and --read-only keep only GET, HEAD and OPTIONS endpoints.
+   * @param {object} envConfig - Environment configuration
+   * @param {object} options - Validation options
+   * @returns {{include: Array, exclude: Array}} Normalized filters
+   */
+  resolveEndpointFilters(envConfig, options) {
+    const readOnly = this.isReadOnly(envConfig, options);
+    if (readOnly) {
+      this.logger.log(`🔒 Read-only mode: only ${SAFE_METHODS.join(', ')} endpoints are validated`);
+    }
+
+    const include = [
+      readOnly && normalizeFilter({ methods: SAFE_METHODS }),
+      envConfig.include && normalizeFilter(envConfig.include, 'include'),
+      normalizeFilter({
+        tags: options.tag,
+        paths: options.path,
+        methods: options.method,
+        operations: options.operation
+      }, '--method')
+    ];
+    const exclude = [
+      envConfig.exclude && normalizeFilter(envConfig.exclude, 'exclude'),
+      parseExcludePatterns(options.exclude)
+    ];
+
+    return {
+      include: include.filter(filter => filter && hasCriteria(filter)),
+      exclude: exclude.filter(filter => filter && hasCriteria(filter))
+    };
+  }
+
+  /**
+   * Whether validation must not send requests that change data
+   * @param {object} envConfig - Environment configuration
+   * @param {object} options - Validation options
+   * @returns {boolean}
+   */
+  isReadOnly(envConfig, options) {
+    return Boolean(options.readOnly || envConfig.readOnly);
+  }
+
+  /**
+   * Ask before sending generated data to an environment that looks like
+   * production. Runs without a terminal fail instead of asking.
+   * Skipped in read-only mode and with --force.
+   * @param {string} environmentName - Environment name
+   * @param {object} envConfig - Environment configuration
+   * @param {Array} endpoints - Endpoints about to be validated
+   * @param {object} options - Validation options
+   * @throws {SpecJetError} When the run is not confirmed
+   */
+  async confirmUnsafeRequests(environmentName, envConfig, endpoints, options) {
+    if (options.force || this.isReadOnly(envConfig, options) || !isProductionEnvironment(environmentName, envConfig)) {
+      return;
+    }
+
+    const unsafeEndpoints = endpoints.filter(endpoint => !SAFE_METHODS.includes(endpoint.method.toUpperCase()));
+    if (unsafeEndpoints.length === 0) {
+      return;
+    }
+
+    const suggestions = [
+      `Run with --read-only, or set readOnly: true for ${environmentName} in specjet.config.js`,
+      'Run with --force to send the requests anyway'
+    ];
+    const isCI = process.env.CI || !process.stdin.isTTY;
+
+    if (isCI) {
+      throw new SpecJetError(
+        `'${environmentName}' looks like production and validation would send generated data to ${unsafeEndpoints.length} endpoint${unsafeEndpoints.length === 1 ? '' : 's'} that can change it`,
+        'VALIDATE_CONFIRMATION_REQUIRED',
+        null,
+        suggestions
+      );
+    }
+
+    this.logger.log(`\n⚠️  '${environmentName}' (${envConfig.url}) looks like production.`);
+    this.logger.log('Validation sends generated data to these endpoints, which can change or delete real data:');
+    for (const endpoint of unsafeEndpoints) {
+      this.logger.log(`   • ${endpoint.method.toUpperCase()} ${endpoint.path}`);
+    }
+
+    if (!await this.confirm('Continue? [y/N]: ')) {
+      throw new SpecJetError('Validation cancelled', 'VALIDATE_CANCELLED', null, [suggestions[0]]);
+    }
+  }
+
+  /**
+   * Ask a yes/no question on the terminal
+   * @param {string} question - Question, including the [y/N] hint
+   * @returns {Promise<boolean>} True when answered y or yes
+   */
+  async confirm(question) {
+    const rl = createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise((resolveAnswer) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolveAnswer(['y', 'yes'].includes(answer.toLowerCase().trim()));
+      });
+    });
+  }
+
+  /**
+   * Endpoints of the contract that pass the filters
+   * @param {Array} endpoints - All contract endpoints
+   * @param {object} filters - Result of resolveEndpointFilters()
+   * @returns {Array} Endpoints to validate
+   * @throws {SpecJetError} When the filters leave no endpoint
+   */
+  selectEndpoints(endpoints, filters) {
+    if (filters.include.length === 0 && filters.exclude.length === 0) {
+      return endpoints;
+    }
+
+    const selected = filterEndpoints(endpoints, filters);
+    if (selected.length === 0) {
+      throw new SpecJetError(
+        `None of the ${endpoints.length} endpoints in the contract match the endpoint filters`,
+        'VALIDATE_NO_ENDPOINTS',
+        null,
+        [
+          'Check the --tag, --path, --method, --operation and --exclude options',
+          'Check the include and exclude filters of the environment in specjet.config.js'
+        ]
+      );
+    }
+
+    this.logger.log(`🔎 Filters matched ${selected.length} of ${endpoints.length} endpoints`);
+    return selected;
   }
 
   /**
@@ -297,7 +493,7 @@ class ValidationService {
    */
   createProgressCallback(options) {
     const isCI = process.env.CI || !process.stdin.isTTY;
-    const showProgress = !isCI && options.output === 'console';
+    const showProgress = !isCI && this.resolveConsoleOutput(options) === 'console';
 
     if (!showProgress) {
       return null;
@@ -325,15 +521,16 @@ class ValidationService {
    * Supports parameter discovery for paths, queries, and request bodies
    * @param {object} validationSystem - Initialized validation system
    * @param {object} options - Runtime options including timeout and parameter overrides
+   * @param {Array} [endpoints] - Endpoints to validate, all contract endpoints by default
    * @returns {Promise<Array>} Array of validation results with success/failure status
    */
-  async executeValidation(validationSystem, options) {
+  async executeValidation(validationSystem, options, endpoints = validationSystem.validator.endpoints) {
     const isCI = process.env.CI || !process.stdin.isTTY;
-    const showProgress = !isCI && options.output === 'console';
+    const showProgress = !isCI && this.resolveConsoleOutput(options) === 'console';
 
     if (showProgress) {
       this.logger.log('🚀 Starting validation...\n');
-      this.logger.log(`🔍 Validating ${validationSystem.validator.endpoints.length} endpoints...\n`);
+      this.logger.log(`🔍 Validating ${endpoints.length} endpoints...\n`);
     }
 
     const validationOptions = {
@@ -344,7 +541,7 @@ class ValidationService {
       enableParameterDiscovery: options.enableParameterDiscovery !== false // Default to enabled
     };
 
-    return await validationSystem.validateAllEndpoints(validationOptions);
+    return await validationSystem.validateAllEndpoints(validationOptions, endpoints);
   }
 
   /**
@@ -354,19 +551,24 @@ class ValidationService {
    * @param {Array} results - Raw validation results from endpoint testing
    * @param {object} validationSystem - System containing statistics and configuration
    * @param {string} environmentName - Target environment name for reporting
-   * @param {object} options - Output formatting and verbosity options
+   * @param {object} options - Output formatting and verbosity options, plus reportOptions (environment, contractPath) for printed reports
    * @returns {object} Complete response with exit code, formatted output, and statistics
    */
   generateValidationResponse(results, validationSystem, environmentName, options) {
-    const stats = validationSystem.getStatistics();
+    const { baselineComparison = null, reportOptions = { environment: environmentName } } = options;
+    const stats = baselineComparison
+      ? this.getBaselineStatistics(validationSystem.getStatistics(), results)
+      : validationSystem.getStatistics();
     const isCI = process.env.CI || !process.stdin.isTTY;
 
-    // Format output based on requested format
+    const output = this.resolveConsoleOutput(options);
     let formattedOutput = '';
-    if (options.output === 'json') {
+    if (output === 'json') {
       formattedOutput = this.resultsFormatter.formatJsonOutput(results);
-    } else if (options.output === 'markdown') {
+    } else if (output === 'markdown') {
       formattedOutput = this.resultsFormatter.formatMarkdownReport(results);
+    } else if (REPORT_FORMATS.includes(output)) {
+      formattedOutput = this.formatReport(results, output, reportOptions);
     } else {
       // Console output
       formattedOutput = this.resultsFormatter.formatConsoleOutput(results, {
@@ -378,6 +580,10 @@ class ValidationService {
 
     this.logger.log(formattedOutput);
 
+    if (baselineComparison && !REPORT_FORMATS.includes(output)) {
+      this.logger.log(ValidationBaseline.formatConsoleOutput(baselineComparison, options.baseline));
+    }
+
     // Generate CI summary if needed
     if (isCI) {
       this.generateCISummary(stats, results);
@@ -390,10 +596,142 @@ class ValidationService {
       statistics: stats,
       environment: environmentName,
       summary: validationSystem.generateReport('summary'),
-      formattedOutput
+      formattedOutput,
+      ...(baselineComparison && {
+        baseline: {
+          newIssues: baselineComparison.newIssues.length,
+          knownIssues: baselineComparison.knownIssues.length,
+          fixedIssues: baselineComparison.fixedIssues.length
+        }
+      })
+    };
+  }
+
+  /**
+   * Format printed to the console; with --report-file the report goes to
+   * the file and the console output is printed
+   * @param {object} options - Validation options
+   * @returns {string} Output format
+   */
+  resolveConsoleOutput(options) {
+    return options.reportFile ? 'console' : options.output;
+  }
+
+  /**
+   * Statistics where endpoints with only known baseline issues count as passed
+   * @param {object} stats - Statistics of the validation run
+   * @param {Array} results - Results compared with the baseline
+   * @returns {object} Adjusted statistics
+   */
+  getBaselineStatistics(stats, results) {
+    const passed = results.filter(result => result.success).length;
+
+    return {
+      ...stats,
+      passed,
+      failed: results.length - passed,
+      successRate: results.length > 0 ? Math.round((passed / results.length) * 100) : 0
     };
   }
 
+  /**
+   * Record the current issues as a baseline
+   * @param {Array} results - Validation results, not compared with a baseline
+   * @param {string} environmentName - Validated environment
+   * @param {string} baselineFile - File to write
+   * @returns {Promise<string>} Absolute path of the baseline
+   */
+  async saveBaseline(results, environmentName, baselineFile) {
+    const baselinePath = resolve(baselineFile);
+    const baseline = await ValidationBaseline.save(results, baselinePath, { environment: environmentName });
+
+    this.logger.log(`📌 Baseline with ${baseline.issues.length} issue${baseline.issues.length === 1 ? '' : 's'} saved to ${baselinePath}`);
+    return baselinePath;
+  }
+
+  /**
+   * Format results as a report
+   * @param {Array} results - Validation results
+   * @param {string} format - One of json, markdown, junit, sarif, html
+   * @param {object} reportOptions - Report options (environment, contractPath)
+   * @returns {string} Report contents
+   */
+  formatReport(results, format, reportOptions = {}) {
+    switch (format) {
+      case 'json':
+        return this.resultsFormatter.formatJsonOutput(results);
+      case 'markdown':
+        return this.resultsFormatter.formatMarkdownReport(results);
+      case 'junit':
+        return this.resultsFormatter.formatJUnitReport(results, reportOptions);
+      case 'sarif':
+        return this.resultsFormatter.formatSarifReport(results, reportOptions);
+      default:
+        return this.resultsFormatter.formatHtmlReport(results, reportOptions);
+    }
+  }
+
+  /**
+   * Pick the report format for --report-file: the --output format when one
+   * is given, otherwise the one matching the file extension
+   * @param {string} reportFile - Report file path
+   * @param {string} output - --output format
+   * @returns {string} Report format
+   * @throws {SpecJetError} When neither names a report format
+   */
+  resolveReportFormat(reportFile, output) {
+    if (output && output !== 'console') {
+      if (!REPORT_FORMATS.includes(output)) {
+        throw new SpecJetError(
+          `Unknown output format: ${output}`,
+          'REPORT_FORMAT_UNKNOWN',
+          null,
+          [`Use one of: console, ${REPORT_FORMATS.join(', ')}`]
+        );
+      }
+      return output;
+    }
+
+    const format = REPORT_EXTENSIONS.find(([extension]) => reportFile.toLowerCase().endsWith(extension))?.[1];
+    if (!format) {
+      throw new SpecJetError(
+        `Cannot tell the report format of ${reportFile}`,
+        'REPORT_FORMAT_UNKNOWN',
+        null,
+        [
+          `Choose the format with --output (${REPORT_FORMATS.join(', ')})`,
+          'Or use a .xml (JUnit), .sarif, .html, .json or .md file name'
+        ]
+      );
+    }
+    return format;
+  }
+
+  /**
+   * Write a report to disk
+   * @param {Array} results - Validation results
+   * @param {string} format - Report format
+   * @param {object} reportOptions - reportFile plus report options (environment, contractPath)
+   * @returns {Promise<string>} Absolute path of the written report
+   */
+  async writeReport(results, format, { reportFile, ...reportOptions }) {
+    const reportPath = resolve(reportFile);
+
+    try {
+      await fs.outputFile(reportPath, this.formatReport(results, format, reportOptions), 'utf8');
+    } catch (error) {
+      throw new SpecJetError(
+        `Could not write the ${format} report to ${reportPath}`,
+        'REPORT_WRITE_ERROR',
+        error,
+        ['Check that the directory is writable']
+      );
+    }
+
+    this.logger.log(`📄 ${format} report written to ${reportPath}`);
+    return reportPath;
+  }
+
   /**
    * Generate CI-friendly summary
    * @param {object} stats - Validation statistics
@@ -130,6 +130,22 @@ describe('ApiClientGenerator', () => {
       expect(imports.has('User')).toBe(true);
     });
 
+    test('should name dereferenced component schemas', () => {
+      const node = { type: 'object', properties: { name: { type: 'string' } } };
+      node.properties.children = { type: 'array', items: node };
+      const endpoint = {
+        responses: {
+          '200': { schema: { type: 'array', items: node } }
+        }
+      };
+
+      const imports = new Set();
+      const result = generator.getReturnType(endpoint, { TreeNode: node }, imports);
+
+      expect(result).toBe('Array<TreeNode>');
+      expect(imports.has('TreeNode')).toBe(true);
+    });
+
     test('should return void for endpoints without response schemas', () => {
       const endpoint = {
         responses: {
@@ -163,6 +179,325 @@ describe('ApiClientGenerator', () => {
     });
   });
 
+  describe('Read and Write Models', () => {
+    const user = {
+      type: 'object',
+      required: ['id', 'name', 'password'],
+      properties: {
+        id: { type: 'integer', readOnly: true },
+        name: { type: 'string' },
+        password: { type: 'string', writeOnly: true }
+      }
+    };
+
+    test('should type request bodies with the Write variant and responses with the Read variant', () => {
+      const endpoint = {
+        path: '/users',
+        method: 'POST',
+        operationId: 'createUser',
+        parameters: [],
+        requestBody: { schema: user },
+        responses: { '201': { schema: user }, '409': { schema: user } }
+      };
+      const imports = new Set();
+
+      const params = generator.buildMethodSignature(endpoint, generator.categorizeEndpointParameters(endpoint), { User: user }, imports);
+
+      expect(params[0]).toBe('data: UserWrite');
+      expect(generator.getReturnType(endpoint, { User: user }, imports)).toBe('UserRead');
+      expect(generator.getErrorResponses(endpoint, { User: user }, imports)).toEqual([{ status: '409', bodyType: 'UserRead' }]);
+      expect([...imports]).toEqual(['UserWrite', 'UserRead']);
+    });
+
+    test('should leave readOnly parts out of multipart bodies', () => {
+      const params = [];
+      const schema = {
+        type: 'object',
+        properties: { id: { type: 'string', readOnly: true }, file: { type: 'string', format: 'binary' } }
+      };
+
+      generator.addRequestBodyParameter(params, { contentType: 'multipart/form-data', schema }, {}, new Set());
+
+      expect(params).toEqual(['data: { file?: Blob }']);
+    });
+
+    test('should keep component names for schemas without readOnly or writeOnly properties', () => {
+      const tag = { type: 'object', properties: { label: { type: 'string' } } };
+      const params = [];
+
+      generator.addRequestBodyParameter(params, { schema: tag }, { Tag: tag }, new Set());
+
+      expect(params).toEqual(['data: Tag']);
+    });
+  });
+
+  describe('Zod Response Validation', () => {
+    const endpoints = [
+      {
+        method: 'GET',
+        path: '/users',
+        operationId: 'getUsers',
+        parameters: [],
+        responses: { '200': { schema: { type: 'array', items: { type: 'string' } } } }
+      },
+      {
+        method: 'DELETE',
+        path: '/users/{id}',
+        operationId: 'deleteUser',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { '204': { description: 'Deleted' } }
+      }
+    ];
+
+    test('should pass response schemas to the request method when enabled', () => {
+      const result = generator.generateApiClient(endpoints, {}, { zod: true });
+
+      expect(result).toContain("import { responseSchemas } from '../types/schemas.js';");
+      expect(result).toContain('enableResponseValidation(enabled: boolean = true): ApiClient');
+      expect(result).toContain('(path, requestOptions, responseSchemas.getUsers);');
+      expect(result).toContain('schema?: { parse(data: unknown): T }');
+      expect(result).toContain('return this.validateResponses && schema ? schema.parse(data) : data;');
+      expect(result).not.toContain('responseSchemas.deleteUser');
+    });
+
+    test('should not reference Zod schemas by default', () => {
+      const result = generator.generateApiClient(endpoints, {});
+
+      expect(result).not.toContain('responseSchemas');
+      expect(result).not.toContain('enableResponseValidation');
+    });
+  });
+
+  describe('Typed Error Responses', () => {
+    const problemSchema = { type: 'object', required: ['message'], properties: { message: { type: 'string' } } };
+    const schemas = { Problem: problemSchema };
+
+    const endpoints = [
+      {
+        method: 'POST',
+        path: '/users',
+        operationId: 'createUser',
+        parameters: [],
+        responses: {
+          '201': { description: 'Created' },
+          '400': { description: 'Bad request', schema: problemSchema },
+          '422': { description: 'Invalid', schema: { type: 'object', properties: { fields: { type: 'array', items: { type: 'string' } } } } },
+          '500': { description: 'Server error' }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/health',
+        operationId: 'getHealth',
+        parameters: [],
+        responses: { '200': { description: 'OK' } }
+      }
+    ];
+
+    test('should type the documented error responses of each operation', () => {
+      const result = generator.generateApiClient(endpoints, schemas);
+
+      expect(result).toContain("import type { Problem } from '../types/api.js';");
+      expect(result).toContain('  createUser: TypedApiError<400, Problem> | TypedApiError<422, { fields?: Array<string> }> | TypedApiError<500, unknown>;');
+      expect(result).not.toContain('  getHealth:');
+    });
+
+    test('should not treat redirects as error responses', () => {
+      const endpoint = {
+        method: 'GET',
+        path: '/reports',
+        operationId: 'getReports',
+        parameters: [],
+        responses: {
+          '200': { description: 'OK' },
+          '304': { description: 'Not modified' },
+          '3XX': { description: 'Moved' },
+          '4XX': { description: 'Client error', schema: problemSchema },
+          'default': { description: 'Error' }
+        }
+      };
+
+      expect(generator.getErrorResponses(endpoint, schemas, new Set()).map(error => error.status)).toEqual(['4XX', 'default']);
+    });
+
+    test('should document the error union on the client method', () => {
+      const result = generator.generateApiClient(endpoints, schemas);
+
+      expect(result).toContain("  /** @throws {OperationErrors['createUser']} on documented error responses, see isOperationError() */\n  async createUser(");
+      expect(result).toContain('\n\n  async getHealth(');
+    });
+  });
+
+  describe('Media Types', () => {
+    const endpoints = [
+      {
+        method: 'POST',
+        path: '/files',
+        operationId: 'uploadFile',
+        parameters: [],
+        requestBody: {
+          required: true,
+          contentType: 'multipart/form-data',
+          schema: {
+            type: 'object',
+            required: ['file'],
+            properties: {
+              file: { type: 'string', format: 'binary' },
+              title: { type: 'string' }
+            }
+          }
+        },
+        responses: { '201': { description: 'Created' } }
+      },
+      {
+        method: 'POST',
+        path: '/login',
+        operationId: 'login',
+        parameters: [],
+        requestBody: {
+          contentType: 'application/x-www-form-urlencoded',
+          schema: { type: 'object', properties: { username: { type: 'string' } } }
+        },
+        responses: { '204': { description: 'Logged in' } }
+      },
+      {
+        method: 'POST',
+        path: '/notes',
+        operationId: 'createNote',
+        parameters: [],
+        requestBody: { contentType: 'text/plain', schema: { type: 'string' } },
+        responses: { '204': { description: 'Created' } }
+      },
+      {
+        method: 'GET',
+        path: '/files/{id}',
+        operationId: 'downloadFile',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { '200': { description: 'File', contentType: 'application/pdf', schema: { type: 'string', format: 'binary' } } }
+      },
+      {
+        method: 'GET',
+        path: '/report',
+        operationId: 'getReport',
+        parameters: [],
+        responses: { '200': { description: 'CSV', contentType: 'text/csv', schema: { type: 'string' } } }
+      }
+    ];
+
+    test('should encode form, multipart and text request bodies', () => {
+      const result = generator.generateApiClient(endpoints, {});
+
+      expect(result).toContain('async uploadFile(data: { file: Blob; title?: string }, options?: RequestInit)');
+      expect(result).toContain('body: this.toMultipartBody(data),');
+      expect(result).toContain('body: this.toUrlEncodedBody(data),');
+      expect(result).toContain('async createNote(data: string, options?: RequestInit)');
+      expect(result).toContain("headers: { 'Content-Type': 'text/plain' },");
+      expect(result).toContain('private toMultipartBody(data: object): FormData {');
+      expect(result).not.toContain('import type { Blob }');
+    });
+
+    test('should return Blob and string for binary and text responses', () => {
+      const result = generator.generateApiClient(endpoints, {});
+
+      expect(result).toContain('async downloadFile(id: string, options?: RequestInit): Promise<Blob>');
+      expect(result).toContain('async getReport(options?: RequestInit): Promise<string>');
+      expect(result).toContain('return response.blob() as Promise<T>;');
+    });
+
+    test('should not add form helpers to JSON-only clients', () => {
+      const result = generator.generateApiClient([endpoints[4]], {});
+
+      expect(result).not.toContain('toMultipartBody');
+      expect(result).not.toContain('response.blob()');
+    });
+  });
+
+  describe('Security Schemes', () => {
+    const securitySchemes = {
+      oauth: {
+        type: 'oauth2',
+        flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { read: 'Read' } } }
+      },
+      apiKey: { type: 'apiKey', in: 'query', name: 'api_key' },
+      basic: { type: 'http', scheme: 'basic' }
+    };
+
+    const endpoint = (operationId, security) => ({
+      method: 'GET',
+      path: `/${operationId}`,
+      operationId,
+      parameters: [],
+      responses: { '204': { description: 'No content' } },
+      security
+    });
+
+    test('should derive credential types from the declared schemes', () => {
+      const result = generator.generateApiClient([], {}, {}, securitySchemes);
+
+      expect(result).toContain("export type SecuritySchemeName = 'oauth' | 'apiKey' | 'basic';");
+      expect(result).toContain('  oauth: {"type":"oauth2","flows":{"clientCredentials":{"tokenUrl":"https://auth.example.com/token","scopes":{"read":"Read"}}}},');
+      expect(result).toContain('  /** OAuth2 access token (clientCredentials flow), or a token provider */\n  oauth?: string | TokenProvider;');
+      expect(result).toContain('  /** API key sent in the api_key query parameter */\n  apiKey?: string;');
+      expect(result).toContain('  basic?: { username: string; password: string };');
+      expect(result).toContain('setCredentials(credentials: SecurityCredentials): ApiClient');
+    });
+
+    test('should quote scheme names that are not identifiers', () => {
+      const result = generator.generateApiClient([endpoint('getKeys', [{ "partner's-key": [] }])], {}, {},
+        { "partner's-key": { type: 'apiKey', in: 'header', name: 'X-Partner-Key' } });
+
+      expect(result).toContain("export type SecuritySchemeName = 'partner\\'s-key';");
+      expect(result).toContain("  'partner\\'s-key'?: string;");
+      expect(result).toContain("(path, requestOptions, [{ 'partner\\'s-key': [] }]);");
+    });
+
+    test('should pass each operation its security requirements', () => {
+      const endpoints = [
+        endpoint('getReports', [{ oauth: ['read'] }, { apiKey: [], basic: [] }]),
+        endpoint('getHealth', []),
+        endpoint('getLegacy', [{ undeclared: [] }, { basic: [] }])
+      ];
+
+      const result = generator.generateApiClient(endpoints, {}, {}, securitySchemes);
+
+      expect(result).toContain("(path, requestOptions, [{ oauth: ['read'] }, { apiKey: [], basic: [] }]);");
+      expect(result).toContain('(path, requestOptions, []);');
+      expect(result).toContain('(path, requestOptions, [{ basic: [] }]);');
+    });
+
+    test('should escape scopes in security requirements', () => {
+      const result = generator.generateApiClient([endpoint('getFiles', [{ oauth: ["user's:files", 'read\\all'] }])], {}, {}, securitySchemes);
+
+      expect(result).toContain("(path, requestOptions, [{ oauth: ['user\\'s:files', 'read\\\\all'] }]);");
+    });
+
+    test('should prefer a satisfied requirement with schemes over optional auth', () => {
+      const result = generator.generateApiClient([endpoint('getFeed', [{}, { apiKey: [] }])], {}, {}, securitySchemes);
+
+      expect(result).toContain('(path, requestOptions, [{}, { apiKey: [] }]);');
+      expect(result).toContain(
+        'const requirement = satisfied.find(alternative => Object.keys(alternative).length > 0) || satisfied[0];'
+      );
+    });
+
+    test('should retry once with a refreshed token after a 401', () => {
+      const result = generator.generateApiClient([], {}, {}, securitySchemes);
+
+      expect(result).toContain('if (response.status === 401 && attempt.usedTokenProvider) {');
+      expect(result).toContain('response = (await this.send(path, options, security, true)).response;');
+      expect(result).toContain("value = await credential({ scheme: name, scopes: requirement[name] || [], forceRefresh });");
+    });
+
+    test('should keep the generic auth client when no schemes are declared', () => {
+      const result = generator.generateApiClient([endpoint('getReports', [{ oauth: [] }])], {});
+
+      expect(result).toContain('setAuth(config: AuthConfig): ApiClient');
+      expect(result).toContain('(path, requestOptions);');
+      expect(result).not.toContain('SecurityRequirement');
+      expect(result).not.toContain('setCredentials');
+    });
+  });
+
   describe('Import Path Calculation', () => {
     test('should calculate relative import paths correctly', () => {
       const config = {
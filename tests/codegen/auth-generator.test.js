@@ -191,4 +191,36 @@ describe('AuthGenerator', () => {
       expect(result).toContain('username: string, password: string');
     });
   });
-});
\ No newline at end of file
+
+  describe('Security Scheme Generation', () => {
+    test('should describe every credential the schemes need', () => {
+      const result = authGenerator.generateSecurityTypes({
+        session: { type: 'apiKey', in: 'cookie', name: 'sid' },
+        jwt: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        'id-token': { type: 'openIdConnect', openIdConnectUrl: 'https://auth.example.com/.well-known/openid-configuration' },
+        mtls: { type: 'mutualTLS' }
+      });
+
+      expect(result).toContain('  /** API key sent in the sid cookie */\n  session?: string;');
+      expect(result).toContain('  /** JWT bearer token, or a token provider */\n  jwt?: string | TokenProvider;');
+      expect(result).toContain("  'id-token'?: string | TokenProvider;");
+      expect(result).toContain('  mtls: {"type":"mutualTLS"},');
+      expect(result).not.toContain('mtls?:');
+    });
+
+    test('should apply API keys where the scheme declares them', () => {
+      const result = authGenerator.generateApplySecurityMethod();
+
+      expect(result).toContain('url.searchParams.set(scheme.name!, value);');
+      expect(result).toContain("const cookie = scheme.name + '=' + encodeURIComponent(value);");
+      expect(result).toContain('headers[scheme.name!] = value;');
+      expect(result).toContain("headers['Authorization'] = 'Bearer ' + value;");
+    });
+
+    test('should only report schemes when the contract declares some', () => {
+      expect(authGenerator.hasSecuritySchemes({ jwt: { type: 'http', scheme: 'bearer' } })).toBe(true);
+      expect(authGenerator.hasSecuritySchemes({})).toBe(false);
+      expect(authGenerator.hasSecuritySchemes(undefined)).toBe(false);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest';
-import { generateErrorInterface, generateErrorHandlingMethod } from '#src/codegen/error-generator.js';
+import { generateErrorInterface, generateErrorHandlingMethod, generateOperationErrorTypes, isErrorStatus } from '#src/codegen/error-generator.js';
 
 describe('ErrorGenerator', () => {
   describe('Error Interface Generation', () => {
@@ -239,4 +239,53 @@ describe('ErrorGenerator', () => {
       expect(result).toContain('throw new ApiError(status, statusText, errorBody);');
     });
   });
-});
\ No newline at end of file
+
+  describe('Operation Error Types Generation', () => {
+    test('should generate a typed error union per operation', () => {
+      const result = generateOperationErrorTypes([
+        { methodName: 'createUser', errors: [{ status: '400', bodyType: 'Problem' }, { status: '422', bodyType: 'ValidationProblem' }] },
+        { methodName: 'getUser', errors: [{ status: '404', bodyType: 'unknown' }] }
+      ]);
+
+      expect(result).toContain("export type TypedApiError<TStatus extends number, TBody> = Omit<ApiError, 'status' | 'body'> & {");
+      expect(result).toContain('  createUser: TypedApiError<400, Problem> | TypedApiError<422, ValidationProblem>;');
+      expect(result).toContain('  getUser: TypedApiError<404, unknown>;');
+      expect(result).toContain('  createUser: [400, 422],');
+      expect(result).toContain('export function isOperationError<K extends keyof OperationErrors>(operation: K, error: unknown): error is OperationErrors[K]');
+    });
+
+    test('should leave separately documented statuses out of ranges and default', () => {
+      const result = generateOperationErrorTypes([
+        {
+          methodName: 'updateUser',
+          errors: [
+            { status: '404', bodyType: 'Problem' },
+            { status: '4XX', bodyType: 'ClientProblem' },
+            { status: 'default', bodyType: 'Problem' }
+          ]
+        },
+        {
+          methodName: 'deleteUser',
+          errors: [{ status: '4XX', bodyType: 'Problem' }, { status: '5XX', bodyType: 'Problem' }, { status: 'default', bodyType: 'unknown' }]
+        }
+      ]);
+
+      expect(result).toContain('TypedApiError<Exclude<ClientErrorStatus, 404>, ClientProblem> | TypedApiError<ServerErrorStatus, Problem>;');
+      expect(result).toContain('  deleteUser: TypedApiError<ClientErrorStatus, Problem> | TypedApiError<ServerErrorStatus, Problem>;');
+      expect(result).toContain("  updateUser: [404, '4XX', 'default'],");
+      expect(result).toContain('  | 580 | 581 | 582 | 583 | 584 | 585 | 586 | 587 | 588 | 589 | 590 | 591 | 592 | 593 | 594 | 595 | 596 | 597 | 598 | 599;');
+    });
+
+    test('should only count client and server errors as error responses', () => {
+      expect(['400', '503', '4XX', '5xx', 'default'].every(isErrorStatus)).toBe(true);
+      expect(['200', '301', '304', '3XX', '2XX'].some(isErrorStatus)).toBe(false);
+
+      const result = generateOperationErrorTypes([{ methodName: 'getUser', errors: [{ status: 'default', bodyType: 'unknown' }] }]);
+      expect(result).toContain("if (status[0] !== '4' && status[0] !== '5') return false;");
+    });
+
+    test('should generate nothing when no operation documents errors', () => {
+      expect(generateOperationErrorTypes([])).toBe('');
+    });
+  });
+});
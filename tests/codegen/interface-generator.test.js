@@ -1,5 +1,11 @@
 import { describe, test, expect, beforeEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import TypeScriptInterfaceGenerator from '#src/codegen/interface-generator.js';
+import ContractParser from '#src/core/parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
 describe('TypeScriptInterfaceGenerator', () => {
   let generator;
@@ -164,6 +170,83 @@ describe('TypeScriptInterfaceGenerator', () => {
     });
   });
 
+  describe('Named References', () => {
+    test('should refer to components by name and declare recursive interfaces', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/named-refs.yaml'));
+
+      const result = generator.generateInterfaces(contract.schemas);
+
+      expect(result).toContain('shipFrom?: Address;');
+      expect(result).toContain('warehouse?: { street: string; city?: string };');
+      expect(result).toContain('export type ShippingAddress = Address;');
+      expect(result).toContain('children?: Array<TreeNode>;');
+      expect(result).toContain('parent?: TreeNode;');
+    });
+  });
+
+  describe('OpenAPI 3.1 Keywords', () => {
+    test('should generate unions, literals, tuples and index signatures', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/openapi-31.yaml'));
+
+      const result = generator.generateInterfaces(contract.schemas);
+
+      expect(result).toContain('id: string | number;');
+      expect(result).toContain('nickname?: string | null;');
+      expect(result).toContain("kind: 'thing';");
+      expect(result).toContain('point?: [number?, number?];');
+      expect(result).toContain('labels?: Record<string, string>;');
+      expect(result).toContain('contact?: { email?: string };');
+      expect(result).toContain('& ({ vatId: string } | { birthday?: string });');
+      expect(result).toContain('export interface Headers {\n  host: string;\n  [key: string]: string;\n}');
+      expect(result).toContain('export type MaybeNote = { text?: string } | null;');
+      expect(result).toContain('export type Point = [number, number];');
+      expect(result).toContain("export type Quote = 'it\\'s';");
+    });
+  });
+
+  describe('Discriminated Unions', () => {
+    test('should narrow each member to its discriminator value and export type guards', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/discriminator.yaml'));
+
+      const result = generator.generateInterfaces(contract.schemas);
+
+      expect(result).toContain(
+        "export type Pet = (Dog & { petType: 'dog' | 'puppy' }) | (Cat & { petType: 'cat' }) | (PetLizard & { petType: 'PetLizard' });"
+      );
+      expect(result).toContain(
+        "export function isPetDog(value: Pet): value is Dog & { petType: 'dog' | 'puppy' } {\n" +
+        "  return value.petType === 'dog' || value.petType === 'puppy';\n}"
+      );
+      expect(result).toContain("export function isPetCat(value: Pet): value is Cat & { petType: 'cat' } {");
+      expect(result).toContain('export function isPetLizard(value: Pet): value is PetLizard');
+      // Members whose property already has the value are left as they are
+      expect(result).toContain("shapes: Array<{ kind: 'circle'; radius: number } | { kind: 'square'; side: number }>;");
+    });
+
+    test('should leave unions without a discriminator unchanged', () => {
+      const result = generator.schemaToInterface('Id', { oneOf: [{ type: 'string' }, { type: 'integer' }] });
+
+      expect(result).toBe('export type Id = string | number;');
+    });
+  });
+
+  describe('Read and Write Models', () => {
+    test('should declare Read and Write variants of components with readOnly or writeOnly properties', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/read-write.yaml'));
+
+      const result = generator.generateInterfaces(contract.schemas);
+
+      expect(result).toContain('export interface User {\n  id: number;\n  name: string;\n  password: string;\n  createdAt: string;\n}');
+      expect(result).toContain('export interface UserRead {\n  id: number;\n  name: string;\n  createdAt: string;\n}');
+      expect(result).toContain('export interface UserWrite {\n  name: string;\n  password: string;\n}');
+      // Components that contain such components get variants as well
+      expect(result).toContain('export interface TeamRead {\n  name: string;\n  members: Array<UserRead>;\n  owner?: UserRead;\n}');
+      expect(result).toContain('members: Array<UserWrite>;');
+      expect(result).toContain('export type AdminWrite = UserWrite;');
+      expect(result).not.toContain('TagRead');
+    });
+  });
+
   describe('Schema Processing', () => {
     test('should prevent infinite recursion with processed schemas tracking', () => {
       // This tests that the processedSchemas set prevents infinite loops
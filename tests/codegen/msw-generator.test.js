@@ -0,0 +1,86 @@
+import { describe, test, expect } from 'vitest';
+import MswHandlerGenerator from '#src/codegen/msw-generator.js';
+import MockServer from '#src/mock-server/server.js';
+
+const userSchema = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: { id: { type: 'integer' }, name: { type: 'string' } }
+};
+
+const contract = {
+  endpoints: [
+    { method: 'GET', path: '/users', parameters: [], responses: { '200': { schema: { type: 'array', items: userSchema } } } },
+    { method: 'POST', path: '/users', parameters: [], responses: { '201': { schema: userSchema }, '400': { description: 'Invalid user' } } },
+    {
+      method: 'GET',
+      path: '/users/{id}',
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+      responses: { '200': { schema: userSchema } }
+    },
+    {
+      method: 'DELETE',
+      path: '/users/{id}',
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+      responses: { '204': { description: 'Deleted' } }
+    }
+  ]
+};
+
+const generate = (scenario = 'demo', options = { seed: 42 }) =>
+  new MswHandlerGenerator().generateHandlers(contract.endpoints, new MockServer(contract, scenario, options));
+
+describe('MswHandlerGenerator', () => {
+  test('should embed the data the mock server generates', () => {
+    const result = generate();
+    const listData = new MockServer(contract, 'demo', { seed: 42 })
+      .generateResponseForStatus(contract.endpoints[0], '200');
+
+    expect(result).toContain('Generated by SpecJet CLI');
+    expect(result).toContain("import { http, HttpResponse, type HttpHandler } from 'msw';");
+    expect(result).toContain('the "demo" scenario, seed 42');
+    expect(result).toContain(`  'GET /users': ${JSON.stringify(listData, null, 2).replace(/\n/g, '\n  ')},`);
+  });
+
+  test('should generate the same data for the same seed', () => {
+    const withoutTimestamp = (content) => content.split('\n').slice(2).join('\n');
+
+    expect(withoutTimestamp(generate())).toBe(withoutTimestamp(generate()));
+  });
+
+  test('should generate a handler per endpoint with its success status', () => {
+    const result = generate();
+
+    expect(result).toContain("  http.get('*/users', () => {\n    return HttpResponse.json(mockData['GET /users'], { status: 200 });");
+    expect(result).toContain("  http.delete('*/users/:id', () => {\n    return new HttpResponse(null, { status: 204 });");
+  });
+
+  test('should echo request bodies and path parameters like the mock server', () => {
+    const result = generate();
+
+    expect(result).toContain("  http.post('*/users', async ({ request }) => {\n    return HttpResponse.json({ ...mockData['POST /users'], ...(await readJsonBody(request)) }, { status: 201 });");
+    expect(result).toContain("return HttpResponse.json({ ...mockData['GET /users/{id}'], id: Number(params['id']) }, { status: 200 });");
+  });
+
+  test('should return documented errors at random in the errors scenario', () => {
+    const result = generate('errors');
+
+    expect(result).toContain('export const ERROR_RATE = 0.3;');
+    expect(result).toContain(`'POST /users': ${JSON.stringify({ status: 400, body: { error: 'Invalid user', code: 400 } })},`);
+    expect(result).toContain("    const error = maybeError('GET /users');\n    if (error) return error;");
+    expect(generate()).not.toContain('maybeError');
+  });
+
+  test('should send text and binary bodies with their media type', () => {
+    const endpoints = [
+      { method: 'GET', path: '/report', parameters: [], responses: { '200': { contentType: 'text/csv', schema: { type: 'string' } } } },
+      { method: 'GET', path: '/avatar', parameters: [], responses: { '200': { contentType: 'image/png', schema: { type: 'string', format: 'binary' } } } }
+    ];
+    const result = new MswHandlerGenerator().generateHandlers(endpoints, new MockServer({ endpoints }, 'demo', { seed: 42 }));
+
+    expect(result).toContain("return new HttpResponse(mockData['GET /report'], { status: 200, headers: { 'Content-Type': 'text/csv' } });");
+    expect(result).toContain("return new HttpResponse(decodeBase64(mockData['GET /avatar']), { status: 200, headers: { 'Content-Type': 'image/png' } });");
+    expect(result).toMatch(/'GET \/avatar': "[A-Za-z0-9+/]+=*",/);
+    expect(generate()).not.toContain('decodeBase64');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import ReactQueryGenerator from '#src/codegen/react-query-generator.js';
+
+const user = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: { id: { type: 'integer' }, name: { type: 'string' } }
+};
+
+const endpoints = [
+  {
+    method: 'GET',
+    path: '/users',
+    operationId: 'listUsers',
+    summary: 'List users',
+    parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+    responses: { '200': { schema: { type: 'array', items: user } } }
+  },
+  {
+    method: 'GET',
+    path: '/users/{id}',
+    operationId: 'getUser',
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+    responses: { '200': { schema: user } }
+  },
+  {
+    method: 'PUT',
+    path: '/users/{id}',
+    operationId: 'updateUser',
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+    requestBody: { schema: user },
+    responses: { '200': { schema: user } }
+  },
+  {
+    method: 'GET',
+    path: '/users/{userId}/posts',
+    operationId: 'listPosts',
+    parameters: [{ name: 'userId', in: 'path', required: true, schema: { type: 'integer' } }],
+    responses: { '200': { schema: { type: 'array', items: { type: 'string' } } } }
+  },
+  {
+    method: 'POST',
+    path: '/users/{userId}/posts',
+    operationId: 'createPost',
+    parameters: [{ name: 'userId', in: 'path', required: true, schema: { type: 'integer' } }],
+    requestBody: { schema: { type: 'string' } },
+    responses: { '201': { description: 'Created' } }
+  },
+  {
+    method: 'POST',
+    path: '/health',
+    operationId: 'ping',
+    parameters: [],
+    responses: { '204': { description: 'OK' } }
+  }
+];
+
+describe('ReactQueryGenerator', () => {
+  let generator;
+  let result;
+
+  beforeEach(() => {
+    generator = new ReactQueryGenerator();
+    result = generator.generateHooks(endpoints, { User: user });
+  });
+
+  test('should provide the generated client through context', () => {
+    expect(result).toContain('Generated by SpecJet CLI');
+    expect(result).toContain("import { ApiClient, ApiError } from './client.js';");
+    expect(result).toContain('export function ApiClientProvider({ client, children }: { client: ApiClient; children?: ReactNode })');
+    expect(result).toContain('export function useApiClient(): ApiClient {');
+  });
+
+  test('should derive query keys from path segments and query params', () => {
+    expect(result).toContain("  listUsers: (params?: { limit?: number }) => ['users', params] as const,");
+    expect(result).toContain("  getUser: (id: number) => ['users', id] as const,");
+    expect(result).toContain("  listPosts: (userId: number) => ['users', userId, 'posts'] as const,");
+  });
+
+  test('should generate query hooks for GET operations that call the client', () => {
+    expect(result).toContain('/** List users */\nexport function useListUsers(params?: { limit?: number }, options?: Omit<UseQueryOptions<Array<User>, ApiError>');
+    expect(result).toContain('    queryKey: queryKeys.listUsers(params),');
+    expect(result).toContain('    queryFn: () => client.listUsers(params),');
+    expect(result).toContain('    queryFn: () => client.getUser(id),');
+  });
+
+  test('should generate mutation hooks taking the client arguments as variables', () => {
+    expect(result).toContain("export function useUpdateUser(options?: Omit<UseMutationOptions<User, ApiError, { id: number; data: User }>, 'mutationFn'>)");
+    expect(result).toContain('    mutationFn: (variables: { id: number; data: User }) => client.updateUser(variables.id, variables.data),');
+    expect(result).toContain('    mutationFn: () => client.ping(),');
+  });
+
+  test('should invalidate the queries of the resource a mutation changes', () => {
+    // PUT /users/{id} -> every query under 'users'
+    expect(result).toMatch(/useUpdateUser[\s\S]*?queryKey: \['users'\] \}\)/);
+    // POST /users/{userId}/posts -> only that user's posts
+    expect(result).toMatch(/useCreatePost[\s\S]*?queryKey: \['users', variables\.userId, 'posts'\] \}\)/);
+    // No query shares /health
+    expect(result).toMatch(/export function usePing[^}]*\{\n {2}const client = useApiClient\(\);\n {2}return useMutation/);
+  });
+
+  test('should keep caller onSuccess handlers', () => {
+    expect(result).toContain('      return options?.onSuccess?.(...args);');
+  });
+});
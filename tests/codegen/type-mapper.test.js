@@ -152,6 +152,98 @@ describe('TypeMapper', () => {
       });
       expect(result).toBe("'active' | 1 | true");
     });
+
+    test('should keep null enum members', () => {
+      const result = typeMapper.mapOpenApiTypeToTypeScript({
+        enum: ['available', 'sold', null]
+      });
+      expect(result).toBe("'available' | 'sold' | null");
+    });
+  });
+
+  describe('OpenAPI 3.1 Keywords', () => {
+    test('should map type lists to unions', () => {
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ type: ['string', 'integer'] })).toBe('string | number');
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ type: ['string', 'null'] })).toBe('string | null');
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ not: { type: 'null' } })).toBe('any');
+    });
+
+    test('should map const to a literal type', () => {
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ const: 'thing' })).toBe("'thing'");
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ const: "it's" })).toBe("'it\\'s'");
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ const: 2 })).toBe('2');
+    });
+
+    test('should map prefixItems to tuples', () => {
+      const prefixItems = [{ type: 'number' }, { type: 'string' }];
+
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ type: 'array', prefixItems, minItems: 2, items: false }))
+        .toBe('[number, string]');
+      expect(typeMapper.mapOpenApiTypeToTypeScript({ type: 'array', prefixItems, minItems: 1 }))
+        .toBe('[number, string?, ...Array<any>]');
+    });
+
+    test('should map patternProperties to an index signature', () => {
+      expect(typeMapper.mapOpenApiTypeToTypeScript({
+        type: 'object',
+        patternProperties: { '^x-': { type: 'string' } },
+        additionalProperties: false
+      })).toBe('Record<string, string>');
+
+      const withProperties = typeMapper.mapOpenApiTypeToTypeScript({
+        type: 'object',
+        properties: { count: { type: 'integer' } },
+        patternProperties: { '^x-': { type: 'string' } }
+      });
+      expect(withProperties).toContain('count?: number');
+      expect(withProperties).toContain('[key: string]: string | number | undefined');
+    });
+
+    test('should map if/then/else to an intersection with the branches', () => {
+      const result = typeMapper.mapOpenApiTypeToTypeScript({
+        type: 'object',
+        properties: { type: { enum: ['personal', 'business'] } },
+        if: { properties: { type: { const: 'business' } } },
+        then: { required: ['vatId'], properties: { vatId: { type: 'string' } } },
+        else: { properties: { birthday: { type: 'string' } } }
+      });
+
+      expect(result).toContain("type?: 'personal' | 'business'");
+      expect(result).toContain('& ({ vatId: string } | { birthday?: string })');
+    });
+  });
+
+  describe('Read and Write Access', () => {
+    test('should leave out writeOnly properties when reading and readOnly properties when writing', () => {
+      const account = {
+        type: 'object',
+        required: ['id', 'secret'],
+        properties: {
+          id: { type: 'integer', readOnly: true },
+          secret: { type: 'string', writeOnly: true }
+        }
+      };
+      const schemas = { Account: account };
+      const wrapper = { type: 'object', properties: { account } };
+
+      expect(typeMapper.mapOpenApiTypeToTypeScript(account, schemas)).toBe('Account');
+      expect(typeMapper.withAccess('read', () => typeMapper.mapOpenApiTypeToTypeScript(account, schemas))).toBe('AccountRead');
+      expect(typeMapper.withAccess('write', () => typeMapper.mapSchemaDefinition(account, schemas))).toBe('{ secret: string }');
+      expect(typeMapper.withAccess('read', () => typeMapper.mapOpenApiTypeToTypeScript(wrapper, schemas)))
+        .toBe('{ account?: AccountRead }');
+      expect(typeMapper.access).toBeNull();
+    });
+
+    test('should detect readOnly and writeOnly properties in nested schemas', () => {
+      const node = { type: 'object', properties: { name: { type: 'string' } } };
+      node.properties.children = { type: 'array', items: node };
+
+      expect(typeMapper.hasAccessVariants(node)).toBe(false);
+      expect(typeMapper.hasAccessVariants({
+        type: 'array',
+        items: { oneOf: [{ type: 'object', properties: { id: { type: 'string', readOnly: true } } }] }
+      })).toBe(true);
+    });
   });
 
   describe('Reference Handling', () => {
@@ -175,11 +267,13 @@ describe('TypeMapper', () => {
       expect(typeMapper.escapePropertyName('123numeric')).toBe("'123numeric'");
       expect(typeMapper.escapePropertyName('with spaces')).toBe("'with spaces'");
       expect(typeMapper.escapePropertyName('special@chars')).toBe("'special@chars'");
+      expect(typeMapper.escapePropertyName("it's")).toBe("'it\\'s'");
+      expect(typeMapper.escapePropertyName('back\\slash')).toBe("'back\\\\slash'");
     });
   });
 
   describe('Named Type Detection', () => {
-    test('should find matching named types for schemas', () => {
+    test('should find named types by reference identity', () => {
       const schemas = {
         User: {
           type: 'object',
@@ -191,7 +285,7 @@ describe('TypeMapper', () => {
         }
       };
 
-      const matchingSchema = {
+      const sameShape = {
         type: 'object',
         properties: {
           id: { type: 'number' },
@@ -200,7 +294,10 @@ describe('TypeMapper', () => {
         required: ['id', 'name']
       };
 
-      expect(typeMapper.findNamedTypeForSchema(matchingSchema, schemas)).toBe('User');
+      expect(typeMapper.findNamedTypeForSchema(schemas.User, schemas)).toBe('User');
+      expect(typeMapper.findNamedTypeForSchema({ type: 'array', items: schemas.User }, schemas)).toBe('Array<User>');
+      // An inline schema is not a component, even when it has the same shape
+      expect(typeMapper.findNamedTypeForSchema(sameShape, schemas)).toBeNull();
     });
 
     test('should return null for non-matching schemas', () => {
@@ -258,7 +355,7 @@ describe('TypeMapper', () => {
       };
 
       // Should not throw error and should handle reference
-      const result = typeMapper.mapOpenApiTypeToTypeScript(schemas.Node, schemas);
+      const result = typeMapper.mapSchemaDefinition(schemas.Node, schemas);
       expect(result).toContain('children?: Array<Node>');
     });
 
@@ -283,13 +380,31 @@ describe('TypeMapper', () => {
         }
       };
       
-      const deptResult = typeMapper.mapOpenApiTypeToTypeScript(schemas.Department, schemas, new Set());
-      const empResult = typeMapper.mapOpenApiTypeToTypeScript(schemas.Employee, schemas, new Set());
+      const deptResult = typeMapper.mapSchemaDefinition(schemas.Department, schemas);
+      const empResult = typeMapper.mapSchemaDefinition(schemas.Employee, schemas);
       
       expect(deptResult).toContain('employees?:');
       expect(empResult).toContain('department?:');
     });
 
+    test('should refer to components by name in dereferenced recursive schemas', () => {
+      const node = { type: 'object', required: ['value'], properties: { value: { type: 'string' } } };
+      node.properties.children = { type: 'array', items: node };
+      node.properties.parent = node;
+      const schemas = { Node: node };
+
+      expect(typeMapper.mapOpenApiTypeToTypeScript(node, schemas)).toBe('Node');
+      expect(typeMapper.mapSchemaDefinition(node, schemas))
+        .toBe('{ value: string; children?: Array<Node>; parent?: Node }');
+    });
+
+    test('should stop at cycles through inline schemas', () => {
+      const inline = { type: 'object', properties: {} };
+      inline.properties.next = inline;
+
+      expect(typeMapper.mapOpenApiTypeToTypeScript(inline)).toBe('{ next?: any }');
+    });
+
     test('should handle invalid schemas gracefully', () => {
       const invalidSchemas = [
         { type: 'invalidType' },
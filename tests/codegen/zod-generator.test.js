@@ -0,0 +1,175 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import ZodSchemaGenerator from '#src/codegen/zod-generator.js';
+import ContractParser from '#src/core/parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+describe('ZodSchemaGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ZodSchemaGenerator();
+  });
+
+  describe('Schema Mapping', () => {
+    test('should map primitive types with formats and constraints', () => {
+      expect(generator.schemaToZod({ type: 'string', format: 'email', minLength: 3, maxLength: 80 }))
+        .toBe('z.string().email().min(3).max(80)');
+      expect(generator.schemaToZod({ type: 'string', pattern: "^[a-z]+'s$" }))
+        .toBe("z.string().regex(new RegExp('^[a-z]+\\'s$'))");
+      expect(generator.schemaToZod({ type: 'integer', minimum: 1, maximum: 10 })).toBe('z.number().int().min(1).max(10)');
+      expect(generator.schemaToZod({ type: 'number', minimum: 0, exclusiveMinimum: true })).toBe('z.number().gt(0)');
+      expect(generator.schemaToZod({ type: 'number', exclusiveMaximum: 5 })).toBe('z.number().lt(5)');
+      expect(generator.schemaToZod({ type: 'boolean' })).toBe('z.boolean()');
+      expect(generator.schemaToZod({})).toBe('z.any()');
+    });
+
+    test('should map enums and nullable schemas', () => {
+      expect(generator.schemaToZod({ type: 'string', enum: ['active', 'inactive'] }))
+        .toBe("z.enum(['active', 'inactive'])");
+      expect(generator.schemaToZod({ type: 'integer', enum: [1, 2] }))
+        .toBe('z.union([z.literal(1), z.literal(2)])');
+      expect(generator.schemaToZod({ type: 'string', nullable: true })).toBe('z.string().nullable()');
+    });
+
+    test('should map composition keywords', () => {
+      expect(generator.schemaToZod({ oneOf: [{ type: 'string' }, { type: 'number' }] }))
+        .toBe('z.union([z.string(), z.number()])');
+      expect(generator.schemaToZod({ anyOf: [{ type: 'string' }] })).toBe('z.string()');
+      expect(generator.schemaToZod({ allOf: [{ type: 'object', properties: {} }, { type: 'object' }] }))
+        .toBe('z.object({}).and(z.record(z.any()))');
+    });
+
+    test('should map objects, arrays and records', () => {
+      const result = generator.schemaToZod({
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'integer' },
+          'display-name': { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' }, maxItems: 5 },
+          meta: { type: 'object', additionalProperties: { type: 'number' } }
+        }
+      });
+
+      expect(result).toContain('  id: z.number().int(),');
+      expect(result).toContain("  'display-name': z.string().optional(),");
+      expect(result).toContain('  tags: z.array(z.string()).max(5).optional(),');
+      expect(result).toContain('  meta: z.record(z.number()).optional(),');
+    });
+  });
+
+  describe('OpenAPI 3.1 Keywords', () => {
+    test('should map type lists, const and tuples', () => {
+      expect(generator.schemaToZod({ type: ['string', 'integer'] })).toBe('z.union([z.string(), z.number().int()])');
+      expect(generator.schemaToZod({ type: ['string', 'null'] })).toBe('z.string().nullable()');
+      expect(generator.schemaToZod({ const: 'thing' })).toBe("z.literal('thing')");
+      expect(generator.schemaToZod({ type: 'array', prefixItems: [{ type: 'number' }, { type: 'string' }], minItems: 2, items: false }))
+        .toBe('z.tuple([z.number(), z.string()])');
+    });
+
+    test('should map patternProperties and if/then/else', () => {
+      expect(generator.schemaToZod({ type: 'object', patternProperties: { '^x-': { type: 'string' } } }))
+        .toBe('z.record(z.string())');
+      expect(generator.schemaToZod({
+        type: 'object',
+        properties: { host: { type: 'string' } },
+        required: ['host'],
+        patternProperties: { '^x-': { type: 'string' } }
+      })).toContain('.catchall(z.string())');
+      expect(generator.schemaToZod({
+        type: 'object',
+        if: { properties: { type: { const: 'business' } } },
+        then: { required: ['vatId'], properties: { vatId: { type: 'string' } } },
+        else: { properties: { birthday: { type: 'string' } } }
+      })).toContain('.and(z.union([');
+    });
+  });
+
+  describe('Discriminated Unions', () => {
+    test('should check the discriminator value of each member', () => {
+      const Dog = { type: 'object', properties: { petType: { type: 'string' } } };
+      const lizard = { type: 'object', properties: { petType: { type: 'string', enum: ['lizard'] } } };
+      const Pet = {
+        oneOf: [Dog, lizard],
+        discriminator: { propertyName: 'petType', mapping: { dog: '#/components/schemas/Dog' } }
+      };
+
+      const result = generator.generateSchemas({ Pet, Dog });
+
+      expect(result).toContain(
+        "export const PetSchema: z.ZodType<Pet> = z.union([DogSchema.and(z.object({ petType: z.enum(['dog']) })), " +
+        "z.object({\n  petType: z.enum(['lizard']).optional(),\n})]);"
+      );
+    });
+  });
+
+  describe('Read and Write Models', () => {
+    test('should validate responses against Read schemas without writeOnly properties', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/read-write.yaml'));
+
+      const result = generator.generateSchemas(contract.schemas, contract.endpoints);
+
+      expect(result).toContain("import type { User, UserRead, Team, TeamRead, Tag, Admin, AdminRead } from './api.js';");
+      expect(result).toContain('export const UserSchema: z.ZodType<User> = z.object({\n  id: z.number().int(),\n  name: z.string(),\n  password: z.string(),');
+      // A response without the writeOnly password passes, readOnly properties stay required
+      expect(result).toContain(
+        'export const UserReadSchema: z.ZodType<UserRead> = z.object({\n  id: z.number().int(),\n  name: z.string(),\n' +
+        '  createdAt: z.string().datetime({ offset: true }),\n});'
+      );
+      expect(result).toContain('  members: z.array(UserReadSchema),');
+      expect(result).not.toContain('TagReadSchema');
+      expect(result).toContain('  createUser: UserReadSchema,');
+      expect(result).toContain('  listUsers: z.array(UserReadSchema),');
+      expect(result).toContain('  createTeam: TeamReadSchema,');
+    });
+  });
+
+  describe('File Generation', () => {
+    const status = { type: 'string', enum: ['available', 'sold'] };
+    const pet = {
+      type: 'object',
+      description: 'A pet',
+      required: ['status'],
+      properties: { status }
+    };
+
+    test('should declare component schemas typed against the generated interfaces', () => {
+      const result = generator.generateSchemas({ Pet: pet, Status: status });
+
+      expect(result).toContain('Generated by SpecJet CLI');
+      expect(result).toContain("import { z } from 'zod';");
+      expect(result).toContain("import type { Pet, Status } from './api.js';");
+      expect(result).toContain('/** A pet */\nexport const PetSchema: z.ZodType<Pet> = z.object({');
+      // Referenced components are declared first and referenced by name
+      expect(result.indexOf('export const StatusSchema')).toBeLessThan(result.indexOf('export const PetSchema'));
+      expect(result).toContain('  status: StatusSchema,');
+    });
+
+    test('should use z.lazy for recursive schemas', () => {
+      const category = { type: 'object', properties: { name: { type: 'string' } } };
+      category.properties.children = { type: 'array', items: category };
+
+      const result = generator.generateSchemas({ Category: category });
+
+      expect(result).toContain('  children: z.array(z.lazy(() => CategorySchema)).optional(),');
+    });
+
+    test('should map client method names to success response schemas', () => {
+      const endpoints = [
+        { method: 'GET', path: '/pets', operationId: 'listPets', responses: { '200': { schema: { type: 'array', items: pet } } } },
+        { method: 'GET', path: '/pets/{id}', responses: { '200': { schema: pet } } },
+        { method: 'DELETE', path: '/pets/{id}', responses: { '204': { description: 'Deleted' } } }
+      ];
+
+      const result = generator.generateSchemas({ Pet: pet, Status: status }, endpoints);
+
+      expect(result).toContain('export const responseSchemas = {');
+      expect(result).toContain('  listPets: z.array(PetSchema),');
+      expect(result).toContain('  getPetsById: PetSchema,');
+      expect(result).not.toContain('deletePets');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import MockServer from '#src/mock-server/server.js';
+
+const userSchema = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string' } }
+};
+
+const contract = {
+  endpoints: [
+    { method: 'GET', path: '/users', responses: { '200': { schema: { type: 'array', items: userSchema } } } },
+    { method: 'GET', path: '/users/{id}', responses: { '200': { schema: userSchema } } },
+    { method: 'POST', path: '/users', responses: { '201': { schema: userSchema } } },
+    { method: 'DELETE', path: '/users/{id}', responses: { '204': { description: 'Deleted' } } }
+  ]
+};
+
+describe('Mock server admin API', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = new MockServer(contract, 'demo');
+    await server.start(0);
+    baseUrl = `http://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const admin = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}/__specjet${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  };
+
+  test('should seed records from a fixture and serve them', async () => {
+    const seeded = await admin('/seed', {
+      method: 'POST',
+      body: { users: [{ id: 10, name: 'Ada' }, { id: 11, name: 'Grace' }] }
+    });
+
+    expect(seeded.body).toEqual({ seeded: { user: 2 } });
+    expect(await (await fetch(`${baseUrl}/users/10`)).json()).toEqual({ id: 10, name: 'Ada' });
+
+    const entities = await admin('/entities');
+    expect(entities.body.entities.user).toEqual({ count: 2, ids: [10, 11] });
+
+    const records = await admin('/entities/users');
+    expect(records.body.records).toHaveLength(2);
+  });
+
+  test('should assign new ids after the highest seeded id', async () => {
+    await admin('/seed', { method: 'POST', body: { users: [{ id: 10, name: 'Ada' }] } });
+
+    const created = await fetch(`${baseUrl}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'New' })
+    });
+
+    expect((await created.json()).id).toBe(11);
+  });
+
+  test('should restore deleted records when seeding them again', async () => {
+    await admin('/seed', { method: 'POST', body: { users: [{ id: 1, name: 'Ada' }] } });
+    await fetch(`${baseUrl}/users/1`, { method: 'DELETE' });
+    expect((await fetch(`${baseUrl}/users/1`)).status).toBe(404);
+
+    await admin('/seed', { method: 'POST', body: { users: [{ id: 1, name: 'Ada' }] } });
+    expect((await fetch(`${baseUrl}/users/1`)).status).toBe(200);
+  });
+
+  test('should reject malformed fixtures', async () => {
+    const response = await admin('/seed', { method: 'POST', body: { users: { id: 1 } } });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should reset all state', async () => {
+    await admin('/seed', { method: 'POST', body: { users: [{ id: 5, name: 'Ada' }] } });
+    await fetch(`${baseUrl}/users`);
+
+    await admin('/reset', { method: 'POST' });
+
+    expect((await admin('/entities')).body.entities).toEqual({});
+    expect((await admin('/requests')).body.requests).toEqual([]);
+    expect(server.nextId).toBe(1);
+  });
+
+  test('should switch scenario at runtime', async () => {
+    expect((await admin('/scenario')).body).toEqual({ scenario: 'demo' });
+
+    const switched = await admin('/scenario', { method: 'PUT', body: { scenario: 'large' } });
+    expect(switched.body).toEqual({ scenario: 'large' });
+    expect(server.scenario).toBe('large');
+
+    const invalid = await admin('/scenario', { method: 'PUT', body: { scenario: 'chaos' } });
+    expect(invalid.status).toBe(400);
+    expect(server.scenario).toBe('large');
+  });
+
+  test('should log received requests but not admin calls', async () => {
+    await fetch(`${baseUrl}/users?limit=2`);
+    await fetch(`${baseUrl}/users/999`, { method: 'DELETE' });
+
+    const { body } = await admin('/requests');
+
+    expect(body.requests).toHaveLength(2);
+    expect(body.requests[0]).toMatchObject({ method: 'GET', path: '/users', query: { limit: '2' }, status: 200 });
+    expect(body.requests[1]).toMatchObject({ method: 'DELETE', path: '/users/999', status: 404 });
+
+    await admin('/requests', { method: 'DELETE' });
+    expect((await admin('/requests')).body.requests).toEqual([]);
+  });
+
+  test('should return 404 for unknown admin endpoints', async () => {
+    const response = await admin('/nope');
+
+    expect(response.status).toBe(404);
+  });
+});
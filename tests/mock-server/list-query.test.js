@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'vitest';
+import { applyListQuery, applyPaginationFields } from '#src/mock-server/list-query.js';
+
+const records = [
+  { id: 1, name: 'Charlie', status: 'active', tags: ['admin'], age: 30 },
+  { id: 2, name: 'alice', status: 'inactive', tags: ['user'], age: 25 },
+  { id: 3, name: 'Bob', status: 'active', tags: ['user', 'beta'], age: 35 }
+];
+
+const queryParam = (name, schema = { type: 'string' }) => ({ name, in: 'query', schema });
+
+describe('applyListQuery', () => {
+  test('should return all records when no query parameters are declared', () => {
+    const result = applyListQuery(records, [], { status: 'active', limit: '1' });
+
+    expect(result.items).toEqual(records);
+    expect(result.total).toBe(3);
+  });
+
+  test('should filter by declared fields, matching comma-separated values and array fields', () => {
+    const parameters = [queryParam('status'), queryParam('tags')];
+
+    expect(applyListQuery(records, parameters, { status: 'active' }).items.map(r => r.id)).toEqual([1, 3]);
+    expect(applyListQuery(records, parameters, { status: 'active,inactive' }).items).toHaveLength(3);
+    expect(applyListQuery(records, parameters, { tags: 'beta' }).items.map(r => r.id)).toEqual([3]);
+  });
+
+  test('should search string fields case-insensitively', () => {
+    const result = applyListQuery(records, [queryParam('q')], { q: 'ALI' });
+
+    expect(result.items.map(r => r.id)).toEqual([2]);
+  });
+
+  test('should support the common sort syntaxes', () => {
+    const parameters = [queryParam('sort'), queryParam('order')];
+    const ids = (query) => applyListQuery(records, parameters, query).items.map(r => r.id);
+
+    expect(ids({ sort: 'age' })).toEqual([2, 1, 3]);
+    expect(ids({ sort: '-age' })).toEqual([3, 1, 2]);
+    expect(ids({ sort: 'age:desc' })).toEqual([3, 1, 2]);
+    expect(ids({ sort: 'age', order: 'desc' })).toEqual([3, 1, 2]);
+    expect(ids({ sort: 'status,-age' })).toEqual([3, 1, 2]);
+  });
+
+  test('should paginate with limit and offset, using schema defaults', () => {
+    const parameters = [
+      queryParam('limit', { type: 'integer', default: 2 }),
+      queryParam('offset', { type: 'integer' })
+    ];
+
+    expect(applyListQuery(records, parameters, {}).items.map(r => r.id)).toEqual([1, 2]);
+    expect(applyListQuery(records, parameters, { offset: '2' }).items.map(r => r.id)).toEqual([3]);
+  });
+
+  test('should paginate with page and page size', () => {
+    const parameters = [queryParam('page', { type: 'integer' }), queryParam('per_page', { type: 'integer' })];
+
+    const result = applyListQuery(records, parameters, { page: '2', per_page: '2' });
+
+    expect(result).toEqual({ items: [records[2]], total: 3, limit: 2, offset: 2, page: 2 });
+  });
+});
+
+describe('applyPaginationFields', () => {
+  test('should update top-level and nested pagination fields', () => {
+    const wrapper = {
+      data: [records[2]],
+      totalCount: 99,
+      pagination: { page: 7, perPage: 10, totalPages: 12, hasMore: true },
+      name: 'unchanged'
+    };
+
+    applyPaginationFields(wrapper, { items: [records[2]], total: 3, limit: 2, offset: 2, page: 2 });
+
+    expect(wrapper).toEqual({
+      data: [records[2]],
+      totalCount: 3,
+      pagination: { page: 2, perPage: 2, totalPages: 2, hasMore: false },
+      name: 'unchanged'
+    });
+  });
+});
@@ -1,5 +1,13 @@
-import { describe, test, expect, beforeEach } from 'vitest';
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { Blob } from 'buffer';
+import { URLSearchParams, fileURLToPath } from 'url';
+import { join, dirname } from 'path';
 import MockServer from '#src/mock-server/server.js';
+import ContractParser from '#src/core/parser.js';
+import SchemaValidator from '#src/core/schema-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
 describe('MockServer', () => {
   const sampleContract = {
@@ -366,6 +374,87 @@ describe('MockServer', () => {
       expect(server.schemas).toHaveProperty('Product');
       expect(server.schemas.User.properties.id.type).toBe('number');
     });
+
+    test('should stop generating recursive schemas', () => {
+      const node = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+      node.properties.children = { type: 'array', items: node };
+      node.properties.parent = node;
+      const server = new MockServer({ endpoints: [], components: { schemas: { TreeNode: node } } });
+
+      const tree = server.generateMockData(node, 'demo');
+
+      expect(tree.children).toHaveLength(3);
+      expect(tree.parent.name).toEqual(expect.any(String));
+      // Optional recursive properties are left out two levels down
+      expect(tree.children[0]).toEqual({ name: expect.any(String) });
+      expect(tree.parent).not.toHaveProperty('parent');
+      expect(server.schemasInProgress.size).toBe(0);
+    });
+
+    test('should end schemas that require themselves', () => {
+      const node = { type: 'object', required: ['next', 'items'], properties: { items: { type: 'array' } } };
+      node.properties.next = node;
+      node.properties.items.items = node;
+      const server = new MockServer({ endpoints: [] });
+
+      const data = server.generateMockData(node, 'demo');
+
+      expect(data.items[0].items).toEqual([]);
+      expect(data.next.next.next).toEqual({});
+    });
+  });
+
+  describe('OpenAPI 3.1 Keywords', () => {
+    test('should generate data that satisfies 3.1 schemas', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/openapi-31.yaml'));
+      const validator = new SchemaValidator();
+
+      for (const seed of [1, 2, 3]) {
+        const server = new MockServer(contract, 'realistic', { seed });
+        for (const schema of Object.values(contract.schemas)) {
+          const data = server.generateMockData(schema, 'realistic');
+          expect(await validator.validateResponse(data, schema)).toEqual([]);
+        }
+      }
+    });
+
+    test('should use const values, tuples, type lists and the then branch', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/openapi-31.yaml'));
+      const server = new MockServer(contract, 'demo');
+
+      const thing = server.generateMockData(contract.schemas.Thing, 'demo');
+
+      expect(thing).toMatchObject({ kind: 'thing', version: 2 });
+      expect(thing.id).toEqual(expect.any(String));
+      expect(thing.point).toEqual([expect.any(Number), expect.any(Number)]);
+      expect(Object.keys(thing.labels).every(key => key.startsWith('x-'))).toBe(true);
+      expect(thing.account).toMatchObject({ type: 'business', vatId: expect.any(String) });
+      expect(server.generateMockData({ type: 'null' }, 'demo')).toBeNull();
+      expect(server.generateMockData(contract.schemas.Quote, 'demo')).toBe("it's");
+    });
+  });
+
+  describe('Discriminated Unions', () => {
+    test('should pick oneOf branches and set their discriminator value', async () => {
+      const contract = await new ContractParser().parseContract(join(__dirname, '../fixtures/discriminator.yaml'));
+      const expectedValues = { dog: 'barks', puppy: 'barks', cat: 'indoor', PetLizard: 'scales' };
+      const petTypes = new Set();
+
+      for (const seed of [1, 2, 3, 4, 5, 6, 7, 8]) {
+        const server = new MockServer(contract, 'realistic', { seed });
+        const pet = server.generateMockData(contract.schemas.Pet, 'realistic');
+
+        expect(Object.keys(expectedValues)).toContain(pet.petType);
+        expect(pet).toHaveProperty(expectedValues[pet.petType]);
+        petTypes.add(pet.petType);
+
+        for (const shape of server.generateMockData(contract.schemas.Drawing, 'realistic').shapes) {
+          expect(shape).toHaveProperty(shape.kind === 'circle' ? 'radius' : 'side');
+        }
+      }
+
+      expect(petTypes.size).toBeGreaterThan(1);
+    });
   });
 
   describe('Data Persistence and CRUD Operations', () => {
@@ -904,4 +993,546 @@ describe('MockServer', () => {
       expect(mockData.createdAt).toBeUndefined(); // Should not be added
     });
   });
-});
\ No newline at end of file
+
+  describe('Contract Examples', () => {
+    const examplesEndpoint = {
+      method: 'GET',
+      path: '/users',
+      responses: {
+        '200': {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'array',
+                items: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+              },
+              examples: {
+                twoUsers: { value: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }] },
+                empty: { value: [] }
+              }
+            }
+          }
+        }
+      }
+    };
+
+    test('should ignore response examples outside example mode', () => {
+      const server = new MockServer({ endpoints: [] }, 'demo');
+      const data = server.generateMockResponse(examplesEndpoint);
+
+      expect(data).toHaveLength(3);
+    });
+
+    test('should serve the first named example in the examples scenario', () => {
+      const server = new MockServer({ endpoints: [] }, 'examples');
+
+      expect(server.generateMockResponse(examplesEndpoint)).toEqual([{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }]);
+    });
+
+    test('should enable example mode via options in any scenario', () => {
+      const server = new MockServer({ endpoints: [] }, 'realistic', { useExamples: true });
+
+      expect(server.useExamples).toBe(true);
+      expect(server.generateMockResponse(examplesEndpoint)).toHaveLength(2);
+    });
+
+    test('should serve a requested named example even outside example mode', () => {
+      const server = new MockServer({ endpoints: [] }, 'demo');
+
+      expect(server.generateMockResponse(examplesEndpoint, {}, { exampleName: 'empty' })).toEqual([]);
+    });
+
+    test('should fall back to generated data for unknown example names outside example mode', () => {
+      const server = new MockServer({ endpoints: [] }, 'demo');
+
+      expect(server.generateMockResponse(examplesEndpoint, {}, { exampleName: 'missing' })).toHaveLength(3);
+    });
+
+    test('should read examples from the original spec of parsed endpoints', () => {
+      const server = new MockServer({ endpoints: [] }, 'examples');
+      const parsedEndpoint = {
+        method: 'GET',
+        path: '/users/{id}',
+        responses: { '200': { schema: { type: 'object', properties: { id: { type: 'integer' } } } } },
+        spec: {
+          responses: {
+            '200': { content: { 'application/json': { example: { id: 42, name: 'Example' } } } }
+          }
+        }
+      };
+
+      expect(server.generateMockResponse(parsedEndpoint)).toEqual({ id: 42, name: 'Example' });
+    });
+
+    test('should use schema-level examples and generate the rest', () => {
+      const server = new MockServer({ endpoints: [] }, 'examples');
+      const data = server.generateMockData({
+        type: 'object',
+        properties: {
+          status: { type: 'string', example: 'shipped' },
+          tags: { type: 'array', items: { type: 'string' }, examples: [['new', 'sale']] },
+          total: { type: 'number' }
+        }
+      }, 'examples');
+
+      expect(data.status).toBe('shipped');
+      expect(data.tags).toEqual(['new', 'sale']);
+      expect(typeof data.total).toBe('number');
+    });
+
+    test('should return copies so stored records do not mutate the contract', () => {
+      const server = new MockServer({ endpoints: [] }, 'examples');
+      const data = server.generateMockResponse(examplesEndpoint);
+      data[0].name = 'Changed';
+
+      expect(server.generateMockResponse(examplesEndpoint)[0].name).toBe('Ada');
+    });
+
+    test('should pick named examples from header or query param over HTTP', async () => {
+      const server = new MockServer({ endpoints: [examplesEndpoint] }, 'examples');
+      await server.start(0);
+      const baseUrl = `http://localhost:${server.server.address().port}`;
+
+      try {
+        const byHeader = await fetch(`${baseUrl}/users`, { headers: { 'X-SpecJet-Example': 'empty' } });
+        const byQuery = await fetch(`${baseUrl}/users?__example=empty`);
+        const byDefault = await fetch(`${baseUrl}/users`);
+
+        expect(await byHeader.json()).toEqual([]);
+        expect(await byQuery.json()).toEqual([]);
+        expect(await byDefault.json()).toHaveLength(2);
+      } finally {
+        await server.stop();
+      }
+    });
+  });
+
+  describe('Seeded Data Generation', () => {
+    const listEndpoint = {
+      method: 'GET',
+      path: '/users',
+      responses: {
+        '200': {
+          schema: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                role: { type: 'string', enum: ['admin', 'member', 'guest'] },
+                createdAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    };
+
+    test('should generate identical data for the same seed', () => {
+      const first = new MockServer({ endpoints: [] }, 'realistic', { seed: 42 });
+      const second = new MockServer({ endpoints: [] }, 'realistic', { seed: 42 });
+
+      expect(JSON.stringify(first.generateMockResponse(listEndpoint)))
+        .toBe(JSON.stringify(second.generateMockResponse(listEndpoint)));
+    });
+
+    test('should generate different data for different seeds', () => {
+      const first = new MockServer({ endpoints: [] }, 'realistic', { seed: 1 });
+      const second = new MockServer({ endpoints: [] }, 'realistic', { seed: 2 });
+
+      expect(first.generateMockResponse(listEndpoint)).not.toEqual(second.generateMockResponse(listEndpoint));
+    });
+
+    test('should make item counts reproducible', () => {
+      const counts = [1, 2].map(() => {
+        const server = new MockServer({ endpoints: [] }, 'large', { seed: 7 });
+        return [server.getItemCount('large'), server.getItemCount('realistic')];
+      });
+
+      expect(counts[0]).toEqual(counts[1]);
+    });
+
+    test('should not touch the shared faker instance when unseeded', () => {
+      const server = new MockServer({ endpoints: [] }, 'demo');
+
+      expect(server.seed).toBeUndefined();
+      expect(server.faker).not.toBe(new MockServer({ endpoints: [] }, 'demo', { seed: 1 }).faker);
+    });
+
+    test('should replay the same responses over HTTP after a restart', async () => {
+      const postEndpoint = {
+        method: 'POST',
+        path: '/users',
+        responses: {
+          '201': { schema: { type: 'object', properties: { id: { type: 'integer' }, createdAt: { type: 'string' } } } }
+        }
+      };
+      const server = new MockServer({ endpoints: [listEndpoint, postEndpoint] }, 'realistic', { seed: 99 });
+
+      const runSession = async () => {
+        await server.start(0);
+        const baseUrl = `http://localhost:${server.server.address().port}`;
+        try {
+          const list = await (await fetch(`${baseUrl}/users`)).text();
+          const created = await (await fetch(`${baseUrl}/users`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'New' })
+          })).text();
+          return [list, created];
+        } finally {
+          await server.stop();
+        }
+      };
+
+      const firstRun = await runSession();
+      const secondRun = await runSession();
+
+      expect(secondRun).toEqual(firstRun);
+      const created = JSON.parse(firstRun[1]);
+      expect(created).toEqual({ name: 'New', id: expect.any(Number), createdAt: '2024-01-01T00:00:00.000Z' });
+      expect(JSON.parse(firstRun[0]).map(user => user.id)).not.toContain(created.id);
+    });
+  });
+
+  describe('Per-request Overrides', () => {
+    const userSchema = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } };
+    const overrideContract = {
+      endpoints: [
+        {
+          method: 'GET',
+          path: '/users',
+          responses: {
+            '200': { schema: { type: 'array', items: userSchema } },
+            '404': {
+              description: 'Not found',
+              schema: { type: 'object', required: ['reason'], properties: { reason: { type: 'string', enum: ['missing'] } } }
+            },
+            '5XX': { description: 'Server error', schema: { type: 'object', properties: { retryable: { type: 'boolean' } } } }
+          }
+        },
+        {
+          method: 'GET',
+          path: '/users/{id}',
+          responses: { '200': { schema: userSchema }, '204': { description: 'Empty' } }
+        }
+      ]
+    };
+
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = new MockServer(overrideContract, 'demo');
+      await server.start(0);
+      baseUrl = `http://localhost:${server.server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    test('should force a documented status using its schema', async () => {
+      const response = await fetch(`${baseUrl}/users`, { headers: { 'X-SpecJet-Status': '404' } });
+
+      expect(response.status).toBe(404);
+      expect(await response.json()).toEqual({ reason: 'missing' });
+    });
+
+    test('should fall back to a matching status range', async () => {
+      const response = await fetch(`${baseUrl}/users`, { headers: { 'X-SpecJet-Status': '503' } });
+
+      expect(response.status).toBe(503);
+      expect(Object.keys(await response.json())).toEqual(['retryable']);
+    });
+
+    test('should send no body for responses without a schema', async () => {
+      const response = await fetch(`${baseUrl}/users/1`, { headers: { 'X-SpecJet-Status': '204' } });
+
+      expect(response.status).toBe(204);
+      expect(await response.text()).toBe('');
+    });
+
+    test('should still honor undocumented forced statuses', async () => {
+      const response = await fetch(`${baseUrl}/users/1`, { headers: { 'X-SpecJet-Status': '418' } });
+
+      expect(response.status).toBe(418);
+      expect((await response.json()).error).toContain('not documented');
+    });
+
+    test('should override the scenario for a single request', async () => {
+      const large = await fetch(`${baseUrl}/users`, { headers: { 'X-SpecJet-Scenario': 'large' } });
+      const normal = await fetch(`${baseUrl}/users`);
+
+      expect((await large.json()).length).toBeGreaterThanOrEqual(50);
+      expect(await normal.json()).toHaveLength(3);
+      expect(server.scenario).toBe('demo');
+    });
+
+    test('should delay the response', async () => {
+      const start = Date.now();
+      await fetch(`${baseUrl}/users`, { headers: { 'X-SpecJet-Delay': '200' } });
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+    });
+
+    test('should reject invalid override headers', async () => {
+      const response = await fetch(`${baseUrl}/users`, {
+        headers: { 'X-SpecJet-Status': 'abc', 'X-SpecJet-Scenario': 'chaos' }
+      });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).details).toHaveLength(2);
+    });
+  });
+
+  describe('Non-JSON Media Types', () => {
+    const fileSchema = { type: 'object', properties: { id: { type: 'integer' }, title: { type: 'string' } } };
+    const uploadSchema = {
+      type: 'object',
+      required: ['file'],
+      properties: { file: { type: 'string', format: 'binary' }, title: { type: 'string' } }
+    };
+    const mediaContract = {
+      endpoints: [
+        {
+          method: 'POST',
+          path: '/files',
+          requestBody: {
+            required: true,
+            contentType: 'multipart/form-data',
+            schema: uploadSchema,
+            content: { 'multipart/form-data': { schema: uploadSchema } }
+          },
+          responses: { '201': { contentType: 'application/json', schema: fileSchema } }
+        },
+        {
+          method: 'POST',
+          path: '/sessions',
+          requestBody: {
+            contentType: 'application/x-www-form-urlencoded',
+            schema: { type: 'object', properties: { username: { type: 'string' } } }
+          },
+          responses: { '201': { contentType: 'application/json', schema: { type: 'object', properties: { username: { type: 'string' } } } } }
+        },
+        {
+          method: 'GET',
+          path: '/report',
+          responses: {
+            '200': {
+              contentType: 'text/csv',
+              schema: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, total: { type: 'integer' } } } }
+            }
+          }
+        },
+        {
+          method: 'GET',
+          path: '/avatar',
+          responses: { '200': { contentType: 'image/png', schema: { type: 'string', format: 'binary' } } }
+        }
+      ]
+    };
+
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = new MockServer(mediaContract, 'demo', { seed: 1 });
+      await server.start(0);
+      baseUrl = `http://localhost:${server.server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    test('should accept multipart uploads and describe the uploaded files', async () => {
+      const form = new FormData();
+      form.append('file', new Blob(['hello'], { type: 'text/plain' }), 'hello.txt');
+      form.append('title', 'Greeting');
+
+      const response = await fetch(`${baseUrl}/files`, { method: 'POST', body: form });
+      const body = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(body.title).toBe('Greeting');
+      expect(body.file).toEqual({ filename: 'hello.txt', contentType: 'text/plain', size: 5 });
+    });
+
+    test('should validate required multipart fields', async () => {
+      const form = new FormData();
+      form.append('title', 'No file');
+
+      const response = await fetch(`${baseUrl}/files`, { method: 'POST', body: form });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).details.errors[0].field).toBe('file');
+    });
+
+    test('should accept form-urlencoded bodies', async () => {
+      const response = await fetch(`${baseUrl}/sessions`, { method: 'POST', body: new URLSearchParams({ username: 'ada' }) });
+
+      expect(response.status).toBe(201);
+      expect((await response.json()).username).toBe('ada');
+    });
+
+    test('should reject media types the operation does not declare', async () => {
+      const response = await fetch(`${baseUrl}/files`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'JSON' })
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(415);
+      expect(body.code).toBe('unsupported_media_type');
+      expect(body.details.supported).toEqual(['multipart/form-data']);
+    });
+
+    test('should serve CSV rows for text/csv responses', async () => {
+      const response = await fetch(`${baseUrl}/report`);
+      const lines = (await response.text()).split('\n');
+
+      expect(response.headers.get('content-type')).toContain('text/csv');
+      expect(lines[0]).toBe('name,total');
+      expect(lines.length).toBeGreaterThan(1);
+    });
+
+    test('should serve binary data for binary responses', async () => {
+      const response = await fetch(`${baseUrl}/avatar`);
+      const bytes = new Uint8Array(await response.arrayBuffer());
+
+      expect(response.headers.get('content-type')).toBe('image/png');
+      expect(Array.from(bytes.slice(1, 4), byte => String.fromCharCode(byte)).join('')).toBe('PNG');
+    });
+  });
+
+  describe('Query-aware List Endpoints', () => {
+    const productSchema = {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        status: { type: 'string', enum: ['available', 'sold'] }
+      }
+    };
+    const listContract = {
+      endpoints: [
+        {
+          method: 'GET',
+          path: '/products',
+          parameters: [
+            { name: 'status', in: 'query', schema: { type: 'string' } },
+            { name: 'sort', in: 'query', schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
+            { name: 'offset', in: 'query', schema: { type: 'integer' } }
+          ],
+          responses: { '200': { schema: { type: 'array', items: productSchema } } }
+        },
+        {
+          method: 'POST',
+          path: '/products',
+          requestBody: { content: { 'application/json': { schema: productSchema } } },
+          responses: { '201': { schema: productSchema } }
+        },
+        {
+          method: 'DELETE',
+          path: '/products/{id}',
+          responses: { '204': { description: 'Deleted' } }
+        },
+        {
+          method: 'GET',
+          path: '/orders',
+          parameters: [
+            { name: 'page', in: 'query', schema: { type: 'integer' } },
+            { name: 'pageSize', in: 'query', schema: { type: 'integer' } }
+          ],
+          responses: {
+            '200': {
+              schema: {
+                type: 'object',
+                properties: {
+                  data: { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' } } } },
+                  meta: { type: 'object', properties: { total: { type: 'integer' }, page: { type: 'integer' } } }
+                }
+              }
+            }
+          }
+        }
+      ]
+    };
+
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = new MockServer(listContract, 'demo');
+      await server.start(0);
+      baseUrl = `http://localhost:${server.server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    const seedProducts = () => server.seedRecords({
+      products: [
+        { id: 1, name: 'Lamp', status: 'available' },
+        { id: 2, name: 'Chair', status: 'sold' },
+        { id: 3, name: 'Desk', status: 'available' }
+      ]
+    });
+
+    test('should include created records in subsequent list responses', async () => {
+      const initial = await (await fetch(`${baseUrl}/products`)).json();
+
+      const created = await (await fetch(`${baseUrl}/products`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Brand new', status: 'available' })
+      })).json();
+      const list = await (await fetch(`${baseUrl}/products`)).json();
+
+      expect(list).toHaveLength(initial.length + 1);
+      expect(list).toContainEqual(created);
+      expect(initial.map(product => product.id)).not.toContain(created.id);
+    });
+
+    test('should leave deleted records out of list responses', async () => {
+      seedProducts();
+
+      await fetch(`${baseUrl}/products/2`, { method: 'DELETE' });
+      const list = await (await fetch(`${baseUrl}/products`)).json();
+
+      expect(list.map(product => product.id)).toEqual([1, 3]);
+    });
+
+    test('should filter, sort and paginate using declared query parameters', async () => {
+      seedProducts();
+
+      const filtered = await (await fetch(`${baseUrl}/products?status=available&sort=-name`)).json();
+      const paged = await (await fetch(`${baseUrl}/products?sort=name&limit=1&offset=1`)).json();
+
+      expect(filtered.map(product => product.name)).toEqual(['Lamp', 'Desk']);
+      expect(paged.map(product => product.name)).toEqual(['Desk']);
+    });
+
+    test('should ignore query parameters the contract does not declare', async () => {
+      seedProducts();
+
+      const list = await (await fetch(`${baseUrl}/products?name=Lamp`)).json();
+
+      expect(list).toHaveLength(3);
+    });
+
+    test('should update pagination metadata of wrapper responses', async () => {
+      server.seedRecords({ orders: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+
+      const body = await (await fetch(`${baseUrl}/orders?page=2&pageSize=2`)).json();
+
+      expect(body.data).toEqual([{ id: 3 }]);
+      expect(body.meta).toEqual({ total: 3, page: 2 });
+    });
+  });
+});
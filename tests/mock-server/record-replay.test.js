@@ -0,0 +1,172 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync, mkdirSync, rmSync, readdirSync, readFileSync } from 'fs';
+import express from 'express';
+import MockServer from '#src/mock-server/server.js';
+import RecordingStore from '#src/mock-server/recording-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const contract = {
+  endpoints: [
+    {
+      method: 'GET',
+      path: '/users',
+      responses: {
+        '200': {
+          schema: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    {
+      method: 'GET',
+      path: '/users/{id}',
+      responses: {
+        '200': { schema: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } } }
+      }
+    }
+  ]
+};
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+describe('RecordingStore', () => {
+  test('should normalize query parameter order', () => {
+    expect(RecordingStore.createKey('get', '/users', 'sort=name&limit=10&tag=b&tag=a'))
+      .toBe('GET /users?limit=10&sort=name&tag=a&tag=b');
+  });
+
+  test('should ignore mock-only query parameters', () => {
+    expect(RecordingStore.createKey('GET', '/users', '__example=empty')).toBe('GET /users');
+  });
+});
+
+describe('Record and replay', () => {
+  let tempDir;
+  let backend;
+  let backendUrl;
+  let backendRequests;
+  let backendHeaders;
+
+  beforeEach(async () => {
+    tempDir = join(__dirname, '../../temp', `record-replay-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+
+    backendRequests = [];
+    backendHeaders = [];
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      backendRequests.push({ method: req.method, url: req.originalUrl, body: req.body });
+      backendHeaders.push(req.headers);
+      next();
+    });
+    app.get('/users', (req, res) => res.set('Set-Cookie', 'session=secret').json([{ id: 1, name: `Real ${req.query.limit}` }]));
+    app.post('/users', (req, res) => res.status(201).json({ id: 7, ...req.body }));
+    backend = await listen(app);
+    backendUrl = `http://localhost:${backend.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => backend.close(resolve));
+    if (existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  async function withServer(options, fn) {
+    const server = new MockServer(contract, 'demo', options);
+    await server.start(0);
+    try {
+      return await fn(`http://localhost:${server.server.address().port}`);
+    } finally {
+      await server.stop();
+    }
+  }
+
+  test('should proxy requests to the backend and record them', async () => {
+    const recordDir = join(tempDir, 'recordings');
+
+    await withServer({ proxy: backendUrl, record: recordDir }, async (baseUrl) => {
+      const list = await fetch(`${baseUrl}/users?limit=5&sort=name`);
+      const created = await fetch(`${baseUrl}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Ada' })
+      });
+
+      expect(await list.json()).toEqual([{ id: 1, name: 'Real 5' }]);
+      expect(created.status).toBe(201);
+      expect(await created.json()).toEqual({ id: 7, name: 'Ada' });
+    });
+
+    expect(backendRequests[1]).toEqual({ method: 'POST', url: '/users', body: { name: 'Ada' } });
+
+    const files = readdirSync(recordDir);
+    expect(files).toHaveLength(2);
+
+    const listRecording = JSON.parse(readFileSync(join(recordDir, files.find(f => f.startsWith('get-'))), 'utf8'));
+    expect(listRecording.request).toEqual({ method: 'GET', path: '/users', query: 'limit=5&sort=name' });
+    expect(listRecording.response.body).toEqual([{ id: 1, name: 'Real 5' }]);
+    expect(listRecording.response.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('should replay recordings and fall back to the contract for unrecorded calls', async () => {
+    const recordDir = join(tempDir, 'recordings');
+    await withServer({ proxy: backendUrl, record: recordDir }, (baseUrl) => fetch(`${baseUrl}/users?sort=name&limit=5`));
+    backendRequests = [];
+
+    await withServer({ replay: recordDir }, async (baseUrl) => {
+      const replayed = await fetch(`${baseUrl}/users?limit=5&sort=name`);
+      const generated = await fetch(`${baseUrl}/users/3`);
+
+      expect(await replayed.json()).toEqual([{ id: 1, name: 'Real 5' }]);
+      expect(replayed.headers.get('content-type')).toContain('application/json');
+      expect(String((await generated.json()).id)).toBe('3');
+    });
+
+    expect(backendRequests).toEqual([]);
+  });
+
+  test('should answer forced statuses and scenarios from the contract in proxy mode', async () => {
+    await withServer({ proxy: backendUrl }, async (baseUrl) => {
+      const forced = await fetch(`${baseUrl}/users/3`, { headers: { 'X-SpecJet-Status': '200' } });
+      const scenario = await fetch(`${baseUrl}/users`, { headers: { 'X-SpecJet-Scenario': 'large' } });
+      const delayed = await fetch(`${baseUrl}/users?limit=2`, { headers: { 'X-SpecJet-Delay': '0', 'X-Request-Id': 'abc' } });
+
+      expect(forced.status).toBe(200);
+      expect(String((await forced.json()).id)).toBe('3');
+      expect((await scenario.json()).length).toBeGreaterThan(1);
+      expect(await delayed.json()).toEqual([{ id: 1, name: 'Real 2' }]);
+    });
+
+    expect(backendRequests.map(request => request.url)).toEqual(['/users?limit=2']);
+    expect(backendHeaders[0]['x-request-id']).toBe('abc');
+    expect(Object.keys(backendHeaders[0]).filter(name => name.startsWith('x-specjet-'))).toEqual([]);
+  });
+
+  test('should respond with 502 when the backend is unreachable', async () => {
+    await withServer({ proxy: 'http://localhost:1' }, async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/users`);
+
+      expect(response.status).toBe(502);
+      expect((await response.json()).error).toBe('Proxy request failed');
+    });
+  });
+
+  test('should match concrete request paths to contract endpoints', () => {
+    const server = new MockServer(contract, 'demo');
+
+    expect(server.findEndpoint('GET', '/users/42').path).toBe('/users/{id}');
+    expect(server.findEndpoint('DELETE', '/users/42')).toBeNull();
+  });
+});
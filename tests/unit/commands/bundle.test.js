@@ -0,0 +1,74 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import yaml from 'js-yaml';
+import { bundleCore } from '#src/commands/bundle.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const contractPath = join(__dirname, '../../fixtures/multi-file/api.yaml');
+
+describe('bundle command', () => {
+  let tempDir;
+  let configPath;
+
+  beforeEach(() => {
+    tempDir = join(__dirname, '../../../temp', `bundle-command-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+    configPath = join(tempDir, 'specjet.config.js');
+    writeFileSync(configPath, 'export default {};');
+  });
+
+  afterEach(() => {
+    if (existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should print a single-file contract with internal references only', async () => {
+    const result = await bundleCore(contractPath, { config: configPath });
+    const bundled = yaml.load(result.formattedOutput);
+
+    expect(result.files).toHaveLength(5);
+    expect(bundled.components.schemas.User.properties.address).toEqual({ $ref: '#/components/schemas/Address' });
+    expect(bundled.paths['/users/{id}'].get.responses['200'].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/User' });
+    expect(result.formattedOutput).not.toContain('.yaml');
+  });
+
+  test('should write JSON when the output file ends in .json', async () => {
+    const outputPath = join(tempDir, 'dist', 'api.json');
+
+    const result = await bundleCore(contractPath, { config: configPath, output: outputPath });
+
+    expect(result.formattedOutput).toMatch(/^📦 Bundled 5 files into /);
+    expect(JSON.parse(readFileSync(outputPath, 'utf8')).info.title).toBe('Multi-file Test API');
+  });
+
+  test('should refuse to overwrite a file of the contract and unknown formats', async () => {
+    await expect(bundleCore(contractPath, {
+      config: configPath,
+      output: join(dirname(contractPath), 'schemas', 'User.yaml')
+    })).rejects.toMatchObject({ code: 'BUNDLE_OUTPUT_IS_SOURCE' });
+
+    await expect(bundleCore(contractPath, { config: configPath, format: 'xml' }))
+      .rejects.toMatchObject({ code: 'INVALID_OUTPUT_FORMAT' });
+  });
+
+  test('should report references to missing files', async () => {
+    const brokenPath = join(tempDir, 'api.yaml');
+    writeFileSync(brokenPath, `
+openapi: 3.0.3
+info:
+  title: Broken
+  version: 1.0.0
+paths:
+  /users:
+    $ref: './paths/missing.yaml'
+`);
+
+    await expect(bundleCore(brokenPath, { config: configPath })).rejects.toMatchObject({ code: 'CONTRACT_INVALID' });
+  });
+});
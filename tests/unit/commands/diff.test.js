@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { diffCore } from '#src/commands/diff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const baseContract = `
+openapi: 3.0.0
+info:
+  title: Test API
+  version: 1.0.0
+paths:
+  /users:
+    get:
+      operationId: getUsers
+      responses:
+        '200':
+          description: Success
+          content:
+            application/json:
+              schema:
+                type: array
+                items:
+                  $ref: '#/components/schemas/User'
+components:
+  schemas:
+    User:
+      type: object
+      required: [id, name]
+      properties:
+        id:
+          type: integer
+        name:
+          type: string
+`;
+
+describe('diff command', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(__dirname, '../../../temp', `diff-command-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  function writeContract(name, content) {
+    const filePath = join(tempDir, name);
+    writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  test('should exit with 0 when contracts are identical', async () => {
+    const oldPath = writeContract('old.yaml', baseContract);
+    const newPath = writeContract('new.yaml', baseContract);
+
+    const result = await diffCore(oldPath, newPath);
+
+    expect(result.exitCode).toBe(0);
+    expect(result.report.changes).toEqual([]);
+  });
+
+  test('should exit with 1 when a referenced schema loses a property', async () => {
+    const oldPath = writeContract('old.yaml', baseContract);
+    const newPath = writeContract('new.yaml', baseContract.replace(`        name:
+          type: string
+`, '').replace('required: [id, name]', 'required: [id]'));
+
+    const result = await diffCore(oldPath, newPath, { output: 'json' });
+
+    expect(result.exitCode).toBe(1);
+    expect(JSON.parse(result.formattedOutput).changes).toContainEqual(expect.objectContaining({
+      type: 'property_removed',
+      endpoint: 'GET /users',
+      field: '[].name'
+    }));
+  });
+
+  test('should reject unknown output formats', async () => {
+    const oldPath = writeContract('old.yaml', baseContract);
+
+    await expect(diffCore(oldPath, oldPath, { output: 'xml' })).rejects.toMatchObject({
+      code: 'INVALID_OUTPUT_FORMAT'
+    });
+  });
+
+  test('should fail when a contract file is missing', async () => {
+    const oldPath = writeContract('old.yaml', baseContract);
+
+    await expect(diffCore(oldPath, join(tempDir, 'missing.yaml'))).rejects.toMatchObject({
+      code: 'CONTRACT_NOT_FOUND'
+    });
+  });
+});
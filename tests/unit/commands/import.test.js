@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { importCore } from '#src/commands/import.js';
+import ContractParser from '#src/core/parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const swagger = `
+swagger: '2.0'
+info:
+  title: Legacy API
+  version: 2.1.0
+host: legacy.example.com
+paths:
+  /users/{id}:
+    get:
+      operationId: getUser
+      parameters:
+        - name: id
+          in: path
+          required: true
+          type: integer
+      responses:
+        '200':
+          description: User
+          schema:
+            $ref: '#/definitions/User'
+definitions:
+  User:
+    type: object
+    properties:
+      id:
+        type: integer
+      name:
+        type: string
+`;
+
+describe('import command', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(__dirname, '../../../temp', `import-command-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should write a contract that ContractParser accepts', async () => {
+    const inputPath = join(tempDir, 'swagger.yaml');
+    const outputPath = join(tempDir, 'api-contract.yaml');
+    writeFileSync(inputPath, swagger);
+
+    const result = await importCore(inputPath, { output: outputPath });
+    const contract = await new ContractParser().parseContract(outputPath);
+
+    expect(result.exitCode).toBe(0);
+    expect(result.format).toBe('swagger2');
+    expect(readFileSync(outputPath, 'utf8')).toContain('openapi: 3.1.0');
+    expect(contract.endpoints.map(endpoint => endpoint.operationId)).toEqual(['getUser']);
+    expect(Object.keys(contract.schemas)).toEqual(['User']);
+    expect(result.formattedOutput).toContain('1 operation, 1 schema');
+  });
+
+  test('should not overwrite an existing contract without --force', async () => {
+    const inputPath = join(tempDir, 'swagger.yaml');
+    const outputPath = join(tempDir, 'api-contract.yaml');
+    writeFileSync(inputPath, swagger);
+    writeFileSync(outputPath, 'existing');
+
+    await expect(importCore(inputPath, { output: outputPath })).rejects.toMatchObject({ code: 'FILE_EXISTS' });
+    expect(readFileSync(outputPath, 'utf8')).toBe('existing');
+
+    await importCore(inputPath, { output: outputPath, force: true });
+    expect(readFileSync(outputPath, 'utf8')).toContain('Legacy API');
+  });
+});
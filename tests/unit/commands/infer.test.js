@@ -0,0 +1,77 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { inferCore } from '#src/commands/infer.js';
+import ContractParser from '#src/core/parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const traffic = {
+  log: {
+    version: '1.2',
+    entries: [
+      {
+        _resourceType: 'fetch',
+        request: { method: 'GET', url: 'https://api.example.com/users/1', headers: [] },
+        response: { status: 200, content: { mimeType: 'application/json', text: '{"id":1,"name":"Ada"}' } }
+      },
+      {
+        _resourceType: 'fetch',
+        request: { method: 'GET', url: 'https://api.example.com/users/2', headers: [] },
+        response: { status: 200, content: { mimeType: 'application/json', text: '{"id":2,"name":"Bob"}' } }
+      }
+    ]
+  }
+};
+
+describe('infer command', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(__dirname, '../../../temp', `infer-command-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should write a contract that ContractParser accepts', async () => {
+    const harPath = join(tempDir, 'traffic.har');
+    const outputPath = join(tempDir, 'api-contract.yaml');
+    writeFileSync(harPath, JSON.stringify(traffic));
+
+    const result = await inferCore({ har: harPath, output: outputPath });
+    const contract = await new ContractParser().parseContract(outputPath);
+
+    expect(result.exitCode).toBe(0);
+    expect(contract.endpoints).toHaveLength(1);
+    expect(contract.endpoints[0]).toMatchObject({ path: '/users/{userId}', method: 'GET', operationId: 'getUsersByUserId' });
+    expect(result.formattedOutput).toContain('Inferred 1 operation from 2 requests');
+  });
+
+  test('should require a HAR file and not overwrite an existing contract', async () => {
+    const harPath = join(tempDir, 'traffic.har');
+    const outputPath = join(tempDir, 'api-contract.yaml');
+    writeFileSync(harPath, JSON.stringify(traffic));
+    writeFileSync(outputPath, 'existing');
+
+    await expect(inferCore({ output: outputPath })).rejects.toMatchObject({ code: 'INFER_SOURCE_REQUIRED' });
+    await expect(inferCore({ har: harPath, output: outputPath })).rejects.toMatchObject({ code: 'FILE_EXISTS' });
+    expect(readFileSync(outputPath, 'utf8')).toBe('existing');
+  });
+
+  test('should report HAR files that cannot be read', async () => {
+    const harPath = join(tempDir, 'broken.har');
+    writeFileSync(harPath, '{"log":');
+
+    await expect(inferCore({ har: join(tempDir, 'missing.har'), output: join(tempDir, 'a.yaml') }))
+      .rejects.toMatchObject({ code: 'INFER_FILE_NOT_FOUND' });
+    await expect(inferCore({ har: harPath, output: join(tempDir, 'b.yaml') }))
+      .rejects.toMatchObject({ code: 'INFER_PARSE_ERROR' });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { lintCore } from '#src/commands/lint.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const contract = `
+openapi: 3.0.0
+info:
+  title: Test API
+  version: 1.0.0
+paths:
+  /users:
+    get:
+      summary: List users
+      responses:
+        '200':
+          description: Success
+          content:
+            application/json:
+              schema:
+                type: array
+                items:
+                  $ref: '#/components/schemas/User'
+        '500':
+          description: Server error
+components:
+  schemas:
+    User:
+      type: object
+      properties:
+        id:
+          type: integer
+`;
+
+describe('lint command', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(__dirname, '../../../temp', `lint-command-${Date.now()}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  function writeFile(name, content) {
+    const filePath = join(tempDir, name);
+    writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  test('should keep $refs intact so referenced components are not reported unused', async () => {
+    const contractPath = writeFile('api.yaml', contract);
+    const configPath = writeFile('specjet.config.js', 'export default {};');
+
+    const result = await lintCore(contractPath, { config: configPath, output: 'json' });
+    const rules = JSON.parse(result.formattedOutput).issues.map(issue => issue.rule);
+
+    expect(rules).toEqual(['operation-id-missing']);
+    expect(result.exitCode).toBe(0);
+  });
+
+  test('should exit with 1 when a rule configured as error fails', async () => {
+    const contractPath = writeFile('api.yaml', contract);
+    const configPath = writeFile('specjet.config.js', `
+export default {
+  lint: { rules: { 'operation-id-missing': 'error' } }
+};`);
+
+    const result = await lintCore(contractPath, { config: configPath });
+
+    expect(result.exitCode).toBe(1);
+    expect(result.report.summary.errors).toBe(1);
+  });
+
+  test('should reject unknown lint rules in config', async () => {
+    const contractPath = writeFile('api.yaml', contract);
+    const configPath = writeFile('specjet.config.js', `
+export default {
+  lint: { rules: { 'no-such-rule': 'warn' } }
+};`);
+
+    await expect(lintCore(contractPath, { config: configPath })).rejects.toMatchObject({
+      code: 'CONFIG_INVALID'
+    });
+  });
+});
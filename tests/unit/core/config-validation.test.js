@@ -2,7 +2,7 @@ import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import { writeFileSync, mkdirSync, rmSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
-import { loadConfig } from '#src/core/config.js';
+import { loadConfig, validateConfig, isProductionEnvironment } from '#src/core/config.js';
 import EnvValidator from '#src/core/env-validator.js';
 
 describe('Configuration Loading and Validation Tests', () => {
@@ -232,6 +232,36 @@ export default {
       expect(() => EnvValidator.validateEnvironmentConfig(invalidUrlConfig, 'staging'))
         .toThrow('Invalid URL format in staging environment: not-a-valid-url');
     });
+
+    test('should validate endpoint filters in environment config', () => {
+      const config = {
+        environments: {
+          staging: { url: 'https://api-staging.example.com', include: { tags: ['checkout'] } },
+          production: { url: 'https://api.example.com', exclude: { methods: ['DELETE', 'PURGE'] } },
+          dev: { url: 'http://localhost:8080', exclude: ['DELETE'] }
+        }
+      };
+
+      expect(() => validateConfig(config)).toThrow("environments.production.exclude: Unknown HTTP method 'PURGE'");
+      expect(() => validateConfig(config)).toThrow('environments.dev.exclude: Endpoint filter must be an object');
+      expect(() => validateConfig(config)).not.toThrow('environments.staging');
+    });
+
+    test('should require readOnly to be a boolean', () => {
+      const config = {
+        environments: { production: { url: 'https://api.example.com', readOnly: 'yes' } }
+      };
+
+      expect(() => validateConfig(config)).toThrow('environments.production.readOnly: readOnly must be a boolean, got string');
+    });
+
+    test('should recognize production environments by name or hostname', () => {
+      expect(isProductionEnvironment('production', { url: 'https://api.example.com' })).toBe(true);
+      expect(isProductionEnvironment('eu-prod', { url: '${EU_API_URL}' })).toBe(true);
+      expect(isProductionEnvironment('main', { url: 'https://api.live.example.com' })).toBe(true);
+      expect(isProductionEnvironment('preprod', { url: 'https://preprod.example.com' })).toBe(false);
+      expect(isProductionEnvironment('staging', { url: 'https://api-staging.example.com' })).toBe(false);
+    });
   });
 
   describe('Security Validations', () => {
@@ -0,0 +1,358 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import ContractDiff from '#src/core/contract-diff.js';
+
+function createContract(endpoints, version = '1.0.0') {
+  return {
+    info: { title: 'Test API', version },
+    endpoints
+  };
+}
+
+function createEndpoint(overrides = {}) {
+  return {
+    method: 'GET',
+    path: '/users',
+    parameters: [],
+    requestBody: null,
+    responses: {
+      '200': {
+        description: 'Success',
+        schema: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            status: { type: 'string', enum: ['active', 'inactive'] }
+          }
+        }
+      }
+    },
+    ...overrides
+  };
+}
+
+describe('ContractDiff', () => {
+  let differ;
+
+  beforeEach(() => {
+    differ = new ContractDiff();
+  });
+
+  describe('Endpoint Changes', () => {
+    test('should report identical contracts as unchanged', () => {
+      const report = differ.compare(
+        createContract([createEndpoint()]),
+        createContract([createEndpoint()])
+      );
+
+      expect(report.changes).toEqual([]);
+      expect(report.hasBreakingChanges).toBe(false);
+    });
+
+    test('should flag removed endpoints as breaking', () => {
+      const report = differ.compare(
+        createContract([createEndpoint(), createEndpoint({ method: 'DELETE', path: '/users/{id}' })]),
+        createContract([createEndpoint()])
+      );
+
+      expect(report.changes).toHaveLength(1);
+      expect(report.changes[0]).toMatchObject({
+        type: 'endpoint_removed',
+        severity: 'breaking',
+        endpoint: 'DELETE /users/{id}'
+      });
+      expect(report.hasBreakingChanges).toBe(true);
+    });
+
+    test('should flag added endpoints as non-breaking', () => {
+      const report = differ.compare(
+        createContract([createEndpoint()]),
+        createContract([createEndpoint(), createEndpoint({ method: 'POST' })])
+      );
+
+      expect(report.changes[0]).toMatchObject({
+        type: 'endpoint_added',
+        severity: 'non-breaking',
+        endpoint: 'POST /users'
+      });
+      expect(report.hasBreakingChanges).toBe(false);
+    });
+  });
+
+  describe('Response Changes', () => {
+    test('should flag removed response codes as breaking', () => {
+      const oldEndpoint = createEndpoint();
+      oldEndpoint.responses['404'] = { description: 'Not found', schema: null };
+
+      const report = differ.compare(createContract([oldEndpoint]), createContract([createEndpoint()]));
+
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'response_removed',
+        severity: 'breaking',
+        location: 'response 404'
+      }));
+    });
+
+    test('should flag removed response properties as breaking', () => {
+      const newEndpoint = createEndpoint();
+      delete newEndpoint.responses['200'].schema.properties.status;
+
+      const report = differ.compare(createContract([createEndpoint()]), createContract([newEndpoint]));
+
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'property_removed',
+        severity: 'breaking',
+        field: 'status'
+      }));
+    });
+
+    test('should flag response properties that are no longer required as breaking', () => {
+      const newEndpoint = createEndpoint();
+      newEndpoint.responses['200'].schema.required = ['id'];
+
+      const report = differ.compare(createContract([createEndpoint()]), createContract([newEndpoint]));
+
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'property_became_optional',
+        severity: 'breaking',
+        field: 'name'
+      }));
+    });
+
+    test('should flag changed property types as breaking', () => {
+      const newEndpoint = createEndpoint();
+      newEndpoint.responses['200'].schema.properties.id = { type: 'string' };
+
+      const report = differ.compare(createContract([createEndpoint()]), createContract([newEndpoint]));
+
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'type_changed',
+        severity: 'breaking',
+        field: 'id'
+      }));
+      expect(report.changes.find(c => c.type === 'type_changed').message).toContain('from integer to string');
+    });
+
+    test('should classify narrowed and widened response enums', () => {
+      const narrowed = createEndpoint();
+      narrowed.responses['200'].schema.properties.status = { type: 'string', enum: ['active'] };
+      const widened = createEndpoint();
+      widened.responses['200'].schema.properties.status = { type: 'string', enum: ['active', 'inactive', 'banned'] };
+      const restricted = createEndpoint();
+      restricted.responses['200'].schema.properties.name = { type: 'string', enum: ['admin'] };
+
+      const narrowReport = differ.compare(createContract([createEndpoint()]), createContract([narrowed]));
+      const widenReport = differ.compare(createContract([createEndpoint()]), createContract([widened]));
+      const restrictReport = differ.compare(createContract([createEndpoint()]), createContract([restricted]));
+
+      expect(narrowReport.changes).toContainEqual(expect.objectContaining({ type: 'enum_narrowed', severity: 'non-breaking' }));
+      expect(widenReport.changes).toContainEqual(expect.objectContaining({ type: 'enum_widened', severity: 'breaking' }));
+      expect(restrictReport.changes).toContainEqual(expect.objectContaining({ type: 'enum_narrowed', severity: 'non-breaking' }));
+      expect(widenReport.hasBreakingChanges).toBe(true);
+    });
+
+    test('should classify narrowed and widened request enums', () => {
+      const requestEndpoint = (statusEnum) => createEndpoint({
+        method: 'POST',
+        requestBody: {
+          schema: { type: 'object', properties: { status: { type: 'string', ...(statusEnum && { enum: statusEnum }) } } }
+        }
+      });
+      const original = requestEndpoint(['active', 'inactive']);
+
+      const narrowReport = differ.compare(createContract([original]), createContract([requestEndpoint(['active'])]));
+      const widenReport = differ.compare(createContract([original]), createContract([requestEndpoint(['active', 'inactive', 'banned'])]));
+      const restrictReport = differ.compare(createContract([requestEndpoint(null)]), createContract([original]));
+
+      expect(narrowReport.changes).toContainEqual(expect.objectContaining({ type: 'enum_narrowed', severity: 'breaking' }));
+      expect(widenReport.changes).toContainEqual(expect.objectContaining({ type: 'enum_widened', severity: 'non-breaking' }));
+      expect(restrictReport.changes).toContainEqual(expect.objectContaining({ type: 'enum_narrowed', severity: 'breaking' }));
+      expect(widenReport.hasBreakingChanges).toBe(false);
+    });
+
+    test('should classify widened and narrowed response types', () => {
+      const widened = createEndpoint();
+      widened.responses['200'].schema.properties.id = { type: 'number' };
+      widened.responses['200'].schema.properties.name = { type: ['string', 'null'] };
+      const narrowed = createEndpoint();
+      narrowed.responses['200'].schema.properties.id = { type: 'integer', nullable: false };
+      const original = createEndpoint();
+      original.responses['200'].schema.properties.id = { type: 'number' };
+
+      const widenReport = differ.compare(createContract([createEndpoint()]), createContract([widened]));
+      const narrowReport = differ.compare(createContract([original]), createContract([narrowed]));
+
+      expect(widenReport.changes.filter(c => c.type === 'type_changed').map(c => c.severity)).toEqual(['breaking', 'breaking']);
+      expect(narrowReport.changes).toEqual([expect.objectContaining({ type: 'type_changed', field: 'id', severity: 'non-breaking' })]);
+    });
+
+    test('should classify widened and narrowed request types', () => {
+      const requestEndpoint = (properties) => createEndpoint({
+        method: 'POST',
+        requestBody: { schema: { type: 'object', properties } }
+      });
+      const original = requestEndpoint({ age: { type: 'integer' }, name: { type: 'string' }, tag: { type: 'string' } });
+      const widened = requestEndpoint({
+        age: { type: 'number' },
+        name: { type: ['string', 'null'] },
+        tag: { oneOf: [{ type: 'string' }, { type: 'integer' }] }
+      });
+
+      const widenReport = differ.compare(createContract([original]), createContract([widened]));
+      const narrowReport = differ.compare(createContract([widened]), createContract([original]));
+      const changedReport = differ.compare(createContract([original]),
+        createContract([requestEndpoint({ age: { type: 'string' }, name: { type: 'string' }, tag: { type: 'string' } })]));
+
+      expect(widenReport.changes.map(c => c.severity)).toEqual(['non-breaking', 'non-breaking', 'non-breaking']);
+      expect(widenReport.hasBreakingChanges).toBe(false);
+      expect(narrowReport.changes.map(c => c.severity)).toEqual(['breaking', 'breaking', 'breaking']);
+      expect(changedReport.changes).toEqual([expect.objectContaining({ type: 'type_changed', field: 'age', severity: 'breaking' })]);
+    });
+
+    test('should compare nested array items', () => {
+      const listSchema = (itemProps) => ({
+        type: 'array',
+        items: { type: 'object', properties: itemProps }
+      });
+      const oldEndpoint = createEndpoint({ responses: { '200': { schema: listSchema({ id: { type: 'integer' }, tags: { type: 'array' } }) } } });
+      const newEndpoint = createEndpoint({ responses: { '200': { schema: listSchema({ id: { type: 'integer' } }) } } });
+
+      const report = differ.compare(createContract([oldEndpoint]), createContract([newEndpoint]));
+
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'property_removed',
+        field: '[].tags'
+      }));
+    });
+
+    test('should merge allOf members before comparing properties', () => {
+      const oldEndpoint = createEndpoint({
+        responses: { '200': { schema: { allOf: [{ type: 'object', properties: { id: { type: 'integer' } } }, { properties: { name: { type: 'string' } } }] } } }
+      });
+      const newEndpoint = createEndpoint({
+        responses: { '200': { schema: { allOf: [{ type: 'object', properties: { id: { type: 'integer' } } }] } } }
+      });
+
+      const report = differ.compare(createContract([oldEndpoint]), createContract([newEndpoint]));
+
+      expect(report.changes).toEqual([expect.objectContaining({ type: 'property_removed', field: 'name' })]);
+    });
+
+    test('should handle circular schemas without recursing forever', () => {
+      const buildNode = () => {
+        const node = { type: 'object', properties: { id: { type: 'integer' } } };
+        node.properties.children = { type: 'array', items: node };
+        return node;
+      };
+
+      const report = differ.compare(
+        createContract([createEndpoint({ responses: { '200': { schema: buildNode() } } })]),
+        createContract([createEndpoint({ responses: { '200': { schema: buildNode() } } })])
+      );
+
+      expect(report.changes).toEqual([]);
+    });
+  });
+
+  describe('Request Changes', () => {
+    const requestEndpoint = (required, properties) => createEndpoint({
+      method: 'POST',
+      requestBody: {
+        required: true,
+        schema: { type: 'object', required, properties }
+      }
+    });
+
+    test('should flag newly required request properties as breaking', () => {
+      const report = differ.compare(
+        createContract([requestEndpoint(['name'], { name: { type: 'string' }, email: { type: 'string' } })]),
+        createContract([requestEndpoint(['name', 'email'], { name: { type: 'string' }, email: { type: 'string' } })])
+      );
+
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'property_became_required',
+        severity: 'breaking',
+        location: 'request body',
+        field: 'email'
+      }));
+    });
+
+    test('should distinguish required and optional added request properties', () => {
+      const report = differ.compare(
+        createContract([requestEndpoint(['name'], { name: { type: 'string' } })]),
+        createContract([requestEndpoint(['name', 'email'], {
+          name: { type: 'string' },
+          email: { type: 'string' },
+          nickname: { type: 'string' }
+        })])
+      );
+
+      const added = report.changes.filter(c => c.type === 'property_added');
+      expect(added.find(c => c.field === 'email').severity).toBe('breaking');
+      expect(added.find(c => c.field === 'nickname').severity).toBe('non-breaking');
+    });
+
+    test('should classify parameter changes', () => {
+      const oldEndpoint = createEndpoint({
+        parameters: [
+          { name: 'page', in: 'query', required: false, schema: { type: 'integer' } },
+          { name: 'sort', in: 'query', required: false, schema: { type: 'string' } }
+        ]
+      });
+      const newEndpoint = createEndpoint({
+        parameters: [
+          { name: 'page', in: 'query', required: true, schema: { type: 'integer' } },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+        ]
+      });
+
+      const report = differ.compare(createContract([oldEndpoint]), createContract([newEndpoint]));
+      const types = report.changes.map(c => `${c.type}:${c.severity}`);
+
+      expect(types).toContain('parameter_became_required:breaking');
+      expect(types).toContain('parameter_removed:breaking');
+      expect(types).toContain('parameter_added:non-breaking');
+    });
+  });
+
+  describe('Output Formats', () => {
+    let report;
+
+    beforeEach(() => {
+      report = differ.compare(
+        createContract([createEndpoint(), createEndpoint({ method: 'DELETE', path: '/users/{id}' })], '1.0.0'),
+        createContract([createEndpoint(), createEndpoint({ method: 'POST' })], '1.1.0')
+      );
+    });
+
+    test('should summarize breaking and non-breaking counts', () => {
+      expect(report.summary).toEqual({ total: 2, breaking: 1, nonBreaking: 1 });
+      expect(report.versions).toEqual({ old: '1.0.0', new: '1.1.0' });
+    });
+
+    test('should format console output', () => {
+      const output = ContractDiff.formatConsoleOutput(report);
+
+      expect(output).toContain('Contract Diff Results');
+      expect(output).toContain('DELETE /users/{id}');
+      expect(output).toContain('1 breaking change detected');
+    });
+
+    test('should format JSON output', () => {
+      const parsed = JSON.parse(ContractDiff.export(report, 'json'));
+
+      expect(parsed.hasBreakingChanges).toBe(true);
+      expect(parsed.changes).toHaveLength(2);
+    });
+
+    test('should format markdown output', () => {
+      const output = ContractDiff.export(report, 'markdown');
+
+      expect(output).toContain('# Contract Diff Report');
+      expect(output).toContain('## Breaking Changes');
+      expect(output).toContain('## Non-breaking Changes');
+      expect(output).toContain('### `POST /users`');
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import ContractImporter from '#src/core/contract-importer.js';
+import TypeMapper from '#src/codegen/type-mapper.js';
+
+const swagger = {
+  swagger: '2.0',
+  info: { title: 'Petstore', version: '1.0.0' },
+  host: 'petstore.example.com',
+  basePath: '/v2',
+  schemes: ['https'],
+  consumes: ['application/json'],
+  produces: ['application/json'],
+  securityDefinitions: {
+    petstore_auth: {
+      type: 'oauth2',
+      flow: 'accessCode',
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      scopes: { 'write:pets': 'Modify pets' }
+    },
+    basic: { type: 'basic' }
+  },
+  parameters: {
+    petBody: { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+  },
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        parameters: [
+          { name: 'status', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' },
+          { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'tsv' }
+        ],
+        responses: {
+          '200': { description: 'Pets', schema: { type: 'array', items: { $ref: '#/definitions/Pet' } } }
+        }
+      },
+      post: {
+        operationId: 'addPet',
+        parameters: [{ $ref: '#/parameters/petBody' }],
+        responses: { '201': { description: 'Created' } }
+      }
+    },
+    '/pets/{petId}/photo': {
+      parameters: [{ name: 'petId', in: 'path', required: true, type: 'integer' }],
+      post: {
+        operationId: 'uploadPhoto',
+        consumes: ['multipart/form-data'],
+        parameters: [
+          { name: 'file', in: 'formData', type: 'file', required: true },
+          { name: 'caption', in: 'formData', type: 'string' }
+        ],
+        responses: { '204': { description: 'Uploaded' } }
+      }
+    }
+  },
+  definitions: {
+    Pet: {
+      type: 'object',
+      required: ['name'],
+      discriminator: 'petType',
+      properties: {
+        name: { type: 'string' },
+        petType: { type: 'string' },
+        age: { type: 'integer', minimum: 0, exclusiveMinimum: true },
+        nickname: { type: 'string', 'x-nullable': true }
+      }
+    }
+  }
+};
+
+const collection = {
+  info: {
+    name: 'Orders API',
+    schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+  },
+  auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+  variable: [{ key: 'baseUrl', value: 'https://api.example.com' }],
+  item: [
+    {
+      name: 'Orders',
+      item: [
+        {
+          name: 'Get order',
+          request: {
+            method: 'GET',
+            url: {
+              raw: '{{baseUrl}}/orders/:orderId?expand=true',
+              host: ['{{baseUrl}}'],
+              path: ['orders', ':orderId'],
+              query: [{ key: 'expand', value: 'true' }],
+              variable: [{ key: 'orderId', value: '42' }]
+            }
+          },
+          response: [
+            {
+              name: 'Found',
+              code: 200,
+              header: [{ key: 'Content-Type', value: 'application/json' }],
+              body: '{"id": 42, "placedAt": "2024-05-01T12:00:00Z"}'
+            },
+            { name: 'Missing', code: 404, body: '' }
+          ]
+        },
+        {
+          name: 'Create order',
+          request: {
+            method: 'POST',
+            header: [{ key: 'Content-Type', value: 'application/json' }],
+            body: { mode: 'raw', raw: '{"customerId": {{customerId}}, "total": 9.5}', options: { raw: { language: 'json' } } },
+            url: '{{baseUrl}}/orders'
+          },
+          response: []
+        }
+      ]
+    },
+    {
+      name: 'Health',
+      request: { method: 'GET', auth: { type: 'noauth' }, url: '{{baseUrl}}/health' },
+      response: [{ name: 'OK', code: 200, body: 'OK' }]
+    },
+    {
+      name: 'Signed',
+      request: { method: 'GET', auth: { type: 'awsv4' }, url: '{{baseUrl}}/signed' },
+      response: [{ name: 'OK', code: 204 }]
+    }
+  ]
+};
+
+describe('ContractImporter', () => {
+  let importer;
+
+  beforeEach(() => {
+    importer = new ContractImporter();
+  });
+
+  describe('Format Detection', () => {
+    test('should detect Swagger 2.0 and Postman v2.1', () => {
+      expect(ContractImporter.detectFormat(swagger)).toBe('swagger2');
+      expect(ContractImporter.detectFormat(collection)).toBe('postman');
+      expect(ContractImporter.detectFormat({ openapi: '3.0.3' })).toBe('openapi');
+    });
+
+    test('should reject OpenAPI 3 documents and older Postman collections', () => {
+      expect(() => importer.convert({ openapi: '3.0.3', info: {}, paths: {} })).toThrow('already an OpenAPI 3.0.3 contract');
+      expect(() => importer.convert({
+        info: { name: 'Old', schema: 'https://schema.getpostman.com/json/collection/v2.0.0/collection.json' },
+        item: []
+      })).toThrow('v2.1');
+      expect(() => importer.convert({ hello: 'world' })).toThrow('Unrecognized import format');
+    });
+  });
+
+  describe('Swagger 2.0', () => {
+    test('should move definitions, servers and security schemes to their OpenAPI 3.1 places', () => {
+      const { contract } = importer.convert(swagger);
+
+      expect(contract.openapi).toBe('3.1.0');
+      expect(contract.servers).toEqual([{ url: 'https://petstore.example.com/v2' }]);
+      expect(contract.components.schemas.Pet.discriminator).toEqual({ propertyName: 'petType' });
+      expect(contract.components.securitySchemes.basic).toEqual({ type: 'http', scheme: 'basic' });
+      expect(contract.components.securitySchemes.petstore_auth.flows.authorizationCode).toEqual({
+        scopes: { 'write:pets': 'Modify pets' },
+        authorizationUrl: 'https://auth.example.com/authorize',
+        tokenUrl: 'https://auth.example.com/token'
+      });
+      expect(contract.paths['/pets'].get.responses['200'].content['application/json'].schema.items)
+        .toEqual({ $ref: '#/components/schemas/Pet' });
+    });
+
+    test('should convert schema keywords that changed in OpenAPI 3.1', () => {
+      const { properties } = importer.convert(swagger).contract.components.schemas.Pet;
+
+      expect(properties.age).toEqual({ type: 'integer', exclusiveMinimum: 0 });
+      expect(properties.nickname).toEqual({ type: ['string', 'null'] });
+    });
+
+    test('should keep null in nullable enums through to the generated type', () => {
+      const { contract } = importer.convert({
+        ...swagger,
+        definitions: { Size: { type: 'string', enum: ['small', 'large'], 'x-nullable': true } }
+      });
+      const { Size } = contract.components.schemas;
+
+      expect(Size).toEqual({ type: ['string', 'null'], enum: ['small', 'large', null] });
+      expect(new TypeMapper().mapOpenApiTypeToTypeScript(Size)).toBe("'small' | 'large' | null");
+    });
+
+    test('should turn body and formData parameters into request bodies', () => {
+      const { contract } = importer.convert(swagger);
+      const upload = contract.paths['/pets/{petId}/photo'].post;
+
+      expect(contract.paths['/pets'].post.requestBody).toEqual({ $ref: '#/components/requestBodies/petBody' });
+      expect(contract.components.requestBodies.petBody.content['application/json'].schema)
+        .toEqual({ $ref: '#/components/schemas/Pet' });
+      expect(upload.parameters).toEqual([{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }]);
+      expect(upload.requestBody).toEqual({
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: { file: { type: 'string', format: 'binary' }, caption: { type: 'string' } },
+              required: ['file']
+            }
+          }
+        }
+      });
+    });
+
+    test('should map collectionFormat and report the ones without an equivalent', () => {
+      const { contract, warnings } = importer.convert(swagger);
+      const [status, tags] = contract.paths['/pets'].get.parameters;
+
+      expect(status).toMatchObject({ style: 'form', explode: true });
+      expect(tags.style).toBeUndefined();
+      expect(warnings).toEqual([{
+        location: 'paths./pets.get.parameters.tags',
+        message: expect.stringContaining('collectionFormat "tsv"')
+      }]);
+    });
+  });
+
+  describe('Postman v2.1', () => {
+    test('should turn requests into operations grouped by folder tags', () => {
+      const { contract } = importer.convert(collection);
+      const getOrder = contract.paths['/orders/{orderId}'].get;
+
+      expect(contract.info).toEqual({ title: 'Orders API', version: '1.0.0' });
+      expect(contract.servers).toEqual([{ url: 'https://api.example.com' }]);
+      expect(contract.tags).toEqual([{ name: 'Orders' }]);
+      expect(getOrder).toMatchObject({ tags: ['Orders'], summary: 'Get order', operationId: 'getOrder' });
+      expect(getOrder.parameters).toEqual([
+        { name: 'orderId', in: 'path', required: true, schema: { type: 'integer' }, example: 42 },
+        { name: 'expand', in: 'query', schema: { type: 'boolean' }, example: true }
+      ]);
+    });
+
+    test('should infer schemas from saved responses and request bodies', () => {
+      const { contract } = importer.convert(collection);
+      const found = contract.paths['/orders/{orderId}'].get.responses['200'].content['application/json'];
+      const createBody = contract.paths['/orders'].post.requestBody.content['application/json'];
+
+      expect(found.schema).toEqual({
+        type: 'object',
+        properties: { id: { type: 'integer' }, placedAt: { type: 'string', format: 'date-time' } }
+      });
+      expect(found.example).toEqual({ id: 42, placedAt: '2024-05-01T12:00:00Z' });
+      expect(contract.paths['/orders/{orderId}'].get.responses['404']).toEqual({ description: 'Missing' });
+      expect(createBody.schema.properties).toEqual({ customerId: { type: 'string' }, total: { type: 'number' } });
+    });
+
+    test('should convert collection and request auth to security schemes', () => {
+      const { contract } = importer.convert(collection);
+
+      expect(contract.security).toEqual([{ bearerAuth: [] }]);
+      expect(contract.components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer' } });
+      expect(contract.paths['/health'].get.security).toEqual([]);
+      expect(contract.paths['/orders/{orderId}'].get.security).toBeUndefined();
+    });
+
+    test('should report what could not be converted', () => {
+      const { warnings } = importer.convert(collection);
+
+      expect(warnings).toEqual([
+        { location: 'Orders / Create order', message: expect.stringContaining('no saved example responses') },
+        { location: 'Signed', message: expect.stringContaining('"awsv4"') }
+      ]);
+    });
+  });
+});
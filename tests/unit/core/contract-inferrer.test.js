@@ -0,0 +1,217 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import ContractInferrer from '#src/core/contract-inferrer.js';
+
+function entry(method, url, status, body, options = {}) {
+  return {
+    // null leaves the field out, as Firefox and Safari exports do
+    ...(options.resourceType !== null && { _resourceType: options.resourceType ?? 'fetch' }),
+    request: {
+      method,
+      url,
+      headers: options.authorization ? [{ name: 'Authorization', value: options.authorization }] : [],
+      ...(options.requestBody && {
+        postData: { mimeType: 'application/json', text: JSON.stringify(options.requestBody) }
+      })
+    },
+    response: {
+      status,
+      statusText: '',
+      content: body === undefined
+        ? { size: 0, mimeType: 'x-unknown' }
+        : { mimeType: options.mimeType ?? 'application/json', text: typeof body === 'string' ? body : JSON.stringify(body) }
+    }
+  };
+}
+
+function har(...entries) {
+  return { log: { version: '1.2', entries } };
+}
+
+describe('ContractInferrer', () => {
+  let inferrer;
+
+  beforeEach(() => {
+    inferrer = new ContractInferrer();
+  });
+
+  describe('Request Selection', () => {
+    test('should skip page assets and preflights and report other origins', () => {
+      const { contract, stats, warnings } = inferrer.inferFromHar(har(
+        entry('GET', 'https://app.example.com/', 200, '<html></html>', { resourceType: 'document', mimeType: 'text/html' }),
+        entry('GET', 'https://app.example.com/logo.png', 200, 'iVBORw0KGgo=', { resourceType: 'image', mimeType: 'image/png' }),
+        entry('OPTIONS', 'https://api.example.com/users', 204, undefined),
+        entry('GET', 'https://api.example.com/users', 200, []),
+        entry('GET', 'https://api.example.com/teams', 200, []),
+        entry('POST', 'https://analytics.example.net/collect', 200, { ok: true })
+      ));
+
+      expect(contract.servers).toEqual([{ url: 'https://api.example.com' }]);
+      expect(Object.keys(contract.paths)).toEqual(['/teams', '/users']);
+      expect(stats).toMatchObject({ requests: 6, used: 2, skipped: 3, otherOrigins: 1, operations: 2 });
+      expect(warnings).toEqual([{
+        location: 'https://analytics.example.net',
+        message: expect.stringContaining('--base-url')
+      }]);
+    });
+
+    test('should keep API calls without a JSON body when the HAR has no resource types', () => {
+      const plain = { resourceType: null };
+      const { contract, stats } = inferrer.inferFromHar(har(
+        entry('GET', 'https://app.example.com/', 200, '<html></html>', { ...plain, mimeType: 'text/html; charset=utf-8' }),
+        entry('GET', 'https://app.example.com/app.js', 200, 'run()', { ...plain, mimeType: 'application/javascript' }),
+        entry('GET', 'https://app.example.com/site.css', 200, 'body{}', { ...plain, mimeType: 'text/css' }),
+        entry('GET', 'https://app.example.com/logo.png', 200, 'iVBORw0KGgo=', { ...plain, mimeType: 'image/png' }),
+        entry('GET', 'https://app.example.com/inter.woff2', 200, 'd09GMgAB', { ...plain, mimeType: 'font/woff2' }),
+        entry('GET', 'https://app.example.com/users/12', 200, { id: 12 }, plain),
+        entry('DELETE', 'https://app.example.com/users/12', 204, undefined, plain)
+      ));
+
+      expect(stats).toMatchObject({ requests: 7, used: 2, skipped: 5 });
+      expect(Object.keys(contract.paths['/users/{userId}'])).toEqual(['get', 'delete']);
+      expect(contract.paths['/users/{userId}'].delete.responses['204']).toBeDefined();
+    });
+
+    test('should move a shared path prefix into the server URL', () => {
+      const { contract } = inferrer.inferFromHar(har(
+        entry('GET', 'https://example.com/api/v1/users', 200, []),
+        entry('GET', 'https://example.com/api/v1/teams/7', 200, {})
+      ));
+
+      expect(contract.servers).toEqual([{ url: 'https://example.com/api/v1' }]);
+      expect(Object.keys(contract.paths)).toEqual(['/teams/{teamId}', '/users']);
+    });
+
+    test('should only use requests under --base-url', () => {
+      const { contract, stats } = inferrer.inferFromHar(har(
+        entry('GET', 'https://example.com/api/users', 200, []),
+        entry('GET', 'https://example.com/auth/session', 200, {})
+      ), { baseUrl: 'https://example.com/api/' });
+
+      expect(contract.servers).toEqual([{ url: 'https://example.com/api' }]);
+      expect(Object.keys(contract.paths)).toEqual(['/users']);
+      expect(stats.used).toBe(1);
+    });
+
+    test('should reject files without API requests', () => {
+      expect(() => inferrer.inferFromHar({ entries: [] })).toThrow('Not a HAR file');
+      expect(() => inferrer.inferFromHar(har(
+        entry('GET', 'https://app.example.com/', 200, '<html></html>', { resourceType: 'document', mimeType: 'text/html' })
+      ))).toThrow('No API requests found');
+      expect(() => inferrer.inferFromHar(har(), { baseUrl: 'api' })).toThrow('Invalid base URL');
+    });
+  });
+
+  describe('Path Templates', () => {
+    test('should turn numeric and UUID segments into named path parameters', () => {
+      const { contract } = inferrer.inferFromHar(har(
+        entry('GET', 'https://api.example.com/users/1', 200, { id: 1 }),
+        entry('GET', 'https://api.example.com/users/2', 200, { id: 2 }),
+        entry('GET', 'https://api.example.com/categories/8f14e45f-ceea-467f-a0e6-3b2c1d4e5f60/items/3', 200, {}),
+        entry('GET', 'https://api.example.com/users/me', 200, { id: 1 })
+      ));
+      const item = contract.paths['/categories/{categoryId}/items/{itemId}'].get;
+
+      expect(Object.keys(contract.paths)).toEqual([
+        '/categories/{categoryId}/items/{itemId}',
+        '/users/me',
+        '/users/{userId}'
+      ]);
+      expect(item.operationId).toBe('getCategoriesByCategoryIdItemsByItemId');
+      expect(item.parameters).toEqual([
+        { name: 'categoryId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+        { name: 'itemId', in: 'path', required: true, schema: { type: 'integer' } }
+      ]);
+      expect(contract.paths['/users/{userId}'].get).toMatchObject({ tags: ['users'], operationId: 'getUsersByUserId' });
+    });
+
+    test('should infer query parameters across requests', () => {
+      const { contract } = inferrer.inferFromHar(har(
+        entry('GET', 'https://api.example.com/users?page=1&q=ada', 200, []),
+        entry('GET', 'https://api.example.com/users?page=2&tag=a&tag=b', 200, [])
+      ));
+
+      expect(contract.paths['/users'].get.parameters).toEqual([
+        { name: 'page', in: 'query', required: true, schema: { type: 'integer' } },
+        { name: 'q', in: 'query', schema: { type: 'string' } },
+        { name: 'tag', in: 'query', schema: { type: 'array', items: { type: 'string' } } }
+      ]);
+    });
+  });
+
+  describe('Bodies', () => {
+    test('should merge body schemas across samples without copying the bodies', () => {
+      const { contract } = inferrer.inferFromHar(har(
+        entry('POST', 'https://api.example.com/users', 201, { id: 1, name: 'Ada' }, {
+          requestBody: { name: 'Ada', email: 'ada@example.com' }
+        }),
+        entry('POST', 'https://api.example.com/users', 201, { id: 2, name: 'Bob', team: null }, {
+          requestBody: { name: 'Bob' }
+        }),
+        entry('POST', 'https://api.example.com/users', 422, { error: 'name is required' }, { requestBody: {} })
+      ));
+      const operation = contract.paths['/users'].post;
+
+      expect(operation.requestBody).toEqual({
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: { name: { type: 'string' }, email: { type: 'string', format: 'email' } }
+            }
+          }
+        }
+      });
+      expect(operation.responses['201'].content['application/json'].schema).toEqual({
+        type: 'object',
+        properties: { id: { type: 'integer' }, name: { type: 'string' }, team: { type: 'null' } },
+        required: ['id', 'name']
+      });
+      expect(operation.responses['422'].description).toBe('Unprocessable Entity');
+      expect(JSON.stringify(contract)).not.toContain('Ada');
+    });
+
+    test('should describe empty and non-JSON responses', () => {
+      const { contract, warnings } = inferrer.inferFromHar(har(
+        entry('DELETE', 'https://api.example.com/users/1', 204, undefined),
+        entry('GET', 'https://api.example.com/users/1/avatar', 200, 'iVBORw0KGgo=', { mimeType: 'image/png' }),
+        entry('GET', 'https://api.example.com/users/1/bio', 200, 'Hello', { mimeType: 'text/plain; charset=utf-8' }),
+        entry('GET', 'https://api.example.com/users/1/settings', 200, '{broken', { mimeType: 'application/json' })
+      ));
+
+      expect(contract.paths['/users/{userId}'].delete.responses).toEqual({ '204': { description: 'No Content' } });
+      expect(contract.paths['/users/{userId}/avatar'].get.responses['200'].content)
+        .toEqual({ 'image/png': { schema: { type: 'string', format: 'binary' } } });
+      expect(contract.paths['/users/{userId}/bio'].get.responses['200'].content)
+        .toEqual({ 'text/plain': { schema: { type: 'string' } } });
+      expect(warnings).toEqual([{
+        location: 'GET /users/{userId}/settings',
+        message: 'A 200 response body is not valid JSON and was left out of the schema'
+      }]);
+    });
+  });
+
+  describe('Security', () => {
+    test('should add security schemes from Authorization headers', () => {
+      const { contract } = inferrer.inferFromHar(har(
+        entry('GET', 'https://api.example.com/users', 200, [], { authorization: 'Bearer abc' }),
+        entry('GET', 'https://api.example.com/teams', 200, [], { authorization: 'Bearer abc' })
+      ));
+
+      expect(contract.security).toEqual([{ bearerAuth: [] }]);
+      expect(contract.components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer' } });
+      expect(contract.paths['/users'].get.security).toBeUndefined();
+    });
+
+    test('should keep operation-level security when only some operations are authorized', () => {
+      const { contract } = inferrer.inferFromHar(har(
+        entry('GET', 'https://api.example.com/users', 200, [], { authorization: 'Basic YTpi' }),
+        entry('GET', 'https://api.example.com/status', 200, {})
+      ));
+
+      expect(contract.security).toBeUndefined();
+      expect(contract.paths['/users'].get.security).toEqual([{ basicAuth: [] }]);
+      expect(contract.paths['/status'].get.security).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, test, expect } from 'vitest';
+import ContractLinter from '#src/core/contract-linter.js';
+
+function createApi(overrides = {}) {
+  return {
+    openapi: '3.0.0',
+    info: { title: 'Test API', version: '1.0.0' },
+    paths: {
+      '/users': {
+        get: {
+          operationId: 'getUsers',
+          summary: 'List users',
+          responses: {
+            '200': {
+              description: 'Success',
+              content: {
+                'application/json': {
+                  schema: { type: 'array', items: { $ref: '#/components/schemas/User' } }
+                }
+              }
+            },
+            '500': { description: 'Server error' }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            address: { $ref: '#/components/schemas/Address' }
+          }
+        },
+        Address: {
+          type: 'object',
+          properties: { city: { type: 'string' } }
+        }
+      }
+    },
+    ...overrides
+  };
+}
+
+function rulesOf(report) {
+  return report.issues.map(issue => issue.rule);
+}
+
+describe('ContractLinter', () => {
+  test('should report a clean contract as valid', () => {
+    const report = new ContractLinter().lint(createApi());
+
+    expect(report.issues).toEqual([]);
+    expect(report.valid).toBe(true);
+  });
+
+  test('should flag missing operationIds', () => {
+    const api = createApi();
+    delete api.paths['/users'].get.operationId;
+
+    const report = new ContractLinter().lint(api);
+
+    expect(report.issues).toContainEqual(expect.objectContaining({
+      rule: 'operation-id-missing',
+      severity: 'warn',
+      location: 'GET /users'
+    }));
+    expect(report.valid).toBe(true);
+  });
+
+  test('should flag duplicate operationIds as errors by default', () => {
+    const api = createApi();
+    api.paths['/admins'] = { get: { ...api.paths['/users'].get } };
+
+    const report = new ContractLinter().lint(api);
+    const duplicate = report.issues.find(issue => issue.rule === 'operation-id-duplicate');
+
+    expect(duplicate.location).toBe('GET /admins');
+    expect(duplicate.message).toContain('GET /users');
+    expect(report.valid).toBe(false);
+  });
+
+  test('should flag operations without error responses', () => {
+    const api = createApi();
+    delete api.paths['/users'].get.responses['500'];
+
+    expect(rulesOf(new ContractLinter().lint(api))).toContain('error-responses-undocumented');
+
+    api.paths['/users'].get.responses.default = { description: 'Error' };
+    expect(rulesOf(new ContractLinter().lint(api))).not.toContain('error-responses-undocumented');
+  });
+
+  test('should flag inline object schemas in bodies', () => {
+    const api = createApi();
+    api.paths['/users'].post = {
+      operationId: 'createUser',
+      summary: 'Create user',
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { name: { type: 'string' } } }
+          }
+        }
+      },
+      responses: {
+        '201': { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+        '400': { description: 'Bad request' }
+      }
+    };
+
+    const report = new ContractLinter().lint(api);
+    const inline = report.issues.filter(issue => issue.rule === 'inline-schema');
+
+    expect(inline).toHaveLength(1);
+    expect(inline[0].message).toContain('POST /users request body');
+  });
+
+  test('should flag missing operation and parameter descriptions', () => {
+    const api = createApi();
+    delete api.paths['/users'].get.summary;
+    api.paths['/users'].get.parameters = [{ name: 'page', in: 'query', schema: { type: 'integer' } }];
+
+    const messages = new ContractLinter().lint(api).issues
+      .filter(issue => issue.rule === 'description-missing')
+      .map(issue => issue.message);
+
+    expect(messages).toEqual([
+      'GET /users has no summary or description',
+      'GET /users parameter "page" (query) has no description'
+    ]);
+  });
+
+  test('should flag paths that deviate from the dominant casing', () => {
+    const operation = createApi().paths['/users'].get;
+    const api = createApi({
+      paths: {
+        '/user-groups': { get: { ...operation, operationId: 'a' } },
+        '/audit-logs': { get: { ...operation, operationId: 'b' } },
+        '/api_keys/{keyId}': { get: { ...operation, operationId: 'c' } }
+      }
+    });
+
+    const casing = new ContractLinter().lint(api).issues.filter(issue => issue.rule === 'path-casing');
+
+    expect(casing).toHaveLength(1);
+    expect(casing[0].location).toBe('/api_keys/{keyId}');
+    expect(casing[0].message).toContain('kebab-case');
+  });
+
+  test('should flag components that are never referenced, including transitively', () => {
+    const api = createApi();
+    api.components.schemas.Legacy = { type: 'object', properties: { note: { $ref: '#/components/schemas/LegacyNote' } } };
+    api.components.schemas.LegacyNote = { type: 'string' };
+
+    const unused = new ContractLinter().lint(api).issues
+      .filter(issue => issue.rule === 'unused-component')
+      .map(issue => issue.location);
+
+    expect(unused).toEqual(['components.schemas.Legacy', 'components.schemas.LegacyNote']);
+  });
+
+  test('should apply configured severities and skip rules turned off', () => {
+    const api = createApi();
+    delete api.paths['/users'].get.operationId;
+    api.components.schemas.Unused = { type: 'string' };
+
+    const report = new ContractLinter({
+      'operation-id-missing': 'error',
+      'unused-component': 'off'
+    }).lint(api);
+
+    expect(report.issues).toEqual([expect.objectContaining({ rule: 'operation-id-missing', severity: 'error' })]);
+    expect(report.summary).toEqual({ total: 1, errors: 1, warnings: 0 });
+    expect(report.valid).toBe(false);
+  });
+
+  test('should format console and JSON output', () => {
+    const api = createApi();
+    delete api.paths['/users'].get.operationId;
+    const report = new ContractLinter().lint(api);
+
+    const consoleOutput = ContractLinter.export(report, 'console');
+    expect(consoleOutput).toContain('Contract Lint Results');
+    expect(consoleOutput).toContain('operation-id-missing');
+    expect(consoleOutput).toContain('No lint errors');
+
+    expect(JSON.parse(ContractLinter.export(report, 'json')).summary.warnings).toBe(1);
+  });
+});
@@ -131,4 +131,135 @@ components:
     expect(result.schemas.User.properties).toHaveProperty('id');
     expect(result.schemas.User.properties).toHaveProperty('name');
   });
-});
\ No newline at end of file
+
+  test('should resolve the security requirements of each operation', async () => {
+    const contractPath = join(tempDir, 'security-test.yaml');
+    writeFileSync(contractPath, `
+openapi: 3.0.0
+info:
+  title: Security Test
+  version: 1.0.0
+security:
+  - bearerAuth: []
+paths:
+  /users:
+    get:
+      responses:
+        '200':
+          description: Success
+    post:
+      security:
+        - oauth: [users:write]
+      responses:
+        '201':
+          description: Created
+  /health:
+    get:
+      security: []
+      responses:
+        '200':
+          description: Success
+components:
+  securitySchemes:
+    bearerAuth:
+      type: http
+      scheme: bearer
+    oauth:
+      type: oauth2
+      flows:
+        clientCredentials:
+          tokenUrl: https://auth.example.com/token
+          scopes:
+            users:write: Manage users
+    `.trim());
+
+    const parser = new ContractParser();
+    const result = await parser.parseContract(contractPath);
+    const security = (method, path) =>
+      result.endpoints.find(endpoint => endpoint.method === method && endpoint.path === path).security;
+
+    expect(Object.keys(result.securitySchemes)).toEqual(['bearerAuth', 'oauth']);
+    expect(security('GET', '/users')).toEqual([{ bearerAuth: [] }]);
+    expect(security('POST', '/users')).toEqual([{ oauth: ['users:write'] }]);
+    expect(security('GET', '/health')).toEqual([]);
+  });
+
+  test('should keep non-JSON request and response media types', async () => {
+    const contractPath = join(tempDir, 'media-test.yaml');
+    writeFileSync(contractPath, `
+openapi: 3.0.0
+info:
+  title: Media Test
+  version: 1.0.0
+paths:
+  /files:
+    post:
+      requestBody:
+        content:
+          multipart/form-data:
+            schema:
+              type: object
+              properties:
+                file:
+                  type: string
+                  format: binary
+      responses:
+        '201':
+          description: Created
+          content:
+            text/csv:
+              schema:
+                type: string
+            application/json:
+              schema:
+                type: object
+    `.trim());
+
+    const parser = new ContractParser();
+    const result = await parser.parseContract(contractPath);
+    const [endpoint] = result.endpoints;
+
+    expect(endpoint.requestBody.contentType).toBe('multipart/form-data');
+    expect(endpoint.requestBody.schema.properties.file.format).toBe('binary');
+    expect(endpoint.responses['201'].contentType).toBe('application/json');
+    expect(Object.keys(endpoint.responses['201'].content)).toEqual(['text/csv', 'application/json']);
+  });
+
+  test('should keep component identity and parse recursive schemas', async () => {
+    const parser = new ContractParser();
+    const result = await parser.parseContract(join(__dirname, '../../fixtures/named-refs.yaml'));
+    const { Address, Product, ShippingAddress, TreeNode } = result.schemas;
+
+    expect(Product.properties.shipFrom).toBe(Address);
+    expect(Product.properties.warehouse).not.toBe(Address);
+    expect(ShippingAddress).toBe(Address);
+    expect(TreeNode.properties.parent).toBe(TreeNode);
+    expect(TreeNode.properties.children.items).toBe(TreeNode);
+    expect(result.endpoints.find(endpoint => endpoint.path === '/products').responses['200'].schema.items).toBe(Product);
+
+    // The first component name wins for schemas that are the same object
+    expect(result.schemaNames.get(ShippingAddress)).toBe('Address');
+    expect(result.schemaNames.get(Product.properties.warehouse)).toBeUndefined();
+    expect(result.bundled.components.schemas.Product.properties.shipFrom).toEqual({ $ref: '#/components/schemas/Address' });
+  });
+
+  test('should parse contracts split over several files', async () => {
+    const contractPath = join(__dirname, '../../fixtures/multi-file/api.yaml');
+
+    const files = await ContractParser.findContractFiles(contractPath);
+    const result = await new ContractParser().parseContract(contractPath);
+
+    expect(files.map(file => file.slice(dirname(contractPath).length + 1))).toEqual([
+      'api.yaml',
+      'paths/users.yaml',
+      'paths/user.yaml',
+      'schemas/User.yaml',
+      'schemas/Address.yaml'
+    ]);
+    expect(result.endpoints.map(endpoint => endpoint.operationId)).toEqual(['listUsers', 'getUser']);
+    expect(result.endpoints[1].responses['200'].schema).toBe(result.schemas.User);
+    expect(result.schemas.User.properties.address).toBe(result.schemas.Address);
+    expect(result.bundled.paths['/users'].get.responses['200'].content['application/json'].schema.items)
+      .toEqual({ $ref: '#/components/schemas/User' });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, test, expect } from 'vitest';
+import { getDiscriminatorVariants } from '#src/core/discriminator.js';
+
+const dog = { type: 'object', properties: { petType: { type: 'string' } } };
+const cat = { type: 'object', properties: { petType: { type: 'string' } } };
+const lizard = { type: 'object', properties: { petType: { type: 'string', enum: ['lizard'] } } };
+const schemaNames = new Map([[dog, 'Dog'], [cat, 'Cat']]);
+
+describe('getDiscriminatorVariants', () => {
+  test('should take values from the mapping, then the member property, then the component name', () => {
+    const pet = {
+      oneOf: [dog, cat, lizard],
+      discriminator: {
+        propertyName: 'petType',
+        mapping: { dog: '#/components/schemas/Dog', puppy: 'Dog' }
+      }
+    };
+
+    const { propertyName, variants } = getDiscriminatorVariants(pet, schemaNames);
+
+    expect(propertyName).toBe('petType');
+    expect(variants).toEqual([
+      { schema: dog, name: 'Dog', values: ['dog', 'puppy'], declared: false },
+      { schema: cat, name: 'Cat', values: ['Cat'], declared: false },
+      { schema: lizard, name: null, values: ['lizard'], declared: true }
+    ]);
+  });
+
+  test('should leave inline members without a value and ignore unions without a discriminator', () => {
+    const shape = { anyOf: [{ type: 'object' }], discriminator: { propertyName: 'kind' } };
+
+    expect(getDiscriminatorVariants(shape).variants[0].values).toEqual([]);
+    expect(getDiscriminatorVariants({ oneOf: [dog, cat] }, schemaNames)).toBeNull();
+    expect(getDiscriminatorVariants({ type: 'string' })).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest';
+import {
+  filterEndpoints,
+  matchesPathGlob,
+  normalizeFilter,
+  parseExcludePatterns
+} from '#src/core/endpoint-filter.js';
+
+const endpoints = [
+  { path: '/checkout', method: 'POST', operationId: 'createCheckout', tags: ['checkout'] },
+  { path: '/checkout/{id}', method: 'GET', operationId: 'getCheckout', tags: ['checkout'] },
+  { path: '/checkout/{id}', method: 'DELETE', operationId: 'cancelCheckout', tags: ['checkout'] },
+  { path: '/users/{id}/orders', method: 'GET', operationId: 'listUserOrders', tags: ['users', 'orders'] },
+  { path: '/admin/reset', method: 'POST', operationId: 'resetDatabase', tags: [] }
+];
+
+const ids = selected => selected.map(endpoint => endpoint.operationId);
+
+describe('Endpoint filters', () => {
+  test('should match path globs segment by segment', () => {
+    expect(matchesPathGlob('/checkout/{id}', '/checkout/*')).toBe(true);
+    expect(matchesPathGlob('/checkout', '/checkout/*')).toBe(false);
+    expect(matchesPathGlob('/checkout', '/checkout/**')).toBe(true);
+    expect(matchesPathGlob('/users/{id}/orders', '/users/*')).toBe(false);
+    expect(matchesPathGlob('/users/{id}/orders', '/users/**')).toBe(true);
+    expect(matchesPathGlob('/users/{id}/orders', '/**/orders')).toBe(true);
+    expect(matchesPathGlob('/users/{id}/orders', '/users/{id}/orders')).toBe(true);
+  });
+
+  test('should require every criterion of an include filter and any of its values', () => {
+    const include = normalizeFilter({ tags: 'checkout,orders', methods: ['get'] });
+
+    expect(ids(filterEndpoints(endpoints, { include: [include] }))).toEqual(['getCheckout', 'listUserOrders']);
+    expect(ids(filterEndpoints(endpoints, {
+      include: [include, normalizeFilter({ paths: '/users/**' })]
+    }))).toEqual(['listUserOrders']);
+  });
+
+  test('should drop endpoints matching any criterion of an exclude filter', () => {
+    const exclude = parseExcludePatterns('delete, /admin/**, listUserOrders');
+
+    expect(exclude).toEqual({
+      tags: [],
+      paths: ['/admin/**'],
+      methods: ['DELETE'],
+      operations: ['listUserOrders']
+    });
+    expect(ids(filterEndpoints(endpoints, { exclude: [exclude] }))).toEqual(['createCheckout', 'getCheckout']);
+    expect(filterEndpoints(endpoints)).toEqual(endpoints);
+  });
+
+  test('should reject unknown criteria and methods', () => {
+    expect(() => normalizeFilter({ method: 'GET' })).toThrow("Unknown endpoint filter 'method'");
+    expect(() => normalizeFilter({ methods: 'GET,FETCH' }, '--method'))
+      .toThrow("Unknown HTTP method 'FETCH' in --method");
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, test, expect } from 'vitest';
+import {
+  BODY_KINDS,
+  isJsonMediaType,
+  getBodyKind,
+  selectMediaType,
+  matchMediaType,
+  encodeRequestBody
+} from '#src/core/media-types.js';
+
+describe('media types', () => {
+  test('should recognise JSON media types, including +json and parameters', () => {
+    expect(isJsonMediaType('application/json')).toBe(true);
+    expect(isJsonMediaType('application/problem+json; charset=utf-8')).toBe(true);
+    expect(isJsonMediaType('text/plain')).toBe(false);
+  });
+
+  test('should classify media types into body kinds', () => {
+    expect(getBodyKind('application/vnd.api+json')).toBe(BODY_KINDS.JSON);
+    expect(getBodyKind('application/x-www-form-urlencoded')).toBe(BODY_KINDS.FORM);
+    expect(getBodyKind('multipart/form-data; boundary=x')).toBe(BODY_KINDS.MULTIPART);
+    expect(getBodyKind('text/csv')).toBe(BODY_KINDS.TEXT);
+    expect(getBodyKind('application/xml')).toBe(BODY_KINDS.TEXT);
+    expect(getBodyKind('application/pdf')).toBe(BODY_KINDS.BINARY);
+    expect(getBodyKind('image/png')).toBe(BODY_KINDS.BINARY);
+  });
+
+  test('should prefer application/json, then other JSON types, then the first declared type', () => {
+    expect(selectMediaType({ 'text/csv': {}, 'application/json': {} })).toBe('application/json');
+    expect(selectMediaType({ 'text/csv': {}, 'application/problem+json': {} })).toBe('application/problem+json');
+    expect(selectMediaType({ 'text/csv': {}, 'application/pdf': {} })).toBe('text/csv');
+    expect(selectMediaType({})).toBeNull();
+  });
+
+  test('should match declared media types exactly before wildcards', () => {
+    const declared = ['image/*', 'image/png', 'application/json'];
+
+    expect(matchMediaType(declared, 'image/png')).toBe('image/png');
+    expect(matchMediaType(declared, 'image/jpeg')).toBe('image/*');
+    expect(matchMediaType(declared, 'application/json; charset=utf-8')).toBe('application/json');
+    expect(matchMediaType(declared, 'text/plain')).toBeNull();
+    expect(matchMediaType(['*/*'], 'text/plain')).toBe('*/*');
+  });
+
+  test('should encode request bodies for their media type', () => {
+    const data = { name: 'Rex & co', tags: ['a', 'b'] };
+
+    expect(encodeRequestBody(data, 'application/json')).toEqual({ body: data, contentType: 'application/json' });
+    expect(encodeRequestBody(data, 'application/x-www-form-urlencoded').body).toBe('name=Rex%20%26%20co&tags=a&tags=b');
+    expect(encodeRequestBody('a,b', 'text/csv')).toEqual({ body: 'a,b', contentType: 'text/csv' });
+    expect(encodeRequestBody('bytes', 'image/*')).toEqual({ body: Buffer.from('bytes'), contentType: 'application/octet-stream' });
+
+    const multipart = encodeRequestBody({ file: 'binary_data' }, 'multipart/form-data', {
+      properties: { file: { type: 'string', format: 'binary' } }
+    });
+    expect(multipart.body).toBe(
+      '--specjet-form-boundary\r\nContent-Disposition: form-data; name="file"; filename="file"\r\n' +
+      'Content-Type: application/octet-stream\r\n\r\nbinary_data\r\n--specjet-form-boundary--\r\n'
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'vitest';
+import {
+  inferSchema,
+  inferParameterSchema,
+  inferSchemaFromSamples,
+  inferParameterSchemaFromSamples
+} from '#src/core/schema-inference.js';
+
+describe('schema inference', () => {
+  test('should infer nested objects and arrays', () => {
+    expect(inferSchema({ id: 1, price: 9.99, tags: ['a'], owner: { active: true }, note: null })).toEqual({
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        price: { type: 'number' },
+        tags: { type: 'array', items: { type: 'string' } },
+        owner: { type: 'object', properties: { active: { type: 'boolean' } } },
+        note: { type: 'null' }
+      }
+    });
+    expect(inferSchema([])).toEqual({ type: 'array', items: {} });
+  });
+
+  test('should recognise common string formats', () => {
+    expect(inferSchema('2024-05-01T12:00:00Z')).toEqual({ type: 'string', format: 'date-time' });
+    expect(inferSchema('2024-05-01')).toEqual({ type: 'string', format: 'date' });
+    expect(inferSchema('8f14e45f-ceea-467f-a0e6-3b2c1d4e5f60')).toEqual({ type: 'string', format: 'uuid' });
+    expect(inferSchema('ada@example.com')).toEqual({ type: 'string', format: 'email' });
+    expect(inferSchema('https://example.com/a')).toEqual({ type: 'string', format: 'uri' });
+    expect(inferSchema('hello')).toEqual({ type: 'string' });
+  });
+
+  test('should infer parameter types from their string values', () => {
+    expect(inferParameterSchema('42')).toEqual({ type: 'integer' });
+    expect(inferParameterSchema('0.5')).toEqual({ type: 'number' });
+    expect(inferParameterSchema('false')).toEqual({ type: 'boolean' });
+    expect(inferParameterSchema('')).toEqual({ type: 'string' });
+  });
+
+  describe('across samples', () => {
+    test('should mark properties present in every sample as required', () => {
+      expect(inferSchemaFromSamples([
+        { id: 1, name: 'Ada', nickname: 'A' },
+        { id: 2, name: 'Bob' }
+      ])).toEqual({
+        type: 'object',
+        properties: { id: { type: 'integer' }, name: { type: 'string' }, nickname: { type: 'string' } },
+        required: ['id', 'name']
+      });
+      expect(inferSchemaFromSamples([{ id: 1 }])).toEqual({ type: 'object', properties: { id: { type: 'integer' } } });
+    });
+
+    test('should merge types seen across samples', () => {
+      expect(inferSchemaFromSamples([1, 2.5])).toEqual({ type: 'number' });
+      expect(inferSchemaFromSamples([null, 'a'])).toEqual({ type: ['string', 'null'] });
+      expect(inferSchemaFromSamples(['a', 1])).toEqual({ type: ['string', 'integer'] });
+      expect(inferSchemaFromSamples([{ id: 1 }, 'a'])).toEqual({
+        anyOf: [{ type: 'object', properties: { id: { type: 'integer' } } }, { type: 'string' }]
+      });
+      expect(inferSchemaFromSamples(['2024-05-01', 'soon'])).toEqual({ type: 'string' });
+      expect(inferSchemaFromSamples([])).toEqual({});
+    });
+
+    test('should merge the items of every array sample', () => {
+      expect(inferSchemaFromSamples([[{ id: 1, tags: [] }], [{ id: 2, tags: ['a'] }, { id: 3 }]])).toEqual({
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { id: { type: 'integer' }, tags: { type: 'array', items: { type: 'string' } } },
+          required: ['id']
+        }
+      });
+    });
+
+    test('should fall back to string for parameters whose values disagree', () => {
+      expect(inferParameterSchemaFromSamples(['1', '2'])).toEqual({ type: 'integer' });
+      expect(inferParameterSchemaFromSamples(['1', '2.5'])).toEqual({ type: 'number' });
+      expect(inferParameterSchemaFromSamples(['1', 'abc'])).toEqual({ type: 'string' });
+      expect(inferParameterSchemaFromSamples(['2024-01-01', '2024-02-01'])).toEqual({ type: 'string', format: 'date' });
+    });
+  });
+});
@@ -258,6 +258,79 @@ describe('SchemaValidator', () => {
     });
   });
 
+  describe('Recursive Schemas', () => {
+    test('should validate data against schemas that contain themselves', async () => {
+      const node = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+      node.properties.children = { type: 'array', items: node };
+
+      const issues = await schemaValidator.validateResponse(
+        { name: 'root', children: [{ name: 'leaf', children: [{ name: 7 }] }] },
+        node
+      );
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({ type: 'type_mismatch', field: 'name' });
+      expect(issues[0].details.fieldPath).toBe('/children/0/children/0/name');
+      expect(await schemaValidator.validateResponse({ name: 'root', children: [] }, node)).toEqual([]);
+    });
+
+    test('should leave acyclic schemas unchanged and convert each recursive schema once', () => {
+      const address = { type: 'object', properties: { street: { type: 'string' } } };
+      const user = { type: 'object', properties: { home: address, work: address } };
+      user.properties.manager = user;
+
+      const acyclic = schemaValidator.toAcyclicSchema(user);
+
+      expect(schemaValidator.toAcyclicSchema(address)).toBe(address);
+      expect(schemaValidator.toAcyclicSchema(user)).toBe(acyclic);
+      expect(acyclic.properties.manager).toEqual({ $ref: '#/definitions/schema0' });
+      expect(acyclic.definitions.schema0.properties.home).toEqual(address);
+      expect(schemaValidator.isValidSchema(user)).toBe(true);
+    });
+  });
+
+  describe('OpenAPI 3.1 Keywords', () => {
+    const account = {
+      type: 'object',
+      properties: {
+        id: { type: ['string', 'integer'] },
+        kind: { const: 'account' },
+        point: { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false },
+        labels: { type: 'object', patternProperties: { '^x-': { type: 'string' } }, additionalProperties: false },
+        type: { enum: ['personal', 'business'] }
+      },
+      if: { properties: { type: { const: 'business' } } },
+      then: { required: ['vatId'] }
+    };
+
+    test('should validate data against 2020-12 keywords', async () => {
+      expect(await schemaValidator.validateResponse(
+        { id: 7, kind: 'account', point: [1, 2], labels: { 'x-team': 'core' }, type: 'business', vatId: 'NL1' },
+        account
+      )).toEqual([]);
+
+      const issues = await schemaValidator.validateResponse(
+        { id: true, kind: 'other', point: [1, 2, 3], labels: { team: 'core' }, type: 'business' },
+        account
+      );
+
+      expect(issues.map(issue => issue.type)).toEqual(expect.arrayContaining([
+        'type_mismatch', 'enum_violation', 'unexpected_field', 'missing_field'
+      ]));
+      expect(issues.find(issue => issue.type === 'enum_violation').message).toBe('Field \'kind\' must be "account"');
+      expect(issues.some(issue => issue.details.keyword === 'items')).toBe(true);
+    });
+
+    test('should generate sample data from const, type lists and tuples', async () => {
+      const sample = schemaValidator.generateSampleData({ ...account, required: ['id', 'kind', 'point'] });
+
+      expect(sample.id).toEqual(expect.any(String));
+      expect(sample.kind).toBe('account');
+      expect(sample.point).toEqual([expect.any(Number), expect.any(Number)]);
+      expect(schemaValidator.generateSampleData({ type: ['null', 'integer'] })).toEqual(expect.any(Number));
+    });
+  });
+
   describe('Field Path Utilities', () => {
     test('should extract field name from path', () => {
       expect(schemaValidator.extractFieldName('/user/name')).toBe('name');
@@ -0,0 +1,133 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileSync, mkdirSync, rmSync } from 'fs';
+import ValidationBaseline from '#src/core/validation-baseline.js';
+import ValidationResults from '#src/core/validation-results.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const missingEmail = ValidationResults.createIssue('missing_field', 'email', "Required field 'email' is missing");
+const wrongId = ValidationResults.createIssue('type_mismatch', 'id', "Field 'id' should be integer, got string '42'");
+
+const results = [
+  ValidationResults.createResult('/users', 'GET', true, 200, []),
+  ValidationResults.createResult('/users/{id}', 'GET', false, 200, [missingEmail, wrongId]),
+  ValidationResults.createResult('/teams', 'GET', false, 200, [missingEmail, missingEmail])
+];
+
+describe('ValidationBaseline', () => {
+  describe('create', () => {
+    test('should record each issue once, keyed by method, endpoint, type and field', () => {
+      const baseline = ValidationBaseline.create(results, { environment: 'staging' });
+
+      expect(baseline).toMatchObject({ version: 1, environment: 'staging' });
+      expect(baseline.issues).toEqual([
+        { method: 'GET', endpoint: '/teams', type: 'missing_field', field: 'email', message: missingEmail.message },
+        { method: 'GET', endpoint: '/users/{id}', type: 'missing_field', field: 'email', message: missingEmail.message },
+        { method: 'GET', endpoint: '/users/{id}', type: 'type_mismatch', field: 'id', message: wrongId.message }
+      ]);
+    });
+  });
+
+  describe('save and load', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = join(__dirname, '../../../temp', `validation-baseline-${Date.now()}`);
+      mkdirSync(tempDir, { recursive: true });
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should read back a saved baseline', async () => {
+      const filePath = join(tempDir, 'nested', 'baseline.json');
+
+      const saved = await ValidationBaseline.save(results, filePath);
+
+      expect(await ValidationBaseline.load(filePath)).toEqual(saved);
+    });
+
+    test('should reject missing and invalid baselines', async () => {
+      writeFileSync(join(tempDir, 'broken.json'), '{"issues":');
+      writeFileSync(join(tempDir, 'other.json'), '{"openapi":"3.0.3"}');
+
+      await expect(ValidationBaseline.load(join(tempDir, 'missing.json')))
+        .rejects.toMatchObject({ code: 'BASELINE_NOT_FOUND' });
+      await expect(ValidationBaseline.load(join(tempDir, 'broken.json')))
+        .rejects.toMatchObject({ code: 'BASELINE_INVALID' });
+      await expect(ValidationBaseline.load(join(tempDir, 'other.json')))
+        .rejects.toThrow('is not a SpecJet validation baseline');
+    });
+  });
+
+  describe('compare', () => {
+    test('should pass endpoints whose issues are all known, ignoring messages', () => {
+      const baseline = ValidationBaseline.create(results);
+      const rerun = [
+        results[0],
+        ValidationResults.createResult('/users/{id}', 'get', false, 200, [
+          missingEmail,
+          { ...wrongId, message: "Field 'id' should be integer, got string '7'" }
+        ])
+      ];
+
+      const comparison = ValidationBaseline.compare(rerun, baseline);
+
+      expect(comparison.results.map(result => result.success)).toEqual([true, true]);
+      expect(comparison.results[1].issues.map(issue => issue.baseline)).toEqual(['known', 'known']);
+      expect(comparison.newIssues).toEqual([]);
+      expect(comparison.knownIssues).toHaveLength(2);
+      expect(comparison.fixedIssues).toEqual([]);
+    });
+
+    test('should match issues in array items whichever item has them', () => {
+      const itemIssue = (index) => ValidationResults.createIssue('type_mismatch', `/items/${index}/name`, 'Wrong type');
+      const baseline = ValidationBaseline.create([
+        ValidationResults.createResult('/orders', 'GET', false, 200, [itemIssue(3), itemIssue(5)])
+      ]);
+
+      const comparison = ValidationBaseline.compare([
+        ValidationResults.createResult('/orders', 'GET', false, 200, [itemIssue(0)])
+      ], baseline);
+
+      expect(baseline.issues).toEqual([expect.objectContaining({ field: '/items/*/name' })]);
+      expect(comparison.results[0]).toMatchObject({ success: true, issues: [{ baseline: 'known' }] });
+      expect(comparison.fixedIssues).toEqual([]);
+    });
+
+    test('should keep failed results without issues failing', () => {
+      const comparison = ValidationBaseline.compare([
+        ValidationResults.createResult('/users', 'GET', false, null, [])
+      ], ValidationBaseline.create(results));
+
+      expect(comparison.results[0].success).toBe(false);
+    });
+
+    test('should report new issues and fixed issues of validated endpoints only', () => {
+      const baseline = ValidationBaseline.create(results);
+      const newIssue = ValidationResults.createIssue('unexpected_field', 'legacy', "Unexpected field 'legacy'");
+      const rerun = [
+        ValidationResults.createResult('/users', 'GET', false, 200, [newIssue]),
+        ValidationResults.createResult('/users/{id}', 'GET', false, 200, [wrongId])
+      ];
+
+      const comparison = ValidationBaseline.compare(rerun, baseline);
+
+      expect(comparison.results[0]).toMatchObject({ success: false, issues: [{ baseline: 'new' }] });
+      expect(comparison.results[1].success).toBe(true);
+      expect(comparison.newIssues).toEqual([{ method: 'GET', endpoint: '/users', issue: newIssue }]);
+      expect(comparison.fixedIssues).toEqual([
+        expect.objectContaining({ endpoint: '/users/{id}', type: 'missing_field', field: 'email' })
+      ]);
+
+      const output = ValidationBaseline.formatConsoleOutput(comparison, 'baseline.json');
+      expect(output).toContain('🆕 1 new issue:\n   • GET /users: legacy: Unexpected field \'legacy\'');
+      expect(output).toContain('✅ 1 fixed issue');
+      expect(output).toContain('❌ New issues found since the baseline');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test, expect } from 'vitest';
+import ValidationResults from '#src/core/validation-results.js';
+import ValidationResultsAggregator from '#src/core/results-aggregator.js';
+
+const results = [
+  ValidationResults.createResult('/users', 'get', true, 200, [], { responseTime: 120 }),
+  ValidationResults.createResult('/users/{id}', 'get', false, 200, [
+    ValidationResults.createIssue('missing_field', 'email', "Required field 'email' is missing", {
+      fieldPath: '/profile',
+      schemaPath: '#/properties/profile/required'
+    }),
+    ValidationResults.createIssue('format_mismatch', 'createdAt', "Field 'createdAt' does not match format 'date-time'", {
+      fieldPath: '/createdAt'
+    })
+  ], { responseTime: 80 }),
+  ValidationResults.createResult('/reports', 'post', false, null, [
+    ValidationResults.createIssue('network_error', null, 'Request timed out <after 30s>')
+  ])
+];
+
+describe('ValidationResults reports', () => {
+  test('should write a JUnit test case per endpoint with failures and errors', () => {
+    const xml = ValidationResults.formatJUnitReport(results, { environment: 'staging' });
+
+    expect(xml).toContain('<testsuites name="API Validation" tests="3" failures="1" errors="1" time="0.200">');
+    expect(xml).toContain('<testsuite name="API Validation: staging" tests="3" failures="1" errors="1" skipped="0"');
+    expect(xml).toContain('<testcase classname="/users" name="GET /users" time="0.120">\n    </testcase>');
+    expect(xml).toContain('<failure message="Required field &apos;email&apos; is missing" type="missing_field">');
+    expect(xml).toContain('[error] email: Required field &apos;email&apos; is missing at /profile');
+    expect(xml).toContain('<error message="Request timed out &lt;after 30s&gt;" type="network_error">');
+  });
+
+  test('should write a SARIF result per issue with rules per issue type', () => {
+    const sarif = JSON.parse(ValidationResults.formatSarifReport(results, {
+      contractPath: 'contracts\\api.yaml',
+      environment: 'staging'
+    }));
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['missing_field', 'format_mismatch', 'network_error']);
+    expect(run.tool.driver.rules[1].defaultConfiguration).toEqual({ level: 'warning' });
+    expect(run.results).toHaveLength(3);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'missing_field',
+      level: 'error',
+      message: { text: "GET /users/{id} (200): [error] email: Required field 'email' is missing at /profile" },
+      locations: [{
+        physicalLocation: { artifactLocation: { uri: 'contracts/api.yaml' } },
+        logicalLocations: [{ fullyQualifiedName: 'GET /users/{id}', kind: 'function' }]
+      }],
+      properties: { fieldPath: '/profile', schemaPath: '#/properties/profile/required', responseTime: 80 }
+    });
+    expect(run.properties).toEqual({ environment: 'staging' });
+  });
+
+  test('should mark issues known from a baseline', () => {
+    const compared = [
+      ValidationResults.createResult('/users/{id}', 'get', true, 200, [
+        { ...ValidationResults.createIssue('missing_field', 'email', "Required field 'email' is missing"), baseline: 'known' }
+      ]),
+      ValidationResults.createResult('/teams', 'get', false, 200, [
+        { ...ValidationResults.createIssue('type_mismatch', 'id', "Field 'id' should be integer"), baseline: 'new' }
+      ])
+    ];
+
+    const xml = ValidationResults.formatJUnitReport(compared);
+    const sarif = JSON.parse(ValidationResults.formatSarifReport(compared));
+    const html = ValidationResults.formatHtmlReport(compared);
+
+    expect(xml).toContain('tests="2" failures="1" errors="0"');
+    expect(xml).toContain("<system-out>[error] email: Required field &apos;email&apos; is missing (baseline)</system-out>");
+    expect(sarif.runs[0].results.map(result => result.baselineState)).toEqual(['unchanged', 'new']);
+    expect(html).toContain("Required field &apos;email&apos; is missing (baseline)</td>");
+  });
+
+  test('should write a self-contained HTML report', () => {
+    const html = ValidationResults.formatHtmlReport(results, { environment: 'staging' });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>API Validation Report: staging</title>');
+    expect(html).not.toMatch(/<(script|link)\b/);
+    expect(html).toContain('<details class="failed" open>');
+    expect(html).toContain('200 · 80ms · 2 issues');
+    expect(html).toContain('<code>/createdAt</code>');
+    expect(html).toContain('<div class="meta">#/properties/profile/required</div>');
+    expect(html).toContain('Request timed out &lt;after 30s&gt;');
+  });
+
+  test('should export the new formats from ValidationResults and the aggregator', () => {
+    const aggregator = new ValidationResultsAggregator();
+    aggregator.addResults(results);
+
+    expect(ValidationResults.export(results, 'junit')).toContain('<testsuites');
+    expect(JSON.parse(aggregator.export('sarif')).version).toBe('2.1.0');
+    expect(aggregator.export('html', { title: 'Nightly' })).toContain('<h1>Nightly</h1>');
+  });
+});
@@ -1,5 +1,8 @@
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
 import APIValidator from '#src/core/validator.js';
+import HttpClient from '#src/core/http-client.js';
+import SchemaValidator from '#src/core/schema-validator.js';
 import { SpecJetError } from '#src/core/errors.js';
 
 describe('APIValidator', () => {
@@ -429,6 +432,79 @@ describe('APIValidator', () => {
     });
   });
 
+  describe('Non-JSON Bodies', () => {
+    let server;
+    let received;
+    let realValidator;
+
+    beforeEach(async () => {
+      received = [];
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          received.push({ contentType: req.headers['content-type'], body: Buffer.concat(chunks).toString() });
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('uploaded');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const httpClient = new HttpClient(`http://127.0.0.1:${server.address().port}`, {}, { maxRetries: 0 });
+      realValidator = new APIValidator({ httpClient, schemaValidator: new SchemaValidator(), logger: mockLogger });
+      realValidator.contract = { info: { title: 'Uploads', version: '1.0.0' } };
+      realValidator.endpoints = [
+        {
+          path: '/avatars',
+          method: 'POST',
+          parameters: [],
+          requestBody: {
+            contentType: 'multipart/form-data',
+            schema: {
+              type: 'object',
+              required: ['name', 'file'],
+              properties: { name: { type: 'string' }, file: { type: 'string', format: 'binary' } }
+            }
+          },
+          responses: { '200': { contentType: 'text/plain', schema: { type: 'object' } } }
+        },
+        {
+          path: '/login',
+          method: 'POST',
+          parameters: [],
+          requestBody: {
+            contentType: 'application/x-www-form-urlencoded',
+            schema: { type: 'object', required: ['user'], properties: { user: { type: 'string' } } }
+          },
+          responses: { '200': { contentType: 'text/plain', schema: { type: 'string' } } }
+        }
+      ];
+    });
+
+    afterEach(async () => {
+      realValidator.httpClient.cleanup();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should send multipart bodies encoded as multipart', async () => {
+      const result = await realValidator.validateEndpoint('/avatars', 'POST', { enableParameterDiscovery: false });
+
+      expect(result.success).toBe(true);
+      expect(received[0].contentType).toBe('multipart/form-data; boundary=specjet-form-boundary');
+      expect(received[0].body).toContain('Content-Disposition: form-data; name="name"\r\n\r\nsample_xxx');
+      expect(received[0].body).toContain('Content-Disposition: form-data; name="file"; filename="file"');
+      expect(received[0].body).toMatch(/--specjet-form-boundary--\r\n$/);
+    });
+
+    test('should send form bodies URL encoded and not check text responses against JSON schemas', async () => {
+      const result = await realValidator.validateEndpoint('/login', 'POST', { enableParameterDiscovery: false });
+
+      expect(received[0]).toEqual({ contentType: 'application/x-www-form-urlencoded', body: 'user=sample_xxx' });
+      expect(result.success).toBe(true);
+      expect(result.issues).toEqual([]);
+    });
+  });
+
   describe('Path Resolution', () => {
     test('should resolve simple path parameters', () => {
       const resolved = validator.resolvePath('/users/{id}/posts/{postId}', {
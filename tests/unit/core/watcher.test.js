@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileSync, mkdirSync, rmSync, cpSync } from 'fs';
+import FileWatcher from '#src/core/watcher.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const silentLogger = { info: vi.fn(), debug: vi.fn(), error: vi.fn() };
+
+describe('FileWatcher', () => {
+  let tempDir;
+  let contractPath;
+  let watcher;
+  let onChange;
+
+  beforeEach(async () => {
+    tempDir = join(__dirname, '../../../temp', `watcher-${Date.now()}`);
+    cpSync(join(__dirname, '../../fixtures/multi-file'), tempDir, { recursive: true });
+    contractPath = join(tempDir, 'api.yaml');
+
+    onChange = vi.fn().mockResolvedValue();
+    watcher = new FileWatcher({ logger: silentLogger });
+    await watcher.watchContract(contractPath, onChange);
+  });
+
+  afterEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    watcher.stopWatching();
+    vi.restoreAllMocks();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should watch the directory of every file in the $ref graph', () => {
+    expect(watcher.contractFiles.size).toBe(5);
+    expect([...watcher.watchers.keys()].sort()).toEqual([
+      tempDir,
+      join(tempDir, 'paths'),
+      join(tempDir, 'schemas')
+    ]);
+  });
+
+  test('should regenerate when a referenced file changes, but not for unrelated files', async () => {
+    watcher.pendingChanges.add(join(tempDir, 'package.json'));
+    expect(await watcher.flushChanges()).toBe(false);
+
+    watcher.pendingChanges.add(join(tempDir, 'schemas', 'Address.yaml'));
+    expect(await watcher.flushChanges()).toBe(true);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('should start watching files once a $ref to them is added', async () => {
+    const pointPath = join(tempDir, 'schemas', 'geo', 'Point.yaml');
+    mkdirSync(dirname(pointPath));
+    writeFileSync(pointPath, 'type: object\nproperties:\n  lat:\n    type: number\n');
+    writeFileSync(join(tempDir, 'schemas', 'Address.yaml'), `
+type: object
+properties:
+  location:
+    $ref: './geo/Point.yaml'
+`);
+
+    watcher.pendingChanges.add(join(tempDir, 'schemas', 'Address.yaml'));
+    await watcher.flushChanges();
+
+    expect(watcher.contractFiles.has(pointPath)).toBe(true);
+    expect(watcher.watchers.has(dirname(pointPath))).toBe(true);
+
+    watcher.pendingChanges.add(pointPath);
+    expect(await watcher.flushChanges()).toBe(true);
+  });
+
+  test('should keep the watched files while a reference cannot be resolved', async () => {
+    writeFileSync(join(tempDir, 'schemas', 'User.yaml'), `
+type: object
+properties:
+  team:
+    $ref: './Team.yaml'
+`);
+
+    watcher.pendingChanges.add(join(tempDir, 'schemas', 'User.yaml'));
+    expect(await watcher.flushChanges()).toBe(true);
+    expect(watcher.contractFiles.size).toBe(5);
+
+    // Creating the missing file fixes the contract and triggers regeneration
+    const teamPath = join(tempDir, 'schemas', 'Team.yaml');
+    writeFileSync(teamPath, 'type: object\n');
+    watcher.pendingChanges.add(teamPath);
+
+    expect(await watcher.flushChanges()).toBe(true);
+    expect(watcher.contractFiles.has(teamPath)).toBe(true);
+  });
+
+  test('should ignore files that cannot be part of a contract', () => {
+    watcher.handleFileEvent(join(tempDir, 'schemas'), 'notes.txt');
+    watcher.handleFileEvent(join(tempDir, 'schemas'), 'User.yaml');
+
+    expect([...watcher.pendingChanges]).toEqual([join(tempDir, 'schemas', 'User.yaml')]);
+  });
+});
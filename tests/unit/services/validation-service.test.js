@@ -1,7 +1,13 @@
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, rmSync } from 'fs';
 import ValidationService from '#src/services/validation-service.js';
 import { SpecJetError } from '#src/core/errors.js';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
 describe('ValidationService', () => {
   let validationService;
   let mockConfigLoader;
@@ -48,7 +54,10 @@ describe('ValidationService', () => {
     mockResultsFormatter = {
       formatJsonOutput: vi.fn(),
       formatMarkdownReport: vi.fn(),
-      formatConsoleOutput: vi.fn()
+      formatConsoleOutput: vi.fn(),
+      formatJUnitReport: vi.fn(),
+      formatSarifReport: vi.fn(),
+      formatHtmlReport: vi.fn()
     };
 
     // Mock ServiceContainer
@@ -356,6 +365,21 @@ describe('ValidationService', () => {
       process.stdin.isTTY = originalStdin;
     });
 
+    test('should show progress when a report format goes to --report-file', () => {
+      const originalEnv = process.env.CI;
+      const originalStdin = process.stdin.isTTY;
+      delete process.env.CI;
+      process.stdin.isTTY = true;
+
+      try {
+        expect(validationService.createProgressCallback({ output: 'junit', reportFile: 'junit.xml' })).toBeInstanceOf(Function);
+        expect(validationService.createProgressCallback({ output: 'junit' })).toBeNull();
+      } finally {
+        process.env.CI = originalEnv;
+        process.stdin.isTTY = originalStdin;
+      }
+    });
+
     test('should return null callback for CI environment', () => {
       const originalEnv = process.env.CI;
       process.env.CI = 'true';
@@ -515,6 +539,242 @@ describe('ValidationService', () => {
       expect(result.exitCode).toBe(1); // Validation error (not setup)
       expect(result.error).toBe('Contract file not found');
     });
+
+    describe('Report Files', () => {
+      const reportDir = join(__dirname, '../../../temp', 'validation-reports');
+
+      afterEach(() => {
+        rmSync(reportDir, { recursive: true, force: true });
+      });
+
+      test('should write the report picked by the file extension and still print console output', async () => {
+        const reportFile = join(reportDir, 'validate.xml');
+        mockResultsFormatter.formatJUnitReport.mockReturnValue('<testsuites/>');
+
+        const result = await validationService.validateEnvironment('staging', { output: 'console', reportFile });
+
+        expect(result.exitCode).toBe(0);
+        expect(result.reportFile).toBe(reportFile);
+        expect(readFileSync(reportFile, 'utf8')).toBe('<testsuites/>');
+        expect(mockResultsFormatter.formatJUnitReport).toHaveBeenCalledWith(
+          expect.any(Array),
+          { environment: 'staging', contractPath: 'contract.yaml' }
+        );
+        expect(mockLogger.log).toHaveBeenCalledWith('Formatted results');
+      });
+
+      test('should prefer the --output format over the file extension', async () => {
+        const reportFile = join(reportDir, 'results.json');
+        mockResultsFormatter.formatSarifReport.mockReturnValue('{"version":"2.1.0"}');
+
+        await validationService.validateEnvironment('staging', { output: 'sarif', reportFile });
+
+        expect(readFileSync(reportFile, 'utf8')).toBe('{"version":"2.1.0"}');
+        expect(mockResultsFormatter.formatConsoleOutput).toHaveBeenCalled();
+      });
+
+      test('should print reports with the same options as report files', async () => {
+        mockResultsFormatter.formatSarifReport.mockReturnValue('{"version":"2.1.0"}');
+
+        await validationService.validateEnvironment('staging', { output: 'sarif' });
+
+        expect(mockResultsFormatter.formatSarifReport).toHaveBeenCalledWith(
+          expect.any(Array),
+          { environment: 'staging', contractPath: 'contract.yaml' }
+        );
+        expect(mockLogger.log).toHaveBeenCalledWith('{"version":"2.1.0"}');
+      });
+
+      test('should reject report files without a known format before validating', async () => {
+        const result = await validationService.validateEnvironment('staging', {
+          output: 'console',
+          reportFile: join(reportDir, 'validate.txt')
+        });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.errorCode).toBe('REPORT_FORMAT_UNKNOWN');
+        expect(mockValidationSystem.validateAllEndpoints).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Endpoint Filters', () => {
+      const endpoints = [
+        { path: '/users', method: 'GET', operationId: 'listUsers', tags: ['users'] },
+        { path: '/users/{id}', method: 'DELETE', operationId: 'deleteUser', tags: ['users'] },
+        { path: '/checkout', method: 'POST', operationId: 'createCheckout', tags: ['checkout'] }
+      ];
+
+      beforeEach(() => {
+        mockValidationSystem.validator.endpoints = endpoints;
+      });
+
+      test('should validate only the endpoints selected by the options', async () => {
+        await validationService.validateEnvironment('staging', { tag: 'users', exclude: 'DELETE' });
+
+        expect(mockValidationSystem.validateAllEndpoints).toHaveBeenCalledWith(expect.any(Object), [endpoints[0]]);
+        expect(mockValidationSystem.validator.endpoints).toBe(endpoints);
+        expect(mockLogger.log).toHaveBeenCalledWith('🔎 Filters matched 1 of 3 endpoints');
+      });
+
+      test('should combine the environment filters with the options', async () => {
+        mockConfigLoader.getEnvironmentConfig.mockReturnValue({
+          url: 'https://api.example.com',
+          exclude: { methods: ['DELETE'] }
+        });
+
+        await validationService.validateEnvironment('production', { path: '/users/**' });
+
+        expect(mockValidationSystem.validateAllEndpoints).toHaveBeenCalledWith(expect.any(Object), [endpoints[0]]);
+      });
+
+      test('should fail when no endpoint matches', async () => {
+        const result = await validationService.validateEnvironment('staging', { operation: 'getOrder' });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.errorCode).toBe('VALIDATE_NO_ENDPOINTS');
+        expect(mockValidationSystem.validateAllEndpoints).not.toHaveBeenCalled();
+      });
+
+      test('should reject unknown methods before validating', async () => {
+        const result = await validationService.validateEnvironment('staging', { method: 'GET,FETCH' });
+
+        expect(result.errorCode).toBe('VALIDATE_FILTER_INVALID');
+        expect(mockValidatorFactory.createValidationSystem).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Production Safety', () => {
+      const endpoints = [
+        { path: '/users', method: 'GET' },
+        { path: '/users', method: 'POST' },
+        { path: '/users/{id}', method: 'DELETE' }
+      ];
+
+      beforeEach(() => {
+        mockValidationSystem.validator.endpoints = endpoints;
+        mockConfigLoader.getEnvironmentConfig.mockReturnValue({ url: 'https://api.example.com' });
+        vi.spyOn(validationService, 'confirm').mockResolvedValue(false);
+      });
+
+      test('should validate only safe methods in read-only mode', async () => {
+        mockConfigLoader.getEnvironmentConfig.mockReturnValue({ url: 'https://api.example.com', readOnly: true });
+
+        await validationService.validateEnvironment('production');
+
+        expect(mockValidationSystem.validateAllEndpoints).toHaveBeenCalledWith(expect.any(Object), [endpoints[0]]);
+        expect(validationService.confirm).not.toHaveBeenCalled();
+        expect(mockLogger.log).toHaveBeenCalledWith('🔒 Read-only mode: only GET, HEAD, OPTIONS endpoints are validated');
+      });
+
+      test('should ask before sending data to production and stop when declined', async () => {
+        const result = await validationService.validateEnvironment('production');
+
+        expect(validationService.confirm).toHaveBeenCalledWith('Continue? [y/N]: ');
+        expect(mockLogger.log).toHaveBeenCalledWith('   • DELETE /users/{id}');
+        expect(result.errorCode).toBe('VALIDATE_CANCELLED');
+        expect(mockValidationSystem.validateAllEndpoints).not.toHaveBeenCalled();
+      });
+
+      test('should validate everything when confirmed, forced or not production', async () => {
+        validationService.confirm.mockResolvedValue(true);
+        await validationService.validateEnvironment('production');
+        await validationService.validateEnvironment('production', { force: true });
+        await validationService.validateEnvironment('staging');
+
+        expect(validationService.confirm).toHaveBeenCalledTimes(1);
+        expect(mockValidationSystem.validateAllEndpoints).toHaveBeenCalledTimes(3);
+        expect(mockValidationSystem.validateAllEndpoints).toHaveBeenLastCalledWith(expect.any(Object), endpoints);
+      });
+
+      test('should fail without a terminal instead of asking', async () => {
+        process.env.CI = 'true';
+
+        const result = await validationService.validateEnvironment('production', { method: 'GET,POST' });
+
+        expect(validationService.confirm).not.toHaveBeenCalled();
+        expect(result.errorCode).toBe('VALIDATE_CONFIRMATION_REQUIRED');
+        expect(result.suggestions[0]).toContain('--read-only');
+      });
+    });
+
+    describe('Baselines', () => {
+      const baselineDir = join(__dirname, '../../../temp', 'validation-baselines');
+      const baselineFile = join(baselineDir, 'baseline.json');
+      const missingEmail = { type: 'missing_field', field: 'email', message: "Required field 'email' is missing" };
+      const wrongType = { type: 'type_mismatch', field: 'id', message: "Field 'id' should be integer" };
+
+      beforeEach(() => {
+        mockValidationSystem.validateAllEndpoints.mockResolvedValue([
+          { success: true, endpoint: '/users', method: 'GET', issues: [] },
+          { success: false, endpoint: '/users/{id}', method: 'GET', issues: [missingEmail] }
+        ]);
+        mockValidationSystem.getStatistics.mockReturnValue({ total: 2, passed: 1, failed: 1, successRate: 50 });
+      });
+
+      afterEach(() => {
+        rmSync(baselineDir, { recursive: true, force: true });
+      });
+
+      test('should save the current issues and succeed', async () => {
+        const result = await validationService.validateEnvironment('staging', { saveBaseline: baselineFile });
+        const baseline = JSON.parse(readFileSync(baselineFile, 'utf8'));
+
+        expect(result.exitCode).toBe(0);
+        expect(result.savedBaseline).toBe(baselineFile);
+        expect(baseline).toMatchObject({
+          version: 1,
+          environment: 'staging',
+          issues: [{ method: 'GET', endpoint: '/users/{id}', type: 'missing_field', field: 'email' }]
+        });
+        expect(mockLogger.log).toHaveBeenCalledWith(`📌 Baseline with 1 issue saved to ${baselineFile}`);
+      });
+
+      test('should pass when all issues are in the baseline', async () => {
+        await validationService.validateEnvironment('staging', { saveBaseline: baselineFile });
+
+        const result = await validationService.validateEnvironment('staging', { baseline: baselineFile });
+
+        expect(result.exitCode).toBe(0);
+        expect(result.statistics).toMatchObject({ passed: 2, failed: 0, successRate: 100 });
+        expect(result.baseline).toEqual({ newIssues: 0, knownIssues: 1, fixedIssues: 0 });
+        expect(result.results[1].issues[0].baseline).toBe('known');
+      });
+
+      test('should fail on new issues and report fixed ones', async () => {
+        await validationService.validateEnvironment('staging', { saveBaseline: baselineFile });
+        mockValidationSystem.validateAllEndpoints.mockResolvedValue([
+          { success: false, endpoint: '/users', method: 'GET', issues: [wrongType] },
+          { success: true, endpoint: '/users/{id}', method: 'GET', issues: [] }
+        ]);
+
+        const result = await validationService.validateEnvironment('staging', { baseline: baselineFile });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.baseline).toEqual({ newIssues: 1, knownIssues: 0, fixedIssues: 1 });
+        expect(mockLogger.log).toHaveBeenCalledWith(expect.stringContaining('🆕 1 new issue:'));
+      });
+
+      test('should write reports with the issues compared to the baseline', async () => {
+        const reportFile = join(baselineDir, 'junit.xml');
+        mockResultsFormatter.formatJUnitReport.mockReturnValue('<testsuites/>');
+        await validationService.validateEnvironment('staging', { saveBaseline: baselineFile });
+
+        const result = await validationService.validateEnvironment('staging', { baseline: baselineFile, reportFile });
+        const [reportedResults] = mockResultsFormatter.formatJUnitReport.mock.calls[0];
+
+        expect(result.exitCode).toBe(0);
+        expect(readFileSync(reportFile, 'utf8')).toBe('<testsuites/>');
+        expect(reportedResults[1]).toMatchObject({ success: true, issues: [{ field: 'email', baseline: 'known' }] });
+      });
+
+      test('should report a missing baseline before validating', async () => {
+        const result = await validationService.validateEnvironment('staging', { baseline: baselineFile });
+
+        expect(result.exitCode).toBe(1);
+        expect(result.errorCode).toBe('BASELINE_NOT_FOUND');
+        expect(mockValidationSystem.validateAllEndpoints).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Output Formatting', () => {
@@ -565,6 +825,22 @@ describe('ValidationService', () => {
       expect(result.formattedOutput).toBe('# Validation Report');
     });
 
+    test('should print JUnit, SARIF and HTML reports', () => {
+      const mockResults = [{ success: true }];
+
+      mockResultsFormatter.formatHtmlReport.mockReturnValue('<!DOCTYPE html>');
+
+      const result = validationService.generateValidationResponse(
+        mockResults,
+        mockValidationSystem,
+        'staging',
+        { output: 'html' }
+      );
+
+      expect(mockResultsFormatter.formatHtmlReport).toHaveBeenCalledWith(mockResults, { environment: 'staging' });
+      expect(result.formattedOutput).toBe('<!DOCTYPE html>');
+    });
+
     test('should format console output with verbose options', () => {
       const mockResults = [{ success: true }];
 